@@ -26,6 +26,10 @@
  */
 export const VERSION = '4.2.2';
 
+// Web workers have no document and no window
+const HAS_DOCUMENT = typeof document !== 'undefined';
+const HAS_WINDOW = typeof window !== 'undefined';
+
 /**
  * Variable: IS_IE
  *
@@ -75,6 +79,7 @@ export const IS_QUIRKS =
  * True if the browser is IE11 in enterprise mode (IE8 standards mode).
  */
 export const IS_EM =
+  HAS_DOCUMENT &&
   'spellcheck' in document.createElement('textarea') &&
   document.documentMode == 8;
 
@@ -163,7 +168,10 @@ export const IS_GC = /Google Inc/.test(navigator.vendor);
  * True if the this is running inside a Chrome App.
  */
 export const IS_CHROMEAPP =
-  window.chrome != null && chrome.app != null && chrome.app.runtime != null;
+  HAS_WINDOW &&
+  window.chrome != null &&
+  chrome.app != null &&
+  chrome.app.runtime != null;
 
 /**
  * Variable: IS_FF
@@ -214,6 +222,7 @@ export const IS_SVG =
  * Opera, older SVG-based browsers and all versions of IE.
  */
 export const NO_FO =
+  !HAS_DOCUMENT ||
   !document.createElementNS ||
   document.createElementNS('http://www.w3.org/2000/svg', 'foreignObject') !=
     '[object SVGForeignObjectElement]' ||
@@ -246,7 +255,8 @@ export const IS_CHROMEOS = /\bCrOS\b/.test(navigator.appVersion);
  * True if this device supports touchstart/-move/-end events (Apple iOS,
  * Android, Chromebook and Chrome Browser on touch-enabled devices).
  */
-export const IS_TOUCH = 'ontouchstart' in document.documentElement;
+export const IS_TOUCH =
+  HAS_DOCUMENT && 'ontouchstart' in document.documentElement;
 
 /**
  * Variable: IS_POINTER
@@ -254,7 +264,9 @@ export const IS_TOUCH = 'ontouchstart' in document.documentElement;
  * True if this device supports Microsoft pointer events (always false on Macs).
  */
 export const IS_POINTER =
-  window.PointerEvent != null && !(navigator.appVersion.indexOf('Mac') > 0);
+  HAS_WINDOW &&
+  window.PointerEvent != null &&
+  !(navigator.appVersion.indexOf('Mac') > 0);
 
 /**
  * Variable: IS_LOCAL
@@ -262,6 +274,7 @@ export const IS_POINTER =
  * True if the documents location does not start with http:// or https://.
  */
 export const IS_LOCAL =
+  HAS_DOCUMENT &&
   document.location.href.indexOf('http://') < 0 &&
   document.location.href.indexOf('https://') < 0;
 
@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import Cell from '../model/Cell';
+import { importNode, isNode, removeWhitespace } from '../util/Utils';
+import ObjectCodec from './ObjectCodec';
+
+/**
+ * Class: CellCodec
+ *
+ * Codec for <Cell>s. This class is created and registered
+ * dynamically at load time and used implicitly via <Codec>
+ * and the <CodecRegistry>.
+ *
+ * Transient Fields:
+ *
+ * - children
+ * - edges
+ * - overlays
+ * - mxTransient
+ *
+ * Reference Fields:
+ *
+ * - parent
+ * - source
+ * - target
+ *
+ * Transient fields can be added using the following code:
+ *
+ * (code)
+ * CodecRegistry.getCodec(Cell).getExclude().push('name_of_field');
+ * (end)
+ *
+ * To subclass <Cell>, replace the template and add an alias as
+ * follows.
+ *
+ * (code)
+ * const CustomCell = ...;
+ *
+ * CodecRegistry.getCodec(Cell).setTemplate(CustomCell());
+ * CodecRegistry.addAlias('CustomCell', 'mxCell');
+ * (end)
+ */
+const CellCodec = () => {
+  /**
+   * Function: isCellCodec
+   *
+   * Returns true since this is a cell codec.
+   */
+  const isCellCodec = () => true;
+
+  /**
+   * Function: isNumericAttribute
+   *
+   * Excludes user objects that are XML nodes.
+   */
+  const isNumericAttribute = (dec, attr, obj) =>
+    attr.nodeName !== 'value' && _codec.isNumericAttribute(dec, attr, obj);
+
+  /**
+   * Function: isExcluded
+   *
+   * Excludes user objects that are XML nodes.
+   */
+  const isExcluded = (obj, attr, value, isWrite) =>
+    _codec.isExcluded(obj, attr, value, isWrite) ||
+    (isWrite && attr === 'value' && isNode(value));
+
+  /**
+   * Function: afterEncode
+   *
+   * Encodes an <Cell> and wraps the XML up inside the
+   * XML of the user object (inversion).
+   */
+  const afterEncode = (enc, obj, node) => {
+    const value = obj.getValue();
+
+    if (isSet(value) && isNode(value)) {
+      // Wraps the graphical annotation up in the user object (inversion)
+      // by putting the result of the default encoding into a clone of the
+      // user object (node type 1) and returning this cloned user object.
+      const tmp = node;
+      const result = importNode(enc.getDocument(), value, true);
+      result.appendChild(tmp);
+
+      // Moves the id attribute to the outermost XML node, namely the
+      // node which denotes the object boundaries in the file.
+      const id = tmp.getAttribute('id');
+      result.setAttribute('id', id);
+      tmp.removeAttribute('id');
+
+      return result;
+    }
+
+    return node;
+  };
+
+  /**
+   * Function: beforeDecode
+   *
+   * Decodes an <Cell> and uses the enclosing XML node as
+   * the user object for the cell (inversion).
+   */
+  const beforeDecode = (dec, node, obj) => {
+    let inner = node.cloneNode(true);
+    const classname = me.getName();
+
+    if (node.nodeName !== classname) {
+      // Passes the inner graphical annotation node to the
+      // object codec for further processing of the cell.
+      const tmp = node.getElementsByTagName(classname)[0];
+
+      if (isSet(tmp) && tmp.parentNode === node) {
+        removeWhitespace(tmp, true);
+        removeWhitespace(tmp, false);
+        tmp.parentNode.removeChild(tmp);
+        inner = tmp;
+      } else {
+        inner = undefined;
+      }
+
+      // Creates the user object out of the XML node
+      const value = node.cloneNode(true);
+      obj.setValue(value);
+      const id = value.getAttribute('id');
+
+      if (isSet(id)) {
+        obj.setId(id);
+        value.removeAttribute('id');
+      }
+    } else {
+      // Uses ID from XML file as ID for cell in model
+      obj.setId(node.getAttribute('id') || undefined);
+    }
+
+    // Preprocesses and removes all Id-references in order to use the
+    // correct encoder (this) for the known references to cells (all).
+    if (isSet(inner)) {
+      for (const attr of me.getIdrefs()) {
+        const ref = inner.getAttribute(attr);
+
+        if (isSet(ref)) {
+          inner.removeAttribute(attr);
+          let object = dec.getObjects()[ref] || dec.lookup(ref);
+
+          if (isUnset(object)) {
+            // Needs to decode forward reference
+            const element = dec.getElementById(ref);
+
+            if (isSet(element)) object = dec.decodeCell(element, false);
+          }
+
+          me.setFieldValue(obj, attr, object);
+        }
+      }
+    }
+
+    return inner;
+  };
+
+  const me = {
+    isCellCodec,
+    isNumericAttribute,
+    isExcluded,
+    afterEncode,
+    beforeDecode
+  };
+
+  const _codec = ObjectCodec(
+    Cell(),
+    ['children', 'edges', 'overlays', 'mxTransient'],
+    ['parent', 'source', 'target']
+  );
+  extendFrom(_codec)(me);
+
+  return me;
+};
+
+export default makeComponent(CellCodec);
@@ -0,0 +1,171 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import ChildChange from '../model/change/ChildChange';
+import { NODETYPE_ELEMENT } from '../util/Constants';
+import ObjectCodec from './ObjectCodec';
+
+/**
+ * Class: ChildChangeCodec
+ *
+ * Codec for <ChildChange>s. This class is created and registered
+ * dynamically at load time and used implicitly via <Codec> and
+ * the <CodecRegistry>.
+ *
+ * Transient Fields:
+ *
+ * - model
+ * - previous
+ * - previousIndex
+ * - child
+ *
+ * Reference Fields:
+ *
+ * - parent
+ */
+const ChildChangeCodec = () => {
+  /**
+   * Function: isReference
+   *
+   * Returns true for the child attribute if the child
+   * cell had a previous parent or if we're reading the
+   * child as an attribute rather than a child node, in
+   * which case it's always a reference.
+   */
+  const isReference = (obj, attr, value, isWrite) =>
+    (attr === 'child' &&
+      (!isWrite || obj.getModel().contains(obj.getPrevious()))) ||
+    _codec.isReference(obj, attr, value, isWrite);
+
+  /**
+   * Function: isExcluded
+   *
+   * Excludes references to parent or previous if not in the model.
+   */
+  const isExcluded = (obj, attr, value, isWrite) =>
+    _codec.isExcluded(obj, attr, value, isWrite) ||
+    (isWrite &&
+      isSet(value) &&
+      (attr === 'previous' || attr === 'parent') &&
+      !obj.getModel().contains(value));
+
+  /**
+   * Function: afterEncode
+   *
+   * Encodes the child recusively and adds the result
+   * to the given node.
+   */
+  const afterEncode = (enc, obj, node) => {
+    if (me.resolve('isReference')(obj, 'child', obj.getChild(), true)) {
+      // Encodes as reference (id)
+      node.setAttribute('child', enc.getId(obj.getChild()));
+    } else {
+      // At this point, the encoder is no longer able to know which cells
+      // are new, so we have to encode the complete cell hierarchy and
+      // ignore the ones that are already there at decoding time. Note:
+      // This can only be resolved by moving the notify event into the
+      // execute of the edit.
+      enc.encodeCell(obj.getChild(), node);
+    }
+
+    return node;
+  };
+
+  /**
+   * Function: beforeDecode
+   *
+   * Decodes the any child nodes as using the respective
+   * codec from the registry.
+   */
+  const beforeDecode = (dec, node, obj) => {
+    if (
+      isSet(node.firstChild) &&
+      node.firstChild.nodeType === NODETYPE_ELEMENT
+    ) {
+      // Makes sure the original node isn't modified
+      node = node.cloneNode(true);
+
+      let tmp = node.firstChild;
+      obj.setChild(dec.decodeCell(tmp, false));
+
+      let tmp2 = tmp.nextSibling;
+      tmp.parentNode.removeChild(tmp);
+      tmp = tmp2;
+
+      while (isSet(tmp)) {
+        tmp2 = tmp.nextSibling;
+
+        if (tmp.nodeType === NODETYPE_ELEMENT) {
+          // Ignores all existing cells because those do not need to
+          // be re-inserted into the model. Since the encoded version
+          // of these cells contains the new parent, this would leave
+          // to an inconsistent state on the model (ie. a parent
+          // change without a call to parentForCellChanged).
+          const id = tmp.getAttribute('id');
+
+          if (isUnset(dec.lookup(id))) dec.decodeCell(tmp);
+        }
+
+        tmp.parentNode.removeChild(tmp);
+        tmp = tmp2;
+      }
+    } else {
+      const childRef = node.getAttribute('child');
+      obj.setChild(dec.getObject(childRef));
+    }
+
+    return node;
+  };
+
+  /**
+   * Function: afterDecode
+   *
+   * Restores object state in the child change.
+   */
+  const afterDecode = (dec, node, obj) => {
+    const child = obj.getChild();
+
+    if (isSet(child)) {
+      // Cells are decoded here after a complete transaction so the previous
+      // parent must be restored on the cell for the case where the cell was
+      // added. This is needed for the local model to identify the cell as a
+      // new cell and register the ID.
+      if (
+        isSet(child.getParent()) &&
+        isSet(obj.getPrevious()) &&
+        child.getParent() !== obj.getPrevious()
+      ) {
+        obj.setPrevious(child.getParent());
+      }
+
+      child.setParent(obj.getPrevious());
+      obj.setPrevious(obj.getParent());
+      obj.setPreviousIndex(obj.getIndex());
+    }
+
+    return obj;
+  };
+
+  const me = {
+    isReference,
+    isExcluded,
+    afterEncode,
+    beforeDecode,
+    afterDecode
+  };
+
+  const _codec = ObjectCodec(
+    ChildChange(undefined, undefined, undefined, 0),
+    ['model', 'child', 'previousIndex'],
+    ['parent', 'previous']
+  );
+  extendFrom(_codec)(me);
+
+  return me;
+};
+
+export default makeComponent(ChildChangeCodec);
@@ -0,0 +1,516 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import Cell from '../model/Cell';
+import CellPath from '../model/CellPath';
+import { NODETYPE_ELEMENT } from '../util/Constants';
+import { createXmlDocument, importNode, isNode } from '../util/Utils';
+import CodecRegistry from './CodecRegistry';
+
+/**
+ * Class: Codec
+ *
+ * XML codec for JavaScript object graphs. See <ObjectCodec> for a
+ * description of the general encoding/decoding scheme. This class uses the
+ * codecs registered in <CodecRegistry> for encoding/decoding each object.
+ *
+ * References:
+ *
+ * In order to resolve references, especially forward references, the Codec
+ * constructor must be given the document that contains the referenced
+ * elements.
+ *
+ * Examples:
+ *
+ * The following code is used to encode a graph model.
+ *
+ * (code)
+ * const encoder = Codec();
+ * const result = encoder.encode(graph.getModel());
+ * const xml = Utils.getXml(result);
+ * (end)
+ *
+ * Example:
+ *
+ * Using the code below, an XML document is decoded into an existing model. The
+ * document may be obtained using <Utils.parseXml>.
+ *
+ * (code)
+ * const doc = Utils.parseXml(xmlString);
+ * const codec = Codec(doc);
+ * codec.decode(doc.documentElement, graph.getModel());
+ * (end)
+ *
+ * Example:
+ *
+ * This example demonstrates parsing a list of isolated cells into an existing
+ * graph model. Note that the cells do not have a parent reference so they can
+ * be added anywhere in the cell hierarchy after parsing.
+ *
+ * (code)
+ * const xml = '<root><mxCell id="2" value="Hello," vertex="1"><mxGeometry x="20" y="20" width="80" height="30" as="geometry"/></mxCell><mxCell id="3" value="World!" vertex="1"><mxGeometry x="200" y="150" width="80" height="30" as="geometry"/></mxCell><mxCell id="4" value="" edge="1" source="2" target="3"><mxGeometry relative="1" as="geometry"/></mxCell></root>';
+ * const doc = Utils.parseXml(xml);
+ * const codec = Codec(doc);
+ * let elt = doc.documentElement.firstChild;
+ * const cells = [];
+ *
+ * while (elt) {
+ *   cells.push(codec.decodeCell(elt));
+ *   elt = elt.nextSibling;
+ * }
+ *
+ * graph.addCells(cells);
+ * (end)
+ *
+ * Example:
+ *
+ * Using the following code, the selection cells of a graph are encoded and
+ * the output is displayed in a dialog box.
+ *
+ * (code)
+ * const enc = Codec();
+ * const cells = graph.getSelectionCells();
+ * Utils.alert(Utils.getPrettyXml(enc.encode(cells)));
+ * (end)
+ *
+ * Newlines in the XML can be converted to <br>, in which case a '<br>' argument
+ * must be passed to <Utils.getXml> as the second argument.
+ *
+ * Note that the I/O system adds object codecs for new object automatically. For
+ * decoding those objects, the codec must be registered in the
+ * <CodecRegistry> using <CodecRegistry.register>.
+ *
+ * Constructor: Codec
+ *
+ * Constructs an XML encoder/decoder for the specified
+ * owner document.
+ *
+ * Parameters:
+ *
+ * document - Optional XML document that contains the data.
+ * If no document is specified then a new document is created
+ * using <Utils.createXmlDocument>.
+ */
+const Codec = (document = createXmlDocument()) => {
+  /**
+   * Variable: document
+   *
+   * The owner document of the codec.
+   */
+  const [getDocument, setDocument] = addProp(document);
+
+  /**
+   * Variable: objects
+   *
+   * Maps from IDs to objects.
+   */
+  const [getObjects, setObjects] = addProp({});
+
+  /**
+   * Variable: elements
+   *
+   * Lookup table for resolving IDs to elements.
+   */
+  const [getElements, setElements] = addProp();
+
+  /**
+   * Variable: encodeDefaults
+   *
+   * Specifies if default values should be encoded. Default is false.
+   */
+  const [isEncodeDefaults, setEncodeDefaults] = addProp(false);
+
+  /**
+   * Variable: warnings
+   *
+   * Array of messages for the parts of the decoded documents that could not
+   * be migrated to the current version (see <MigrationRegistry>).
+   */
+  const [getWarnings, setWarnings] = addProp([]);
+
+  /**
+   * Function: putObject
+   *
+   * Assoiates the given object with the given ID and returns the given object.
+   *
+   * Parameters
+   *
+   * id - ID for the object to be associated with.
+   * obj - Object to be associated with the ID.
+   */
+  const putObject = (id, obj) => {
+    getObjects()[id] = obj;
+
+    return obj;
+  };
+
+  /**
+   * Function: getObject
+   *
+   * Returns the decoded object for the element with the specified ID in
+   * <document>. If the object is not known then <lookup> is used to find an
+   * object. If no object is found, then the element with the respective ID
+   * from the document is parsed using <decode>.
+   */
+  const getObject = (id) => {
+    if (isUnset(id)) return;
+
+    let obj = getObjects()[id];
+
+    if (isUnset(obj)) {
+      obj = me.resolve('lookup')(id);
+
+      if (isUnset(obj)) {
+        const node = getElementById(id);
+
+        if (isSet(node)) obj = decode(node);
+      }
+    }
+
+    return obj;
+  };
+
+  /**
+   * Function: lookup
+   *
+   * Hook for subclassers to implement a custom lookup mechanism for cell IDs.
+   * This implementation always returns undefined.
+   *
+   * Example:
+   *
+   * (code)
+   * const codec = Codec();
+   * codec.lookup = (id) => model.getCell(id);
+   * (end)
+   *
+   * Parameters:
+   *
+   * id - ID of the object to be returned.
+   */
+  const lookup = (id) => undefined;
+
+  /**
+   * Function: getElementById
+   *
+   * Returns the element with the given ID from <document>.
+   *
+   * Parameters:
+   *
+   * id - String that contains the ID.
+   */
+  const getElementById = (id) => {
+    updateElements();
+
+    return getElements()[id];
+  };
+
+  /**
+   * Function: updateElements
+   *
+   * Returns the element with the given ID from <document>.
+   */
+  const updateElements = () => {
+    if (isUnset(getElements())) {
+      setElements({});
+
+      if (isSet(getDocument().documentElement)) {
+        addElement(getDocument().documentElement);
+      }
+    }
+  };
+
+  /**
+   * Function: addElement
+   *
+   * Adds the given element to <elements> if it has an ID.
+   */
+  const addElement = (node) => {
+    if (node.nodeType === NODETYPE_ELEMENT) {
+      const id = node.getAttribute('id');
+
+      if (isSet(id)) {
+        const elements = getElements();
+
+        if (isUnset(elements[id])) elements[id] = node;
+        else if (elements[id] !== node) throw new Error(`${id}: Duplicate ID`);
+      }
+    }
+
+    let child = node.firstChild;
+
+    while (isSet(child)) {
+      addElement(child);
+      child = child.nextSibling;
+    }
+  };
+
+  /**
+   * Function: getId
+   *
+   * Returns the ID of the specified object. This implementation
+   * calls <reference> first and if that returns undefined handles
+   * the object as an <Cell> by returning their IDs using
+   * <Cell.getId>. If no ID exists for the given cell, then
+   * an on-the-fly ID is generated using <CellPath.create>.
+   *
+   * Parameters:
+   *
+   * obj - Object to return the ID for.
+   */
+  const getId = (obj) => {
+    if (isUnset(obj)) return;
+
+    let id = me.resolve('reference')(obj);
+
+    if (isUnset(id) && obj.constructor === Cell) {
+      id = obj.getId();
+
+      if (isUnset(id)) {
+        id = CellPath.create(obj);
+
+        if (id.length === 0) id = 'root';
+      }
+    }
+
+    return id;
+  };
+
+  /**
+   * Function: reference
+   *
+   * Hook for subclassers to implement a custom method
+   * for retrieving IDs from objects. This implementation
+   * always returns undefined.
+   *
+   * Example:
+   *
+   * (code)
+   * const codec = Codec();
+   * codec.reference = (obj) => obj.getCustomId();
+   * (end)
+   *
+   * Parameters:
+   *
+   * obj - Object whose ID should be returned.
+   */
+  const reference = (obj) => undefined;
+
+  /**
+   * Function: encode
+   *
+   * Encodes the specified object and returns the resulting
+   * XML node.
+   *
+   * Parameters:
+   *
+   * obj - Object to be encoded.
+   */
+  const encode = (obj) => {
+    if (isUnset(obj) || isUnset(obj.constructor)) return;
+
+    const enc = CodecRegistry.getCodec(obj.constructor);
+
+    if (isSet(enc)) return enc.encode(me, obj);
+    else if (isNode(obj)) return importNode(getDocument(), obj, true);
+  };
+
+  /**
+   * Function: decode
+   *
+   * Decodes the given XML node. The optional "into"
+   * argument specifies an existing object to be
+   * used. If no object is given, then a new instance
+   * is created using the constructor from the codec.
+   *
+   * The function returns the passed in object or
+   * the new instance if no object was given.
+   *
+   * Parameters:
+   *
+   * node - XML node to be decoded.
+   * into - Optional object to be decodec into.
+   */
+  const decode = (node, into) => {
+    updateElements();
+
+    if (isUnset(node) || node.nodeType !== NODETYPE_ELEMENT) return;
+
+    const dec = CodecRegistry.getCodec(node.nodeName);
+
+    if (isSet(dec)) return dec.decode(me, node, into);
+
+    const obj = node.cloneNode(true);
+    obj.removeAttribute('as');
+
+    return obj;
+  };
+
+  /**
+   * Function: encodeCell
+   *
+   * Encoding of cell hierarchies is built-into the core, but
+   * is a higher-level function that needs to be explicitely
+   * used by the respective object encoders (eg. <ModelCodec>,
+   * <ChildChangeCodec> and <RootChangeCodec>). This
+   * implementation writes the given cell and its children as a
+   * (flat) sequence into the given node. The children are not
+   * encoded if the optional includeChildren is false. The
+   * function is in charge of adding the result into the
+   * given node and has no return value.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> to be encoded.
+   * node - Parent XML node to add the encoded cell into.
+   * includeChildren - Optional boolean indicating if the
+   * function should include all descendents. Default is true.
+   */
+  const encodeCell = (cell, node, includeChildren = true) => {
+    node.appendChild(encode(cell));
+
+    if (includeChildren) {
+      const childCount = cell.getChildCount();
+
+      for (let i = 0; i < childCount; i++) {
+        encodeCell(cell.getChildAt(i), node);
+      }
+    }
+  };
+
+  /**
+   * Function: isCellCodec
+   *
+   * Returns true if the given codec is a cell codec. This uses
+   * <CellCodec.isCellCodec> to check if the codec is of the
+   * given type.
+   */
+  const isCellCodec = (codec) =>
+    isSet(codec) && typeof codec.isCellCodec === 'function'
+      ? codec.isCellCodec()
+      : false;
+
+  /**
+   * Function: decodeCell
+   *
+   * Decodes cells that have been encoded using inversion, ie.
+   * where the user object is the enclosing node in the XML,
+   * and restores the group and graph structure in the cells.
+   * Returns a new <Cell> instance that represents the
+   * given node.
+   *
+   * Parameters:
+   *
+   * node - XML node that contains the cell data.
+   * restoreStructures - Optional boolean indicating whether
+   * the graph structure should be restored by calling insert
+   * and insertEdge on the parent and terminals, respectively.
+   * Default is true.
+   */
+  const decodeCell = (node, restoreStructures = true) => {
+    if (isUnset(node) || node.nodeType !== NODETYPE_ELEMENT) return;
+
+    // Tries to find a codec for the given node name. If that does
+    // not return a codec then the node is the user object (an XML node
+    // that contains the Cell, aka inversion).
+    let decoder = CodecRegistry.getCodec(node.nodeName);
+
+    // Tries to find the codec for the cell inside the user object.
+    // This assumes all node names inside the user object are either
+    // not registered or they correspond to a class for cells.
+    if (!isCellCodec(decoder)) {
+      let child = node.firstChild;
+
+      while (isSet(child) && !isCellCodec(decoder)) {
+        decoder = CodecRegistry.getCodec(child.nodeName);
+        child = child.nextSibling;
+      }
+    }
+
+    if (!isCellCodec(decoder)) decoder = CodecRegistry.getCodec(Cell);
+
+    const cell = decoder.decode(me, node);
+
+    if (restoreStructures) insertIntoGraph(cell);
+
+    return cell;
+  };
+
+  /**
+   * Function: insertIntoGraph
+   *
+   * Inserts the given cell into its parent and terminal cells.
+   */
+  const insertIntoGraph = (cell) => {
+    const parent = cell.getParent();
+    const source = cell.getTerminal(true);
+    const target = cell.getTerminal(false);
+
+    // Fixes possible inconsistencies during insert into graph
+    cell.setTerminal(undefined, false);
+    cell.setTerminal(undefined, true);
+    cell.setParent();
+
+    if (isSet(parent)) {
+      if (parent === cell) {
+        throw new Error(`${parent.getId()}: Self Reference`);
+      } else {
+        parent.insert(cell);
+      }
+    }
+
+    if (isSet(source)) source.insertEdge(cell, true);
+    if (isSet(target)) target.insertEdge(cell, false);
+  };
+
+  /**
+   * Function: setAttribute
+   *
+   * Sets the attribute on the specified node to value. This is a
+   * helper method that makes sure the attribute and value arguments
+   * are not null.
+   *
+   * Parameters:
+   *
+   * node - XML node to set the attribute for.
+   * attributes - Attributename to be set.
+   * value - New value of the attribute.
+   */
+  const setAttribute = (node, attribute, value) => {
+    if (isSet(attribute) && isSet(value)) {
+      node.setAttribute(attribute, value);
+    }
+  };
+
+  const me = {
+    getDocument,
+    setDocument,
+    getObjects,
+    isEncodeDefaults,
+    setEncodeDefaults,
+    getWarnings,
+    setWarnings,
+    putObject,
+    getObject,
+    lookup,
+    getElementById,
+    updateElements,
+    addElement,
+    getId,
+    reference,
+    encode,
+    decode,
+    encodeCell,
+    isCellCodec,
+    decodeCell,
+    insertIntoGraph,
+    setAttribute
+  };
+
+  return me;
+};
+
+export default makeComponent(Codec);
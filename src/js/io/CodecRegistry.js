@@ -0,0 +1,184 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { isSet, isUnset } from '../Helpers';
+import CellAttributeChange from '../model/change/CellAttributeChange';
+import CollapseChange from '../model/change/CollapseChange';
+import GeometryChange from '../model/change/GeometryChange';
+import StyleChange from '../model/change/StyleChange';
+import ValueChange from '../model/change/ValueChange';
+import VisibleChange from '../model/change/VisibleChange';
+import Geometry from '../model/Geometry';
+import Point from '../util/Point';
+import Rectangle from '../util/Rectangle';
+import CellCodec from './CellCodec';
+import ChildChangeCodec from './ChildChangeCodec';
+import GenericChangeCodec from './GenericChangeCodec';
+import GraphViewCodec from './GraphViewCodec';
+import ModelCodec from './ModelCodec';
+import ObjectCodec from './ObjectCodec';
+import RootChangeCodec from './RootChangeCodec';
+import StylesheetCodec from './StylesheetCodec';
+import TerminalChangeCodec from './TerminalChangeCodec';
+
+/**
+ * Variable: codecs
+ *
+ * Maps from constructor names to codecs.
+ */
+const codecs = {};
+
+/**
+ * Variable: aliases
+ *
+ * Maps from classnames to codecnames.
+ */
+const aliases = {};
+
+/**
+ * Variable: defaults
+ *
+ * Factories for the codecs that are registered before the first lookup.
+ * The codecs are created lazily as their templates are components that
+ * may not be available while the modules are being loaded.
+ */
+const defaults = [
+  () => ObjectCodec([]),
+  () => ObjectCodec(Point()),
+  () => ObjectCodec(Rectangle()),
+  () => ObjectCodec(Geometry()),
+  CellCodec,
+  ModelCodec,
+  GraphViewCodec,
+  StylesheetCodec,
+  ChildChangeCodec,
+  TerminalChangeCodec,
+  RootChangeCodec,
+  () => GenericChangeCodec(ValueChange(), 'value'),
+  () => GenericChangeCodec(StyleChange(), 'style'),
+  () => GenericChangeCodec(GeometryChange(), 'geometry'),
+  () =>
+    GenericChangeCodec(
+      CollapseChange(undefined, undefined, false),
+      'collapsed'
+    ),
+  () =>
+    GenericChangeCodec(VisibleChange(undefined, undefined, true), 'visible'),
+  () => GenericChangeCodec(CellAttributeChange(), 'value')
+];
+
+/**
+ * Function: registerDefaults
+ *
+ * Registers the codecs in <defaults> if they have not been registered.
+ */
+const registerDefaults = () => {
+  while (defaults.length > 0) {
+    CodecRegistry.register(defaults.shift()());
+  }
+};
+
+/**
+ * Class: CodecRegistry
+ *
+ * Singleton class that acts as a global registry for codecs.
+ *
+ * Adding an <ObjectCodec>:
+ *
+ * 1. Define a default codec with a new instance of the
+ * object to be handled.
+ *
+ * (code)
+ * const codec = ObjectCodec(GraphModel());
+ * (end)
+ *
+ * 2. Define the functions required for encoding and decoding
+ * objects by extending the codec, eg. using <extendFrom>.
+ *
+ * 3. Register the codec in the <CodecRegistry>.
+ *
+ * (code)
+ * CodecRegistry.register(codec);
+ * (end)
+ *
+ * <ObjectCodec.decode> may be used to either create a new
+ * instance of an object or to configure an existing instance,
+ * in which case the into argument points to the existing
+ * object. In this case, we say the codec "configures" the
+ * object.
+ */
+const CodecRegistry = {
+  /**
+   * Function: register
+   *
+   * Registers a new codec and associates the name of the template
+   * constructor in the codec with the codec object.
+   *
+   * Parameters:
+   *
+   * codec - <ObjectCodec> to be registered.
+   */
+  register: (codec) => {
+    if (isSet(codec)) {
+      const name = codec.getName();
+      codecs[name] = codec;
+
+      const template = codec.getTemplate();
+      const classname = Array.isArray(template) ? undefined : template.name;
+
+      if (isSet(classname) && classname !== name) {
+        CodecRegistry.addAlias(classname, name);
+      }
+    }
+
+    return codec;
+  },
+
+  /**
+   * Function: addAlias
+   *
+   * Adds an alias for mapping a classname to a codecname.
+   */
+  addAlias: (classname, codecname) => (aliases[classname] = codecname),
+
+  /**
+   * Function: getCodec
+   *
+   * Returns a codec that handles objects that are constructed
+   * using the given constructor or a codec registered under the
+   * given name.
+   *
+   * If no codec is registered for a component constructor, then
+   * a new <ObjectCodec> is created for an instance of the
+   * component and registered.
+   *
+   * Parameters:
+   *
+   * ctor - JavaScript constructor function or codec name.
+   */
+  getCodec: (ctor) => {
+    if (isUnset(ctor)) return;
+
+    registerDefaults();
+
+    if (typeof ctor === 'string') {
+      return codecs[aliases[ctor] || ctor];
+    }
+
+    for (const name in codecs) {
+      if (codecs[name].getTemplate().constructor === ctor) {
+        return codecs[name];
+      }
+    }
+
+    // Adds a codec for components that are not registered
+    if (isSet(ctor.overrides)) {
+      return CodecRegistry.register(ObjectCodec(ctor()));
+    }
+  }
+};
+
+export default CodecRegistry;
@@ -0,0 +1,292 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { deflate, deflateRaw, inflate, inflateRaw } from 'pako';
+import { isSet, isUnset } from '../Helpers';
+import GraphModel from '../model/GraphModel';
+import { NODETYPE_ELEMENT } from '../util/Constants';
+import {
+  createXmlDocument,
+  getTextContent,
+  getXml,
+  parseXml
+} from '../util/Utils';
+import Codec from './Codec';
+
+/**
+ * Class: DiagramFile
+ *
+ * Functions for reading and writing diagram files in the format that is
+ * used by draw.io. A file contains one or more diagrams (pages) and each
+ * diagram contains either the XML of the model or a compressed version of
+ * that XML:
+ *
+ * (code)
+ * <mxfile>
+ *   <diagram id="page-1" name="Page-1">7VdNj5swEP01HFsBBpIeN9ns9lKp0h7aPbow...</diagram>
+ * </mxfile>
+ * (end)
+ *
+ * The compressed form is the Base64 encoding of the raw deflated, URI
+ * encoded XML.
+ *
+ * Example:
+ *
+ * (code)
+ * const xml = DiagramFile.createFile(graph.getModel());
+ * const pages = DiagramFile.parseFile(xml);
+ * graph.getModel().setRoot(pages[0].model.getRoot());
+ * (end)
+ */
+
+/**
+ * Function: bytesToString
+ *
+ * Returns a binary string for the given array of bytes.
+ */
+const bytesToString = (bytes) => {
+  const chunks = [];
+
+  // Limits the number of arguments for large arrays
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    chunks.push(String.fromCharCode(...bytes.subarray(i, i + 0x8000)));
+  }
+
+  return chunks.join('');
+};
+
+/**
+ * Function: stringToBytes
+ *
+ * Returns an array of bytes for the given binary string.
+ */
+const stringToBytes = (str) => {
+  const bytes = new Uint8Array(str.length);
+
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i);
+  }
+
+  return bytes;
+};
+
+/**
+ * Function: compress
+ *
+ * Returns the Base64 encoded, deflated version of the given string after
+ * URI encoding it.
+ *
+ * Parameters:
+ *
+ * data - String to be compressed.
+ * zlib - Optional boolean that specifies if a zlib header should be added.
+ * Default is false.
+ */
+export const compress = (data, zlib = false) => {
+  if (isUnset(data) || data.length === 0) return data;
+
+  const encoded = encodeURIComponent(data);
+
+  return btoa(bytesToString(zlib ? deflate(encoded) : deflateRaw(encoded)));
+};
+
+/**
+ * Function: decompress
+ *
+ * Returns the string for the given output of <compress>.
+ *
+ * Parameters:
+ *
+ * data - Base64 encoded, deflated string.
+ * zlib - Optional boolean that specifies if the data has a zlib header.
+ * Default is false.
+ */
+export const decompress = (data, zlib = false) => {
+  if (isUnset(data) || data.length === 0) return data;
+
+  const bytes = stringToBytes(atob(data));
+  const options = { to: 'string' };
+
+  return decodeURIComponent(
+    zlib ? inflate(bytes, options) : inflateRaw(bytes, options)
+  );
+};
+
+/**
+ * Function: getDiagramXml
+ *
+ * Returns the XML of the model in the given diagram node. The diagram
+ * may contain the model node or its compressed XML.
+ *
+ * Parameters:
+ *
+ * node - Diagram node whose model XML should be returned.
+ */
+export const getDiagramXml = (node) => {
+  let child = node.firstChild;
+
+  while (isSet(child)) {
+    if (child.nodeType === NODETYPE_ELEMENT) return getXml(child);
+
+    child = child.nextSibling;
+  }
+
+  const text = getTextContent(node).trim();
+
+  return text.charAt(0) === '<' ? text : decompress(text);
+};
+
+/**
+ * Function: decodeModel
+ *
+ * Decodes the given model XML into the given model and returns the model.
+ *
+ * Parameters:
+ *
+ * xml - String that contains the XML of the model.
+ * model - Optional <GraphModel> to decode into. Default is a new model.
+ */
+export const decodeModel = (xml, model = GraphModel()) => {
+  const doc = parseXml(xml);
+  Codec(doc).decode(doc.documentElement, model);
+
+  return model;
+};
+
+/**
+ * Function: createDiagram
+ *
+ * Returns a new diagram node for the given model.
+ *
+ * Parameters:
+ *
+ * doc - XML document to create the node in.
+ * model - <GraphModel> to be written.
+ * name - Optional name of the diagram. Default is Page-1.
+ * id - Optional ID of the diagram.
+ * compressed - Optional boolean that specifies if the XML of the model
+ * should be compressed. Default is true.
+ */
+export const createDiagram = (
+  doc,
+  model,
+  name = 'Page-1',
+  id,
+  compressed = true
+) => {
+  const node = doc.createElement('diagram');
+  const modelNode = Codec(doc).encode(model);
+
+  if (isSet(id)) node.setAttribute('id', id);
+
+  node.setAttribute('name', name);
+
+  if (compressed) {
+    node.appendChild(doc.createTextNode(compress(getXml(modelNode))));
+  } else {
+    node.appendChild(modelNode);
+  }
+
+  return node;
+};
+
+/**
+ * Function: createFile
+ *
+ * Returns the XML of a file for the given models.
+ *
+ * Parameters:
+ *
+ * pages - <GraphModel> or array of objects with a model and optional name
+ * and id for each diagram in the file.
+ * compressed - Optional boolean that specifies if the XML of the models
+ * should be compressed. Default is true.
+ */
+export const createFile = (pages, compressed = true) => {
+  const doc = createXmlDocument();
+  const node = doc.createElement('mxfile');
+  const list = Array.isArray(pages) ? pages : [{ model: pages }];
+
+  list.forEach(({ model, name, id }, i) =>
+    node.appendChild(
+      createDiagram(doc, model, name || `Page-${i + 1}`, id, compressed)
+    )
+  );
+
+  return getXml(node);
+};
+
+/**
+ * Function: parseFile
+ *
+ * Returns an array with an object for each diagram in the given file. Each
+ * object contains the decoded model, name and id of the diagram. Files that
+ * contain a single model node are also accepted.
+ *
+ * Parameters:
+ *
+ * xml - String that contains the XML of the file.
+ */
+export const parseFile = (xml) => {
+  const doc = parseXml(xml);
+  const root = doc.documentElement;
+
+  if (isUnset(root) || root.nodeName === 'parsererror') {
+    throw new Error('Invalid file');
+  } else if (root.nodeName !== 'mxfile') {
+    return [{ model: decodeModel(xml) }];
+  }
+
+  const pages = [];
+  let node = root.firstChild;
+
+  while (isSet(node)) {
+    if (node.nodeName === 'diagram') {
+      pages.push({
+        id: node.getAttribute('id') || undefined,
+        name: node.getAttribute('name') || undefined,
+        model: decodeModel(getDiagramXml(node))
+      });
+    }
+
+    node = node.nextSibling;
+  }
+
+  return pages;
+};
+
+/**
+ * Function: createUriData
+ *
+ * Returns the URI encoded XML of the given model for use in URL fragments
+ * and storage. If compressed is true, then the compressed XML is encoded.
+ *
+ * Parameters:
+ *
+ * model - <GraphModel> to be written.
+ * compressed - Optional boolean that specifies if the XML should be
+ * compressed. Default is true.
+ */
+export const createUriData = (model, compressed = true) => {
+  const xml = getXml(Codec().encode(model));
+
+  return encodeURIComponent(compressed ? compress(xml) : xml);
+};
+
+/**
+ * Function: parseUriData
+ *
+ * Decodes the output of <createUriData> into the given model and returns
+ * the model.
+ *
+ * Parameters:
+ *
+ * data - URI encoded data as returned by <createUriData>.
+ * model - Optional <GraphModel> to decode into. Default is a new model.
+ */
+export const parseUriData = (data, model) => {
+  const text = decodeURIComponent(data).trim();
+
+  return decodeModel(text.charAt(0) === '<' ? text : decompress(text), model);
+};
@@ -0,0 +1,799 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { isSet, isUnset } from '../Helpers';
+import RankLayout from '../layout/RankLayout';
+import {
+  ARROW_BLOCK,
+  ARROW_CLASSIC,
+  ARROW_DIAMOND,
+  ARROW_OPEN,
+  ARROW_OVAL,
+  NONE,
+  SHAPE_CYLINDER,
+  SHAPE_DOUBLE_ELLIPSE,
+  SHAPE_ELLIPSE,
+  SHAPE_HEXAGON,
+  SHAPE_RECTANGLE,
+  SHAPE_RHOMBUS,
+  SHAPE_TRIANGLE,
+  STYLE_DASHED,
+  STYLE_DASH_PATTERN,
+  STYLE_ENDARROW,
+  STYLE_ENDFILL,
+  STYLE_FILLCOLOR,
+  STYLE_FONTCOLOR,
+  STYLE_FONTFAMILY,
+  STYLE_FONTSIZE,
+  STYLE_ROUNDED,
+  STYLE_SHAPE,
+  STYLE_STARTARROW,
+  STYLE_STARTFILL,
+  STYLE_STROKECOLOR,
+  STYLE_STROKEWIDTH
+} from '../util/Constants';
+import { isNode } from '../util/Utils';
+
+/**
+ * Class: Dot
+ *
+ * Functions for reading and writing the DOT language of Graphviz. The
+ * reader inserts nodes and edges using <Graph.insertVertex> and
+ * <Graph.insertEdge>. Subgraphs whose name starts with cluster are inserted
+ * as groups, other subgraphs only scope default attributes. The label of a
+ * node or edge is used as the value of the cell and the attributes in
+ * <ATTRIBUTES>, shape, style, arrowhead, arrowtail and dir are converted to
+ * style keys, eg. shape=ellipse or style=dashed to dashed=1. Nodes and edges
+ * with style=invis are hidden.
+ *
+ * The writer creates a digraph for a <GraphModel> where groups are written
+ * as clusters and the style of each cell is converted back to attributes.
+ *
+ * Example:
+ *
+ * (code)
+ * const cells = Dot.parseDot(graph, 'digraph { a -> b [style=dashed] }');
+ * const dot = Dot.createDot(graph.getModel());
+ * (end)
+ */
+
+/**
+ * Variable: ATTRIBUTES
+ *
+ * Maps from DOT attributes to the style keys they are converted to.
+ */
+export const ATTRIBUTES = {
+  color: STYLE_STROKECOLOR,
+  fillcolor: STYLE_FILLCOLOR,
+  fontcolor: STYLE_FONTCOLOR,
+  fontname: STYLE_FONTFAMILY,
+  fontsize: STYLE_FONTSIZE,
+  penwidth: STYLE_STROKEWIDTH
+};
+
+/**
+ * Variable: SHAPES
+ *
+ * Maps from DOT node shapes to shape names.
+ */
+export const SHAPES = {
+  box: SHAPE_RECTANGLE,
+  rect: SHAPE_RECTANGLE,
+  rectangle: SHAPE_RECTANGLE,
+  square: SHAPE_RECTANGLE,
+  ellipse: SHAPE_ELLIPSE,
+  oval: SHAPE_ELLIPSE,
+  circle: SHAPE_ELLIPSE,
+  point: SHAPE_ELLIPSE,
+  doublecircle: SHAPE_DOUBLE_ELLIPSE,
+  diamond: SHAPE_RHOMBUS,
+  triangle: SHAPE_TRIANGLE,
+  hexagon: SHAPE_HEXAGON,
+  cylinder: SHAPE_CYLINDER
+};
+
+/**
+ * Variable: ARROWS
+ *
+ * Maps from DOT arrow types to markers and fill states.
+ */
+export const ARROWS = {
+  normal: [ARROW_CLASSIC, true],
+  empty: [ARROW_BLOCK, false],
+  onormal: [ARROW_BLOCK, false],
+  diamond: [ARROW_DIAMOND, true],
+  odiamond: [ARROW_DIAMOND, false],
+  dot: [ARROW_OVAL, true],
+  odot: [ARROW_OVAL, false],
+  open: [ARROW_OPEN, true],
+  vee: [ARROW_OPEN, true],
+  none: [NONE, true]
+};
+
+/**
+ * Variable: ID
+ *
+ * Sticky expression for unquoted IDs and numerals. The expression is
+ * matched at the current position of the tokenizer so that the source is
+ * not copied for each token.
+ */
+const ID = /-?(\.\d+|\d+(\.\d*)?)|[a-zA-Z_\u0080-\uffff][\w\u0080-\uffff]*/y;
+
+/**
+ * Function: tokenize
+ *
+ * Returns the tokens of the given DOT source. Each token is an object with
+ * a type (id, edgeop or the punctuation character) and a value. Comments
+ * and preprocessor lines are skipped, quoted strings are unescaped and
+ * concatenated if joined with +.
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} at ${i}`);
+  };
+
+  while (i < text.length) {
+    const c = text.charAt(i);
+
+    if (/\s/.test(c)) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      i = text.indexOf('\n', i);
+      if (i < 0) i = text.length;
+    } else if (c === '#' && (i === 0 || text.charAt(i - 1) === '\n')) {
+      i = text.indexOf('\n', i);
+      if (i < 0) i = text.length;
+    } else if (text.startsWith('/*', i)) {
+      i = text.indexOf('*/', i);
+      if (i < 0) fail('Unterminated comment');
+      i += 2;
+    } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+      tokens.push({ type: 'edgeop', value: text.substr(i, 2) });
+      i += 2;
+    } else if ('{}[]=;,:'.indexOf(c) >= 0) {
+      tokens.push({ type: c, value: c });
+      i++;
+    } else if (c === '"') {
+      let value = '';
+      i++;
+
+      while (i < text.length && text.charAt(i) !== '"') {
+        if (text.charAt(i) === '\\' && text.charAt(i + 1) === '"') {
+          value += '"';
+          i += 2;
+        } else if (text.charAt(i) === '\\' && text.charAt(i + 1) === '\n') {
+          i += 2;
+        } else {
+          value += text.charAt(i++);
+        }
+      }
+
+      if (i >= text.length) fail('Unterminated string');
+      i++;
+
+      const prev = tokens[tokens.length - 1];
+
+      if (isSet(prev) && prev.concat) {
+        prev.value += value;
+        prev.concat = false;
+      } else {
+        tokens.push({ type: 'id', value, quoted: true });
+      }
+    } else if (c === '+' && tokens.length > 0) {
+      tokens[tokens.length - 1].concat = true;
+      i++;
+    } else if (c === '<') {
+      let depth = 0;
+      const start = i;
+
+      do {
+        if (text.charAt(i) === '<') depth++;
+        else if (text.charAt(i) === '>') depth--;
+        i++;
+      } while (depth > 0 && i < text.length);
+
+      if (depth > 0) fail('Unterminated HTML string');
+      tokens.push({ type: 'id', value: text.substring(start + 1, i - 1) });
+    } else {
+      ID.lastIndex = i;
+      const match = ID.exec(text);
+
+      if (isUnset(match)) fail(`Unexpected character ${c}`);
+
+      tokens.push({ type: 'id', value: match[0] });
+      i += match[0].length;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Function: parse
+ *
+ * Returns the syntax tree for the given tokens. The tree consists of
+ * statements of the types node, edge, attr, assign and subgraph.
+ */
+const parse = (tokens) => {
+  let pos = 0;
+
+  const peek = (type, value) => {
+    const token = tokens[pos];
+
+    return (
+      isSet(token) &&
+      token.type === type &&
+      (isUnset(value) || (!token.quoted && token.value.toLowerCase() === value))
+    );
+  };
+
+  const expect = (type) => {
+    const token = tokens[pos];
+
+    if (isUnset(token) || token.type !== type) {
+      throw new Error(
+        `Expected ${type} but found ${isSet(token) ? token.value : 'end'}`
+      );
+    }
+
+    pos++;
+
+    return token.value;
+  };
+
+  const parseAttributes = () => {
+    const attrs = {};
+
+    while (peek('[')) {
+      pos++;
+
+      while (!peek(']')) {
+        const key = expect('id');
+        expect('=');
+        attrs[key] = expect('id');
+
+        if (peek(';') || peek(',')) pos++;
+      }
+
+      pos++;
+    }
+
+    return attrs;
+  };
+
+  const parseNodeId = () => {
+    const id = expect('id');
+
+    // Ignores ports and compass points
+    while (peek(':')) {
+      pos++;
+      expect('id');
+    }
+
+    return { type: 'node', id };
+  };
+
+  const parseSubgraph = () => {
+    let id;
+
+    if (peek('id', 'subgraph')) {
+      pos++;
+
+      if (peek('id')) id = expect('id');
+    }
+
+    expect('{');
+    const stmts = parseStatements();
+    expect('}');
+
+    return { type: 'subgraph', id, stmts };
+  };
+
+  const parseOperand = () =>
+    peek('{') || peek('id', 'subgraph') ? parseSubgraph() : parseNodeId();
+
+  const parseStatement = () => {
+    if (
+      (peek('id', 'graph') || peek('id', 'node') || peek('id', 'edge')) &&
+      tokens[pos + 1]?.type === '['
+    ) {
+      const target = expect('id').toLowerCase();
+
+      return { type: 'attr', target, attrs: parseAttributes() };
+    } else if (peek('id') && tokens[pos + 1]?.type === '=') {
+      const key = expect('id');
+      expect('=');
+
+      return { type: 'assign', key, value: expect('id') };
+    }
+
+    const operands = [parseOperand()];
+
+    while (peek('edgeop')) {
+      pos++;
+      operands.push(parseOperand());
+    }
+
+    const attrs = parseAttributes();
+
+    if (operands.length > 1) return { type: 'edge', operands, attrs };
+    else if (operands[0].type === 'node') return { ...operands[0], attrs };
+
+    return operands[0];
+  };
+
+  const parseStatements = () => {
+    const stmts = [];
+
+    while (pos < tokens.length && !peek('}')) {
+      stmts.push(parseStatement());
+
+      if (peek(';')) pos++;
+    }
+
+    return stmts;
+  };
+
+  if (peek('id', 'strict')) pos++;
+
+  const type = expect('id').toLowerCase();
+
+  if (type !== 'graph' && type !== 'digraph') {
+    throw new Error(`Expected graph or digraph but found ${type}`);
+  }
+
+  const id = peek('id') ? expect('id') : undefined;
+  expect('{');
+  const stmts = parseStatements();
+  expect('}');
+
+  return { directed: type === 'digraph', id, stmts };
+};
+
+/**
+ * Function: setArrow
+ *
+ * Adds the marker for the given DOT arrow type to the given style.
+ */
+const setArrow = (style, type, key, fillKey) => {
+  const arrow = ARROWS[type];
+
+  if (isSet(arrow)) {
+    style[key] = arrow[0];
+
+    if (!arrow[1]) style[fillKey] = 0;
+  }
+};
+
+/**
+ * Function: convertAttributes
+ *
+ * Returns the style string for the given DOT attributes.
+ */
+const convertAttributes = (attrs, isEdge, directed) => {
+  const style = {};
+
+  for (const name in ATTRIBUTES) {
+    if (isSet(attrs[name])) {
+      style[ATTRIBUTES[name]] = attrs[name];
+    }
+  }
+
+  if (!isEdge && isSet(SHAPES[attrs.shape])) {
+    if (SHAPES[attrs.shape] !== SHAPE_RECTANGLE) {
+      style[STYLE_SHAPE] = SHAPES[attrs.shape];
+    }
+  }
+
+  for (const value of (attrs.style || '').split(',')) {
+    const name = value.trim();
+
+    if (name === 'dashed' || name === 'dotted') {
+      style[STYLE_DASHED] = 1;
+
+      if (name === 'dotted') style[STYLE_DASH_PATTERN] = '1 2';
+    } else if (name === 'bold') {
+      style[STYLE_STROKEWIDTH] = 2;
+    } else if (name === 'rounded') {
+      style[STYLE_ROUNDED] = 1;
+    } else if (name === 'filled' && isUnset(attrs.fillcolor)) {
+      if (isSet(attrs.color)) style[STYLE_FILLCOLOR] = attrs.color;
+    }
+  }
+
+  if (isEdge) {
+    const dir = attrs.dir || (directed ? 'forward' : NONE);
+
+    if (dir === NONE || dir === 'back') style[STYLE_ENDARROW] = NONE;
+    if (dir === 'both' || dir === 'back')
+      style[STYLE_STARTARROW] = ARROW_CLASSIC;
+
+    if (dir === 'forward' || dir === 'both') {
+      setArrow(style, attrs.arrowhead, STYLE_ENDARROW, STYLE_ENDFILL);
+    }
+
+    if (dir === 'back' || dir === 'both') {
+      setArrow(style, attrs.arrowtail, STYLE_STARTARROW, STYLE_STARTFILL);
+    }
+  }
+
+  const result = Object.keys(style).map((key) => `${key}=${style[key]}`);
+
+  return result.length > 0 ? result.join(';') : undefined;
+};
+
+/**
+ * Variable: RANKDIRS
+ *
+ * Values of the rankdir attribute that are passed to <RankLayout>.
+ */
+const RANKDIRS = ['TB', 'LR', 'BT', 'RL'];
+
+/**
+ * Function: parseDot
+ *
+ * Inserts the nodes and edges in the given DOT source into the given graph
+ * and returns the inserted cells. This is carried out in a single
+ * transaction. The size of nodes is taken from the width and height
+ * attributes (in inches) or defaults to 80 x 30. Positions in the source
+ * are ignored and the cells are placed using the given layout or
+ * <RankLayout> in the direction of the rankdir attribute if no
+ * layout is specified.
+ *
+ * A node belongs to the first cluster that references it, even if it is
+ * referenced outside of clusters before. Later references in other
+ * clusters are ignored.
+ *
+ * Parameters:
+ *
+ * graph - <Graph> to insert the cells into.
+ * text - String that contains the DOT source.
+ * parent - Optional <Cell> to insert the cells into. Default is the
+ * default parent of the graph.
+ * layout - Optional layout with an execute function that takes the parent
+ * of the cells to be laid out.
+ */
+export const parseDot = (
+  graph,
+  text,
+  parent = graph.getDefaultParent(),
+  layout
+) => {
+  const tree = parse(tokenize(text));
+  const model = graph.getModel();
+  const nodes = {};
+  const edges = [];
+  const result = [];
+
+  // Collects the attributes of each node as nodes may be
+  // referenced before their attributes are defined. A node that is
+  // referenced outside of clusters is moved into the first cluster
+  // that references it.
+  const addNode = (id, attrs, scope) => {
+    if (isUnset(nodes[id])) {
+      nodes[id] = { attrs: { ...scope.node }, parent: scope.parent };
+    } else if (nodes[id].parent === parent) {
+      nodes[id].parent = scope.parent;
+    }
+
+    Object.assign(nodes[id].attrs, attrs);
+
+    return id;
+  };
+
+  // Returns the value of the given graph attribute in the given statements
+  const getGraphAttribute = (stmts, key) => {
+    let value;
+
+    for (const stmt of stmts) {
+      if (stmt.type === 'assign' && stmt.key === key) value = stmt.value;
+      else if (stmt.type === 'attr' && stmt.target === 'graph') {
+        value = stmt.attrs[key] ?? value;
+      }
+    }
+
+    return value;
+  };
+
+  // Returns the IDs of the nodes in the given subgraph
+  const visitSubgraph = (stmt, scope) => {
+    const child = { ...scope };
+
+    if (isSet(stmt.id) && stmt.id.startsWith('cluster')) {
+      const group = graph.insertVertex(
+        scope.parent,
+        null,
+        getGraphAttribute(stmt.stmts, 'label') || '',
+        0,
+        0,
+        160,
+        120
+      );
+      result.push(group);
+      child.parent = group;
+    }
+
+    return visit(stmt.stmts, child);
+  };
+
+  // Returns the IDs of the nodes in the given statements
+  const visit = (stmts, scope) => {
+    const ids = [];
+
+    for (const stmt of stmts) {
+      if (stmt.type === 'attr' && stmt.target !== 'graph') {
+        scope[stmt.target] = { ...scope[stmt.target], ...stmt.attrs };
+      } else if (stmt.type === 'node') {
+        ids.push(addNode(stmt.id, stmt.attrs, scope));
+      } else if (stmt.type === 'subgraph') {
+        ids.push(...visitSubgraph(stmt, scope));
+      } else if (stmt.type === 'edge') {
+        const operands = stmt.operands.map((operand) =>
+          operand.type === 'node'
+            ? [addNode(operand.id, {}, scope)]
+            : visitSubgraph(operand, scope)
+        );
+
+        operands.forEach((operand) => ids.push(...operand));
+        edges.push({
+          operands,
+          attrs: { ...scope.edge, ...stmt.attrs },
+          parent: scope.parent
+        });
+      }
+    }
+
+    return ids;
+  };
+
+  const insertNode = (id) => {
+    const { attrs, parent } = nodes[id];
+    const label = isSet(attrs.label) ? attrs.label.replace(/\\N/g, id) : id;
+    const width = parseFloat(attrs.width);
+    const height = parseFloat(attrs.height);
+
+    nodes[id] = graph.insertVertex(
+      parent,
+      id,
+      label.replace(/\\[nlr]/g, '\n'),
+      0,
+      0,
+      isNaN(width) ? 80 : width * 72,
+      isNaN(height) ? 30 : height * 72,
+      convertAttributes(attrs, false)
+    );
+
+    if ((attrs.style || '').indexOf('invis') >= 0) {
+      model.setVisible(nodes[id], false);
+    }
+
+    result.push(nodes[id]);
+  };
+
+  const isAncestor = (ancestor, cell) =>
+    isSet(cell) &&
+    (cell === ancestor || isAncestor(ancestor, model.getParent(cell)));
+
+  const insertEdges = ({ operands, attrs, parent: scopeParent }) => {
+    const label = isSet(attrs.label)
+      ? attrs.label.replace(/\\[nlr]/g, '\n')
+      : '';
+    const style = convertAttributes(attrs, true, tree.directed);
+
+    for (let i = 1; i < operands.length; i++) {
+      for (const sourceId of operands[i - 1]) {
+        for (const targetId of operands[i]) {
+          const source = nodes[sourceId];
+          const target = nodes[targetId];
+          const edgeParent =
+            isAncestor(scopeParent, source) && isAncestor(scopeParent, target)
+              ? scopeParent
+              : parent;
+          const edge = graph.insertEdge(
+            edgeParent,
+            null,
+            label,
+            source,
+            target,
+            style
+          );
+
+          if ((attrs.style || '').indexOf('invis') >= 0) {
+            model.setVisible(edge, false);
+          }
+
+          result.push(edge);
+        }
+      }
+    }
+  };
+
+  model.beginUpdate();
+
+  try {
+    visit(tree.stmts, { parent, node: {}, edge: {} });
+    Object.keys(nodes).forEach(insertNode);
+    edges.forEach(insertEdges);
+
+    if (isSet(layout)) layout.execute(parent);
+    else {
+      const rankdir = getGraphAttribute(tree.stmts, 'rankdir');
+
+      RankLayout(
+        graph,
+        RANKDIRS.indexOf(rankdir) >= 0 ? rankdir : 'TB'
+      ).execute(parent);
+    }
+  } finally {
+    model.endUpdate();
+  }
+
+  return result;
+};
+
+/**
+ * Function: quote
+ *
+ * Returns the given value as a quoted DOT string.
+ */
+const quote = (value) =>
+  `"${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')}"`;
+
+/**
+ * Function: parseStyle
+ *
+ * Returns the key, value pairs in the given style string. Named styles
+ * are ignored.
+ */
+const parseStyle = (style) => {
+  const result = {};
+
+  for (const pair of (style || '').split(';')) {
+    const index = pair.indexOf('=');
+
+    if (index > 0) {
+      result[pair.substring(0, index)] = pair.substring(index + 1);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Function: getDotAttributes
+ *
+ * Returns the DOT attributes for the given style string.
+ */
+const getDotAttributes = (styleString, isEdge) => {
+  const style = parseStyle(styleString);
+  const attrs = {};
+  const styles = [];
+
+  for (const name in ATTRIBUTES) {
+    if (isSet(style[ATTRIBUTES[name]])) attrs[name] = style[ATTRIBUTES[name]];
+  }
+
+  if (isSet(attrs.fillcolor) && attrs.fillcolor !== NONE) styles.push('filled');
+  if (style[STYLE_DASHED] === '1') {
+    styles.push(isSet(style[STYLE_DASH_PATTERN]) ? 'dotted' : 'dashed');
+  }
+  if (style[STYLE_ROUNDED] === '1') styles.push('rounded');
+  if (styles.length > 0) attrs.style = styles.join(',');
+
+  if (isEdge) {
+    const findArrow = (marker, fill) =>
+      Object.keys(ARROWS).find(
+        (key) => ARROWS[key][0] === marker && ARROWS[key][1] === fill
+      );
+    const end = style[STYLE_ENDARROW];
+    const start = style[STYLE_STARTARROW];
+    const hasEnd = end !== NONE;
+    const hasStart = isSet(start) && start !== NONE;
+
+    if (hasStart) attrs.dir = hasEnd ? 'both' : 'back';
+    else if (!hasEnd) attrs.dir = NONE;
+
+    if (hasEnd && isSet(end) && end !== ARROW_CLASSIC) {
+      attrs.arrowhead = findArrow(end, style[STYLE_ENDFILL] !== '0');
+    }
+
+    if (hasStart && start !== ARROW_CLASSIC) {
+      attrs.arrowtail = findArrow(start, style[STYLE_STARTFILL] !== '0');
+    }
+  } else {
+    const shape = Object.keys(SHAPES).find(
+      (key) => SHAPES[key] === style[STYLE_SHAPE]
+    );
+
+    if (isSet(shape)) attrs.shape = shape;
+  }
+
+  return attrs;
+};
+
+/**
+ * Function: createDot
+ *
+ * Returns the DOT source for the cells in the layers of the given model.
+ *
+ * Parameters:
+ *
+ * model - <GraphModel> to be written.
+ */
+export const createDot = (model) => {
+  const lines = ['digraph G {'];
+
+  const getLabel = (cell) => {
+    const value = model.getValue(cell);
+
+    if (isNode(value)) return value.getAttribute('label') || '';
+
+    return isSet(value) ? String(value) : '';
+  };
+
+  const writeAttributes = (attrs) => {
+    const pairs = Object.keys(attrs)
+      .filter((key) => isSet(attrs[key]))
+      .map((key) => `${key}=${quote(attrs[key])}`);
+
+    return pairs.length > 0 ? ` [${pairs.join(', ')}]` : '';
+  };
+
+  const writeCells = (parent, indent) => {
+    const childCount = model.getChildCount(parent);
+    const edges = [];
+
+    for (let i = 0; i < childCount; i++) {
+      const cell = model.getChildAt(parent, i);
+
+      if (model.isEdge(cell)) {
+        edges.push(cell);
+      } else if (model.isVertex(cell) && model.getChildCount(cell) > 0) {
+        lines.push(`${indent}subgraph ${quote(`cluster_${cell.getId()}`)} {`);
+        lines.push(`${indent}  label=${quote(getLabel(cell))};`);
+        writeCells(cell, `${indent}  `);
+        lines.push(`${indent}}`);
+      } else if (model.isVertex(cell)) {
+        const attrs = getDotAttributes(model.getStyle(cell), false);
+        attrs.label = getLabel(cell);
+
+        lines.push(`${indent}${quote(cell.getId())}${writeAttributes(attrs)};`);
+      }
+    }
+
+    for (const edge of edges) {
+      const source = model.getTerminal(edge, true);
+      const target = model.getTerminal(edge, false);
+
+      if (isSet(source) && isSet(target)) {
+        const attrs = getDotAttributes(model.getStyle(edge), true);
+        const label = getLabel(edge);
+
+        if (label !== '') attrs.label = label;
+
+        lines.push(
+          `${indent}${quote(source.getId())} -> ${quote(
+            target.getId()
+          )}${writeAttributes(attrs)};`
+        );
+      }
+    }
+  };
+
+  const layerCount = model.getChildCount(model.getRoot());
+
+  for (let i = 0; i < layerCount; i++) {
+    writeCells(model.getChildAt(model.getRoot(), i), '  ');
+  }
+
+  lines.push('}');
+
+  return lines.join('\n');
+};
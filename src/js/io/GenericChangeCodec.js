@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, makeComponent } from '../Helpers';
+import { isNode } from '../util/Utils';
+import ObjectCodec from './ObjectCodec';
+
+/**
+ * Class: GenericChangeCodec
+ *
+ * Codec for <ValueChange>s, <StyleChange>s, <GeometryChange>s,
+ * <CollapseChange>s, <VisibleChange>s and <CellAttributeChange>s. This
+ * class is created and registered dynamically at load time and used
+ * implicitly via <Codec> and the <CodecRegistry>.
+ *
+ * Changes are encoded after they have been executed, so the field with
+ * the given name holds the new value and the cell is written as a
+ * reference. The decoded change must be assigned a model via setModel
+ * before it is executed.
+ *
+ * Transient Fields:
+ *
+ * - model
+ * - previous
+ *
+ * Reference Fields:
+ *
+ * - cell
+ *
+ * Constructor: GenericChangeCodec
+ *
+ * Factory function that creates a <ObjectCodec> for
+ * the specified change and fieldname.
+ *
+ * Parameters:
+ *
+ * obj - An instance of the change object.
+ * variable - The fieldname for the change data.
+ */
+const GenericChangeCodec = (obj, variable) => {
+  /**
+   * Function: afterDecode
+   *
+   * Restores the state by assigning the previous value.
+   */
+  const afterDecode = (dec, node, obj) => {
+    // Allows forward references in sessions. This is a workaround
+    // for the sequence of edits in mxGraph.moveCells and cellsAdded.
+    if (isNode(obj.getCell())) {
+      obj.setCell(dec.decodeCell(obj.getCell(), false));
+    }
+
+    obj.setPrevious(_codec.getFieldValue(obj, variable));
+
+    return obj;
+  };
+
+  const me = {
+    afterDecode
+  };
+
+  const _codec = ObjectCodec(obj, ['model', 'previous'], ['cell']);
+  extendFrom(_codec)(me);
+
+  return me;
+};
+
+export default makeComponent(GenericChangeCodec);
@@ -0,0 +1,503 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { isSet, isUnset } from '../Helpers';
+import Point from '../util/Point';
+import { NODETYPE_ELEMENT } from '../util/Constants';
+import {
+  createXmlDocument,
+  getTextContent,
+  getXml,
+  isNode,
+  parseXml
+} from '../util/Utils';
+
+/**
+ * Class: GraphMl
+ *
+ * Functions for reading and writing GraphML. The reader inserts the nodes
+ * and edges of a GraphML document into a <Graph> using <Graph.insertVertex>
+ * and <Graph.insertEdge>. The writer creates a GraphML document for a
+ * <GraphModel>.
+ *
+ * Data values of nodes and edges are stored as attributes of the user
+ * object of the cell, which is an XML node called UserObject, using the
+ * attr.name of the key as the attribute name. Nested graphs are inserted
+ * as children of the vertex that contains them (groups) and undirected
+ * edges get the style endArrow=none.
+ *
+ * Positions, sizes, labels and control points are read from and written
+ * to the graphics data of yEd, so that the layout of a diagram is kept when
+ * it is exchanged with yEd. Nodes without graphics data are inserted at the
+ * origin with a size of 80 x 30.
+ *
+ * Example:
+ *
+ * (code)
+ * const cells = GraphMl.parseGraphMl(graph, xml);
+ * const result = GraphMl.createGraphMl(graph.getModel());
+ * (end)
+ */
+
+/**
+ * Variable: NS_GRAPHML
+ *
+ * Namespace for GraphML elements.
+ */
+export const NS_GRAPHML = 'http://graphml.graphdrawing.org/xmlns';
+
+/**
+ * Variable: NS_YWORKS
+ *
+ * Namespace for the graphics data of yEd.
+ */
+export const NS_YWORKS = 'http://www.yworks.com/xml/graphml';
+
+/**
+ * Function: getChildElements
+ *
+ * Returns the child elements of the given node with the given local name.
+ */
+const getChildElements = (node, name) => {
+  const result = [];
+  let child = node.firstChild;
+
+  while (isSet(child)) {
+    if (child.nodeType === NODETYPE_ELEMENT && child.localName === name) {
+      result.push(child);
+    }
+
+    child = child.nextSibling;
+  }
+
+  return result;
+};
+
+/**
+ * Function: getDescendant
+ *
+ * Returns the first descendant of the given node with the given local
+ * name in the yEd namespace.
+ */
+const getDescendant = (node, name) =>
+  node.getElementsByTagNameNS(NS_YWORKS, name)[0];
+
+/**
+ * Function: readKeys
+ *
+ * Returns an object that maps from the IDs of the keys in the given
+ * GraphML node to objects with the name, domain, default value and yFiles
+ * type of each key.
+ */
+const readKeys = (root) => {
+  const keys = {};
+
+  for (const key of getChildElements(root, 'key')) {
+    const def = getChildElements(key, 'default')[0];
+
+    keys[key.getAttribute('id')] = {
+      name: key.getAttribute('attr.name') || key.getAttribute('id'),
+      domain: key.getAttribute('for') || 'all',
+      defaultValue: isSet(def) ? getTextContent(def) : undefined,
+      graphics: isSet(key.getAttribute('yfiles.type'))
+    };
+  }
+
+  return keys;
+};
+
+/**
+ * Function: readData
+ *
+ * Returns the attributes and the yEd graphics node of the given node or
+ * edge element.
+ */
+const readData = (element, keys, domain) => {
+  const attributes = {};
+  let graphics;
+
+  for (const id in keys) {
+    const key = keys[id];
+
+    if (
+      !key.graphics &&
+      isSet(key.defaultValue) &&
+      (key.domain === domain || key.domain === 'all')
+    ) {
+      attributes[key.name] = key.defaultValue;
+    }
+  }
+
+  for (const data of getChildElements(element, 'data')) {
+    const key = keys[data.getAttribute('key')];
+
+    if (isSet(key) && key.graphics) {
+      graphics = data;
+    } else if (isSet(key)) {
+      attributes[key.name] = getTextContent(data);
+    } else {
+      attributes[data.getAttribute('key')] = getTextContent(data);
+    }
+  }
+
+  return { attributes, graphics };
+};
+
+/**
+ * Function: createValue
+ *
+ * Returns the user object for the given attributes and label. This is a
+ * UserObject node if there are any attributes other than the label or the
+ * label otherwise.
+ */
+const createValue = (attributes, label) => {
+  const names = Object.keys(attributes).filter((name) => name !== 'label');
+  const text = isSet(attributes.label) ? attributes.label : label;
+
+  if (names.length === 0) return text || '';
+
+  const value = createXmlDocument().createElement('UserObject');
+
+  if (isSet(text)) value.setAttribute('label', text);
+
+  for (const name of names) {
+    value.setAttribute(name, attributes[name]);
+  }
+
+  return value;
+};
+
+/**
+ * Function: getLabelText
+ *
+ * Returns the text of the yEd label with the given name in the given
+ * graphics node.
+ */
+const getLabelText = (graphics, name) => {
+  const label = isSet(graphics) ? getDescendant(graphics, name) : undefined;
+
+  return isSet(label) ? getTextContent(label).trim() : undefined;
+};
+
+/**
+ * Function: parseGraphMl
+ *
+ * Inserts the nodes and edges in the given GraphML into the given graph
+ * and returns the inserted cells. This is carried out in a single
+ * transaction.
+ *
+ * Parameters:
+ *
+ * graph - <Graph> to insert the cells into.
+ * xml - String that contains the GraphML document.
+ * parent - Optional <Cell> to insert the cells into. Default is the
+ * default parent of the graph.
+ */
+export const parseGraphMl = (graph, xml, parent = graph.getDefaultParent()) => {
+  const root = parseXml(xml).documentElement;
+
+  if (isUnset(root) || root.localName !== 'graphml') {
+    throw new Error('Invalid GraphML');
+  }
+
+  const model = graph.getModel();
+  const keys = readKeys(root);
+  const cells = {};
+  const edges = [];
+  const result = [];
+
+  const importNode = (node, parent, origin) => {
+    const { attributes, graphics } = readData(node, keys, 'node');
+    const label = getLabelText(graphics, 'NodeLabel');
+    const geo = isSet(graphics) ? getDescendant(graphics, 'Geometry') : null;
+    const bounds = ['x', 'y', 'width', 'height'].map((name) =>
+      isSet(geo) ? parseFloat(geo.getAttribute(name)) || 0 : 0
+    );
+
+    if (isUnset(geo)) {
+      bounds[2] = 80;
+      bounds[3] = 30;
+    }
+
+    const vertex = graph.insertVertex(
+      parent,
+      node.getAttribute('id'),
+      createValue(attributes, label),
+      bounds[0] - origin.getX(),
+      bounds[1] - origin.getY(),
+      bounds[2],
+      bounds[3]
+    );
+
+    cells[node.getAttribute('id')] = vertex;
+    result.push(vertex);
+
+    for (const child of getChildElements(node, 'graph')) {
+      importGraph(child, vertex, Point(bounds[0], bounds[1]));
+    }
+  };
+
+  const importGraph = (element, parent, origin) => {
+    const directed = element.getAttribute('edgedefault') !== 'undirected';
+
+    for (const node of getChildElements(element, 'node')) {
+      importNode(node, parent, origin);
+    }
+
+    for (const edge of getChildElements(element, 'edge')) {
+      edges.push({ edge, parent, origin, directed });
+    }
+  };
+
+  const importEdge = ({ edge, parent, origin, directed }) => {
+    const source = cells[edge.getAttribute('source')];
+    const target = cells[edge.getAttribute('target')];
+
+    if (isUnset(source) || isUnset(target)) {
+      throw new Error(`${edge.getAttribute('id')}: Unknown node`);
+    }
+
+    const { attributes, graphics } = readData(edge, keys, 'edge');
+    const label = getLabelText(graphics, 'EdgeLabel');
+    const attr = edge.getAttribute('directed');
+    const style = (isSet(attr) ? attr !== 'false' : directed)
+      ? undefined
+      : 'endArrow=none';
+
+    const cell = graph.insertEdge(
+      parent,
+      edge.getAttribute('id') || undefined,
+      createValue(attributes, label),
+      source,
+      target,
+      style
+    );
+
+    const path = isSet(graphics) ? getDescendant(graphics, 'Path') : null;
+
+    if (isSet(path)) {
+      const points = getChildElements(path, 'Point').map((pt) =>
+        Point(
+          parseFloat(pt.getAttribute('x')) - origin.getX(),
+          parseFloat(pt.getAttribute('y')) - origin.getY()
+        )
+      );
+
+      if (points.length > 0) cell.getGeometry().setPoints(points);
+    }
+
+    result.push(cell);
+  };
+
+  model.beginUpdate();
+
+  try {
+    for (const element of getChildElements(root, 'graph')) {
+      importGraph(element, parent, Point());
+    }
+
+    edges.forEach(importEdge);
+  } finally {
+    model.endUpdate();
+  }
+
+  return result;
+};
+
+/**
+ * Function: createGraphMl
+ *
+ * Returns the GraphML for the cells in the layers of the given model.
+ *
+ * Parameters:
+ *
+ * model - <GraphModel> to be written.
+ */
+export const createGraphMl = (model) => {
+  const doc = createXmlDocument();
+  const root = doc.createElementNS(NS_GRAPHML, 'graphml');
+  root.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:y', NS_YWORKS);
+
+  const keys = { node: {}, edge: {} };
+  let keyCount = 0;
+
+  const getKey = (domain, name) => {
+    if (isUnset(keys[domain][name])) keys[domain][name] = `d${keyCount++}`;
+
+    return keys[domain][name];
+  };
+
+  const graphicsKeys = {
+    node: getKey('node', ''),
+    edge: getKey('edge', '')
+  };
+
+  const createElement = (name) => doc.createElementNS(NS_GRAPHML, name);
+
+  const createYElement = (name, attributes = {}) => {
+    const element = doc.createElementNS(NS_YWORKS, `y:${name}`);
+
+    for (const key in attributes) {
+      element.setAttribute(key, attributes[key]);
+    }
+
+    return element;
+  };
+
+  const addData = (element, key, value) => {
+    const data = createElement('data');
+    data.setAttribute('key', key);
+
+    if (isNode(value)) data.appendChild(value);
+    else data.appendChild(doc.createTextNode(value));
+
+    element.appendChild(data);
+  };
+
+  const writeValue = (element, cell, domain) => {
+    const value = model.getValue(cell);
+
+    if (isNode(value)) {
+      for (const attr of Array.from(value.attributes)) {
+        addData(element, getKey(domain, attr.name), attr.value);
+      }
+
+      return value.getAttribute('label');
+    } else if (isSet(value) && value !== '') {
+      addData(element, getKey(domain, 'label'), String(value));
+
+      return String(value);
+    }
+  };
+
+  const createLabel = (name, label) => {
+    const element = createYElement(name);
+    element.appendChild(doc.createTextNode(label || ''));
+
+    return element;
+  };
+
+  const writeVertex = (cell, graph, origin) => {
+    const node = createElement('node');
+    node.setAttribute('id', cell.getId());
+
+    const label = writeValue(node, cell, 'node');
+    const geo = model.getGeometry(cell);
+    let abs = origin;
+
+    if (isSet(geo) && !geo.isRelative()) {
+      abs = Point(origin.getX() + geo.getX(), origin.getY() + geo.getY());
+
+      const shape = createYElement('ShapeNode');
+      shape.appendChild(
+        createYElement('Geometry', {
+          x: abs.getX(),
+          y: abs.getY(),
+          width: geo.getWidth(),
+          height: geo.getHeight()
+        })
+      );
+      shape.appendChild(createLabel('NodeLabel', label));
+      addData(node, graphicsKeys.node, shape);
+    }
+
+    graph.appendChild(node);
+
+    if (model.getChildCount(cell) > 0) {
+      const nested = createElement('graph');
+      nested.setAttribute('id', `${cell.getId()}:`);
+      nested.setAttribute('edgedefault', 'directed');
+      node.appendChild(nested);
+      writeChildren(cell, nested, abs);
+    }
+  };
+
+  const writeEdge = (cell, graph, origin) => {
+    const source = model.getTerminal(cell, true);
+    const target = model.getTerminal(cell, false);
+
+    if (isUnset(source) || isUnset(target)) return;
+
+    const edge = createElement('edge');
+    edge.setAttribute('id', cell.getId());
+    edge.setAttribute('source', source.getId());
+    edge.setAttribute('target', target.getId());
+
+    const style = model.getStyle(cell) || '';
+
+    if (style.split(';').indexOf('endArrow=none') >= 0) {
+      edge.setAttribute('directed', 'false');
+    }
+
+    const label = writeValue(edge, cell, 'edge');
+    const geo = model.getGeometry(cell);
+    const points = isSet(geo) ? geo.getPoints() || [] : [];
+    const polyline = createYElement('PolyLineEdge');
+    const path = createYElement('Path');
+
+    for (const pt of points) {
+      path.appendChild(
+        createYElement('Point', {
+          x: pt.getX() + origin.getX(),
+          y: pt.getY() + origin.getY()
+        })
+      );
+    }
+
+    polyline.appendChild(path);
+    polyline.appendChild(createLabel('EdgeLabel', label));
+    addData(edge, graphicsKeys.edge, polyline);
+    graph.appendChild(edge);
+  };
+
+  const writeChildren = (parent, graph, origin) => {
+    const childCount = model.getChildCount(parent);
+    const edges = [];
+
+    for (let i = 0; i < childCount; i++) {
+      const child = model.getChildAt(parent, i);
+
+      if (model.isEdge(child)) edges.push(child);
+      else if (model.isVertex(child)) writeVertex(child, graph, origin);
+    }
+
+    // Writes edges after all nodes of the graph
+    edges.forEach((edge) => writeEdge(edge, graph, origin));
+  };
+
+  const graph = createElement('graph');
+  graph.setAttribute('id', 'G');
+  graph.setAttribute('edgedefault', 'directed');
+
+  const layerCount = model.getChildCount(model.getRoot());
+
+  for (let i = 0; i < layerCount; i++) {
+    writeChildren(model.getChildAt(model.getRoot(), i), graph, Point());
+  }
+
+  // Writes the keys before the graph as required by the schema
+  for (const domain in keys) {
+    for (const name in keys[domain]) {
+      const key = createElement('key');
+      key.setAttribute('id', keys[domain][name]);
+      key.setAttribute('for', domain);
+
+      if (name === '') {
+        key.setAttribute(
+          'yfiles.type',
+          domain === 'node' ? 'nodegraphics' : 'edgegraphics'
+        );
+      } else {
+        key.setAttribute('attr.name', name);
+        key.setAttribute('attr.type', 'string');
+      }
+
+      root.appendChild(key);
+    }
+  }
+
+  root.appendChild(graph);
+
+  return getXml(root);
+};
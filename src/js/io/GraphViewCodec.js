@@ -0,0 +1,161 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import GraphView from '../view/GraphView';
+import StyleRegistry from '../view/StyleRegistry';
+import ObjectCodec from './ObjectCodec';
+
+/**
+ * Class: GraphViewCodec
+ *
+ * Custom encoder for <GraphView>s. This class is created
+ * and registered dynamically at load time and used implicitly via
+ * <Codec> and the <CodecRegistry>. This codec only writes views
+ * into a XML format that can be used to create an image for
+ * the graph, that is, it contains absolute coordinates with
+ * computed perimeters, edge styles and cell styles.
+ */
+const GraphViewCodec = () => {
+  /**
+   * Function: encode
+   *
+   * Encodes the given <GraphView> using <encodeCell>
+   * starting at the model's root. This returns the
+   * top-level graph node of the recursive encoding.
+   */
+  const encode = (enc, view) =>
+    encodeCell(enc, view, view.getGraph().getModel().getRoot());
+
+  /**
+   * Function: encodeCell
+   *
+   * Recursively encodes the specifed cell. Uses layer
+   * as the default nodename. If the cell's parent is
+   * null, then graph is used for the nodename. If
+   * <GraphModel.isEdge> returns true for the cell,
+   * then edge is used for the nodename, else if
+   * <GraphModel.isVertex> returns true for the cell,
+   * then vertex is used for the nodename.
+   *
+   * <Graph.getLabel> is used to create the label
+   * attribute for the cell. For graph nodes and vertices
+   * the bounds are encoded into x, y, width and height.
+   * For edges the points are encoded into a points
+   * attribute as a space-separated list of comma-separated
+   * coordinate pairs (eg. x0,y0 x1,y1 ... xn,yn). All
+   * values from the cell style are added as attribute
+   * values to the node.
+   */
+  const encodeCell = (enc, view, cell) => {
+    const graph = view.getGraph();
+    const model = graph.getModel();
+    const state = view.getState(cell);
+    const parent = model.getParent(cell);
+
+    if (isSet(parent) && isUnset(state)) return;
+
+    const childCount = model.getChildCount(cell);
+    const geo = graph.getCellGeometry(cell);
+    let name;
+
+    if (parent === model.getRoot()) name = 'layer';
+    else if (isUnset(parent)) name = 'graph';
+    else if (model.isEdge(cell)) name = 'edge';
+    else if (childCount > 0 && isSet(geo)) name = 'group';
+    else if (model.isVertex(cell)) name = 'vertex';
+
+    if (isUnset(name)) return;
+
+    const node = enc.getDocument().createElement(name);
+    const lab = graph.getLabel(cell);
+
+    if (isSet(lab)) {
+      node.setAttribute('label', lab);
+
+      if (graph.isHtmlLabel(cell)) node.setAttribute('html', true);
+    }
+
+    if (isUnset(parent)) {
+      const bounds = view.getGraphBounds();
+
+      if (isSet(bounds)) {
+        node.setAttribute('x', Math.round(bounds.getX()));
+        node.setAttribute('y', Math.round(bounds.getY()));
+        node.setAttribute('width', Math.round(bounds.getWidth()));
+        node.setAttribute('height', Math.round(bounds.getHeight()));
+      }
+
+      node.setAttribute('scale', view.getScale());
+    } else if (isSet(state) && isSet(geo)) {
+      const style = state.getStyle();
+
+      // Writes each key, value in the style pair to an attribute
+      for (const key in style) {
+        let value = style[key];
+
+        // Tries to turn objects and functions into strings
+        if (typeof value === 'function' || typeof value === 'object') {
+          value = StyleRegistry.getName(value);
+        }
+
+        if (isSet(value)) node.setAttribute(key, value);
+      }
+
+      const abs = state.getAbsolutePoints();
+
+      // Writes the list of points into one attribute
+      if (isSet(abs) && abs.length > 0) {
+        const pts = abs
+          .map((p) => `${Math.round(p.getX())},${Math.round(p.getY())}`)
+          .join(' ');
+
+        node.setAttribute('points', pts);
+      }
+
+      // Writes the bounds into 4 attributes
+      else {
+        node.setAttribute('x', Math.round(state.getX()));
+        node.setAttribute('y', Math.round(state.getY()));
+        node.setAttribute('width', Math.round(state.getWidth()));
+        node.setAttribute('height', Math.round(state.getHeight()));
+      }
+
+      const offset = state.getAbsoluteOffset();
+
+      // Writes the offset into 2 attributes
+      if (isSet(offset)) {
+        if (offset.getX() !== 0) {
+          node.setAttribute('dx', Math.round(offset.getX()));
+        }
+
+        if (offset.getY() !== 0) {
+          node.setAttribute('dy', Math.round(offset.getY()));
+        }
+      }
+    }
+
+    for (let i = 0; i < childCount; i++) {
+      const childNode = encodeCell(enc, view, model.getChildAt(cell, i));
+
+      if (isSet(childNode)) node.appendChild(childNode);
+    }
+
+    return node;
+  };
+
+  const me = {
+    encode,
+    encodeCell
+  };
+
+  const _codec = ObjectCodec(GraphView());
+  extendFrom(_codec)(me);
+
+  return me;
+};
+
+export default makeComponent(GraphViewCodec);
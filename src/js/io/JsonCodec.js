@@ -0,0 +1,358 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import Cell from '../model/Cell';
+import Geometry from '../model/Geometry';
+import GraphModel from '../model/GraphModel';
+import Point from '../util/Point';
+import Rectangle from '../util/Rectangle';
+import { getXml, isNode, parseXml } from '../util/Utils';
+import MigrationRegistry from './MigrationRegistry';
+
+/**
+ * Class: JsonCodec
+ *
+ * JSON codec for <GraphModel>s. The model is written as a plain object
+ * which contains the format version, the version of the document schema
+ * (see <MigrationRegistry>) and a flat list of cells in the order
+ * of a depth-first traversal, starting at the root. Parents and terminals
+ * are stored as cell IDs. Cell flags are only written if they differ from
+ * the defaults of <Cell>.
+ *
+ * (code)
+ * {
+ *   "version": 1,
+ *   "schema": 1,
+ *   "cells": [
+ *     { "id": "0" },
+ *     { "id": "1", "parent": "0" },
+ *     {
+ *       "id": "2",
+ *       "parent": "1",
+ *       "value": "Hello",
+ *       "vertex": true,
+ *       "geometry": { "x": 20, "y": 20, "width": 80, "height": 30 }
+ *     }
+ *   ]
+ * }
+ * (end)
+ *
+ * User objects that are XML nodes are written as strings in xmlValue.
+ *
+ * Example:
+ *
+ * (code)
+ * const codec = JsonCodec();
+ * const json = JSON.stringify(codec.encode(graph.getModel()));
+ * codec.decode(json, graph.getModel());
+ * (end)
+ *
+ * Constructor: JsonCodec
+ *
+ * Constructs a new JSON codec.
+ */
+const JsonCodec = () => {
+  /**
+   * Variable: warnings
+   *
+   * Array of messages for the parts of the last decoded document that could
+   * not be migrated to the current version of the document schema.
+   */
+  const [getWarnings, setWarnings] = addProp([]);
+
+  /**
+   * Function: encode
+   *
+   * Returns a plain object that represents the given <GraphModel>.
+   *
+   * Parameters:
+   *
+   * model - <GraphModel> to be encoded.
+   */
+  const encode = (model) => {
+    const cells = [];
+    const stack = [model.getRoot()];
+
+    while (stack.length > 0) {
+      const cell = stack.shift();
+
+      if (isSet(cell)) {
+        cells.push(encodeCell(cell));
+        stack.unshift(...(cell.getChildren() || []));
+      }
+    }
+
+    return {
+      version: JsonCodecComponent.VERSION,
+      schema: MigrationRegistry.getVersion(),
+      cells
+    };
+  };
+
+  /**
+   * Function: encodeCell
+   *
+   * Returns a plain object that represents the given <Cell>. The children
+   * and connected edges of the cell are not written.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> to be encoded.
+   */
+  const encodeCell = (cell) => {
+    const result = { id: cell.getId() };
+    const parent = cell.getParent();
+    const source = cell.getTerminal(true);
+    const target = cell.getTerminal(false);
+    const value = cell.getValue();
+    const style = cell.getStyle();
+    const geo = cell.getGeometry();
+
+    if (isSet(parent)) result.parent = parent.getId();
+    if (isSet(source)) result.source = source.getId();
+    if (isSet(target)) result.target = target.getId();
+
+    if (isNode(value)) result.xmlValue = getXml(value);
+    else if (isSet(value)) result.value = value;
+
+    if (isSet(style)) result.style = style;
+    if (cell.isVertex()) result.vertex = true;
+    if (cell.isEdge()) result.edge = true;
+    if (!cell.isConnectable()) result.connectable = false;
+    if (!cell.isVisible()) result.visible = false;
+    if (cell.isCollapsed()) result.collapsed = true;
+    if (isSet(geo)) result.geometry = encodeGeometry(geo);
+
+    return result;
+  };
+
+  /**
+   * Function: encodeGeometry
+   *
+   * Returns a plain object that represents the given <Geometry>.
+   *
+   * Parameters:
+   *
+   * geo - <Geometry> to be encoded.
+   */
+  const encodeGeometry = (geo) => {
+    const result = encodeRectangle(geo);
+    const points = geo.getPoints();
+    const sourcePoint = geo.getSourcePoint();
+    const targetPoint = geo.getTargetPoint();
+    const offset = geo.getOffset();
+    const alternateBounds = geo.getAlternateBounds();
+
+    if (geo.isRelative()) result.relative = true;
+    if (isSet(points)) result.points = points.map(encodePoint);
+    if (isSet(sourcePoint)) result.sourcePoint = encodePoint(sourcePoint);
+    if (isSet(targetPoint)) result.targetPoint = encodePoint(targetPoint);
+    if (isSet(offset)) result.offset = encodePoint(offset);
+
+    if (isSet(alternateBounds)) {
+      result.alternateBounds = encodeRectangle(alternateBounds);
+    }
+
+    return result;
+  };
+
+  /**
+   * Function: encodePoint
+   *
+   * Returns a plain object with the coordinates of the given <Point>.
+   */
+  const encodePoint = (pt) => ({ x: pt.getX(), y: pt.getY() });
+
+  /**
+   * Function: encodeRectangle
+   *
+   * Returns a plain object with the bounds of the given <Rectangle>.
+   */
+  const encodeRectangle = (rect) => ({
+    x: rect.getX(),
+    y: rect.getY(),
+    width: rect.getWidth(),
+    height: rect.getHeight()
+  });
+
+  /**
+   * Function: decode
+   *
+   * Decodes the given JSON into the given <GraphModel> and returns the
+   * model. The decoded root is migrated to the current version of the
+   * document schema and then replaces the root of the model. The warnings
+   * of the migration are stored in <warnings>. An error is thrown if a
+   * cell has no or a duplicate ID, if a reference cannot be resolved or if
+   * the migration fails, in which case the model is not changed.
+   *
+   * Parameters:
+   *
+   * json - JSON string or plain object as returned by <encode>.
+   * model - Optional <GraphModel> to decode into. Default is a new model.
+   */
+  const decode = (json, model = GraphModel()) => {
+    const obj = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (isUnset(obj) || !Array.isArray(obj.cells)) {
+      throw new Error('Invalid document');
+    } else if (!(obj.version <= JsonCodecComponent.VERSION)) {
+      throw new Error(`Unsupported document version: ${obj.version}`);
+    }
+
+    const cells = {};
+    let root;
+
+    for (const data of obj.cells) {
+      if (isUnset(data.id)) {
+        throw new Error('Missing ID');
+      } else if (isSet(cells[data.id])) {
+        throw new Error(`${data.id}: Duplicate ID`);
+      }
+
+      cells[data.id] = decodeCell(data);
+    }
+
+    const lookup = (id) => {
+      const cell = cells[id];
+
+      if (isUnset(cell)) throw new Error(`${id}: Unknown reference`);
+
+      return cell;
+    };
+
+    // Restores the structure after all cells have been created
+    // in order to resolve forward references
+    for (const data of obj.cells) {
+      const cell = cells[data.id];
+
+      if (isSet(data.parent)) lookup(data.parent).insert(cell);
+      else if (isUnset(root)) root = cell;
+
+      if (isSet(data.source)) lookup(data.source).insertEdge(cell, true);
+      if (isSet(data.target)) lookup(data.target).insertEdge(cell, false);
+    }
+
+    const warnings = [];
+
+    // Migrates the root before it is set on the model so that the
+    // migration is not part of the undo history
+    if (isSet(root)) {
+      model.setRoot(
+        MigrationRegistry.migrate(
+          root,
+          MigrationRegistry.parseVersion(obj.schema),
+          warnings
+        )
+      );
+    }
+
+    setWarnings(warnings);
+
+    return model;
+  };
+
+  /**
+   * Function: decodeCell
+   *
+   * Returns a new <Cell> for the given plain object. The parent and
+   * terminals of the cell are not resolved.
+   *
+   * Parameters:
+   *
+   * data - Plain object as returned by <encodeCell>.
+   */
+  const decodeCell = (data) => {
+    const cell = Cell();
+    cell.setId(String(data.id));
+
+    if (isSet(data.xmlValue)) {
+      cell.setValue(parseXml(data.xmlValue).documentElement);
+    } else if (isSet(data.value)) {
+      cell.setValue(data.value);
+    }
+
+    if (isSet(data.style)) cell.setStyle(data.style);
+    if (isSet(data.geometry)) cell.setGeometry(decodeGeometry(data.geometry));
+
+    cell.setVertex(data.vertex === true);
+    cell.setEdge(data.edge === true);
+    cell.setConnectable(data.connectable !== false);
+    cell.setVisible(data.visible !== false);
+    cell.setCollapsed(data.collapsed === true);
+
+    return cell;
+  };
+
+  /**
+   * Function: decodeGeometry
+   *
+   * Returns a new <Geometry> for the given plain object.
+   *
+   * Parameters:
+   *
+   * data - Plain object as returned by <encodeGeometry>.
+   */
+  const decodeGeometry = (data) => {
+    const geo = Geometry(data.x, data.y, data.width, data.height);
+    geo.setRelative(data.relative === true);
+
+    if (isSet(data.points)) geo.setPoints(data.points.map(decodePoint));
+    if (isSet(data.sourcePoint)) {
+      geo.setSourcePoint(decodePoint(data.sourcePoint));
+    }
+    if (isSet(data.targetPoint)) {
+      geo.setTargetPoint(decodePoint(data.targetPoint));
+    }
+    if (isSet(data.offset)) geo.setOffset(decodePoint(data.offset));
+
+    if (isSet(data.alternateBounds)) {
+      geo.setAlternateBounds(decodeRectangle(data.alternateBounds));
+    }
+
+    return geo;
+  };
+
+  /**
+   * Function: decodePoint
+   *
+   * Returns a new <Point> for the given plain object.
+   */
+  const decodePoint = (data) => Point(data.x, data.y);
+
+  /**
+   * Function: decodeRectangle
+   *
+   * Returns a new <Rectangle> for the given plain object.
+   */
+  const decodeRectangle = (data) =>
+    Rectangle(data.x, data.y, data.width, data.height);
+
+  const me = {
+    getWarnings,
+    encode,
+    encodeCell,
+    encodeGeometry,
+    encodePoint,
+    encodeRectangle,
+    decode,
+    decodeCell,
+    decodeGeometry,
+    decodePoint,
+    decodeRectangle
+  };
+
+  return me;
+};
+
+const JsonCodecComponent = makeComponent(JsonCodec);
+
+/**
+ * Variable: VERSION
+ *
+ * Version of the JSON format that is written by <JsonCodec.encode>.
+ */
+JsonCodecComponent.VERSION = 1;
+
+export default JsonCodecComponent;
@@ -0,0 +1,358 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { isSet, isUnset } from '../Helpers';
+import RankLayout from '../layout/RankLayout';
+import {
+  ARROW_CLASSIC,
+  ARROW_OVAL,
+  NONE,
+  SHAPE_ELLIPSE,
+  SHAPE_RECTANGLE,
+  SHAPE_RHOMBUS,
+  STYLE_DASHED,
+  STYLE_ENDARROW,
+  STYLE_ROUNDED,
+  STYLE_SHAPE,
+  STYLE_STARTARROW,
+  STYLE_STROKEWIDTH
+} from '../util/Constants';
+
+/**
+ * Class: Mermaid
+ *
+ * Functions for importing Mermaid flowcharts. The following subset of the
+ * flowchart (or graph) syntax is supported:
+ *
+ * - Directions TB, TD, BT, LR and RL
+ * - Node shapes A[rectangle], B(rounded), C{rhombus} and D((ellipse))
+ * - Edges -->, --- (no arrow), -.-> (dashed), ==> (thick), <--> and --o,
+ *   where --x is imported without an arrow
+ * - Edge labels as -->|label| or -- label -->
+ * - Chains (A --> B --> C) and groups (A & B --> C)
+ * - Subgraphs, which are inserted as groups
+ *
+ * Comments, classDef, class, style, linkStyle and click statements are
+ * ignored.
+ *
+ * Example:
+ *
+ * (code)
+ * Mermaid.parseMermaid(graph, 'flowchart LR\n  A[Start] --> B{Done?}');
+ * (end)
+ */
+
+/**
+ * Variable: SHAPES
+ *
+ * Maps from the opening brackets of node shapes to the closing brackets,
+ * the style and the default size of the vertex.
+ */
+export const SHAPES = [
+  ['((', '))', `${STYLE_SHAPE}=${SHAPE_ELLIPSE}`, 60, 60],
+  ['(', ')', `${STYLE_SHAPE}=${SHAPE_RECTANGLE};${STYLE_ROUNDED}=1`, 120, 40],
+  ['[', ']', `${STYLE_SHAPE}=${SHAPE_RECTANGLE}`, 120, 40],
+  ['{', '}', `${STYLE_SHAPE}=${SHAPE_RHOMBUS}`, 80, 80]
+];
+
+/**
+ * Variable: EDGES
+ *
+ * Patterns for edges with labels between the two parts of the edge and
+ * for edges without labels. The first group is the optional start marker,
+ * the last group the optional end marker.
+ */
+const EDGES = [
+  /^(<?)--\s+(.+?)\s+-{2,}([>ox]?)/,
+  /^(<?)-\.\s+(.+?)\s+\.+-([>ox]?)/,
+  /^(<?)==\s+(.+?)\s+={2,}([>ox]?)/,
+  /^(<?)(-{2,}|-\.+-|={2,})([>ox]?)/
+];
+
+/**
+ * Variable: IGNORED
+ *
+ * Pattern for the statements that are ignored.
+ */
+const IGNORED = /^(%%|classDef\s|class\s|style\s|linkStyle\s|click\s|direction\s)/;
+
+/**
+ * Function: unquote
+ *
+ * Returns the given text without surrounding double quotes.
+ */
+const unquote = (text) => {
+  const value = text.trim();
+
+  return value.length > 1 && value.startsWith('"') && value.endsWith('"')
+    ? value.substring(1, value.length - 1)
+    : value;
+};
+
+/**
+ * Function: splitStatements
+ *
+ * Returns the statements in the given source. Statements are separated by
+ * newlines or semicolons outside of quotes.
+ */
+const splitStatements = (text) => {
+  const result = [];
+  let current = '';
+  let quoted = false;
+
+  for (const c of text) {
+    if (c === '"') quoted = !quoted;
+
+    if (!quoted && (c === '\n' || c === ';')) {
+      result.push(current.trim());
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+
+  result.push(current.trim());
+
+  return result.filter((stmt) => stmt.length > 0);
+};
+
+/**
+ * Function: getEdgeStyle
+ *
+ * Returns the style for the given edge operator and markers.
+ */
+const getEdgeStyle = (op, start, end) => {
+  const style = [];
+  const markers = { '>': ARROW_CLASSIC, o: ARROW_OVAL };
+
+  if (op.indexOf('.') >= 0) style.push(`${STYLE_DASHED}=1`);
+  else if (op.indexOf('=') >= 0) style.push(`${STYLE_STROKEWIDTH}=2`);
+
+  style.push(`${STYLE_ENDARROW}=${markers[end] || NONE}`);
+
+  if (start === '<') style.push(`${STYLE_STARTARROW}=${ARROW_CLASSIC}`);
+
+  return style.join(';');
+};
+
+/**
+ * Function: parseStatement
+ *
+ * Returns the nodes and edges in the given statement. The result contains
+ * an array of node groups, where each group is an array of nodes with an
+ * id and optional label and shape, and an array of edges between the
+ * consecutive groups.
+ */
+const parseStatement = (stmt) => {
+  let rest = stmt;
+  const groups = [];
+  const edges = [];
+
+  const fail = () => {
+    throw new Error(`Invalid statement: ${stmt}`);
+  };
+
+  const parseNode = () => {
+    const match = /^[\p{L}\p{N}_$][\p{L}\p{N}_$-]*/u.exec(rest);
+
+    if (isUnset(match)) fail();
+
+    // Removes trailing dashes of edges without whitespace, eg. A---B
+    const id = match[0].replace(/-+$/, '');
+    const node = { id };
+    rest = rest.substring(id.length);
+
+    for (const [open, close, style, width, height] of SHAPES) {
+      if (rest.startsWith(open)) {
+        const end = rest.indexOf(close, open.length);
+
+        if (end < 0) fail();
+
+        node.label = unquote(rest.substring(open.length, end));
+        node.shape = { style, width, height };
+        rest = rest.substring(end + close.length);
+        break;
+      }
+    }
+
+    // Ignores class names
+    rest = rest.replace(/^:::[\w-]+/, '').trim();
+
+    return node;
+  };
+
+  const parseGroup = () => {
+    const group = [parseNode()];
+
+    while (rest.startsWith('&')) {
+      rest = rest.substring(1).trim();
+      group.push(parseNode());
+    }
+
+    return group;
+  };
+
+  groups.push(parseGroup());
+
+  while (rest.length > 0) {
+    const pattern = EDGES.find((p) => p.test(rest));
+
+    if (isUnset(pattern)) fail();
+
+    const match = pattern.exec(rest);
+    const start = match[1];
+    const end = match[match.length - 1];
+    const labelled = pattern !== EDGES[EDGES.length - 1];
+    let label = labelled ? match[2] : undefined;
+    const op = labelled ? match[0] : match[2];
+    rest = rest.substring(match[0].length).trim();
+
+    const pipe = /^\|([^|]*)\|/.exec(rest);
+
+    if (isSet(pipe)) {
+      label = pipe[1];
+      rest = rest.substring(pipe[0].length).trim();
+    }
+
+    edges.push({
+      label: isSet(label) ? unquote(label) : '',
+      style: getEdgeStyle(op, start, end)
+    });
+    groups.push(parseGroup());
+  }
+
+  return { groups, edges };
+};
+
+/**
+ * Function: parseMermaid
+ *
+ * Inserts the vertices and edges of the given Mermaid flowchart into the
+ * given graph and returns the inserted cells. The cells are placed using
+ * the given layout or a <RankLayout> in the direction of the flowchart if
+ * no layout is specified. This is carried out in a single transaction.
+ *
+ * Edges are inserted into the nearest common ancestor of their terminals,
+ * which is the innermost subgraph that contains both terminals or the
+ * given parent.
+ *
+ * Parameters:
+ *
+ * graph - <Graph> to insert the cells into.
+ * text - String that contains the flowchart.
+ * parent - Optional <Cell> to insert the cells into. Default is the
+ * default parent of the graph.
+ * layout - Optional layout with an execute function that takes the parent
+ * of the cells to be laid out.
+ */
+export const parseMermaid = (
+  graph,
+  text,
+  parent = graph.getDefaultParent(),
+  layout
+) => {
+  const stmts = splitStatements(text).filter((stmt) => !IGNORED.test(stmt));
+  const header = /^(flowchart|graph)(\s+(TB|TD|BT|LR|RL))?$/i.exec(
+    stmts.shift() || ''
+  );
+
+  if (isUnset(header)) throw new Error('Expected flowchart or graph');
+
+  const model = graph.getModel();
+  const direction = (header[3] || 'TB').toUpperCase();
+  const nodes = {};
+  const result = [];
+  const stack = [parent];
+
+  const getNode = (node) => {
+    let cell = nodes[node.id];
+    const [, , style, width, height] = SHAPES[2];
+    const shape = node.shape || { style, width, height };
+
+    if (isUnset(cell)) {
+      cell = graph.insertVertex(
+        stack[stack.length - 1],
+        node.id,
+        isSet(node.label) ? node.label : node.id,
+        0,
+        0,
+        shape.width,
+        shape.height,
+        shape.style
+      );
+      nodes[node.id] = cell;
+      result.push(cell);
+    } else if (isSet(node.label)) {
+      // Updates nodes that were referenced before their definition
+      model.setValue(cell, node.label);
+      model.setStyle(cell, shape.style);
+    }
+
+    return cell;
+  };
+
+  // Returns the nearest common ancestor of the terminals so that edges
+  // inside subgraphs move and collapse with the subgraph
+  const getEdgeParent = (source, target) =>
+    source === target
+      ? model.getParent(source)
+      : model.getNearestCommonAncestor(source, target);
+
+  model.beginUpdate();
+
+  try {
+    for (const stmt of stmts) {
+      const subgraph = /^subgraph\s+(.+)$/.exec(stmt);
+
+      if (isSet(subgraph)) {
+        const title = /^([^\s[]+)\s*\[(.*)\]$/.exec(subgraph[1]);
+        const id = isSet(title) ? title[1] : subgraph[1];
+        const group = graph.insertVertex(
+          stack[stack.length - 1],
+          /\s/.test(id) ? undefined : id,
+          unquote(isSet(title) ? title[2] : id),
+          0,
+          0,
+          0,
+          0,
+          'verticalAlign=top'
+        );
+
+        result.push(group);
+        stack.push(group);
+      } else if (stmt === 'end') {
+        if (stack.length === 1) throw new Error('Unexpected end');
+
+        stack.pop();
+      } else {
+        const { groups: operands, edges } = parseStatement(stmt);
+        const cells = operands.map((group) => group.map(getNode));
+
+        edges.forEach(({ label, style }, i) => {
+          for (const source of cells[i]) {
+            for (const target of cells[i + 1]) {
+              result.push(
+                graph.insertEdge(
+                  getEdgeParent(source, target),
+                  undefined,
+                  label,
+                  source,
+                  target,
+                  style
+                )
+              );
+            }
+          }
+        });
+      }
+    }
+
+    if (isSet(layout)) layout.execute(parent);
+    else RankLayout(graph, direction).execute(parent);
+  } finally {
+    model.endUpdate();
+  }
+
+  return result;
+};
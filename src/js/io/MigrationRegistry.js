@@ -0,0 +1,167 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { isSet, isUnset } from '../Helpers';
+import GraphModel from '../model/GraphModel';
+
+/**
+ * Variable: migrations
+ *
+ * Maps from versions to the functions that migrate a model from that
+ * version to the next.
+ */
+const migrations = {};
+
+/**
+ * Class: MigrationRegistry
+ *
+ * Singleton class that contains the migrations for models that have been
+ * written with an older version of the document schema. The version is
+ * written by the <ModelCodec> and the <JsonCodec>, and documents without
+ * a version are treated as version 0. The current version is the version
+ * after the last registered migration.
+ *
+ * A migration is a function that takes the decoded <GraphModel> and a
+ * context object with the following properties:
+ *
+ * version - Version that the model is migrated from.
+ * warn - Function that adds the given message to the warnings of the
+ * decode, eg. for parts of the model that cannot be migrated.
+ *
+ * Migrations are executed on a separate model that holds the decoded root
+ * before the root is set on the model that is loaded into. The changes of
+ * the migrations are therefore not part of the undo history and do not fire
+ * events on that model. If a migration is missing or throws an error, then
+ * the load is aborted and the model that is loaded into is not changed.
+ *
+ * Example:
+ *
+ * (code)
+ * MigrationRegistry.register(0, (model, { warn }) => {
+ *   for (const cell of model.filterDescendants(() => true)) {
+ *     const style = cell.getStyle();
+ *
+ *     if (isSet(style)) {
+ *       model.setStyle(cell, style.replace(/\bstrokecolor=/, 'strokeColor='));
+ *     }
+ *   }
+ * });
+ * (end)
+ */
+const MigrationRegistry = {
+  /**
+   * Function: register
+   *
+   * Registers the given function for migrating models from the given
+   * version to the next version.
+   *
+   * Parameters:
+   *
+   * version - Integer that specifies the version to migrate from.
+   * migration - Function that migrates the model.
+   */
+  register: (version, migration) => {
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Invalid version: ${version}`);
+    } else if (isSet(migrations[version])) {
+      throw new Error(`Migration from version ${version} already registered`);
+    }
+
+    migrations[version] = migration;
+  },
+
+  /**
+   * Function: unregister
+   *
+   * Removes the migration from the given version.
+   */
+  unregister: (version) => delete migrations[version],
+
+  /**
+   * Function: getMigration
+   *
+   * Returns the migration from the given version.
+   */
+  getMigration: (version) => migrations[version],
+
+  /**
+   * Function: getVersion
+   *
+   * Returns the current version of the document schema.
+   */
+  getVersion: () =>
+    Object.keys(migrations).reduce(
+      (result, version) => Math.max(result, parseInt(version) + 1),
+      0
+    ),
+
+  /**
+   * Function: parseVersion
+   *
+   * Returns the version for the given attribute or property value. Missing
+   * values are treated as version 0.
+   */
+  parseVersion: (value) => {
+    if (isUnset(value) || value === '') return 0;
+
+    const version = Number(value);
+
+    return Number.isInteger(version) && version >= 0 ? version : NaN;
+  },
+
+  /**
+   * Function: migrate
+   *
+   * Migrates the given decoded root from the given version to the current
+   * version and returns the migrated root. The migrations are executed on a
+   * new <GraphModel> for the root. Documents with a newer or an invalid
+   * version are not migrated and a warning is added instead. An error is
+   * thrown if a migration is missing or fails so that no partially migrated
+   * root is loaded.
+   *
+   * Parameters:
+   *
+   * root - <Cell> that is the decoded root of the document.
+   * version - Integer that specifies the version of the document.
+   * warnings - Optional array to add the warnings to.
+   */
+  migrate: (root, version, warnings = []) => {
+    const current = MigrationRegistry.getVersion();
+    const warn = (message) => warnings.push(message);
+
+    if (Number.isNaN(version)) {
+      warn('Invalid document version');
+    } else if (version > current) {
+      warn(`Document version ${version} is newer than ${current}`);
+    } else if (version < current) {
+      const model = GraphModel(root);
+
+      model.beginUpdate();
+
+      try {
+        for (let v = version; v < current; v++) {
+          const migration = migrations[v];
+
+          if (isUnset(migration)) {
+            throw new Error(`No migration from version ${v}`);
+          }
+
+          try {
+            migration(model, { version: v, warn });
+          } catch (e) {
+            throw new Error(`Migration from version ${v} failed: ${e.message}`);
+          }
+        }
+      } finally {
+        model.endUpdate();
+      }
+
+      return model.getRoot();
+    }
+
+    return root;
+  }
+};
+
+export default MigrationRegistry;
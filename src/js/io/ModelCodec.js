@@ -0,0 +1,107 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import GraphModel from '../model/GraphModel';
+import MigrationRegistry from './MigrationRegistry';
+import ObjectCodec from './ObjectCodec';
+
+/**
+ * Class: ModelCodec
+ *
+ * Codec for <GraphModel>s. This class is created and registered
+ * dynamically at load time and used implicitly via <Codec>
+ * and the <CodecRegistry>.
+ *
+ * The model is written as a flat sequence of cells inside a root node:
+ *
+ * (code)
+ * <mxGraphModel version="1">
+ *   <root>
+ *     <mxCell id="0"/>
+ *     <mxCell id="1" parent="0"/>
+ *     <mxCell id="2" value="Hello" vertex="1" parent="1">
+ *       <mxGeometry x="20" y="20" width="80" height="30" as="geometry"/>
+ *     </mxCell>
+ *   </root>
+ * </mxGraphModel>
+ * (end)
+ *
+ * The version attribute contains the version of the document schema. Models
+ * with an older version are migrated using the <MigrationRegistry> before
+ * the decoded root is set on the model and the warnings of the migration
+ * are added to the warnings of the <Codec>. Decoding throws an error if the
+ * migration fails, in which case the model is not changed.
+ */
+const ModelCodec = () => {
+  /**
+   * Function: encodeObject
+   *
+   * Encodes the given <GraphModel> by writing a (flat) XML sequence of
+   * cell nodes as produced by the <CellCodec>. The sequence is
+   * wrapped-up in a node with the name root.
+   */
+  const encodeObject = (enc, obj, node) => {
+    node.setAttribute('version', MigrationRegistry.getVersion());
+    const rootNode = enc.getDocument().createElement('root');
+    enc.encodeCell(obj.getRoot(), rootNode);
+    node.appendChild(rootNode);
+  };
+
+  /**
+   * Function: decodeChild
+   *
+   * Overrides decode child to handle special child nodes.
+   */
+  const decodeChild = (dec, child, obj) => {
+    if (child.nodeName === 'root') decodeRoot(dec, child, obj);
+    else _codec.decodeChild(dec, child, obj);
+  };
+
+  /**
+   * Function: decodeRoot
+   *
+   * Reads the cells into the graph model. All cells
+   * are children of the root element in the node.
+   */
+  const decodeRoot = (dec, root, model) => {
+    let rootCell;
+    let tmp = root.firstChild;
+
+    while (isSet(tmp)) {
+      const cell = dec.decodeCell(tmp);
+
+      if (isSet(cell) && isUnset(cell.getParent())) rootCell = cell;
+
+      tmp = tmp.nextSibling;
+    }
+
+    // Migrates the root before it is set on the model so that the
+    // migration is not part of the undo history
+    if (isSet(rootCell)) {
+      const version = MigrationRegistry.parseVersion(
+        root.parentNode.getAttribute('version')
+      );
+
+      model.setRoot(
+        MigrationRegistry.migrate(rootCell, version, dec.getWarnings())
+      );
+    }
+  };
+
+  const me = {
+    encodeObject,
+    decodeChild,
+    decodeRoot
+  };
+
+  const _codec = ObjectCodec(GraphModel());
+  extendFrom(_codec)(me);
+
+  return me;
+};
+
+export default makeComponent(ModelCodec);
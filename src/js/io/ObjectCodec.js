@@ -0,0 +1,818 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import { NODETYPE_ELEMENT } from '../util/Constants';
+import ObjectIdentity from '../util/ObjectIdentity';
+import { getTextContent, isNumeric } from '../util/Utils';
+
+/**
+ * Class: ObjectCodec
+ *
+ * Generic codec for JavaScript objects that implements a mapping between
+ * JavaScript objects and XML nodes that maps each field or element to an
+ * attribute or child node, and vice versa.
+ *
+ * Fields:
+ *
+ * Components do not expose their state as plain fields. Instead, a field is
+ * any pair of an argument-less getter (getName or isName) and a setter
+ * (setName) on the object. The field name is the part after the prefix with
+ * a lowercase first letter, so <Geometry.getX> and <Geometry.setX> form the
+ * field x and <Geometry.isRelative> and <Geometry.setRelative> form the field
+ * relative. Arrays are encoded element by element.
+ *
+ * Atomic Values:
+ *
+ * Consider the following example.
+ *
+ * (code)
+ * const obj = Geometry(10, 20, 30, 40);
+ * obj.setRelative(true);
+ * (end)
+ *
+ * This object is encoded into an XML node using the following.
+ *
+ * (code)
+ * const enc = Codec();
+ * const node = enc.encode(obj);
+ * (end)
+ *
+ * The output of the encoding may be viewed using <Utils.getXml> as follows.
+ *
+ * (code)
+ * Utils.getXml(node);
+ * (end)
+ *
+ * Finally, the result of the encoding looks as follows.
+ *
+ * (code)
+ * <mxGeometry x="10" y="20" width="30" height="40" relative="1"/>
+ * (end)
+ *
+ * In the above output, the node name is the name of the codec. Fields that
+ * hold the same value as in the <template> are not written. Boolean values
+ * are written as 1 and 0 and converted back into booleans if the template
+ * holds a boolean for the field. Likewise, values are converted to numbers
+ * if the template holds a number for the field.
+ *
+ * Object Values:
+ *
+ * Fields whose value is an object are encoded into child nodes using the
+ * codec for the object. The child node carries the field name in an as
+ * attribute, eg. the points of a geometry are written as follows.
+ *
+ * (code)
+ * <mxGeometry as="geometry">
+ *   <Array as="points">
+ *     <mxPoint x="10" y="20"/>
+ *   </Array>
+ * </mxGeometry>
+ * (end)
+ *
+ * References:
+ *
+ * Fields listed in <idrefs> are written as the Id of the referenced object
+ * (see <Codec.getId>) and resolved using <Codec.getObject> while decoding.
+ *
+ * Constructor: ObjectCodec
+ *
+ * Constructs a new codec for the specified template object.
+ * The variables in the optional exclude array are ignored by
+ * the codec. Variables in the optional idrefs array are
+ * turned into references in the XML. The optional mapping
+ * may be used to map from variable names to XML attributes.
+ * The argument is created as follows:
+ *
+ * (code)
+ * const mapping = {};
+ * mapping['variableName'] = 'attribute-name';
+ * (end)
+ *
+ * Parameters:
+ *
+ * template - Prototypical instance of the object to be
+ * encoded/decoded.
+ * exclude - Optional array of fieldnames to be ignored.
+ * idrefs - Optional array of fieldnames to be converted to/from
+ * references.
+ * mapping - Optional mapping from field- to attributenames.
+ */
+const ObjectCodec = (template, exclude = [], idrefs = [], mapping = {}) => {
+  /**
+   * Variable: template
+   *
+   * Holds the template object associated with this codec.
+   */
+  const [getTemplate, setTemplate] = addProp(template);
+
+  /**
+   * Variable: exclude
+   *
+   * Array containing the variable names that should be
+   * ignored by the codec.
+   */
+  const [getExclude, setExclude] = addProp(exclude);
+
+  /**
+   * Variable: idrefs
+   *
+   * Array containing the variable names that should be
+   * turned into or converted from references. See
+   * <Codec.getId> and <Codec.getObject>.
+   */
+  const [getIdrefs, setIdrefs] = addProp(idrefs);
+
+  /**
+   * Variable: mapping
+   *
+   * Maps from from fieldnames to XML attribute names.
+   */
+  const [getMapping, setMapping] = addProp(mapping);
+
+  /**
+   * Variable: reverse
+   *
+   * Maps from from XML attribute names to fieldnames.
+   */
+  const [getReverse, setReverse] = addProp({});
+
+  /**
+   * Function: getName
+   *
+   * Returns the name used for the nodenames and lookup of the codec when
+   * classes are encoded and nodes are decoded. For arrays this is Array,
+   * for components the name of the component with an mx prefix, which
+   * keeps the nodenames compatible with documents written by mxGraph.
+   */
+  const getName = () => {
+    const tmp = getTemplate();
+
+    return Array.isArray(tmp) ? 'Array' : `mx${tmp.name}`;
+  };
+
+  /**
+   * Function: cloneTemplate
+   *
+   * Returns a new instance of the template for this codec.
+   */
+  const cloneTemplate = () => {
+    const tmp = getTemplate();
+
+    return Array.isArray(tmp) ? [] : tmp.constructor();
+  };
+
+  /**
+   * Function: getFieldName
+   *
+   * Returns the fieldname for the given attributename.
+   * Looks up the value in the <reverse> mapping or returns
+   * the input if there is no reverse mapping for the
+   * given name.
+   */
+  const getFieldName = (attributename) => {
+    if (isSet(attributename)) {
+      const mapped = getReverse()[attributename];
+
+      if (isSet(mapped)) return mapped;
+    }
+
+    return attributename;
+  };
+
+  /**
+   * Function: getAttributeName
+   *
+   * Returns the attributename for the given fieldname.
+   * Looks up the value in the <mapping> or returns
+   * the input if there is no mapping for the
+   * given name.
+   */
+  const getAttributeName = (fieldname) => {
+    if (isSet(fieldname)) {
+      const mapped = getMapping()[fieldname];
+
+      if (isSet(mapped)) return mapped;
+    }
+
+    return fieldname;
+  };
+
+  /**
+   * Function: getFields
+   *
+   * Returns the names of all fields of the given object. A field is a pair
+   * of an argument-less getter and a setter, see the class description.
+   */
+  const getFields = (obj) => {
+    const fields = [];
+
+    for (const key in obj) {
+      const match = /^(get|is)([A-Z]\w*)$/.exec(key);
+
+      if (
+        isSet(match) &&
+        typeof obj[key] === 'function' &&
+        obj[key].length === 0 &&
+        typeof obj[`set${match[2]}`] === 'function'
+      ) {
+        fields.push(match[2].charAt(0).toLowerCase() + match[2].substring(1));
+      }
+    }
+
+    return fields;
+  };
+
+  /**
+   * Function: getFieldValue
+   *
+   * Returns the value of the given field using its getter.
+   */
+  const getFieldValue = (obj, fieldname) => {
+    if (isUnset(obj) || isUnset(fieldname)) return;
+
+    const suffix = fieldname.charAt(0).toUpperCase() + fieldname.substring(1);
+    const getter = obj[`get${suffix}`] || obj[`is${suffix}`];
+
+    return typeof getter === 'function' && getter.length === 0
+      ? getter()
+      : undefined;
+  };
+
+  /**
+   * Function: setFieldValue
+   *
+   * Sets the value of the given field using its setter. Fields without a
+   * setter are ignored.
+   */
+  const setFieldValue = (obj, fieldname, value) => {
+    const suffix = fieldname.charAt(0).toUpperCase() + fieldname.substring(1);
+    const setter = obj[`set${suffix}`];
+
+    if (typeof setter === 'function') setter(value);
+  };
+
+  /**
+   * Function: isExcluded
+   *
+   * Returns true if the given attribute is to be ignored by the codec. This
+   * implementation returns true if the given fieldname is in <exclude> or
+   * if the fieldname equals <ObjectIdentity.FIELD_NAME>.
+   *
+   * Parameters:
+   *
+   * obj - Object instance that contains the field.
+   * attr - Fieldname of the field.
+   * value - Value of the field.
+   * write - Boolean indicating if the field is being encoded or decoded.
+   * Write is true if the field is being encoded, else it is being decoded.
+   */
+  const isExcluded = (obj, attr, value, write) =>
+    attr === ObjectIdentity.FIELD_NAME || getExclude().indexOf(attr) >= 0;
+
+  /**
+   * Function: isReference
+   *
+   * Returns true if the given fieldname is to be treated
+   * as a textual reference (ID). This implementation returns
+   * true if the given fieldname is in <idrefs>.
+   *
+   * Parameters:
+   *
+   * obj - Object instance that contains the field.
+   * attr - Fieldname of the field.
+   * value - Value of the field.
+   * write - Boolean indicating if the field is being encoded or decoded.
+   * Write is true if the field is being encoded, else it is being decoded.
+   */
+  const isReference = (obj, attr, value, write) =>
+    getIdrefs().indexOf(attr) >= 0;
+
+  /**
+   * Function: encode
+   *
+   * Encodes the specified object and returns a node
+   * representing then given object. Calls <beforeEncode>
+   * after creating the node and <afterEncode> with the
+   * resulting node after processing.
+   *
+   * Parameters:
+   *
+   * enc - <Codec> that controls the encoding process.
+   * obj - Object to be encoded.
+   */
+  const encode = (enc, obj) => {
+    const node = enc.getDocument().createElement(me.resolve('getName')());
+    const tmp = me.resolve('beforeEncode')(enc, obj, node);
+    me.resolve('encodeObject')(enc, tmp, node);
+
+    return me.resolve('afterEncode')(enc, obj, node);
+  };
+
+  /**
+   * Function: encodeObject
+   *
+   * Encodes the value of each field in the specified object into the given
+   * node using <encodeValue>.
+   *
+   * Parameters:
+   *
+   * enc - <Codec> that controls the encoding process.
+   * obj - Object to be encoded.
+   * node - XML node that contains the encoded object.
+   */
+  const encodeObject = (enc, obj, node) => {
+    enc.setAttribute(node, 'id', enc.getId(obj));
+
+    if (Array.isArray(obj)) {
+      for (const value of obj) {
+        if (isSet(value)) encodeValue(enc, obj, undefined, value, node);
+      }
+    } else {
+      for (const name of getFields(obj)) {
+        const value = getFieldValue(obj, name);
+
+        if (isSet(value) && !me.resolve('isExcluded')(obj, name, value, true)) {
+          encodeValue(enc, obj, name, value, node);
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: encodeValue
+   *
+   * Converts the given value according to the mappings
+   * and id-refs in this codec and uses <writeAttribute>
+   * to write the attribute into the given node.
+   *
+   * Parameters:
+   *
+   * enc - <Codec> that controls the encoding process.
+   * obj - Object whose property is going to be encoded.
+   * name - XML node that contains the encoded object.
+   * value - Value of the property to be encoded.
+   * node - XML node that contains the encoded object.
+   */
+  const encodeValue = (enc, obj, name, value, node) => {
+    if (isUnset(value)) return;
+
+    let v = value;
+
+    if (me.resolve('isReference')(obj, name, v, true)) {
+      const tmp = enc.getId(v);
+
+      if (isUnset(tmp)) return;
+
+      v = tmp;
+    }
+
+    const defaultValue = getFieldValue(getTemplate(), name);
+
+    // Checks if the value is a default value and
+    // the name is correct
+    if (isUnset(name) || enc.isEncodeDefaults() || defaultValue !== v) {
+      writeAttribute(enc, obj, getAttributeName(name), v, node);
+    }
+  };
+
+  /**
+   * Function: writeAttribute
+   *
+   * Writes the given value into node using <writePrimitiveAttribute>
+   * or <writeComplexAttribute> depending on the type of the value.
+   */
+  const writeAttribute = (enc, obj, name, value, node) => {
+    if (typeof value !== 'object') {
+      writePrimitiveAttribute(enc, obj, name, value, node);
+    } else {
+      writeComplexAttribute(enc, obj, name, value, node);
+    }
+  };
+
+  /**
+   * Function: writePrimitiveAttribute
+   *
+   * Writes the given value as an attribute of the given node. Values
+   * without a name, such as array elements, are written into a child node
+   * named add.
+   */
+  const writePrimitiveAttribute = (enc, obj, name, value, node) => {
+    const v = me.resolve('convertAttributeToXml')(enc, obj, name, value, node);
+
+    if (isUnset(name)) {
+      const child = enc.getDocument().createElement('add');
+      enc.setAttribute(child, 'value', v);
+      node.appendChild(child);
+    } else if (typeof v !== 'function') {
+      enc.setAttribute(node, name, v);
+    }
+  };
+
+  /**
+   * Function: writeComplexAttribute
+   *
+   * Writes the given value as a child node of the given node.
+   */
+  const writeComplexAttribute = (enc, obj, name, value, node) => {
+    const child = enc.encode(value);
+
+    if (isSet(child)) {
+      if (isSet(name)) child.setAttribute('as', name);
+
+      node.appendChild(child);
+    }
+  };
+
+  /**
+   * Function: convertAttributeToXml
+   *
+   * Converts true to "1" and false to "0" is <isBooleanAttribute> returns
+   * true. All other values are not converted.
+   *
+   * Parameters:
+   *
+   * enc - <Codec> that controls the encoding process.
+   * obj - Objec to convert the attribute for.
+   * name - Name of the attribute to be converted.
+   * value - Value to be converted.
+   */
+  const convertAttributeToXml = (enc, obj, name, value) =>
+    isBooleanAttribute(enc, obj, name, value) ? (value ? '1' : '0') : value;
+
+  /**
+   * Function: isBooleanAttribute
+   *
+   * Returns true if the given object attribute is a boolean value.
+   *
+   * Parameters:
+   *
+   * enc - <Codec> that controls the encoding process.
+   * obj - Objec to convert the attribute for.
+   * name - Name of the attribute to be converted.
+   * value - Value of the attribute to be converted.
+   */
+  const isBooleanAttribute = (enc, obj, name, value) =>
+    typeof value === 'boolean';
+
+  /**
+   * Function: convertAttributeFromXml
+   *
+   * Converts the value of the given attribute using the type of the field
+   * in the <template>. Booleans are restored from 1 and 0 and numbers are
+   * parsed if the template holds a number or <isNumericAttribute> returns
+   * true.
+   *
+   * Parameters:
+   *
+   * dec - <Codec> that controls the decoding process.
+   * attr - XML attribute to be converted.
+   * obj - Objec to convert the attribute for.
+   */
+  const convertAttributeFromXml = (dec, attr, obj) => {
+    const fieldname = getFieldName(attr.nodeName);
+    const defaultValue = getFieldValue(getTemplate(), fieldname);
+    let value = attr.value;
+
+    if (typeof defaultValue === 'boolean') {
+      value = value === '1' || value === 'true';
+    } else if (me.resolve('isNumericAttribute')(dec, attr, obj)) {
+      value = parseFloat(value);
+
+      if (isNaN(value) || !isFinite(value)) value = 0;
+    }
+
+    return value;
+  };
+
+  /**
+   * Function: isNumericAttribute
+   *
+   * Returns true if the given XML attribute is or should be a numeric value.
+   * This implementation returns true if the field holds a number in the
+   * <template>.
+   *
+   * Parameters:
+   *
+   * dec - <Codec> that controls the decoding process.
+   * attr - XML attribute to be converted.
+   * obj - Objec to convert the attribute for.
+   */
+  const isNumericAttribute = (dec, attr, obj) =>
+    typeof getFieldValue(getTemplate(), getFieldName(attr.nodeName)) ===
+      'number' && isNumeric(attr.value);
+
+  /**
+   * Function: beforeEncode
+   *
+   * Hook for subclassers to pre-process the object before
+   * encoding. This returns the input object. The return
+   * value of this function is used in <encode> to perform
+   * the default encoding into the given node.
+   *
+   * Parameters:
+   *
+   * enc - <Codec> that controls the encoding process.
+   * obj - Object to be encoded.
+   * node - XML node to encode the object into.
+   */
+  const beforeEncode = (enc, obj, node) => obj;
+
+  /**
+   * Function: afterEncode
+   *
+   * Hook for subclassers to post-process the node
+   * for the given object after encoding and return the
+   * post-processed node. This implementation returns
+   * the input node. The return value of this method
+   * is returned to the encoder from <encode>.
+   *
+   * Parameters:
+   *
+   * enc - <Codec> that controls the encoding process.
+   * obj - Object to be encoded.
+   * node - XML node that represents the default encoding.
+   */
+  const afterEncode = (enc, obj, node) => node;
+
+  /**
+   * Function: decode
+   *
+   * Parses the given node into the object or returns a new object
+   * representing the given node.
+   *
+   * Dec is a reference to the calling decoder. It is used to decode
+   * complex objects and resolve references.
+   *
+   * If a node has an id attribute then the object cache is checked for the
+   * object. If the object is not yet in the cache then it is constructed
+   * using the constructor of <template> and cached in <Codec.objects>.
+   *
+   * This implementation decodes all attributes and childs of a node
+   * according to the following rules:
+   *
+   * - If the variable name is in <exclude> or if the attribute name is "id"
+   * or "as" then it is ignored.
+   * - If the variable name is in <idrefs> then <Codec.getObject> is used
+   * to replace the reference with an object.
+   * - The variable name is mapped using a reverse <mapping>.
+   * - If the node has a child with the same name, then the child is decoded
+   * into the field of the object.
+   *
+   * Parameters:
+   *
+   * dec - <Codec> that controls the decoding process.
+   * node - XML node to be decoded.
+   * into - Optional objec to encode the node into.
+   */
+  const decode = (dec, node, into) => {
+    const id = node.getAttribute('id');
+    let obj = dec.getObjects()[id];
+
+    if (isUnset(obj)) {
+      obj = into || cloneTemplate();
+
+      if (isSet(id)) dec.putObject(id, obj);
+    }
+
+    const n = me.resolve('beforeDecode')(dec, node, obj);
+    me.resolve('decodeNode')(dec, n, obj);
+
+    return me.resolve('afterDecode')(dec, n, obj);
+  };
+
+  /**
+   * Function: decodeNode
+   *
+   * Calls <decodeAttributes> and <decodeChildren> for the given node.
+   */
+  const decodeNode = (dec, node, obj) => {
+    if (isSet(node)) {
+      decodeAttributes(dec, node, obj);
+      decodeChildren(dec, node, obj);
+    }
+  };
+
+  /**
+   * Function: decodeAttributes
+   *
+   * Decodes all attributes of the given node using <decodeAttribute>.
+   */
+  const decodeAttributes = (dec, node, obj) => {
+    const attrs = node.attributes;
+
+    if (isSet(attrs)) {
+      for (let i = 0; i < attrs.length; i++) {
+        decodeAttribute(dec, attrs[i], obj);
+      }
+    }
+  };
+
+  /**
+   * Function: isIgnoredAttribute
+   *
+   * Returns true if the given attribute should be ignored. This
+   * implementation returns true if the attribute name is "as" or "id".
+   */
+  const isIgnoredAttribute = (dec, attr, obj) =>
+    attr.nodeName === 'as' || attr.nodeName === 'id';
+
+  /**
+   * Function: decodeAttribute
+   *
+   * Reads the given attribute into the specified object.
+   */
+  const decodeAttribute = (dec, attr, obj) => {
+    if (me.resolve('isIgnoredAttribute')(dec, attr, obj)) return;
+
+    const fieldname = getFieldName(attr.nodeName);
+    let value = me.resolve('convertAttributeFromXml')(dec, attr, obj);
+
+    if (me.resolve('isReference')(obj, fieldname, value, false)) {
+      const tmp = dec.getObject(value);
+
+      if (isUnset(tmp)) return;
+
+      value = tmp;
+    }
+
+    if (!me.resolve('isExcluded')(obj, fieldname, value, false)) {
+      setFieldValue(obj, fieldname, value);
+    }
+  };
+
+  /**
+   * Function: decodeChildren
+   *
+   * Decodes all children of the given node using <decodeChild>.
+   */
+  const decodeChildren = (dec, node, obj) => {
+    let child = node.firstChild;
+
+    while (isSet(child)) {
+      const tmp = child.nextSibling;
+
+      if (child.nodeType === NODETYPE_ELEMENT) {
+        me.resolve('decodeChild')(dec, child, obj);
+      }
+
+      child = tmp;
+    }
+  };
+
+  /**
+   * Function: decodeChild
+   *
+   * Reads the specified child into the given object.
+   */
+  const decodeChild = (dec, child, obj) => {
+    const fieldname = getFieldName(child.getAttribute('as') || undefined);
+
+    if (
+      isUnset(fieldname) ||
+      !me.resolve('isExcluded')(obj, fieldname, child, false)
+    ) {
+      const template = getFieldTemplate(obj, fieldname, child);
+      let value;
+
+      if (child.nodeName === 'add') {
+        value = child.getAttribute('value');
+
+        if (isUnset(value)) value = getTextContent(child);
+      } else {
+        value = dec.decode(child, template);
+      }
+
+      addObjectValue(obj, fieldname, value, template);
+    }
+  };
+
+  /**
+   * Function: getFieldTemplate
+   *
+   * Returns the template instance for the given field. This returns the
+   * value of the field, null if the value is an array or an empty collection
+   * if the value is a collection. The value is then used to populate the
+   * field for a new instance. For strongly typed languages it may be
+   * required to override this to return the correct collection instance
+   * based on the encoded child.
+   */
+  const getFieldTemplate = (obj, fieldname, child) => {
+    const template = Array.isArray(obj)
+      ? undefined
+      : getFieldValue(obj, fieldname);
+
+    // Non-empty arrays are replaced completely
+    return Array.isArray(template) && template.length > 0
+      ? undefined
+      : template;
+  };
+
+  /**
+   * Function: addObjectValue
+   *
+   * Sets the decoded child node as a value of the given object. If the
+   * object is an array, then the value is added to the array. This
+   * implementation sets the value of the field using its setter.
+   */
+  const addObjectValue = (obj, fieldname, value, template) => {
+    if (isSet(value) && value !== template) {
+      if (isSet(fieldname) && fieldname.length > 0) {
+        setFieldValue(obj, fieldname, value);
+      } else if (Array.isArray(obj)) {
+        obj.push(value);
+      }
+    }
+  };
+
+  /**
+   * Function: beforeDecode
+   *
+   * Hook for subclassers to pre-process the node for
+   * the specified object and return the node to be
+   * used for further processing by <decode>.
+   * The object is created based on the template in the
+   * calling method and is never null. This implementation
+   * returns the input node. The return value of this
+   * function is used in <decode> to perform
+   * the default decoding into the given object.
+   *
+   * Parameters:
+   *
+   * dec - <Codec> that controls the decoding process.
+   * node - XML node to be decoded.
+   * obj - Object to encode the node into.
+   */
+  const beforeDecode = (dec, node, obj) => node;
+
+  /**
+   * Function: afterDecode
+   *
+   * Hook for subclassers to post-process the object after
+   * decoding. This implementation returns the given object
+   * without any changes. The return value of this method
+   * is returned to the decoder from <decode>.
+   *
+   * Parameters:
+   *
+   * enc - <Codec> that controls the encoding process.
+   * node - XML node to be decoded.
+   * obj - Object that represents the default decoding.
+   */
+  const afterDecode = (dec, node, obj) => obj;
+
+  const me = {
+    getTemplate,
+    setTemplate,
+    getExclude,
+    setExclude,
+    getIdrefs,
+    setIdrefs,
+    getMapping,
+    getReverse,
+    getName,
+    cloneTemplate,
+    getFieldName,
+    getAttributeName,
+    getFields,
+    getFieldValue,
+    setFieldValue,
+    isExcluded,
+    isReference,
+    encode,
+    encodeObject,
+    encodeValue,
+    writeAttribute,
+    writePrimitiveAttribute,
+    writeComplexAttribute,
+    convertAttributeToXml,
+    isBooleanAttribute,
+    convertAttributeFromXml,
+    isNumericAttribute,
+    beforeEncode,
+    afterEncode,
+    decode,
+    decodeNode,
+    decodeAttributes,
+    isIgnoredAttribute,
+    decodeAttribute,
+    decodeChildren,
+    decodeChild,
+    getFieldTemplate,
+    addObjectValue,
+    beforeDecode,
+    afterDecode
+  };
+
+  // Creates the reverse mapping
+  for (const key in getMapping()) {
+    getReverse()[getMapping()[key]] = key;
+  }
+
+  return me;
+};
+
+export default makeComponent(ObjectCodec);
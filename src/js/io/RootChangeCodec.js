@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, isSet, makeComponent } from '../Helpers';
+import RootChange from '../model/change/RootChange';
+import { NODETYPE_ELEMENT } from '../util/Constants';
+import ObjectCodec from './ObjectCodec';
+
+/**
+ * Class: RootChangeCodec
+ *
+ * Codec for <RootChange>s. This class is created and registered
+ * dynamically at load time and used implicitly via <Codec> and
+ * the <CodecRegistry>.
+ *
+ * Transient Fields:
+ *
+ * - model
+ * - previous
+ * - root
+ */
+const RootChangeCodec = () => {
+  /**
+   * Function: afterEncode
+   *
+   * Encodes the child recursively.
+   */
+  const afterEncode = (enc, obj, node) => {
+    enc.encodeCell(obj.getRoot(), node);
+
+    return node;
+  };
+
+  /**
+   * Function: beforeDecode
+   *
+   * Decodes the optional children as cells
+   * using the respective decoder.
+   */
+  const beforeDecode = (dec, node, obj) => {
+    if (
+      isSet(node.firstChild) &&
+      node.firstChild.nodeType === NODETYPE_ELEMENT
+    ) {
+      // Makes sure the original node isn't modified
+      node = node.cloneNode(true);
+
+      let tmp = node.firstChild;
+      obj.setRoot(dec.decodeCell(tmp, false));
+
+      let tmp2 = tmp.nextSibling;
+      tmp.parentNode.removeChild(tmp);
+      tmp = tmp2;
+
+      while (isSet(tmp)) {
+        tmp2 = tmp.nextSibling;
+        dec.decodeCell(tmp);
+        tmp.parentNode.removeChild(tmp);
+        tmp = tmp2;
+      }
+    }
+
+    return node;
+  };
+
+  /**
+   * Function: afterDecode
+   *
+   * Restores the state by assigning the previous value.
+   */
+  const afterDecode = (dec, node, obj) => {
+    obj.setPrevious(obj.getRoot());
+
+    return obj;
+  };
+
+  const me = {
+    afterEncode,
+    beforeDecode,
+    afterDecode
+  };
+
+  const _codec = ObjectCodec(RootChange(), ['model', 'previous', 'root']);
+  extendFrom(_codec)(me);
+
+  return me;
+};
+
+export default makeComponent(RootChangeCodec);
@@ -0,0 +1,315 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import ChildChange from '../model/change/ChildChange';
+import { NODETYPE_ELEMENT } from '../util/Constants';
+import Event from '../util/Event';
+import EventObject from '../util/EventObject';
+import EventSource from '../util/EventSource';
+import { parseXml } from '../util/Utils';
+import Codec from './Codec';
+
+/**
+ * Class: StreamingLoader
+ *
+ * Loads the cells of a model document into the model of a graph in
+ * time-sliced chunks, so that the page remains responsive while large
+ * diagrams are opened. Each chunk is decoded and inserted within at most
+ * <timeSlice> milliseconds and the view is updated after each chunk. All
+ * chunks are combined into a single undoable edit that is fired as an
+ * <Event.UNDO> event on the model once the loading has finished.
+ *
+ * The model is kept in a single transaction while loading, so changes that
+ * are made to the model between two chunks are added to the edit of the
+ * load in the order they were executed. They are shown after the next chunk
+ * and are undone together with the load, also if the load is cancelled.
+ *
+ * Cells whose ID already exists in the model, such as the root and the
+ * default layer, are not inserted. Their children are added to the existing
+ * cells instead.
+ *
+ * Example:
+ *
+ * (code)
+ * const loader = StreamingLoader(graph);
+ * loader.addListener(Event.PROGRESS, (sender, evt) =>
+ *   console.log(evt.getProperty('loaded') / evt.getProperty('total')));
+ * loader.load(xml).then((edit) => console.log('done', edit));
+ * (end)
+ *
+ * Event: Event.PROGRESS
+ *
+ * Fires after each chunk. The <code>loaded</code> and <code>total</code>
+ * properties contain the number of processed and total cell nodes.
+ *
+ * Event: Event.DONE
+ *
+ * Fires after all cells have been inserted. The <code>edit</code> property
+ * contains the <UndoableEdit> of the load.
+ *
+ * Event: Event.CANCEL
+ *
+ * Fires after the loading has been cancelled and the inserted cells have
+ * been removed.
+ *
+ * Constructor: StreamingLoader
+ *
+ * Constructs a loader for the given graph.
+ *
+ * Parameters:
+ *
+ * graph - <Graph> whose model the cells are inserted into.
+ */
+const StreamingLoader = (graph) => {
+  /**
+   * Variable: graph
+   *
+   * Reference to the enclosing <Graph>.
+   */
+  const [getGraph, setGraph] = addProp(graph);
+
+  /**
+   * Variable: timeSlice
+   *
+   * Specifies the maximum time in milliseconds for processing a chunk.
+   * Default is 16.
+   */
+  const [getTimeSlice, setTimeSlice] = addProp(16);
+
+  /**
+   * Variable: loading
+   *
+   * Specifies if the loader is currently loading. Default is false.
+   */
+  const [isLoading, setLoading] = addProp(false);
+
+  /**
+   * Variable: cancelled
+   *
+   * Specifies if the current or last load was cancelled. Default is false.
+   */
+  const [isCancelled, setCancelled] = addProp(false);
+
+  /**
+   * Function: schedule
+   *
+   * Invokes the given function after the browser had a chance to process
+   * pending events. This implementation uses setTimeout.
+   */
+  const schedule = (fn) => setTimeout(fn, 0);
+
+  /**
+   * Function: getCellNodes
+   *
+   * Returns the cell nodes in the given XML string, document or node. The
+   * node may either be a model node or its root node.
+   */
+  const getCellNodes = (xml) => {
+    let node = typeof xml === 'string' ? parseXml(xml) : xml;
+
+    if (isSet(node.documentElement)) node = node.documentElement;
+
+    if (node.nodeName !== 'root') {
+      let child = node.firstChild;
+
+      while (isSet(child) && child.nodeName !== 'root') {
+        child = child.nextSibling;
+      }
+
+      node = child;
+    }
+
+    if (isUnset(node)) throw new Error('Invalid model');
+
+    return [...node.childNodes].filter(
+      (child) => child.nodeType === NODETYPE_ELEMENT
+    );
+  };
+
+  /**
+   * Function: insertCell
+   *
+   * Decodes the given cell node, executes the change to insert the cell
+   * into the model and returns the change or undefined if no change is
+   * required.
+   */
+  const insertCell = (dec, node) => {
+    const model = getGraph().getModel();
+    const id = node.getAttribute('id');
+
+    if (isSet(id) && isSet(model.getCell(id))) {
+      dec.putObject(id, model.getCell(id));
+
+      return;
+    } else if (!node.hasAttribute('parent') && isSet(model.getRoot())) {
+      // Merges the children of the root into the existing root
+      if (isSet(id)) dec.putObject(id, model.getRoot());
+
+      return;
+    }
+
+    const cell = dec.decodeCell(node, false);
+    const parent = cell.getParent();
+
+    if (isUnset(parent)) return;
+
+    // Clears the parent so that the model treats the cell as added
+    cell.setParent();
+    const change = ChildChange(model, parent, cell);
+    model.execute(change);
+
+    return change;
+  };
+
+  /**
+   * Function: load
+   *
+   * Loads the cells of the given model into the model of the graph and
+   * returns a promise that resolves to the <UndoableEdit> of the load or
+   * undefined if the load was cancelled. The model must not be in a
+   * transaction when the load starts.
+   *
+   * Parameters:
+   *
+   * xml - XML string, document or node that contains the model.
+   */
+  const load = (xml) => {
+    if (isLoading()) throw new Error('Already loading');
+
+    const model = getGraph().getModel();
+
+    if (model.getUpdateLevel() > 0) throw new Error('Model is updating');
+
+    const nodes = getCellNodes(xml);
+    const dec = Codec(nodes.length > 0 ? nodes[0].ownerDocument : undefined);
+    let index = 0;
+    let notified = 0;
+
+    dec.lookup = (id) => model.getCell(id);
+    setLoading(true);
+    setCancelled(false);
+    model.beginUpdate();
+
+    const edit = model.getCurrentEdit();
+
+    // Closes the transaction without notifying the changes again since the
+    // view has already been updated after each chunk
+    const finish = () => {
+      setLoading(false);
+      model.setCurrentEdit(model.createUndoableEdit());
+      model.endUpdate();
+    };
+
+    return new Promise((resolve, reject) => {
+      const next = () => {
+        if (isCancelled()) {
+          finish();
+
+          if (!edit.isEmpty()) edit.undo();
+
+          fireEvent(EventObject(Event.CANCEL));
+          resolve();
+
+          return;
+        }
+
+        try {
+          const start = Date.now();
+
+          do {
+            insertCell(dec, nodes[index++]);
+          } while (index < nodes.length && Date.now() - start < getTimeSlice());
+
+          // Updates the view for the changes since the last chunk, including
+          // the changes that were made between the chunks
+          const changes = edit.getChanges().slice(notified);
+
+          if (changes.length > 0) {
+            const chunk = model.createUndoableEdit();
+            changes.forEach((change) => chunk.add(change));
+            notified += changes.length;
+            chunk.notify();
+          }
+        } catch (e) {
+          finish();
+
+          if (!edit.isEmpty()) edit.undo();
+
+          reject(e);
+
+          return;
+        }
+
+        fireEvent(
+          EventObject(Event.PROGRESS, 'loaded', index, 'total', nodes.length)
+        );
+
+        if (index < nodes.length || isCancelled()) {
+          me.resolve('schedule')(next);
+        } else {
+          finish();
+
+          if (!edit.isEmpty()) {
+            model.fireEvent(EventObject(Event.UNDO, 'edit', edit));
+          }
+
+          fireEvent(EventObject(Event.DONE, 'edit', edit));
+          resolve(edit);
+        }
+      };
+
+      if (nodes.length > 0) me.resolve('schedule')(next);
+      else {
+        finish();
+        resolve(edit);
+      }
+    });
+  };
+
+  /**
+   * Function: cancel
+   *
+   * Cancels the current load. The cells that have been inserted so far are
+   * removed before the next chunk would be processed.
+   */
+  const cancel = () => {
+    if (isLoading()) setCancelled(true);
+  };
+
+  // Extends EventSource.
+  const { addListener, removeListener, fireEvent } = EventSource();
+
+  const me = {
+    addListener,
+    removeListener,
+    getGraph,
+    setGraph,
+
+    /**
+     * Function: getTimeSlice
+     *
+     * Returns <timeSlice>.
+     */
+    getTimeSlice,
+
+    /**
+     * Function: setTimeSlice
+     *
+     * Sets <timeSlice>.
+     */
+    setTimeSlice,
+    isLoading,
+    isCancelled,
+    schedule,
+    getCellNodes,
+    insertCell,
+    load,
+    cancel
+  };
+
+  return me;
+};
+
+export default makeComponent(StreamingLoader);
@@ -0,0 +1,292 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import {
+  NODETYPE_ELEMENT,
+  STYLE_EDGE,
+  STYLE_LOOP,
+  STYLE_PERIMETER
+} from '../util/Constants';
+import { clone, isNumeric } from '../util/Utils';
+import StyleRegistry from '../view/StyleRegistry';
+import Stylesheet from '../view/Stylesheet';
+import ObjectCodec from './ObjectCodec';
+
+/**
+ * Class: StylesheetCodec
+ *
+ * Codec for <Stylesheet>s. This class is created and registered
+ * dynamically at load time and used implicitly via <Codec>
+ * and the <CodecRegistry>.
+ *
+ * A stylesheet is written as follows:
+ *
+ * (code)
+ * <mxStylesheet>
+ *   <add as="defaultVertex">
+ *     <add as="shape" value="rectangle"/>
+ *     <add as="perimeter" value="rectanglePerimeter"/>
+ *   </add>
+ *   <add as="rounded" extend="defaultVertex">
+ *     <add as="rounded" value="1"/>
+ *     <remove as="perimeter"/>
+ *   </add>
+ * </mxStylesheet>
+ * (end)
+ *
+ * The JSON equivalent maps from style names to styles, where extend
+ * names the style to inherit from and null removes an inherited value:
+ *
+ * (code)
+ * {
+ *   "defaultVertex": { "shape": "rectangle", "perimeter": "rectanglePerimeter" },
+ *   "rounded": { "extend": "defaultVertex", "rounded": 1, "perimeter": null }
+ * }
+ * (end)
+ *
+ * Inheritance is resolved while decoding, that is, the extended style must
+ * be defined before the style that extends it, either earlier in the same
+ * document or in the stylesheet that is decoded into. Values of the keys in
+ * <REGISTRY_KEYS> are resolved using <StyleRegistry.getValue> and written
+ * using <StyleRegistry.getName>.
+ */
+const StylesheetCodec = () => {
+  /**
+   * Function: encode
+   *
+   * Encodes a stylesheet. See <decode> for a description of the
+   * format.
+   */
+  const encode = (enc, obj) => {
+    const doc = enc.getDocument();
+    const node = doc.createElement(me.getName());
+    const styles = obj.getStyles();
+
+    for (const name in styles) {
+      const style = styles[name];
+      const styleNode = doc.createElement('add');
+      styleNode.setAttribute('as', name);
+
+      for (const key in style) {
+        const value = getStringValue(key, style[key]);
+
+        if (isSet(value)) {
+          const entry = doc.createElement('add');
+          entry.setAttribute('value', value);
+          entry.setAttribute('as', key);
+          styleNode.appendChild(entry);
+        }
+      }
+
+      if (styleNode.childNodes.length > 0) node.appendChild(styleNode);
+    }
+
+    return node;
+  };
+
+  /**
+   * Function: getStringValue
+   *
+   * Returns the string for encoding the given value. Functions are
+   * replaced with their names in the <StyleRegistry> and other objects
+   * are ignored.
+   */
+  const getStringValue = (key, value) => {
+    if (typeof value === 'function') return StyleRegistry.getName(value);
+    else if (typeof value === 'object') return;
+
+    return value;
+  };
+
+  /**
+   * Function: getStyleValue
+   *
+   * Returns the decoded value for the given key and string. Values of the
+   * keys in <REGISTRY_KEYS> are replaced with the objects registered under
+   * that name in the <StyleRegistry>. Numeric strings are converted to
+   * numbers.
+   */
+  const getStyleValue = (key, value) => {
+    if (StylesheetCodecComponent.REGISTRY_KEYS.indexOf(key) >= 0) {
+      const obj = StyleRegistry.getValue(value);
+
+      if (isSet(obj)) return obj;
+    }
+
+    return isNumeric(value) ? parseFloat(value) : value;
+  };
+
+  /**
+   * Function: getExtendedStyle
+   *
+   * Returns a copy of the style with the given name in the given
+   * stylesheet or a new empty style if no such style exists.
+   */
+  const getExtendedStyle = (obj, extend) => {
+    const style = isSet(extend) ? obj.getStyles()[extend] : undefined;
+
+    if (isUnset(style)) return {};
+
+    return clone(style);
+  };
+
+  /**
+   * Function: decode
+   *
+   * Reads a sequence of the following child nodes
+   * and attributes:
+   *
+   * Child Nodes:
+   *
+   * add - Adds a new style.
+   *
+   * Attributes:
+   *
+   * as - Name of the style.
+   * extend - Name of the style to inherit from.
+   *
+   * Each node contains another sequence of add and remove nodes with the
+   * following attributes:
+   *
+   * as - Name of the style (see <Constants>).
+   * value - Value for the style.
+   *
+   * Remove nodes remove the inherited value with the given name.
+   */
+  const decode = (dec, node, into) => {
+    const obj = into || me.cloneTemplate();
+    const id = node.getAttribute('id');
+
+    if (isSet(id)) dec.putObject(id, obj);
+
+    let child = node.firstChild;
+
+    while (isSet(child)) {
+      const name =
+        child.nodeName === 'add' ? child.getAttribute('as') : undefined;
+
+      if (isSet(name)) {
+        const style = getExtendedStyle(obj, child.getAttribute('extend'));
+        let entry = child.firstChild;
+
+        while (isSet(entry)) {
+          if (entry.nodeType === NODETYPE_ELEMENT) {
+            const key = entry.getAttribute('as');
+
+            if (entry.nodeName === 'add') {
+              const value = entry.getAttribute('value');
+
+              if (isSet(value)) style[key] = getStyleValue(key, value);
+            } else if (entry.nodeName === 'remove') {
+              delete style[key];
+            }
+          }
+
+          entry = entry.nextSibling;
+        }
+
+        obj.putCellStyle(name, style);
+      }
+
+      child = child.nextSibling;
+    }
+
+    return obj;
+  };
+
+  /**
+   * Function: encodeJson
+   *
+   * Returns a plain object that maps from the names of the styles in the
+   * given <Stylesheet> to their key, value pairs.
+   */
+  const encodeJson = (obj) => {
+    const result = {};
+    const styles = obj.getStyles();
+
+    for (const name in styles) {
+      const style = {};
+
+      for (const key in styles[name]) {
+        const value = getStringValue(key, styles[name][key]);
+
+        if (isSet(value)) style[key] = value;
+      }
+
+      result[name] = style;
+    }
+
+    return result;
+  };
+
+  /**
+   * Function: decodeJson
+   *
+   * Adds the styles in the given JSON to the given <Stylesheet> and
+   * returns the stylesheet.
+   *
+   * Parameters:
+   *
+   * json - JSON string or plain object as returned by <encodeJson>.
+   * into - Optional <Stylesheet> to add the styles to. Default is a new
+   * stylesheet.
+   */
+  const decodeJson = (json, into) => {
+    const obj = into || me.cloneTemplate();
+    const styles = typeof json === 'string' ? JSON.parse(json) : json;
+
+    for (const name in styles) {
+      const style = getExtendedStyle(obj, styles[name].extend);
+
+      for (const key in styles[name]) {
+        const value = styles[name][key];
+
+        if (key === 'extend') continue;
+        else if (value === null) delete style[key];
+        else if (typeof value === 'string') {
+          style[key] = getStyleValue(key, value);
+        } else style[key] = value;
+      }
+
+      obj.putCellStyle(name, style);
+    }
+
+    return obj;
+  };
+
+  const me = {
+    encode,
+    getStringValue,
+    getStyleValue,
+    getExtendedStyle,
+    decode,
+    encodeJson,
+    decodeJson
+  };
+
+  const _codec = ObjectCodec(Stylesheet());
+  extendFrom(_codec)(me);
+
+  return me;
+};
+
+const StylesheetCodecComponent = makeComponent(StylesheetCodec);
+
+/**
+ * Variable: REGISTRY_KEYS
+ *
+ * Style keys whose values are looked up in the <StyleRegistry>. Default is
+ * <Constants.STYLE_PERIMETER>, <Constants.STYLE_EDGE> and
+ * <Constants.STYLE_LOOP>.
+ */
+StylesheetCodecComponent.REGISTRY_KEYS = [
+  STYLE_PERIMETER,
+  STYLE_EDGE,
+  STYLE_LOOP
+];
+
+export default StylesheetCodecComponent;
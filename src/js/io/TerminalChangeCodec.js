@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, makeComponent } from '../Helpers';
+import TerminalChange from '../model/change/TerminalChange';
+import ObjectCodec from './ObjectCodec';
+
+/**
+ * Class: TerminalChangeCodec
+ *
+ * Codec for <TerminalChange>s. This class is created and registered
+ * dynamically at load time and used implicitly via <Codec> and
+ * the <CodecRegistry>.
+ *
+ * Transient Fields:
+ *
+ * - model
+ * - previous
+ *
+ * Reference Fields:
+ *
+ * - cell
+ * - terminal
+ */
+const TerminalChangeCodec = () => {
+  /**
+   * Function: afterDecode
+   *
+   * Restores the state by assigning the previous value.
+   */
+  const afterDecode = (dec, node, obj) => {
+    obj.setPrevious(obj.getTerminal());
+
+    return obj;
+  };
+
+  const me = {
+    afterDecode
+  };
+
+  const _codec = ObjectCodec(
+    TerminalChange(undefined, undefined, undefined, false),
+    ['model', 'previous'],
+    ['cell', 'terminal']
+  );
+  extendFrom(_codec)(me);
+
+  return me;
+};
+
+export default makeComponent(TerminalChangeCodec);
@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { isUnset } from '../Helpers';
+import { DIALECT_SVG, NS_SVG } from '../util/Constants';
+import TemporaryCellStates from '../view/TemporaryCellStates';
+import Codec from './Codec';
+
+/**
+ * Class: ViewXml
+ *
+ * Function to encode the view of a graph with all its cell states as XML.
+ * This is kept out of <Utils> since it depends on the codecs.
+ */
+
+/**
+ * Function: getViewXml
+ *
+ * Returns the XML node that represents the states of the given cells in the
+ * view of the given graph. The states are created for the given scale and
+ * translation and are removed afterwards.
+ *
+ * Parameters:
+ *
+ * graph - <Graph> whose view should be encoded.
+ * scale - Optional scale of the states. Default is 1.
+ * cells - Optional array of <Cells> to be encoded. Default is the root of
+ * the model.
+ * x0 - Optional x-coordinate of the translation. Default is 0.
+ * y0 - Optional y-coordinate of the translation. Default is 0.
+ */
+export const getViewXml = (graph, scale = 1, cells, x0 = 0, y0 = 0) => {
+  if (isUnset(cells)) {
+    const model = graph.getModel();
+    cells = [model.getRoot()];
+  }
+
+  const view = graph.getView();
+  let result;
+
+  // Disables events on the view
+  const eventsEnabled = view.isEventsEnabled();
+  view.setEventsEnabled(false);
+
+  // Workaround for label bounds not taken into account for image export.
+  // Creates a temporary draw pane which is used for rendering the text.
+  // Text rendering is required for finding the bounds of the labels.
+  const drawPane = view.getDrawPane();
+  const overlayPane = view.getOverlayPane();
+
+  if (graph.getDialect() === DIALECT_SVG) {
+    view.setDrawPane(document.createElementNS(NS_SVG, 'g'));
+    view.getCanvas().appendChild(view.getDrawPane());
+
+    // Redirects cell overlays into temporary container
+    view.setOverlayPane(document.createElementNS(NS_SVG, 'g'));
+    view.getCanvas().appendChild(view.getOverlayPane());
+  } else {
+    view.setDrawPane(view.getDrawPane().cloneNode(false));
+    view.getCanvas().appendChild(view.getDrawPane());
+
+    // Redirects cell overlays into temporary container
+    view.setOverlayPane(view.getOverlayPane().cloneNode(false));
+    view.getCanvas().appendChild(view.getOverlayPane());
+  }
+
+  // Resets the translation
+  const translate = view.getTranslate().clone();
+  view.setTranslate(x0, y0);
+
+  // Creates the temporary cell states in the view
+  const temp = TemporaryCellStates(graph.getView(), scale, cells);
+
+  try {
+    const enc = Codec();
+    result = enc.encode(graph.getView());
+  } finally {
+    temp.destroy();
+    view.setTranslate(translate.getX(), translate.getY());
+    view.getCanvas().removeChild(view.getDrawPane());
+    view.getCanvas().removeChild(view.getOverlayPane());
+    view.setDrawPane(drawPane);
+    view.setOverlayPane(overlayPane);
+    view.setEventsEnabled(eventsEnabled);
+  }
+
+  return result;
+};
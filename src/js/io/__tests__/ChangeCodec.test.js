@@ -0,0 +1,148 @@
+import Cell from '../../model/Cell';
+import CellAttributeChange from '../../model/change/CellAttributeChange';
+import Geometry from '../../model/Geometry';
+import GraphModel from '../../model/GraphModel';
+import Event from '../../util/Event';
+import { createXmlDocument, getXml, parseXml } from '../../util/Utils';
+import Codec from '../Codec';
+
+const createModel = () => {
+  const model = GraphModel();
+  const parent = model.getChildAt(model.getRoot(), 0);
+  const value = createXmlDocument().createElement('UserObject');
+  value.setAttribute('label', 'Hello');
+
+  const v1 = Cell(value, Geometry(20, 20, 80, 30));
+  v1.setId('v1');
+  v1.setVertex(true);
+  model.add(parent, v1);
+
+  const v2 = Cell('World', Geometry(200, 150, 80, 30));
+  v2.setId('v2');
+  v2.setVertex(true);
+  model.add(parent, v2);
+
+  return model;
+};
+
+const copyModel = (model) => {
+  const doc = parseXml(getXml(Codec().encode(model)));
+  const result = GraphModel();
+  Codec(doc).decode(doc.documentElement, result);
+
+  return result;
+};
+
+// Encodes the changes of the edits in source and applies them to target
+const sync = (source, target, edit) => {
+  const changes = [];
+  const listener = (sender, evt) =>
+    changes.push(...evt.getProperty('edit').getChanges());
+
+  source.addListener(Event.CHANGE, listener);
+  edit(source);
+  source.removeListener(listener);
+
+  const xml = getXml(Codec().encode(changes));
+  const doc = parseXml(xml);
+  const dec = Codec(doc);
+  dec.lookup = (id) => target.getCell(id);
+
+  target.beginUpdate();
+
+  try {
+    for (const change of dec.decode(doc.documentElement)) {
+      if (change.setModel) change.setModel(target);
+
+      target.execute(change);
+    }
+  } finally {
+    target.endUpdate();
+  }
+
+  return xml;
+};
+
+test('sync cell property changes', () => {
+  const a = createModel();
+  const b = copyModel(a);
+
+  const xml = sync(a, b, (model) => {
+    model.beginUpdate();
+
+    try {
+      const v1 = model.getCell('v1');
+      const v2 = model.getCell('v2');
+      model.setValue(v2, 'Changed');
+      model.setStyle(v2, 'fillColor=red');
+      model.setGeometry(v2, Geometry(10, 20, 30, 40));
+      model.setCollapsed(v2, true);
+      model.setVisible(v2, false);
+      model.execute(CellAttributeChange(v1, 'label', 'Hi'));
+    } finally {
+      model.endUpdate();
+    }
+  });
+
+  expect(xml).toContain('<mxValueChange');
+  expect(xml).toContain('cell="v2"');
+
+  const v1 = b.getCell('v1');
+  const v2 = b.getCell('v2');
+
+  expect(v1.getAttribute('label')).toStrictEqual('Hi');
+  expect(v2.getValue()).toStrictEqual('Changed');
+  expect(v2.getStyle()).toStrictEqual('fillColor=red');
+  expect(v2.getGeometry().getWidth()).toStrictEqual(30);
+  expect(v2.isCollapsed()).toStrictEqual(true);
+  expect(v2.isVisible()).toStrictEqual(false);
+});
+
+test('sync structural changes', () => {
+  const a = createModel();
+  const b = copyModel(a);
+
+  sync(a, b, (model) => {
+    model.beginUpdate();
+
+    try {
+      const parent = model.getChildAt(model.getRoot(), 0);
+      const e1 = Cell('', Geometry());
+      e1.setId('e1');
+      e1.setEdge(true);
+      e1.getGeometry().setRelative(true);
+      model.add(parent, e1);
+      model.setTerminal(e1, model.getCell('v1'), true);
+      model.setTerminal(e1, model.getCell('v2'), false);
+    } finally {
+      model.endUpdate();
+    }
+  });
+
+  const e1 = b.getCell('e1');
+
+  expect(b.getParent(e1)).toBe(b.getChildAt(b.getRoot(), 0));
+  expect(b.getTerminal(e1, true)).toBe(b.getCell('v1'));
+  expect(b.getTerminal(e1, false)).toBe(b.getCell('v2'));
+  expect(b.getCell('v1').getEdgeCount()).toStrictEqual(1);
+
+  sync(a, b, (model) => model.remove(model.getCell('v2')));
+
+  expect(b.getCell('v2')).toBeUndefined();
+  expect(b.getChildCount(b.getChildAt(b.getRoot(), 0))).toStrictEqual(2);
+});
+
+test('sync root changes', () => {
+  const a = createModel();
+  const b = GraphModel();
+
+  sync(a, b, (model) => {
+    const root = Cell();
+    root.insert(Cell());
+    model.setRoot(root);
+  });
+
+  expect(b.getChildCount(b.getRoot())).toStrictEqual(1);
+  expect(b.getCell('v1')).toBeUndefined();
+  expect(b.getRoot().getId()).toStrictEqual(a.getRoot().getId());
+});
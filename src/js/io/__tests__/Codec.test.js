@@ -0,0 +1,108 @@
+import Cell from '../../model/Cell';
+import Geometry from '../../model/Geometry';
+import GraphModel from '../../model/GraphModel';
+import Point from '../../util/Point';
+import { createXmlDocument, getXml, parseXml } from '../../util/Utils';
+import Codec from '../Codec';
+
+const createModel = () => {
+  const model = GraphModel();
+  const parent = model.getChildAt(model.getRoot(), 0);
+
+  model.beginUpdate();
+
+  try {
+    const v1 = Cell('Hello', Geometry(20, 20, 80, 30), 'rounded=1');
+    v1.setId('v1');
+    v1.setVertex(true);
+    model.add(parent, v1);
+
+    const v2 = Cell('World', Geometry(200, 150, 80, 30));
+    v2.setId('v2');
+    v2.setVertex(true);
+    model.add(parent, v2);
+
+    const geo = Geometry();
+    geo.setRelative(true);
+    geo.setPoints([Point(10, 20), Point(30, 40)]);
+
+    const e1 = Cell('', geo, 'dashed=1');
+    e1.setId('e1');
+    e1.setEdge(true);
+    model.add(parent, e1);
+    model.setTerminal(e1, v1, true);
+    model.setTerminal(e1, v2, false);
+  } finally {
+    model.endUpdate();
+  }
+
+  return model;
+};
+
+const roundtrip = (model) => {
+  const xml = getXml(Codec().encode(model));
+  const doc = parseXml(xml);
+  const result = GraphModel();
+  Codec(doc).decode(doc.documentElement, result);
+
+  return result;
+};
+
+test('encode a graph model', () => {
+  const node = Codec().encode(createModel());
+
+  expect(node.nodeName).toStrictEqual('mxGraphModel');
+  expect(node.firstChild.nodeName).toStrictEqual('root');
+  expect(node.getElementsByTagName('mxCell').length).toStrictEqual(5);
+});
+
+test('decode an encoded graph model', () => {
+  const model = roundtrip(createModel());
+  const v1 = model.getCell('v1');
+  const v2 = model.getCell('v2');
+  const e1 = model.getCell('e1');
+
+  expect(v1.getValue()).toStrictEqual('Hello');
+  expect(v1.getStyle()).toStrictEqual('rounded=1');
+  expect(v1.isVertex()).toStrictEqual(true);
+  expect(v1.getGeometry().getX()).toStrictEqual(20);
+  expect(v1.getGeometry().getWidth()).toStrictEqual(80);
+  expect(model.getParent(v1)).toBe(model.getChildAt(model.getRoot(), 0));
+
+  expect(e1.isEdge()).toStrictEqual(true);
+  expect(model.getTerminal(e1, true)).toBe(v1);
+  expect(model.getTerminal(e1, false)).toBe(v2);
+  expect(v1.getEdgeCount()).toStrictEqual(1);
+  expect(e1.getGeometry().isRelative()).toStrictEqual(true);
+
+  const points = e1.getGeometry().getPoints();
+
+  expect(points.length).toStrictEqual(2);
+  expect(points[1].getX()).toStrictEqual(30);
+  expect(points[1].getY()).toStrictEqual(40);
+});
+
+test('encode and decode XML user objects', () => {
+  const model = GraphModel();
+  const value = createXmlDocument().createElement('UserObject');
+  value.setAttribute('label', 'Hello');
+  value.setAttribute('link', 'https://www.example.com');
+
+  const cell = Cell(value, Geometry(0, 0, 40, 40));
+  cell.setId('u1');
+  cell.setVertex(true);
+  model.add(model.getChildAt(model.getRoot(), 0), cell);
+
+  const node = Codec().encode(model);
+  const obj = node.getElementsByTagName('UserObject')[0];
+
+  expect(obj.getAttribute('id')).toStrictEqual('u1');
+  expect(obj.firstChild.nodeName).toStrictEqual('mxCell');
+
+  const result = roundtrip(model).getCell('u1');
+
+  expect(result.getValue().nodeName).toStrictEqual('UserObject');
+  expect(result.getAttribute('label')).toStrictEqual('Hello');
+  expect(result.getAttribute('link')).toStrictEqual('https://www.example.com');
+  expect(result.getGeometry().getWidth()).toStrictEqual(40);
+});
@@ -0,0 +1,86 @@
+import Cell from '../../model/Cell';
+import Geometry from '../../model/Geometry';
+import GraphModel from '../../model/GraphModel';
+import {
+  compress,
+  createFile,
+  createUriData,
+  decompress,
+  parseFile,
+  parseUriData
+} from '../DiagramFile';
+
+// A page as draw.io writes it: the XML of the model below, URI-encoded,
+// compressed with raw DEFLATE (no zlib header) and base64-encoded. Created
+// with Node's zlib.deflateRawSync, not with pako, so that the decoder is
+// tested against an independent encoder.
+const compressed =
+  'jZDNCsIwEISfZu5xA+LZaOvFs+dAlqaQmhKjpm8vNKulh4K3zDeZ/YM2Q2mTHf01Og7QZ2iTYsz1NRTDIYBU76BPIFIgAjUb7m521WgT3/M/AaqBlw1PruTCIUSQAakbjMZxn4KTX5wyl81OM5I2LceBc5pASgIyiJrW8t277Cs6CPLcd15qamH2UXX3q7ssBWpkr69c7jd7q/N+AA==';
+
+const createModel = (value) => {
+  const model = GraphModel();
+  const cell = Cell(value, Geometry(20, 20, 80, 30));
+  cell.setId('2');
+  cell.setVertex(true);
+  model.add(model.getChildAt(model.getRoot(), 0), cell);
+
+  return model;
+};
+
+test('compress and decompress strings', () => {
+  const data = '<a b="Hello, Wörld"/>';
+
+  expect(decompress(compress(data))).toStrictEqual(data);
+  expect(decompress(compress(data, true), true)).toStrictEqual(data);
+  expect(compress('')).toStrictEqual('');
+});
+
+test('parse compressed draw.io files', () => {
+  const pages = parseFile(
+    `<mxfile host="app.diagrams.net"><diagram id="abc" name="Page-1">${compressed}</diagram></mxfile>`
+  );
+
+  expect(pages.length).toStrictEqual(1);
+  expect(pages[0].id).toStrictEqual('abc');
+  expect(pages[0].name).toStrictEqual('Page-1');
+  expect(pages[0].model.getCell('2').getValue()).toStrictEqual('Hello, Wörld');
+  expect(pages[0].model.getCell('2').getGeometry().getWidth()).toStrictEqual(
+    80
+  );
+});
+
+test('round-trip compressed and uncompressed files', () => {
+  const pages = [
+    { model: createModel('A'), name: 'First', id: 'p1' },
+    { model: createModel('B') }
+  ];
+
+  for (const isCompressed of [true, false]) {
+    const xml = createFile(pages, isCompressed);
+
+    expect(xml.indexOf('<mxGraphModel') < 0).toStrictEqual(isCompressed);
+
+    const result = parseFile(xml);
+
+    expect(result.map((p) => p.name)).toStrictEqual(['First', 'Page-2']);
+    expect(result[0].id).toStrictEqual('p1');
+    expect(result[1].model.getCell('2').getValue()).toStrictEqual('B');
+  }
+
+  const single = parseFile(createFile(createModel('C')));
+
+  expect(single[0].model.getCell('2').getValue()).toStrictEqual('C');
+});
+
+test('round-trip URI data', () => {
+  const model = createModel('Hello & goodbye');
+
+  for (const isCompressed of [true, false]) {
+    const data = createUriData(model, isCompressed);
+
+    expect(encodeURIComponent(decodeURIComponent(data))).toStrictEqual(data);
+    expect(parseUriData(data).getCell('2').getValue()).toStrictEqual(
+      'Hello & goodbye'
+    );
+  }
+});
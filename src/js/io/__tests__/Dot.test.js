@@ -0,0 +1,123 @@
+import Graph from '../../view/Graph';
+import { createDot, parseDot } from '../Dot';
+
+const dot = `
+// Build dependencies
+digraph deps {
+  node [shape=box, color="#333333"];
+  edge [color=gray];
+
+  app -> { core util } [style=dashed];
+  core -> util [label="uses", arrowhead=odiamond];
+
+  subgraph cluster_lib {
+    label = "Library";
+    lib1 [label="Lib \\"One\\"", shape=ellipse, style=filled, fillcolor=yellow];
+    lib1 -> lib2;
+  }
+
+  util -> lib1 [dir=none];
+  core [shape=diamond, width=1.5];
+}`;
+
+test('import DOT', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const cells = parseDot(graph, dot);
+
+  expect(cells.filter((c) => c.isVertex()).length).toStrictEqual(6);
+  expect(cells.filter((c) => c.isEdge()).length).toStrictEqual(5);
+
+  const app = model.getCell('app');
+  const core = model.getCell('core');
+  const lib1 = model.getCell('lib1');
+  const group = model.getParent(lib1);
+
+  expect(app.getValue()).toStrictEqual('app');
+  expect(app.getStyle()).toStrictEqual('strokeColor=#333333');
+  expect(core.getStyle()).toStrictEqual('strokeColor=#333333;shape=rhombus');
+  expect(core.getGeometry().getWidth()).toStrictEqual(108);
+  expect(lib1.getValue()).toStrictEqual('Lib "One"');
+  expect(lib1.getStyle()).toStrictEqual(
+    'strokeColor=#333333;fillColor=yellow;shape=ellipse'
+  );
+  expect(group.getValue()).toStrictEqual('Library');
+  expect(model.getParent(group)).toBe(graph.getDefaultParent());
+  expect(model.getParent(model.getCell('lib2'))).toBe(group);
+  expect(model.getChildEdges(group).length).toStrictEqual(1);
+
+  const edges = model.getOutgoingEdges(app);
+
+  expect(edges.length).toStrictEqual(2);
+  expect(edges[0].getStyle()).toStrictEqual('strokeColor=gray;dashed=1');
+
+  const uses = model.getEdgesBetween(core, model.getCell('util'))[0];
+
+  expect(uses.getValue()).toStrictEqual('uses');
+  expect(uses.getStyle()).toStrictEqual(
+    'strokeColor=gray;endArrow=diamond;endFill=0'
+  );
+  expect(model.getEdges(lib1).length).toStrictEqual(2);
+});
+
+test('round-trip DOT', () => {
+  const graph = Graph();
+  parseDot(graph, dot);
+
+  const text = createDot(graph.getModel());
+
+  expect(text).toContain('"core" [color="#333333", shape="diamond"');
+  expect(text).toContain('"util" -> "lib1" [color="gray", dir="none"]');
+
+  const result = Graph();
+  const cells = parseDot(result, text);
+  const model = result.getModel();
+
+  expect(cells.length).toStrictEqual(11);
+  expect(model.getCell('core').getStyle()).toStrictEqual(
+    graph.getModel().getCell('core').getStyle()
+  );
+  expect(model.getCell('lib1').getValue()).toStrictEqual('Lib "One"');
+});
+
+test('reject invalid DOT', () => {
+  expect(() => parseDot(Graph(), 'digraph { a -> }')).toThrow();
+  expect(() => parseDot(Graph(), 'tree { }')).toThrow();
+});
+
+test('lay out the imported nodes', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  parseDot(graph, 'digraph { rankdir=LR; a -> b -> c; }');
+
+  const x = ['a', 'b', 'c'].map((id) => model.getCell(id).getGeometry().getX());
+  const y = ['a', 'b', 'c'].map((id) => model.getCell(id).getGeometry().getY());
+
+  expect(x[0]).toBeLessThan(x[1]);
+  expect(x[1]).toBeLessThan(x[2]);
+  expect(new Set(y).size).toStrictEqual(1);
+
+  const layout = { execute: jest.fn() };
+  parseDot(Graph(), 'graph { a -- b }', undefined, layout);
+
+  expect(layout.execute).toHaveBeenCalledTimes(1);
+});
+
+test('add nodes to the first cluster that references them', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  parseDot(
+    graph,
+    `digraph {
+      a -> b;
+      subgraph cluster_x { label=X; b; }
+      subgraph cluster_y { label=Y; b; c; }
+    }`
+  );
+
+  const b = model.getCell('b');
+
+  expect(model.getParent(b).getValue()).toStrictEqual('X');
+  expect(model.getParent(model.getCell('a'))).toBe(graph.getDefaultParent());
+  expect(model.getParent(model.getCell('c')).getValue()).toStrictEqual('Y');
+});
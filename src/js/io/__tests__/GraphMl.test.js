@@ -0,0 +1,88 @@
+import Point from '../../util/Point';
+import Graph from '../../view/Graph';
+import { createGraphMl, parseGraphMl } from '../GraphMl';
+
+const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="d0" for="node" attr.name="color" attr.type="string">
+    <default>yellow</default>
+  </key>
+  <key id="d1" for="edge" attr.name="weight" attr.type="double"/>
+  <key id="d2" for="node" attr.name="label" attr.type="string"/>
+  <graph id="G" edgedefault="undirected">
+    <node id="n0"><data key="d0">green</data><data key="d2">Start</data></node>
+    <node id="n1">
+      <graph id="n1:" edgedefault="directed">
+        <node id="n1::n0"/>
+        <node id="n1::n1"/>
+        <edge source="n1::n0" target="n1::n1"/>
+      </graph>
+    </node>
+    <edge id="e0" source="n0" target="n1::n0"><data key="d1">1.5</data></edge>
+  </graph>
+</graphml>`;
+
+test('import GraphML', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const cells = parseGraphMl(graph, xml);
+
+  expect(cells.length).toStrictEqual(6);
+
+  const n0 = model.getCell('n0');
+  const group = model.getCell('n1');
+  const child = model.getCell('n1::n0');
+  const e0 = model.getCell('e0');
+
+  expect(n0.getAttribute('color')).toStrictEqual('green');
+  expect(n0.getAttribute('label')).toStrictEqual('Start');
+  expect(group.getAttribute('color')).toStrictEqual('yellow');
+  expect(model.getParent(child)).toBe(group);
+  expect(model.getTerminal(e0, true)).toBe(n0);
+  expect(model.getTerminal(e0, false)).toBe(child);
+  expect(e0.getAttribute('weight')).toStrictEqual('1.5');
+  expect(e0.getStyle()).toStrictEqual('endArrow=none');
+
+  const inner = model.getChildEdges(group)[0];
+
+  expect(inner.getStyle()).toBeUndefined();
+  expect(model.getTerminal(inner, false)).toBe(model.getCell('n1::n1'));
+});
+
+test('round-trip GraphML', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const model = graph.getModel();
+
+  model.beginUpdate();
+
+  try {
+    const v1 = graph.insertVertex(parent, 'v1', 'Hello', 20, 20, 80, 30);
+    const group = graph.insertVertex(parent, 'g', '', 200, 100, 200, 200);
+    const v2 = graph.insertVertex(group, 'v2', 'World', 10, 20, 80, 30);
+    const e1 = graph.insertEdge(parent, 'e1', 'link', v1, v2, 'endArrow=none');
+    e1.getGeometry().setPoints([Point(150, 40)]);
+  } finally {
+    model.endUpdate();
+  }
+
+  const result = Graph();
+  parseGraphMl(result, createGraphMl(model));
+
+  const m = result.getModel();
+  const v2 = m.getCell('v2');
+  const e1 = m.getCell('e1');
+
+  expect(m.getCell('v1').getValue()).toStrictEqual('Hello');
+  expect(v2.getValue()).toStrictEqual('World');
+  expect(m.getParent(v2)).toBe(m.getCell('g'));
+  expect(v2.getGeometry().getX()).toStrictEqual(10);
+  expect(v2.getGeometry().getY()).toStrictEqual(20);
+  expect(m.getCell('g').getGeometry().getWidth()).toStrictEqual(200);
+  expect(e1.getValue()).toStrictEqual('link');
+  expect(e1.getStyle()).toStrictEqual('endArrow=none');
+  expect(m.getTerminal(e1, false)).toBe(v2);
+  expect(e1.getGeometry().getPoints()[0].equals(Point(150, 40))).toStrictEqual(
+    true
+  );
+});
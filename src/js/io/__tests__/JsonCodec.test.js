@@ -0,0 +1,144 @@
+import Cell from '../../model/Cell';
+import Geometry from '../../model/Geometry';
+import GraphModel from '../../model/GraphModel';
+import Point from '../../util/Point';
+import Rectangle from '../../util/Rectangle';
+import { createXmlDocument } from '../../util/Utils';
+import JsonCodec from '../JsonCodec';
+
+const createModel = () => {
+  const model = GraphModel();
+  const parent = model.getChildAt(model.getRoot(), 0);
+
+  const v1 = Cell('Hello', Geometry(20, 20, 80, 30), 'rounded=1');
+  v1.setId('v1');
+  v1.setVertex(true);
+  v1.setCollapsed(true);
+  v1.getGeometry().setAlternateBounds(Rectangle(0, 0, 160, 60));
+  model.add(parent, v1);
+
+  const v2 = Cell(42, Geometry(200, 150, 80, 30));
+  v2.setId('v2');
+  v2.setVertex(true);
+  v2.setConnectable(false);
+  v2.setVisible(false);
+  model.add(parent, v2);
+
+  const geo = Geometry();
+  geo.setRelative(true);
+  geo.setPoints([Point(10, 20), Point(30, 40)]);
+  geo.setSourcePoint(Point(1, 2));
+  geo.setTargetPoint(Point(3, 4));
+  geo.setOffset(Point(5, -6));
+
+  const e1 = Cell('', geo, 'dashed=1');
+  e1.setId('e1');
+  e1.setEdge(true);
+  model.add(parent, e1);
+  model.setTerminal(e1, v1, true);
+  model.setTerminal(e1, v2, false);
+
+  return model;
+};
+
+test('encode a graph model', () => {
+  const json = JsonCodec().encode(createModel());
+
+  expect(JsonCodec.VERSION).toStrictEqual(1);
+  expect(json.version).toStrictEqual(JsonCodec.VERSION);
+  expect(json.cells.map((c) => c.id)).toStrictEqual([
+    '0',
+    '1',
+    'v1',
+    'v2',
+    'e1'
+  ]);
+  expect(json.cells[2]).toStrictEqual({
+    id: 'v1',
+    parent: '1',
+    value: 'Hello',
+    style: 'rounded=1',
+    vertex: true,
+    collapsed: true,
+    geometry: {
+      x: 20,
+      y: 20,
+      width: 80,
+      height: 30,
+      alternateBounds: { x: 0, y: 0, width: 160, height: 60 }
+    }
+  });
+});
+
+test('round-trip a graph model', () => {
+  const codec = JsonCodec();
+  const json = JSON.stringify(codec.encode(createModel()));
+  const model = codec.decode(json);
+  const v1 = model.getCell('v1');
+  const v2 = model.getCell('v2');
+  const e1 = model.getCell('e1');
+
+  expect(model.getChildCount(model.getRoot())).toStrictEqual(1);
+  expect(model.getParent(v1)).toBe(model.getChildAt(model.getRoot(), 0));
+  expect(v1.isCollapsed()).toStrictEqual(true);
+  expect(v1.getGeometry().getAlternateBounds().getWidth()).toStrictEqual(160);
+  expect(v2.getValue()).toStrictEqual(42);
+  expect(v2.isConnectable()).toStrictEqual(false);
+  expect(v2.isVisible()).toStrictEqual(false);
+  expect(model.getTerminal(e1, true)).toBe(v1);
+  expect(model.getTerminal(e1, false)).toBe(v2);
+  expect(v1.getEdgeCount()).toStrictEqual(1);
+
+  const geo = e1.getGeometry();
+
+  expect(geo.isRelative()).toStrictEqual(true);
+  expect(geo.getPoints()[1].equals(Point(30, 40))).toStrictEqual(true);
+  expect(geo.getSourcePoint().equals(Point(1, 2))).toStrictEqual(true);
+  expect(geo.getTargetPoint().equals(Point(3, 4))).toStrictEqual(true);
+  expect(geo.getOffset().equals(Point(5, -6))).toStrictEqual(true);
+
+  expect(JSON.parse(json)).toStrictEqual(codec.encode(model));
+});
+
+test('round-trip XML user objects', () => {
+  const model = GraphModel();
+  const value = createXmlDocument().createElement('UserObject');
+  value.setAttribute('label', 'Hello');
+
+  const cell = Cell(value, Geometry(0, 0, 40, 40));
+  cell.setId('u1');
+  cell.setVertex(true);
+  model.add(model.getChildAt(model.getRoot(), 0), cell);
+
+  const codec = JsonCodec();
+  const result = codec.decode(codec.encode(model)).getCell('u1');
+
+  expect(result.getValue().nodeName).toStrictEqual('UserObject');
+  expect(result.getAttribute('label')).toStrictEqual('Hello');
+});
+
+test('reject unsupported documents', () => {
+  const codec = JsonCodec();
+
+  expect(() =>
+    codec.decode({ version: JsonCodec.VERSION + 1, cells: [] })
+  ).toThrow();
+  expect(() => codec.decode({ version: 1 })).toThrow();
+  expect(() =>
+    codec.decode({ version: 1, cells: [{ id: '0' }, { id: '1', parent: 'x' }] })
+  ).toThrow();
+});
+
+test('reject cells without an ID', () => {
+  const codec = JsonCodec();
+  const model = GraphModel();
+  const root = model.getRoot();
+
+  expect(() =>
+    codec.decode({ version: 1, cells: [{ id: '0' }, { parent: '0' }] }, model)
+  ).toThrow('Missing ID');
+  expect(() =>
+    codec.decode({ version: 1, cells: [{ id: '0' }, {}, {}] }, model)
+  ).toThrow('Missing ID');
+  expect(model.getRoot()).toBe(root);
+});
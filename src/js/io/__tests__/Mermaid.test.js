@@ -0,0 +1,159 @@
+import Graph from '../../view/Graph';
+import { parseMermaid } from '../Mermaid';
+
+const flowchart = `
+flowchart LR
+  %% Request handling
+  start((Start)) --> check{"Valid; signed?"}
+  check -->|yes| handle(Handle) & log
+  check -. no .-> reject[Reject]
+  handle ==> done([Done]):::final
+  log[Write log] --- done
+
+  subgraph store [Storage]
+    direction TB
+    db[Database] <--> cache
+  end
+
+  handle --o db
+  classDef final fill:#f96
+`;
+
+test('import Mermaid flowchart', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const cells = parseMermaid(graph, flowchart);
+  const vertices = cells.filter((c) => c.isVertex());
+  const edges = cells.filter((c) => c.isEdge());
+
+  expect(vertices.length).toStrictEqual(9);
+  expect(edges.length).toStrictEqual(8);
+
+  const start = model.getCell('start');
+  const check = model.getCell('check');
+  const handle = model.getCell('handle');
+  const log = model.getCell('log');
+  const db = model.getCell('db');
+  const store = model.getCell('store');
+
+  expect(start.getStyle()).toStrictEqual('shape=ellipse');
+  expect(check.getValue()).toStrictEqual('Valid; signed?');
+  expect(check.getStyle()).toStrictEqual('shape=rhombus');
+  expect(handle.getStyle()).toStrictEqual('shape=rectangle;rounded=1');
+  expect(log.getValue()).toStrictEqual('Write log');
+  expect(log.getStyle()).toStrictEqual('shape=rectangle');
+  expect(model.getCell('done').getValue()).toStrictEqual('[Done]');
+
+  expect(store.getValue()).toStrictEqual('Storage');
+  expect(model.getParent(db)).toBe(store);
+  expect(model.getParent(model.getCell('cache'))).toBe(store);
+
+  const getEdge = (source, target) =>
+    model.getEdgesBetween(
+      model.getCell(source),
+      model.getCell(target),
+      true
+    )[0];
+
+  expect(getEdge('check', 'handle').getValue()).toStrictEqual('yes');
+  expect(getEdge('check', 'log').getValue()).toStrictEqual('yes');
+  expect(getEdge('check', 'reject').getValue()).toStrictEqual('no');
+  expect(getEdge('check', 'reject').getStyle()).toStrictEqual(
+    'dashed=1;endArrow=classic'
+  );
+  expect(getEdge('handle', 'done').getStyle()).toStrictEqual(
+    'strokeWidth=2;endArrow=classic'
+  );
+  expect(getEdge('log', 'done').getStyle()).toStrictEqual('endArrow=none');
+  expect(getEdge('db', 'cache').getStyle()).toStrictEqual(
+    'endArrow=classic;startArrow=classic'
+  );
+  expect(getEdge('handle', 'db').getStyle()).toStrictEqual('endArrow=oval');
+  expect(model.getParent(getEdge('db', 'cache'))).toBe(store);
+  expect(model.getParent(getEdge('handle', 'db'))).toBe(
+    graph.getDefaultParent()
+  );
+});
+
+test('insert edges into the nearest common ancestor', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+
+  parseMermaid(
+    graph,
+    `
+flowchart TB
+  subgraph outer
+    subgraph inner
+      a
+      b
+    end
+    c
+  end
+  a --> b
+  a --> c
+  a --> a
+`
+  );
+
+  const getParent = (source, target) =>
+    model.getParent(
+      model.getEdgesBetween(
+        model.getCell(source),
+        model.getCell(target),
+        true
+      )[0]
+    );
+
+  expect(getParent('a', 'b')).toBe(model.getCell('inner'));
+  expect(getParent('a', 'c')).toBe(model.getCell('outer'));
+  expect(getParent('a', 'a')).toBe(model.getCell('inner'));
+});
+
+test('layout Mermaid flowchart', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  parseMermaid(graph, flowchart);
+
+  const x = (id) => model.getCell(id).getGeometry().getX();
+
+  expect(x('start')).toBeLessThan(x('check'));
+  expect(x('check')).toBeLessThan(x('handle'));
+  expect(x('handle')).toBeLessThan(x('done'));
+  expect(x('handle')).toBeLessThan(x('store'));
+  expect(x('db')).toBeLessThan(x('cache'));
+
+  // Vertices in the same rank must not overlap
+  const a = model.getCell('handle').getGeometry();
+  const b = model.getCell('log').getGeometry();
+
+  expect(a.getX()).toStrictEqual(b.getX());
+  expect(
+    a.getY() + a.getHeight() <= b.getY() || b.getY() + b.getHeight() <= a.getY()
+  ).toBe(true);
+
+  // Groups contain their children
+  const store = model.getCell('store').getGeometry();
+  const db = model.getCell('db').getGeometry();
+  const cache = model.getCell('cache').getGeometry();
+
+  expect(cache.getX() + cache.getWidth()).toBeLessThanOrEqual(store.getWidth());
+  expect(db.getY()).toBeGreaterThanOrEqual(30);
+});
+
+test('import Mermaid flowchart with layout', () => {
+  const graph = Graph();
+  const layout = { execute: jest.fn() };
+  parseMermaid(graph, 'graph TD\n  A --> B --> C', undefined, layout);
+
+  expect(layout.execute).toHaveBeenCalledWith(graph.getDefaultParent());
+  expect(graph.getModel().getCell('B').getGeometry().getX()).toStrictEqual(0);
+});
+
+test('import invalid Mermaid flowchart', () => {
+  const graph = Graph();
+
+  expect(() => parseMermaid(graph, 'sequenceDiagram')).toThrow();
+  expect(() => parseMermaid(graph, 'graph TD\n  A -> B')).toThrow();
+  expect(() => parseMermaid(graph, 'graph TD\n  A\n  end')).toThrow();
+});
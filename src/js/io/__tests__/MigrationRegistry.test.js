@@ -0,0 +1,166 @@
+import { isSet } from '../../Helpers';
+import Event from '../../util/Event';
+import { getXml, parseXml } from '../../util/Utils';
+import Graph from '../../view/Graph';
+import Codec from '../Codec';
+import JsonCodec from '../JsonCodec';
+import MigrationRegistry from '../MigrationRegistry';
+
+const xml =
+  '<mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/>' +
+  '<mxCell id="2" value="Old" style="strokecolor=red" vertex="1" parent="1">' +
+  '<mxGeometry width="80" height="30" as="geometry"/></mxCell>' +
+  '</root></mxGraphModel>';
+
+const renameStrokeColor = (model) => {
+  for (const cell of model.filterDescendants((c) => isSet(c.getStyle()))) {
+    model.setStyle(
+      cell,
+      cell.getStyle().replace('strokecolor=', 'strokeColor=')
+    );
+  }
+};
+
+const addSuffix = (model, { warn }) => {
+  const cell = model.getCell('2');
+
+  if (typeof cell.getValue() !== 'string') warn('2: Value not migrated');
+  else model.setValue(cell, `${cell.getValue()}!`);
+};
+
+afterEach(() => {
+  MigrationRegistry.unregister(0);
+  MigrationRegistry.unregister(1);
+});
+
+test('register migrations', () => {
+  expect(MigrationRegistry.getVersion()).toStrictEqual(0);
+
+  MigrationRegistry.register(0, renameStrokeColor);
+  MigrationRegistry.register(1, addSuffix);
+
+  expect(MigrationRegistry.getVersion()).toStrictEqual(2);
+  expect(MigrationRegistry.getMigration(1)).toBe(addSuffix);
+  expect(() => MigrationRegistry.register(1, addSuffix)).toThrow();
+  expect(() => MigrationRegistry.register(-1, addSuffix)).toThrow();
+});
+
+test('migrate XML document', () => {
+  MigrationRegistry.register(0, renameStrokeColor);
+  MigrationRegistry.register(1, addSuffix);
+
+  const doc = parseXml(xml);
+  const dec = Codec(doc);
+  const model = dec.decode(doc.documentElement);
+  const cell = model.getCell('2');
+
+  expect(cell.getStyle()).toStrictEqual('strokeColor=red');
+  expect(cell.getValue()).toStrictEqual('Old!');
+  expect(dec.getWarnings()).toStrictEqual([]);
+
+  // Current documents are not migrated again
+  const node = Codec().encode(model);
+  const dec2 = Codec(node.ownerDocument);
+  const model2 = dec2.decode(node);
+
+  expect(node.getAttribute('version')).toStrictEqual('2');
+  expect(model2.getCell('2').getValue()).toStrictEqual('Old!');
+});
+
+test('migrate JSON document', () => {
+  const graph = Graph();
+  graph.insertVertex(
+    graph.getDefaultParent(),
+    '2',
+    'Old',
+    0,
+    0,
+    80,
+    30,
+    'strokecolor=red'
+  );
+
+  const codec = JsonCodec();
+  const json = codec.encode(graph.getModel());
+
+  expect(json.schema).toStrictEqual(0);
+
+  MigrationRegistry.register(0, renameStrokeColor);
+  const model = codec.decode(json);
+
+  expect(model.getCell('2').getStyle()).toStrictEqual('strokeColor=red');
+  expect(codec.encode(model).schema).toStrictEqual(1);
+});
+
+test('collect migration warnings', () => {
+  MigrationRegistry.register(0, renameStrokeColor);
+  MigrationRegistry.register(1, addSuffix);
+
+  const doc = parseXml(xml.replace('value="Old"', ''));
+  const dec = Codec(doc);
+  const model = dec.decode(doc.documentElement);
+
+  expect(dec.getWarnings()).toStrictEqual(['2: Value not migrated']);
+  expect(model.getCell('2').getStyle()).toStrictEqual('strokeColor=red');
+
+  const newer = parseXml(
+    xml.replace('<mxGraphModel>', '<mxGraphModel version="5">')
+  );
+  const dec2 = Codec(newer);
+  dec2.decode(newer.documentElement);
+
+  expect(dec2.getWarnings()).toStrictEqual([
+    'Document version 5 is newer than 2'
+  ]);
+});
+
+test('keep migrations out of the undo history', () => {
+  MigrationRegistry.register(0, renameStrokeColor);
+  MigrationRegistry.register(1, addSuffix);
+
+  const model = Graph().getModel();
+  const edits = [];
+  model.addListener(Event.UNDO, (sender, evt) =>
+    edits.push(evt.getProperty('edit'))
+  );
+
+  const doc = parseXml(xml);
+  Codec(doc).decode(doc.documentElement, model);
+
+  expect(model.getCell('2').getValue()).toStrictEqual('Old!');
+  expect(edits.length).toStrictEqual(1);
+  expect(edits[0].getChanges().length).toStrictEqual(1);
+});
+
+test('abort loading after a missing or failed migration', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const root = model.getRoot();
+  const listener = jest.fn();
+  model.addListener(Event.CHANGE, listener);
+
+  MigrationRegistry.register(1, addSuffix);
+
+  const doc = parseXml(xml);
+
+  expect(() => Codec(doc).decode(doc.documentElement, model)).toThrow(
+    'No migration from version 0'
+  );
+  const json = { ...JsonCodec().encode(model), schema: 0 };
+
+  expect(() => JsonCodec().decode(json, model)).toThrow(
+    'No migration from version 0'
+  );
+
+  MigrationRegistry.register(0, (m) => {
+    renameStrokeColor(m);
+    throw new Error('Broken');
+  });
+
+  expect(() => Codec(doc).decode(doc.documentElement, model)).toThrow(
+    'Migration from version 0 failed: Broken'
+  );
+  expect(model.getRoot()).toBe(root);
+  expect(listener).not.toHaveBeenCalled();
+  expect(getXml(doc)).toContain('strokecolor=red');
+});
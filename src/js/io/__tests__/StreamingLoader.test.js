@@ -0,0 +1,154 @@
+import Event from '../../util/Event';
+import { getXml } from '../../util/Utils';
+import Graph from '../../view/Graph';
+import Codec from '../Codec';
+import StreamingLoader from '../StreamingLoader';
+
+const createXml = (count) => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  let previous;
+
+  for (let i = 0; i < count; i++) {
+    const v = graph.insertVertex(parent, `v${i}`, `V${i}`, i * 10, 0, 80, 30);
+
+    if (previous) graph.insertEdge(parent, `e${i}`, '', previous, v);
+
+    previous = v;
+  }
+
+  return getXml(Codec().encode(graph.getModel()));
+};
+
+test('load model in chunks', async () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const loader = StreamingLoader(graph);
+  const progress = [];
+  const undos = [];
+
+  loader.setTimeSlice(0);
+  loader.addListener(Event.PROGRESS, (sender, evt) =>
+    progress.push(evt.getProperty('loaded'))
+  );
+  model.addListener(Event.UNDO, (sender, evt) =>
+    undos.push(evt.getProperty('edit'))
+  );
+
+  const edit = await loader.load(createXml(50));
+  const v0 = model.getCell('v0');
+  const v1 = model.getCell('v1');
+
+  expect(progress.length).toBeGreaterThan(1);
+  expect(progress[progress.length - 1]).toStrictEqual(101);
+  expect(loader.isLoading()).toBe(false);
+  expect(undos).toStrictEqual([edit]);
+  expect(edit.getChanges().length).toStrictEqual(99);
+  expect(model.getChildCount(graph.getDefaultParent())).toStrictEqual(99);
+  expect(model.getEdgesBetween(v0, v1, true).length).toStrictEqual(1);
+
+  edit.undo();
+
+  expect(model.getChildCount(graph.getDefaultParent())).toStrictEqual(0);
+  expect(model.getCell('v0')).toBeUndefined();
+
+  edit.redo();
+
+  expect(model.getCell('v0')).toBe(v0);
+  expect(model.getEdgesBetween(v0, v1, true).length).toStrictEqual(1);
+});
+
+test('cancel loading', async () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const loader = StreamingLoader(graph);
+  const cancel = jest.fn();
+  const undo = jest.fn();
+
+  loader.setTimeSlice(0);
+  loader.addListener(Event.PROGRESS, () => loader.cancel());
+  loader.addListener(Event.CANCEL, cancel);
+  model.addListener(Event.UNDO, undo);
+
+  const edit = await loader.load(createXml(20));
+
+  expect(edit).toBeUndefined();
+  expect(loader.isCancelled()).toBe(true);
+  expect(cancel).toHaveBeenCalledTimes(1);
+  expect(undo).not.toHaveBeenCalled();
+  expect(model.getChildCount(graph.getDefaultParent())).toStrictEqual(0);
+});
+
+test('add edits made while loading to the load', async () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const loader = StreamingLoader(graph);
+  const undos = [];
+  let x;
+
+  loader.setTimeSlice(0);
+  loader.addListener(Event.PROGRESS, () => {
+    if (!x && model.getCell('v0')) {
+      x = graph.insertVertex(parent, 'x', 'X', 0, 100, 80, 30);
+      graph.insertEdge(parent, 'ex', '', model.getCell('v0'), x);
+    }
+  });
+  model.addListener(Event.UNDO, (sender, evt) =>
+    undos.push(evt.getProperty('edit'))
+  );
+
+  const edit = await loader.load(createXml(50));
+
+  expect(model.getUpdateLevel()).toStrictEqual(0);
+  expect(undos).toStrictEqual([edit]);
+  expect(edit.getChanges().length).toBeGreaterThan(99);
+  expect(model.getChildCount(parent)).toStrictEqual(101);
+  expect(graph.getView().getState(x)).toBeDefined();
+
+  edit.undo();
+
+  expect(model.getChildCount(parent)).toStrictEqual(0);
+  expect(model.getCell('x')).toBeUndefined();
+
+  edit.redo();
+
+  expect(model.getChildCount(parent)).toStrictEqual(101);
+  expect(model.getEdgesBetween(model.getCell('v0'), x).length).toStrictEqual(1);
+});
+
+test('cancel edits made while loading', async () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const loader = StreamingLoader(graph);
+  const undo = jest.fn();
+
+  loader.setTimeSlice(0);
+  loader.addListener(Event.PROGRESS, () => {
+    graph.insertVertex(parent, 'x', 'X', 0, 100, 80, 30);
+    loader.cancel();
+  });
+  model.addListener(Event.UNDO, undo);
+
+  expect(await loader.load(createXml(20))).toBeUndefined();
+  expect(model.getUpdateLevel()).toStrictEqual(0);
+  expect(undo).not.toHaveBeenCalled();
+  expect(model.getCell('x')).toBeUndefined();
+  expect(model.getChildCount(parent)).toStrictEqual(0);
+});
+
+test('reject loading inside a transaction', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+
+  model.beginUpdate();
+
+  try {
+    expect(() => StreamingLoader(graph).load(createXml(1))).toThrow(
+      'Model is updating'
+    );
+  } finally {
+    model.endUpdate();
+  }
+});
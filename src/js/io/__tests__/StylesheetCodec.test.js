@@ -0,0 +1,77 @@
+import { getXml, parseXml } from '../../util/Utils';
+import Perimeter from '../../view/Perimeter';
+import Stylesheet from '../../view/Stylesheet';
+import Codec from '../Codec';
+import CodecRegistry from '../CodecRegistry';
+import StylesheetCodec from '../StylesheetCodec';
+
+const xml =
+  '<mxStylesheet>' +
+  '<add as="base"><add as="fillColor" value="#ffffff"/>' +
+  '<add as="perimeter" value="ellipsePerimeter"/>' +
+  '<add as="fontSize" value="12"/></add>' +
+  '<add as="child" extend="base"><add as="rounded" value="1"/>' +
+  '<remove as="fillColor"/></add>' +
+  '</mxStylesheet>';
+
+test('decode a stylesheet from XML', () => {
+  const doc = parseXml(xml);
+  const stylesheet = Codec(doc).decode(doc.documentElement);
+  const base = stylesheet.getStyles()['base'];
+  const child = stylesheet.getStyles()['child'];
+
+  expect(stylesheet.getDefaultVertexStyle()).toBeDefined();
+  expect(base.perimeter).toBe(Perimeter.EllipsePerimeter);
+  expect(base.fontSize).toStrictEqual(12);
+  expect(child).toStrictEqual({
+    perimeter: Perimeter.EllipsePerimeter,
+    fontSize: 12,
+    rounded: 1
+  });
+  expect(base.fillColor).toStrictEqual('#ffffff');
+});
+
+test('round-trip a stylesheet through XML', () => {
+  const doc = parseXml(xml);
+  const stylesheet = Stylesheet();
+  Codec(doc).decode(doc.documentElement, stylesheet);
+
+  const node = Codec().encode(stylesheet);
+
+  expect(getXml(node)).toContain('value="ellipsePerimeter"');
+
+  const doc2 = parseXml(getXml(node));
+  const result = Codec(doc2).decode(doc2.documentElement);
+
+  expect(result.getStyles()).toStrictEqual(stylesheet.getStyles());
+});
+
+test('round-trip a stylesheet through JSON', () => {
+  const codec = CodecRegistry.getCodec(Stylesheet);
+  const stylesheet = codec.decodeJson({
+    base: { fillColor: '#ffffff', perimeter: 'ellipsePerimeter' },
+    child: { extend: 'base', fillColor: null, fontSize: 12 }
+  });
+
+  expect(stylesheet.getStyles()['child']).toStrictEqual({
+    perimeter: Perimeter.EllipsePerimeter,
+    fontSize: 12
+  });
+
+  const json = JSON.stringify(codec.encodeJson(stylesheet));
+
+  expect(JSON.parse(json).defaultVertex.perimeter).toStrictEqual(
+    'rectanglePerimeter'
+  );
+  expect(codec.decodeJson(json).getStyles()).toStrictEqual(
+    stylesheet.getStyles()
+  );
+});
+
+test('expose the registry keys', () => {
+  expect(StylesheetCodec.REGISTRY_KEYS).toStrictEqual([
+    'perimeter',
+    'edgeStyle',
+    'loopStyle'
+  ]);
+});
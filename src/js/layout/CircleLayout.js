@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, makeComponent } from '../Helpers';
+import GraphLayout from './GraphLayout';
+
+/**
+ * Class: CircleLayout
+ *
+ * Extends <GraphLayout> to implement a circluar layout for a given radius.
+ * The vertices do not need to be connected for this layout to work and all
+ * connections between vertices are not taken into account.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = CircleLayout(graph);
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * Constructor: CircleLayout
+ *
+ * Constructs a new circular layout for the specified radius.
+ *
+ * Arguments:
+ *
+ * graph - <Graph> that contains the cells.
+ * radius - Optional radius as an int. Default is 100.
+ */
+const CircleLayout = (graph, radius = 100) => {
+  /**
+   * Variable: radius
+   *
+   * Integer specifying the size of the radius. Default is 100.
+   */
+  const [getRadius, setRadius] = addProp(radius);
+
+  /**
+   * Variable: moveCircle
+   *
+   * Boolean specifying if the circle should be moved to the top,
+   * left corner specified by <x0> and <y0>. Default is false.
+   */
+  const [isMoveCircle, setMoveCircle] = addProp(false);
+
+  /**
+   * Variable: x0
+   *
+   * Integer specifying the left coordinate of the circle.
+   * Default is 0.
+   */
+  const [getX0, setX0] = addProp(0);
+
+  /**
+   * Variable: y0
+   *
+   * Integer specifying the top coordinate of the circle.
+   * Default is 0.
+   */
+  const [getY0, setY0] = addProp(0);
+
+  /**
+   * Variable: resetEdges
+   *
+   * Specifies if all edge points of traversed edges should be removed.
+   * Default is true.
+   */
+  const [isResetEdges, setResetEdges] = addProp(true);
+
+  /**
+   * Variable: disableEdgeStyle
+   *
+   * Specifies if the STYLE_NOEDGESTYLE flag should be set on edges that are
+   * modified by the result. Default is true.
+   */
+  const [isDisableEdgeStyle, setDisableEdgeStyle] = addProp(true);
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>.
+   */
+  const execute = (parent) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+
+    // Moves the vertices to build a circle. Makes sure the
+    // radius is large enough for the vertices to not
+    // overlap
+    model.beginUpdate();
+
+    try {
+      // Gets all vertices inside the parent and finds
+      // the maximum dimension of the largest vertex
+      let max = 0;
+      let top = null;
+      let left = null;
+      const vertices = [];
+      const childCount = model.getChildCount(parent);
+
+      for (let i = 0; i < childCount; i++) {
+        const cell = model.getChildAt(parent, i);
+
+        if (!me.resolve('isVertexIgnored')(cell)) {
+          vertices.push(cell);
+          const bounds = _layout.getVertexBounds(cell);
+
+          top = isSet(top) ? Math.min(top, bounds.getY()) : bounds.getY();
+          left = isSet(left) ? Math.min(left, bounds.getX()) : bounds.getX();
+          max = Math.max(max, Math.max(bounds.getWidth(), bounds.getHeight()));
+        } else if (!me.resolve('isEdgeIgnored')(cell)) {
+          // Resets the points on the traversed edge
+          if (isResetEdges()) {
+            graph.resetEdge(cell);
+          }
+
+          if (isDisableEdgeStyle()) {
+            _layout.setEdgeStyleEnabled(cell, false);
+          }
+        }
+      }
+
+      const r = me.resolve('getRadiusFor')(vertices.length, max);
+
+      // Moves the circle to the specified origin
+      if (isMoveCircle()) {
+        left = getX0();
+        top = getY0();
+      }
+
+      circle(vertices, r, left, top);
+    } finally {
+      model.endUpdate();
+    }
+  };
+
+  /**
+   * Function: getRadiusFor
+   *
+   * Returns the radius to be used for the given vertex count. Max is the
+   * maximum width or height of all vertices in the layout.
+   */
+  const getRadiusFor = (count, max) =>
+    Math.max((count * max) / Math.PI, getRadius());
+
+  /**
+   * Function: circle
+   *
+   * Executes the circular layout for the specified array
+   * of vertices and the given radius. This is called from
+   * <execute>.
+   */
+  const circle = (vertices, r, left, top) => {
+    const vertexCount = vertices.length;
+    const phi = (2 * Math.PI) / vertexCount;
+
+    for (let i = 0; i < vertexCount; i++) {
+      if (_layout.isVertexMovable(vertices[i])) {
+        _layout.setVertexLocation(
+          vertices[i],
+          Math.round(left + r + r * Math.sin(i * phi)),
+          Math.round(top + r + r * Math.cos(i * phi))
+        );
+      }
+    }
+  };
+
+  const me = {
+    getRadius,
+    setRadius,
+    isMoveCircle,
+    setMoveCircle,
+    getX0,
+    setX0,
+    getY0,
+    setY0,
+    isResetEdges,
+    setResetEdges,
+    isDisableEdgeStyle,
+    setDisableEdgeStyle,
+    execute,
+    getRadiusFor,
+    circle
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(CircleLayout);
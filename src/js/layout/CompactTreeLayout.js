@@ -0,0 +1,1022 @@
+/**
+ * Copyright (c) 2006-2018, JGraph Ltd
+ * Copyright (c) 2006-2018, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import CellPath from '../model/CellPath';
+import Dictionary from '../util/Dictionary';
+import Point from '../util/Point';
+import Rectangle from '../util/Rectangle';
+import { sortCells } from '../util/Utils';
+import GraphLayout from './GraphLayout';
+import WeightedCellSorter from './WeightedCellSorter';
+
+/**
+ * Class: CompactTreeLayout
+ *
+ * Extends <GraphLayout> to implement a compact tree (Moen) algorithm. This
+ * layout is suitable for graphs that have no cycles (trees). Vertices that are
+ * not connected to the tree will be ignored by this layout.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = CompactTreeLayout(graph);
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * Constructor: CompactTreeLayout
+ *
+ * Constructs a new compact tree layout for the specified graph
+ * and orientation.
+ *
+ * Arguments:
+ *
+ * graph - Reference to the enclosing <Graph>.
+ * horizontal - Optional boolean that specifies the orientation of the tree.
+ * Default is true.
+ * invert - Optional boolean that specifies if edges should be inverted.
+ * Default is false.
+ */
+const CompactTreeLayout = (graph, horizontal = true, invert = false) => {
+  /**
+   * Variable: horizontal
+   *
+   * Specifies the orientation of the layout. Default is true.
+   */
+  const [isHorizontal, setHorizontal] = addProp(horizontal);
+
+  /**
+   * Variable: invert
+   *
+   * Specifies if edge directions should be inverted. Default is false.
+   */
+  const [isInvert, setInvert] = addProp(invert);
+
+  /**
+   * Variable: resizeParent
+   *
+   * If the parents should be resized to match the width/height of the
+   * children. Default is true.
+   */
+  const [isResizeParent, setResizeParent] = addProp(true);
+
+  /**
+   * Variable: maintainParentLocation
+   *
+   * Specifies if the parent location should be maintained, so that the
+   * top, left corner stays the same before and after execution of
+   * the layout. Default is false for backwards compatibility.
+   */
+  const [isMaintainParentLocation, setMaintainParentLocation] = addProp(false);
+
+  /**
+   * Variable: groupPadding
+   *
+   * Padding added to resized parents. Default is 10.
+   */
+  const [getGroupPadding, setGroupPadding] = addProp(10);
+
+  /**
+   * Variable: groupPaddingTop
+   *
+   * Top padding added to resized parents. Default is 0.
+   */
+  const [getGroupPaddingTop, setGroupPaddingTop] = addProp(0);
+
+  /**
+   * Variable: groupPaddingRight
+   *
+   * Right padding added to resized parents. Default is 0.
+   */
+  const [getGroupPaddingRight, setGroupPaddingRight] = addProp(0);
+
+  /**
+   * Variable: groupPaddingBottom
+   *
+   * Bottom padding added to resized parents. Default is 0.
+   */
+  const [getGroupPaddingBottom, setGroupPaddingBottom] = addProp(0);
+
+  /**
+   * Variable: groupPaddingLeft
+   *
+   * Left padding added to resized parents. Default is 0.
+   */
+  const [getGroupPaddingLeft, setGroupPaddingLeft] = addProp(0);
+
+  /**
+   * Variable: parentsChanged
+   *
+   * A set of the parents that need updating based on children
+   * process as part of the layout.
+   */
+  const [getParentsChanged, setParentsChanged] = addProp();
+
+  /**
+   * Variable: moveTree
+   *
+   * Specifies if the tree should be moved to the top, left corner
+   * if it is inside a top-level layer. Default is false.
+   */
+  const [isMoveTree, setMoveTree] = addProp(false);
+
+  /**
+   * Variable: visited
+   *
+   * Specifies if the tree should be moved to the top, left corner
+   * if it is inside a top-level layer. Default is false.
+   */
+  const [getVisited, setVisited] = addProp();
+
+  /**
+   * Variable: levelDistance
+   *
+   * Holds the levelDistance. Default is 10.
+   */
+  const [getLevelDistance, setLevelDistance] = addProp(10);
+
+  /**
+   * Variable: nodeDistance
+   *
+   * Holds the nodeDistance. Default is 20.
+   */
+  const [getNodeDistance, setNodeDistance] = addProp(20);
+
+  /**
+   * Variable: resetEdges
+   *
+   * Specifies if all edge points of traversed edges should be removed.
+   * Default is true.
+   */
+  const [isResetEdges, setResetEdges] = addProp(true);
+
+  /**
+   * Variable: prefHozEdgeSep
+   *
+   * The preferred horizontal distance between edges exiting a vertex.
+   */
+  const [getPrefHozEdgeSep, setPrefHozEdgeSep] = addProp(5);
+
+  /**
+   * Variable: prefVertEdgeOff
+   *
+   * The preferred vertical offset between edges exiting a vertex.
+   */
+  const [getPrefVertEdgeOff, setPrefVertEdgeOff] = addProp(4);
+
+  /**
+   * Variable: minEdgeJetty
+   *
+   * The minimum distance for an edge jetty from a vertex.
+   */
+  const [getMinEdgeJetty, setMinEdgeJetty] = addProp(8);
+
+  /**
+   * Variable: channelBuffer
+   *
+   * The size of the vertical buffer in the center of inter-rank channels
+   * where edge control points should not be placed.
+   */
+  const [getChannelBuffer, setChannelBuffer] = addProp(4);
+
+  /**
+   * Variable: edgeRouting
+   *
+   * Whether or not to apply the internal tree edge routing.
+   */
+  const [isEdgeRouting, setEdgeRouting] = addProp(true);
+
+  /**
+   * Variable: sortEdges
+   *
+   * Specifies if edges should be sorted according to the order of their
+   * opposite terminal cell in the model.
+   */
+  const [isSortEdges, setSortEdges] = addProp(false);
+
+  /**
+   * Variable: alignRanks
+   *
+   * Whether or not the tops of cells in each rank should be aligned
+   * across the rank
+   */
+  const [isAlignRanks, setAlignRanks] = addProp(false);
+
+  /**
+   * Variable: maxRankHeight
+   *
+   * An array of the maximum height of cells (relative to the layout direction)
+   * per rank
+   */
+  const [getMaxRankHeight, setMaxRankHeight] = addProp();
+
+  /**
+   * Variable: root
+   *
+   * The cell to use as the root of the tree
+   */
+  const [getRoot, setRoot] = addProp();
+
+  /**
+   * Variable: node
+   *
+   * The internal node representation of the root cell. Do not set directly
+   * , this value is only exposed to assist with post-processing functionality
+   */
+  const [getNode, setNode] = addProp();
+
+  /**
+   * Function: isVertexIgnored
+   *
+   * Returns a boolean indicating if the given <Cell> should be ignored as a
+   * vertex. This returns true if the cell has no connections.
+   *
+   * Parameters:
+   *
+   * vertex - <Cell> whose ignored state should be returned.
+   */
+  const isVertexIgnored = (vertex) =>
+    _layout.isVertexIgnored(vertex) ||
+    _layout.getGraph().getConnections(vertex).length === 0;
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>.
+   *
+   * If the parent has any connected edges, then it is used as the root of
+   * the tree. Else, <Graph.findTreeRoots> will be used to find a suitable
+   * root node within the set of children of the given parent.
+   *
+   * Parameters:
+   *
+   * parent - <Cell> whose children should be laid out.
+   * root - Optional <Cell> that will be used as the root of the tree.
+   * Overrides <root> if specified.
+   */
+  const execute = (parent, root) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    _layout.setParent(parent);
+
+    if (isUnset(root)) {
+      // Takes the parent as the root if it has outgoing edges
+      if (
+        graph.getEdges(
+          parent,
+          model.getParent(parent),
+          isInvert(),
+          !isInvert(),
+          false
+        ).length > 0
+      ) {
+        setRoot(parent);
+      }
+      // Tries to find a suitable root in the parent's
+      // children
+      else {
+        const roots = graph.findTreeRoots(parent, true, isInvert());
+        const candidate = roots.find(
+          (r) =>
+            !me.resolve('isVertexIgnored')(r) &&
+            graph.getEdges(r, null, isInvert(), !isInvert(), false).length > 0
+        );
+
+        if (isSet(candidate)) {
+          setRoot(candidate);
+        }
+      }
+    } else {
+      setRoot(root);
+    }
+
+    if (isSet(getRoot())) {
+      setParentsChanged(isResizeParent() ? {} : null);
+
+      // Maintaining parent location
+      let parentX = null;
+      let parentY = null;
+
+      if (parent !== getRoot() && isMaintainParentLocation()) {
+        const geo = graph.getCellGeometry(parent);
+
+        if (isSet(geo)) {
+          parentX = geo.getX();
+          parentY = geo.getY();
+        }
+      }
+
+      model.beginUpdate();
+
+      try {
+        setVisited({});
+        setNode(dfs(getRoot(), parent));
+
+        if (isAlignRanks()) {
+          setMaxRankHeight([]);
+          findRankHeights(getNode(), 0);
+          setCellHeights(getNode(), 0);
+        }
+
+        if (isSet(getNode())) {
+          layout(getNode());
+          let x0 = graph.getGridSize();
+          let y0 = x0;
+
+          if (!isMoveTree()) {
+            const g = _layout.getVertexBounds(getRoot());
+
+            if (isSet(g)) {
+              x0 = g.getX();
+              y0 = g.getY();
+            }
+          }
+
+          const bounds = isHorizontal()
+            ? horizontalLayout(getNode(), x0, y0)
+            : verticalLayout(getNode(), null, x0, y0);
+
+          if (isSet(bounds)) {
+            let dx = 0;
+            let dy = 0;
+
+            if (bounds.getX() < 0) {
+              dx = Math.abs(x0 - bounds.getX());
+            }
+
+            if (bounds.getY() < 0) {
+              dy = Math.abs(y0 - bounds.getY());
+            }
+
+            if (dx !== 0 || dy !== 0) {
+              moveNode(getNode(), dx, dy);
+            }
+
+            if (isResizeParent()) {
+              adjustParents();
+            }
+
+            if (isEdgeRouting()) {
+              // Iterate through all edges setting their positions
+              localEdgeProcessing(getNode());
+            }
+          }
+
+          // Maintaining parent location
+          if (isSet(parentX) && isSet(parentY)) {
+            let geo = graph.getCellGeometry(parent);
+
+            if (isSet(geo)) {
+              geo = geo.clone();
+              geo.setX(parentX);
+              geo.setY(parentY);
+              model.setGeometry(parent, geo);
+            }
+          }
+        }
+      } finally {
+        model.endUpdate();
+      }
+    }
+  };
+
+  /**
+   * Function: moveNode
+   *
+   * Moves the specified node and all of its children by the given amount.
+   */
+  const moveNode = (node, dx, dy) => {
+    node.x += dx;
+    node.y += dy;
+    apply(node);
+
+    for (let child = node.child; isSet(child); child = child.next) {
+      moveNode(child, dx, dy);
+    }
+  };
+
+  /**
+   * Function: sortOutgoingEdges
+   *
+   * Called if <sortEdges> is true to sort the array of outgoing edges in place.
+   */
+  const sortOutgoingEdges = (source, edges) => {
+    const lookup = Dictionary();
+    const getPath = (edge) => {
+      const end = edge.getTerminal(edge.getTerminal(false) === source);
+      let path = lookup.get(end);
+
+      if (isUnset(path)) {
+        path = CellPath.create(end).split(CellPath.PATH_SEPARATOR);
+        lookup.put(end, path);
+      }
+
+      return path;
+    };
+
+    edges.sort((e1, e2) => CellPath.compare(getPath(e1), getPath(e2)));
+  };
+
+  /**
+   * Function: findRankHeights
+   *
+   * Stores the maximum height (relative to the layout
+   * direction) of cells in each rank
+   */
+  const findRankHeights = (node, rank) => {
+    const maxRankHeight = getMaxRankHeight();
+
+    if (isUnset(maxRankHeight[rank]) || maxRankHeight[rank] < node.height) {
+      maxRankHeight[rank] = node.height;
+    }
+
+    for (let child = node.child; isSet(child); child = child.next) {
+      findRankHeights(child, rank + 1);
+    }
+  };
+
+  /**
+   * Function: setCellHeights
+   *
+   * Set the cells heights (relative to the layout
+   * direction) when the tops of each rank are to be aligned
+   */
+  const setCellHeights = (node, rank) => {
+    const maxRankHeight = getMaxRankHeight();
+
+    if (isSet(maxRankHeight[rank]) && maxRankHeight[rank] > node.height) {
+      node.height = maxRankHeight[rank];
+    }
+
+    for (let child = node.child; isSet(child); child = child.next) {
+      setCellHeights(child, rank + 1);
+    }
+  };
+
+  /**
+   * Function: dfs
+   *
+   * Does a depth first search starting at the specified cell.
+   * Makes sure the specified parent is never left by the
+   * algorithm.
+   */
+  const dfs = (cell, parent) => {
+    const id = CellPath.create(cell);
+    let node = null;
+
+    if (
+      isSet(cell) &&
+      isUnset(getVisited()[id]) &&
+      !me.resolve('isVertexIgnored')(cell)
+    ) {
+      getVisited()[id] = cell;
+      node = createNode(cell);
+
+      const graph = _layout.getGraph();
+      const model = graph.getModel();
+      const view = graph.getView();
+      const out = graph.getEdges(
+        cell,
+        parent,
+        isInvert(),
+        !isInvert(),
+        false,
+        true
+      );
+      let prev = null;
+
+      if (isSortEdges()) {
+        sortOutgoingEdges(cell, out);
+      }
+
+      for (const edge of out) {
+        if (!_layout.isEdgeIgnored(edge)) {
+          // Resets the points on the traversed edge
+          if (isResetEdges()) {
+            _layout.setEdgePoints(edge, null);
+          }
+
+          if (isEdgeRouting()) {
+            _layout.setEdgeStyleEnabled(edge, false);
+            _layout.setEdgePoints(edge, null);
+          }
+
+          // Checks if terminal in same swimlane
+          const state = view.getState(edge);
+          const target = isSet(state)
+            ? state.getVisibleTerminal(isInvert())
+            : view.getVisibleTerminal(edge, isInvert());
+          const tmp = dfs(target, parent);
+
+          if (isSet(tmp) && isSet(model.getGeometry(target))) {
+            if (isUnset(prev)) {
+              node.child = tmp;
+            } else {
+              prev.next = tmp;
+            }
+
+            prev = tmp;
+          }
+        }
+      }
+    }
+
+    return node;
+  };
+
+  /**
+   * Function: layout
+   *
+   * Starts the actual compact tree layout algorithm
+   * at the given node.
+   */
+  const layout = (node) => {
+    if (isSet(node)) {
+      for (let child = node.child; isSet(child); child = child.next) {
+        layout(child);
+      }
+
+      if (isSet(node.child)) {
+        attachParent(node, join(node));
+      } else {
+        layoutLeaf(node);
+      }
+    }
+  };
+
+  /**
+   * Function: horizontalLayout
+   */
+  const horizontalLayout = (node, x0, y0, bounds) => {
+    node.x += x0 + node.offsetX;
+    node.y += y0 + node.offsetY;
+    bounds = apply(node, bounds);
+    const child = node.child;
+
+    if (isSet(child)) {
+      bounds = horizontalLayout(child, node.x, node.y, bounds);
+      let siblingOffset = node.y + child.offsetY;
+
+      for (let s = child.next; isSet(s); s = s.next) {
+        bounds = horizontalLayout(
+          s,
+          node.x + child.offsetX,
+          siblingOffset,
+          bounds
+        );
+        siblingOffset += s.offsetY;
+      }
+    }
+
+    return bounds;
+  };
+
+  /**
+   * Function: verticalLayout
+   */
+  const verticalLayout = (node, parent, x0, y0, bounds) => {
+    node.x += x0 + node.offsetY;
+    node.y += y0 + node.offsetX;
+    bounds = apply(node, bounds);
+    const child = node.child;
+
+    if (isSet(child)) {
+      bounds = verticalLayout(child, node, node.x, node.y, bounds);
+      let siblingOffset = node.x + child.offsetY;
+
+      for (let s = child.next; isSet(s); s = s.next) {
+        bounds = verticalLayout(
+          s,
+          node,
+          siblingOffset,
+          node.y + child.offsetX,
+          bounds
+        );
+        siblingOffset += s.offsetY;
+      }
+    }
+
+    return bounds;
+  };
+
+  /**
+   * Function: attachParent
+   */
+  const attachParent = (node, height) => {
+    const nodeDistance = getNodeDistance();
+    const x = nodeDistance + getLevelDistance();
+    const y2 = (height - node.width) / 2 - nodeDistance;
+    const y1 = y2 + node.width + 2 * nodeDistance - height;
+
+    node.child.offsetX = x + node.height;
+    node.child.offsetY = y1;
+
+    node.contour.upperHead = createLine(
+      node.height,
+      0,
+      createLine(x, y1, node.contour.upperHead)
+    );
+    node.contour.lowerHead = createLine(
+      node.height,
+      0,
+      createLine(x, y2, node.contour.lowerHead)
+    );
+  };
+
+  /**
+   * Function: layoutLeaf
+   */
+  const layoutLeaf = (node) => {
+    const dist = 2 * getNodeDistance();
+
+    node.contour.upperTail = createLine(node.height + dist, 0);
+    node.contour.upperHead = node.contour.upperTail;
+    node.contour.lowerTail = createLine(0, -node.width - dist);
+    node.contour.lowerHead = createLine(
+      node.height + dist,
+      0,
+      node.contour.lowerTail
+    );
+  };
+
+  /**
+   * Function: join
+   */
+  const join = (node) => {
+    const dist = 2 * getNodeDistance();
+    let child = node.child;
+    node.contour = child.contour;
+    let h = child.width + dist;
+    let sum = h;
+
+    for (child = child.next; isSet(child); child = child.next) {
+      const d = merge(node.contour, child.contour);
+      child.offsetY = d + h;
+      child.offsetX = 0;
+      h = child.width + dist;
+      sum += d + h;
+    }
+
+    return sum;
+  };
+
+  /**
+   * Function: merge
+   */
+  const merge = (p1, p2) => {
+    let x = 0;
+    let y = 0;
+    let total = 0;
+
+    let upper = p1.lowerHead;
+    let lower = p2.upperHead;
+
+    while (isSet(lower) && isSet(upper)) {
+      const d = offset(x, y, lower.dx, lower.dy, upper.dx, upper.dy);
+      y += d;
+      total += d;
+
+      if (x + lower.dx <= upper.dx) {
+        x += lower.dx;
+        y += lower.dy;
+        lower = lower.next;
+      } else {
+        x -= upper.dx;
+        y -= upper.dy;
+        upper = upper.next;
+      }
+    }
+
+    if (isSet(lower)) {
+      const b = bridge(p1.upperTail, 0, 0, lower, x, y);
+      p1.upperTail = isSet(b.next) ? p2.upperTail : b;
+      p1.lowerTail = p2.lowerTail;
+    } else {
+      const b = bridge(p2.lowerTail, x, y, upper, 0, 0);
+
+      if (isUnset(b.next)) {
+        p1.lowerTail = b;
+      }
+    }
+
+    p1.lowerHead = p2.lowerHead;
+
+    return total;
+  };
+
+  /**
+   * Function: offset
+   */
+  const offset = (p1, p2, a1, a2, b1, b2) => {
+    let d = 0;
+
+    if (b1 <= p1 || p1 + a1 <= 0) {
+      return 0;
+    }
+
+    const t = b1 * a2 - a1 * b2;
+
+    if (t > 0) {
+      if (p1 < 0) {
+        d = (p1 * a2) / a1 - p2;
+      } else if (p1 > 0) {
+        d = (p1 * b2) / b1 - p2;
+      } else {
+        d = -p2;
+      }
+    } else if (b1 < p1 + a1) {
+      d = b2 - (p2 + ((b1 - p1) * a2) / a1);
+    } else if (b1 > p1 + a1) {
+      d = ((a1 + p1) * b2) / b1 - (p2 + a2);
+    } else {
+      d = b2 - (p2 + a2);
+    }
+
+    return d > 0 ? d : 0;
+  };
+
+  /**
+   * Function: bridge
+   */
+  const bridge = (line1, x1, y1, line2, x2, y2) => {
+    const dx = x2 + line2.dx - x1;
+    const dy = line2.dx === 0 ? line2.dy : (dx * line2.dy) / line2.dx;
+
+    const r = createLine(dx, dy, line2.next);
+    line1.next = createLine(0, y2 + line2.dy - dy - y1, r);
+
+    return r;
+  };
+
+  /**
+   * Function: createNode
+   */
+  const createNode = (cell) => {
+    const node = {
+      cell,
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+      offsetX: 0,
+      offsetY: 0,
+      contour: {}
+    };
+    const geo = _layout.getVertexBounds(cell);
+
+    if (isSet(geo)) {
+      if (isHorizontal()) {
+        node.width = geo.getHeight();
+        node.height = geo.getWidth();
+      } else {
+        node.width = geo.getWidth();
+        node.height = geo.getHeight();
+      }
+    }
+
+    return node;
+  };
+
+  /**
+   * Function: apply
+   */
+  const apply = (node, bounds) => {
+    const model = _layout.getGraph().getModel();
+    const cell = node.cell;
+    let g = model.getGeometry(cell);
+
+    if (isSet(cell) && isSet(g)) {
+      if (_layout.isVertexMovable(cell)) {
+        g = _layout.setVertexLocation(cell, node.x, node.y);
+
+        if (isResizeParent()) {
+          const parent = model.getParent(cell);
+          const id = CellPath.create(parent);
+
+          // Implements set semantic
+          if (isUnset(getParentsChanged()[id])) {
+            getParentsChanged()[id] = parent;
+          }
+        }
+      }
+
+      if (isUnset(bounds)) {
+        bounds = Rectangle(g.getX(), g.getY(), g.getWidth(), g.getHeight());
+      } else {
+        bounds.add(g);
+      }
+    }
+
+    return bounds;
+  };
+
+  /**
+   * Function: createLine
+   */
+  const createLine = (dx, dy, next) => ({ dx, dy, next });
+
+  /**
+   * Function: adjustParents
+   *
+   * Adjust parent cells whose child geometries have changed. The default
+   * implementation adjusts the group to just fit around the children with
+   * a padding.
+   */
+  const adjustParents = () => {
+    _layout.arrangeGroups(
+      sortCells(Object.values(getParentsChanged()), true),
+      getGroupPadding(),
+      getGroupPaddingTop(),
+      getGroupPaddingRight(),
+      getGroupPaddingBottom(),
+      getGroupPaddingLeft()
+    );
+  };
+
+  /**
+   * Function: localEdgeProcessing
+   *
+   * Moves the specified node and all of its children by the given amount.
+   */
+  const localEdgeProcessing = (node) => {
+    processNodeOutgoing(node);
+
+    for (let child = node.child; isSet(child); child = child.next) {
+      localEdgeProcessing(child);
+    }
+  };
+
+  /**
+   * Function: processNodeOutgoing
+   *
+   * Separates the x position of edges as they connect to vertices
+   */
+  const processNodeOutgoing = (node) => {
+    const graph = _layout.getGraph();
+    const prefHozEdgeSep = getPrefHozEdgeSep();
+    const prefVertEdgeOff = getPrefVertEdgeOff();
+    const parentCell = node.cell;
+    const sortedCells = [];
+
+    for (let child = node.child; isSet(child); child = child.next) {
+      sortedCells.push(
+        WeightedCellSorter(child, isHorizontal() ? child.y : child.x)
+      );
+    }
+
+    sortedCells.sort((a, b) => a.compare(a, b));
+
+    const childCount = sortedCells.length;
+    let availableWidth = node.width;
+    const requiredWidth = (childCount + 1) * prefHozEdgeSep;
+
+    // Add a buffer on the edges of the vertex if the edge count allows
+    const buffered = availableWidth > requiredWidth + 2 * prefHozEdgeSep;
+
+    if (buffered) {
+      availableWidth -= 2 * prefHozEdgeSep;
+    }
+
+    const edgeSpacing = availableWidth / childCount;
+    let currentXOffset = edgeSpacing / 2.0;
+
+    if (buffered) {
+      currentXOffset += prefHozEdgeSep;
+    }
+
+    let currentYOffset = getMinEdgeJetty() - prefVertEdgeOff;
+    const parentBounds = _layout.getVertexBounds(parentCell);
+
+    for (let j = 0; j < sortedCells.length; j++) {
+      const childCell = sortedCells[j].getCell().cell;
+      const childBounds = _layout.getVertexBounds(childCell);
+      const edges = graph.getEdgesBetween(parentCell, childCell, false);
+
+      for (const edge of edges) {
+        const newPoints = [];
+
+        if (isHorizontal()) {
+          // Use opposite co-ords, calculation was done for
+          const x = parentBounds.getX() + parentBounds.getWidth();
+          const y = parentBounds.getY() + currentXOffset;
+          newPoints.push(Point(x, y));
+          newPoints.push(Point(x + currentYOffset, y));
+          newPoints.push(
+            Point(
+              x + currentYOffset,
+              childBounds.getY() + childBounds.getHeight() / 2.0
+            )
+          );
+        } else {
+          const x = parentBounds.getX() + currentXOffset;
+          const y = parentBounds.getY() + parentBounds.getHeight();
+          newPoints.push(Point(x, y));
+          newPoints.push(Point(x, y + currentYOffset));
+          newPoints.push(
+            Point(
+              childBounds.getX() + childBounds.getWidth() / 2.0,
+              y + currentYOffset
+            )
+          );
+        }
+
+        _layout.setEdgePoints(edge, newPoints);
+      }
+
+      if (j < childCount / 2) {
+        currentYOffset += prefVertEdgeOff;
+      } else if (j > childCount / 2) {
+        currentYOffset -= prefVertEdgeOff;
+      }
+      // Ignore the case if equals, this means the second of 2
+      // jettys with the same y (even number of edges)
+
+      currentXOffset += edgeSpacing;
+    }
+  };
+
+  const me = {
+    isHorizontal,
+    setHorizontal,
+    isInvert,
+    setInvert,
+    isResizeParent,
+    setResizeParent,
+    isMaintainParentLocation,
+    setMaintainParentLocation,
+    getGroupPadding,
+    setGroupPadding,
+    getGroupPaddingTop,
+    setGroupPaddingTop,
+    getGroupPaddingRight,
+    setGroupPaddingRight,
+    getGroupPaddingBottom,
+    setGroupPaddingBottom,
+    getGroupPaddingLeft,
+    setGroupPaddingLeft,
+    getParentsChanged,
+    setParentsChanged,
+    isMoveTree,
+    setMoveTree,
+    getVisited,
+    setVisited,
+    getLevelDistance,
+    setLevelDistance,
+    getNodeDistance,
+    setNodeDistance,
+    isResetEdges,
+    setResetEdges,
+    getPrefHozEdgeSep,
+    setPrefHozEdgeSep,
+    getPrefVertEdgeOff,
+    setPrefVertEdgeOff,
+    getMinEdgeJetty,
+    setMinEdgeJetty,
+    getChannelBuffer,
+    setChannelBuffer,
+    isEdgeRouting,
+    setEdgeRouting,
+    isSortEdges,
+    setSortEdges,
+    isAlignRanks,
+    setAlignRanks,
+    getMaxRankHeight,
+    setMaxRankHeight,
+    getRoot,
+    setRoot,
+    getNode,
+    setNode,
+    isVertexIgnored,
+    execute,
+    moveNode,
+    sortOutgoingEdges,
+    findRankHeights,
+    setCellHeights,
+    dfs,
+    layout,
+    horizontalLayout,
+    verticalLayout,
+    attachParent,
+    layoutLeaf,
+    join,
+    merge,
+    offset,
+    bridge,
+    createNode,
+    apply,
+    createLine,
+    adjustParents,
+    localEdgeProcessing,
+    processNodeOutgoing
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(CompactTreeLayout);
@@ -0,0 +1,264 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, makeComponent } from '../Helpers';
+import {
+  DEFAULT_FONTFAMILY,
+  DEFAULT_FONTSIZE,
+  STYLE_FONTFAMILY,
+  STYLE_FONTSIZE,
+  STYLE_FONTSTYLE,
+  STYLE_LABEL_LEADER
+} from '../util/Constants';
+import Point from '../util/Point';
+import Rectangle from '../util/Rectangle';
+import { getSizeForString, getValue, intersects } from '../util/Utils';
+import GraphLayout from './GraphLayout';
+
+/**
+ * Class: EdgeLabelLayout
+ *
+ * Extends <GraphLayout> to move the labels of the edges in the given parent
+ * until they no longer overlap the vertices or the labels of other edges. The
+ * labels are moved by changing the offset of the edge geometries. The layout
+ * can be executed on demand or after other layouts by setting
+ * <LayoutManager.labelLayout>.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = EdgeLabelLayout(graph);
+ * layout.setLeaderLines(true);
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * Constructor: EdgeLabelLayout
+ *
+ * Constructs a new edge label layout.
+ *
+ * Arguments:
+ *
+ * graph - <Graph> that contains the cells.
+ */
+const EdgeLabelLayout = (graph) => {
+  /**
+   * Variable: spacing
+   *
+   * Minimum distance between a label and the vertices or other labels.
+   * Default is 2.
+   */
+  const [getSpacing, setSpacing] = addProp(2);
+
+  /**
+   * Variable: maxIterations
+   *
+   * Maximum number of passes over all labels. Moving a label may create new
+   * overlaps which are resolved in the next pass. Default is 10.
+   */
+  const [getMaxIterations, setMaxIterations] = addProp(10);
+
+  /**
+   * Variable: leaderLines
+   *
+   * Specifies if <STYLE_LABEL_LEADER> should be set for the edges whose label
+   * was moved so that the label is connected to the edge. Default is false.
+   */
+  const [isLeaderLines, setLeaderLines] = addProp(false);
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>. Validates the view of the given parent
+   * so that the label positions reflect any pending changes of the model.
+   */
+  const execute = (parent) => {
+    const view = _layout.getGraph().getView();
+    const model = _layout.getGraph().getModel();
+    const edges = [];
+    const vertices = [];
+    const childCount = model.getChildCount(parent);
+
+    view.invalidate(parent);
+    view.validate();
+
+    for (let i = 0; i < childCount; i++) {
+      const cell = model.getChildAt(parent, i);
+      const state = view.getState(cell);
+
+      if (isSet(state)) {
+        if (!_layout.isVertexIgnored(cell)) {
+          vertices.push(state);
+        } else if (!_layout.isEdgeIgnored(cell)) {
+          edges.push(state);
+        }
+      }
+    }
+
+    placeLabels(vertices, edges);
+  };
+
+  /**
+   * Function: getLabelBounds
+   *
+   * Returns the bounds of the label of the given edge state in view
+   * coordinates or null if the edge has no label. This uses the bounding box
+   * of the text shape if the label has been rendered and the size of the
+   * label string otherwise.
+   */
+  const getLabelBounds = (state) => {
+    const graph = _layout.getGraph();
+    const text = state.getText();
+
+    if (isSet(text) && isSet(text.getBoundingBox())) {
+      return Rectangle.fromRectangle(text.getBoundingBox());
+    }
+
+    const label = graph.getLabel(state.getCell());
+
+    if (typeof label === 'string' && label.length > 0) {
+      const style = state.getStyle();
+      const s = graph.getView().getScale();
+      const size = getSizeForString(
+        label,
+        getValue(style, STYLE_FONTSIZE, DEFAULT_FONTSIZE),
+        getValue(style, STYLE_FONTFAMILY, DEFAULT_FONTFAMILY),
+        undefined,
+        getValue(style, STYLE_FONTSTYLE, 0)
+      );
+      const w = size.getWidth() * s;
+      const h = size.getHeight() * s;
+
+      if (w > 0 && h > 0) {
+        const pt = state.getAbsoluteOffset();
+
+        return Rectangle(pt.getX() - w / 2, pt.getY() - h / 2, w, h);
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Function: placeLabels
+   *
+   * Moves the labels of the given edge states away from the given vertex
+   * states and from each other.
+   */
+  const placeLabels = (v, e) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    const s = graph.getView().getScale();
+    const labels = [];
+
+    e.forEach((state) => {
+      const bounds = me.resolve('getLabelBounds')(state);
+
+      if (isSet(bounds)) {
+        labels.push({ state, bounds, dx: 0, dy: 0 });
+      }
+    });
+
+    // Moves the labels until there are no overlaps or the maximum number of
+    // passes is reached
+    for (let i = 0; i < getMaxIterations(); i++) {
+      let moved = false;
+
+      labels.forEach((label, j) => {
+        const obstacles = [
+          ...v,
+          ...labels.slice(0, j).map((other) => other.bounds)
+        ];
+
+        obstacles.forEach((bounds) => {
+          const delta = avoid(label.bounds, bounds);
+
+          if (isSet(delta)) {
+            label.bounds.setX(label.bounds.getX() + delta.getX());
+            label.bounds.setY(label.bounds.getY() + delta.getY());
+            label.dx += delta.getX();
+            label.dy += delta.getY();
+            moved = true;
+          }
+        });
+      });
+
+      if (!moved) break;
+    }
+
+    model.beginUpdate();
+
+    try {
+      labels.forEach(({ state, dx, dy }) => {
+        let g = model.getGeometry(state.getCell());
+
+        if (isSet(g) && (dx !== 0 || dy !== 0)) {
+          g = g.clone();
+
+          if (isSet(g.getOffset())) {
+            g.getOffset().setX(g.getOffset().getX() + dx / s);
+            g.getOffset().setY(g.getOffset().getY() + dy / s);
+          } else {
+            g.setOffset(Point(dx / s, dy / s));
+          }
+
+          model.setGeometry(state.getCell(), g);
+
+          if (isLeaderLines()) {
+            graph.setCellStyles(STYLE_LABEL_LEADER, 1, [state.getCell()]);
+          }
+        }
+      });
+    } finally {
+      model.endUpdate();
+    }
+  };
+
+  /**
+   * Function: avoid
+   *
+   * Returns the shortest horizontal or vertical vector that moves the given
+   * label bounds away from the given bounds by <spacing>, or null if they do
+   * not overlap.
+   */
+  const avoid = (labRect, bounds) => {
+    const rect = Rectangle.fromRectangle(bounds);
+    rect.grow(getSpacing());
+
+    if (intersects(labRect, rect)) {
+      const dy1 = -labRect.getY() - labRect.getHeight() + rect.getY();
+      const dy2 = -labRect.getY() + rect.getY() + rect.getHeight();
+      const dy = Math.abs(dy1) < Math.abs(dy2) ? dy1 : dy2;
+
+      const dx1 = -labRect.getX() - labRect.getWidth() + rect.getX();
+      const dx2 = -labRect.getX() + rect.getX() + rect.getWidth();
+      const dx = Math.abs(dx1) < Math.abs(dx2) ? dx1 : dx2;
+
+      return Math.abs(dx) < Math.abs(dy) ? Point(dx, 0) : Point(0, dy);
+    }
+
+    return null;
+  };
+
+  const me = {
+    getSpacing,
+    setSpacing,
+    getMaxIterations,
+    setMaxIterations,
+    isLeaderLines,
+    setLeaderLines,
+    execute,
+    getLabelBounds,
+    placeLabels,
+    avoid
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(EdgeLabelLayout);
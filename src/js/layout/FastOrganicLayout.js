@@ -0,0 +1,687 @@
+/**
+ * Copyright (c) 2006-2018, JGraph Ltd
+ * Copyright (c) 2006-2018, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import ObjectIdentity from '../util/ObjectIdentity';
+import GraphLayout from './GraphLayout';
+
+/**
+ * Function: createRandom
+ *
+ * Returns a function that produces a reproducible sequence of numbers in
+ * [0, 1) for the given integer seed (mulberry32).
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Class: FastOrganicLayout
+ *
+ * Extends <GraphLayout> to implement a fast organic layout algorithm.
+ * The vertices need to be connected for this layout to work, vertices
+ * with no connections are ignored.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = FastOrganicLayout(graph);
+ * layout.setSeed(42);
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * Constructor: FastOrganicLayout
+ *
+ * Constructs a new fast organic layout for the specified graph.
+ */
+const FastOrganicLayout = (graph) => {
+  /**
+   * Variable: useInputOrigin
+   *
+   * Specifies if the top left corner of the input cells should be the origin
+   * of the layout result. Default is true.
+   */
+  const [isUseInputOrigin, setUseInputOrigin] = addProp(true);
+
+  /**
+   * Variable: resetEdges
+   *
+   * Specifies if all edge points of traversed edges should be removed.
+   * Default is true.
+   */
+  const [isResetEdges, setResetEdges] = addProp(true);
+
+  /**
+   * Variable: disableEdgeStyle
+   *
+   * Specifies if the STYLE_NOEDGESTYLE flag should be set on edges that are
+   * modified by the result. Default is true.
+   */
+  const [isDisableEdgeStyle, setDisableEdgeStyle] = addProp(true);
+
+  /**
+   * Variable: forceConstant
+   *
+   * The force constant by which the attractive forces are divided and the
+   * replusive forces are multiple by the square of. The value equates to the
+   * average radius there is of free space around each node. Default is 50.
+   */
+  const [getForceConstant, setForceConstant] = addProp(50);
+
+  /**
+   * Variable: forceConstantSquared
+   *
+   * Cache of <forceConstant>^2 for performance.
+   */
+  const [getForceConstantSquared, setForceConstantSquared] = addProp(0);
+
+  /**
+   * Variable: minDistanceLimit
+   *
+   * Minimal distance limit. Default is 2. Prevents of
+   * dividing by zero.
+   */
+  const [getMinDistanceLimit, setMinDistanceLimit] = addProp(2);
+
+  /**
+   * Variable: maxDistanceLimit
+   *
+   * Maximal distance limit. Default is 500. Prevents of
+   * dividing by zero.
+   */
+  const [getMaxDistanceLimit, setMaxDistanceLimit] = addProp(500);
+
+  /**
+   * Variable: minDistanceLimitSquared
+   *
+   * Cached version of <minDistanceLimit> squared.
+   */
+  const [getMinDistanceLimitSquared, setMinDistanceLimitSquared] = addProp(4);
+
+  /**
+   * Variable: initialTemp
+   *
+   * Start value of temperature. Default is 200.
+   */
+  const [getInitialTemp, setInitialTemp] = addProp(200);
+
+  /**
+   * Variable: temperature
+   *
+   * Temperature to limit displacement at later stages of layout.
+   */
+  const [getTemperature, setTemperature] = addProp(0);
+
+  /**
+   * Variable: maxIterations
+   *
+   * Total number of iterations to run the layout though. If this is 0 then
+   * 20 * sqrt(n) iterations are used, n being the number of vertices.
+   */
+  const [getMaxIterations, setMaxIterations] = addProp(0);
+
+  /**
+   * Variable: iteration
+   *
+   * Current iteration count.
+   */
+  const [getIteration, setIteration] = addProp(0);
+
+  /**
+   * Variable: seed
+   *
+   * Integer seed for the random numbers used to separate vertices that share
+   * a location. If this is null then Math.random is used and the result of
+   * the layout is not reproducible. Default is null.
+   */
+  const [getSeed, setSeed] = addProp(null);
+
+  /**
+   * Variable: bounds
+   *
+   * Optional <Rectangle> that the vertices are kept inside of. If this is
+   * set then <useInputOrigin> is ignored. Default is null.
+   */
+  const [getBounds, setBounds] = addProp(null);
+
+  /**
+   * Variable: vertexArray
+   *
+   * An array of all vertices to be laid out.
+   */
+  const [getVertexArray, setVertexArray] = addProp();
+
+  /**
+   * Variable: dispX
+   *
+   * An array of locally stored X co-ordinate displacements for the vertices.
+   */
+  const [getDispX, setDispX] = addProp();
+
+  /**
+   * Variable: dispY
+   *
+   * An array of locally stored Y co-ordinate displacements for the vertices.
+   */
+  const [getDispY, setDispY] = addProp();
+
+  /**
+   * Variable: cellLocation
+   *
+   * An array of locally stored co-ordinate positions for the vertices.
+   */
+  const [getCellLocation, setCellLocation] = addProp();
+
+  /**
+   * Variable: cellSize
+   *
+   * An array of the widths and heights of the vertices.
+   */
+  const [getCellSize, setCellSize] = addProp();
+
+  /**
+   * Variable: radius
+   *
+   * The approximate radius of each cell, nodes only.
+   */
+  const [getRadius, setRadius] = addProp();
+
+  /**
+   * Variable: radiusSquared
+   *
+   * The approximate radius squared of each cell, nodes only.
+   */
+  const [getRadiusSquared, setRadiusSquared] = addProp();
+
+  /**
+   * Variable: isMoveable
+   *
+   * Array of booleans representing the movable states of the vertices.
+   */
+  const [getIsMoveable, setIsMoveable] = addProp();
+
+  /**
+   * Variable: neighbours
+   *
+   * Local copy of cell neighbours.
+   */
+  const [getNeighbours, setNeighbours] = addProp();
+
+  /**
+   * Variable: indices
+   *
+   * Hashtable from cells to local indices.
+   */
+  const [getIndices, setIndices] = addProp();
+
+  /**
+   * Variable: allowedToRun
+   *
+   * Boolean flag that specifies if the layout is allowed to run. If this is
+   * set to false, then the layout exits in the following iteration.
+   */
+  const [isAllowedToRun, setAllowedToRun] = addProp(true);
+
+  /**
+   * Variable: random
+   *
+   * The random number generator of the current execution.
+   */
+  const [getRandom, setRandom] = addProp(Math.random);
+
+  /**
+   * Function: isVertexIgnored
+   *
+   * Returns a boolean indicating if the given <Cell> should be ignored as a
+   * vertex. This returns true if the cell has no connections.
+   *
+   * Parameters:
+   *
+   * vertex - <Cell> whose ignored state should be returned.
+   */
+  const isVertexIgnored = (vertex) =>
+    _layout.isVertexIgnored(vertex) ||
+    _layout.getGraph().getConnections(vertex).length === 0;
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>. This operates on all children of the
+   * given parent where <isVertexIgnored> returns false.
+   */
+  const execute = (parent) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    const vertexArray = graph
+      .getChildVertices(parent)
+      .filter((cell) => !me.resolve('isVertexIgnored')(cell));
+    const bounds = getBounds();
+    const initialBounds =
+      isUnset(bounds) && isUseInputOrigin()
+        ? graph.getBoundingBoxFromGeometry(vertexArray)
+        : null;
+    const n = vertexArray.length;
+
+    setVertexArray(vertexArray);
+    setIndices({});
+    setDispX([]);
+    setDispY([]);
+    setCellLocation([]);
+    setCellSize([]);
+    setIsMoveable([]);
+    setNeighbours([]);
+    setRadius([]);
+    setRadiusSquared([]);
+    setRandom(isSet(getSeed()) ? createRandom(getSeed()) : Math.random);
+
+    if (getForceConstant() < 0.001) {
+      setForceConstant(0.001);
+    }
+
+    setForceConstantSquared(getForceConstant() * getForceConstant());
+
+    // Create a map of vertices first. This is required for the array of
+    // arrays called neighbours which holds, for each vertex, a list of
+    // ints which represents the neighbours cells to that vertex as
+    // the indices into vertexArray
+    for (let i = 0; i < n; i++) {
+      const vertex = vertexArray[i];
+
+      // Set up the mapping from array indices to cells
+      getIndices()[ObjectIdentity.get(vertex)] = i;
+      const vertexBounds = _layout.getVertexBounds(vertex);
+
+      // Set the X,Y value of the internal version of the cell to
+      // the center point of the vertex for better positioning
+      const width = vertexBounds.getWidth();
+      const height = vertexBounds.getHeight();
+
+      getCellLocation()[i] = [
+        vertexBounds.getX() + width / 2.0,
+        vertexBounds.getY() + height / 2.0
+      ];
+      getCellSize()[i] = [width, height];
+      getRadius()[i] = Math.min(width, height);
+      getRadiusSquared()[i] = getRadius()[i] * getRadius()[i];
+    }
+
+    // Moves cell location back to top-left from center locations used in
+    // algorithm, resetting the edge points is part of the transaction
+    model.beginUpdate();
+
+    try {
+      for (let i = 0; i < n; i++) {
+        getDispX()[i] = 0;
+        getDispY()[i] = 0;
+        getIsMoveable()[i] = _layout.isVertexMovable(vertexArray[i]);
+
+        // Get lists of neighbours to all vertices, translate the cells
+        // obtained in indices into vertexArray and store as an array
+        // against the orginial cell index
+        const edges = graph.getConnections(vertexArray[i], parent);
+
+        for (const edge of edges) {
+          // Resets the points on the traversed edge
+          if (isResetEdges()) {
+            graph.resetEdge(edge);
+          }
+
+          if (isDisableEdgeStyle()) {
+            _layout.setEdgeStyleEnabled(edge, false);
+          }
+        }
+
+        // Looks the cell up in the indices dictionary. If the other cell
+        // isn't acted upon by this layout then the index of this vertex
+        // is used (a dummy self-loop) so the attraction force of the edge
+        // is not calculated
+        getNeighbours()[i] = graph
+          .getOpposites(edges, vertexArray[i])
+          .map((cell) => {
+            const index = getIndices()[ObjectIdentity.get(cell)];
+
+            return isSet(index) ? index : i;
+          });
+      }
+
+      setTemperature(getInitialTemp());
+
+      // If max number of iterations has not been set, guess it
+      if (getMaxIterations() === 0) {
+        setMaxIterations(20 * Math.sqrt(n));
+      }
+
+      // Main iteration loop
+      for (
+        setIteration(0);
+        getIteration() < getMaxIterations();
+        setIteration(getIteration() + 1)
+      ) {
+        if (!isAllowedToRun()) {
+          return;
+        }
+
+        // Calculate repulsive forces on all vertices
+        calcRepulsion();
+
+        // Calculate attractive forces through edges
+        calcAttraction();
+
+        calcPositions();
+        reduceTemperature();
+      }
+
+      const locations = [];
+      let minx = null;
+      let miny = null;
+
+      for (let i = 0; i < n; i++) {
+        if (getIsMoveable()[i]) {
+          const [width, height] = getCellSize()[i];
+          const x = getCellLocation()[i][0] - width / 2.0;
+          const y = getCellLocation()[i][1] - height / 2.0;
+
+          locations[i] = [x, y];
+          minx = isSet(minx) ? Math.min(minx, x) : x;
+          miny = isSet(miny) ? Math.min(miny, y) : y;
+        }
+      }
+
+      // Moves the result to the origin of the input cells unless the
+      // vertices are kept inside of the bounds or were laid out around
+      // unmovable vertices, which keep their location.
+      let dx = 0;
+      let dy = 0;
+
+      if (isUnset(bounds) && getIsMoveable().every((moveable) => moveable)) {
+        dx = -(minx || 0) + 1;
+        dy = -(miny || 0) + 1;
+
+        if (isSet(initialBounds)) {
+          dx += initialBounds.getX();
+          dy += initialBounds.getY();
+        }
+      }
+
+      for (let i = 0; i < n; i++) {
+        if (isSet(locations[i])) {
+          let x = graph.snap(Math.round(locations[i][0] + dx));
+          let y = graph.snap(Math.round(locations[i][1] + dy));
+
+          // Snapping must not move the vertex out of the bounds
+          if (isSet(bounds)) {
+            const [width, height] = getCellSize()[i];
+            x = Math.max(
+              bounds.getX(),
+              Math.min(bounds.getX() + bounds.getWidth() - width, x)
+            );
+            y = Math.max(
+              bounds.getY(),
+              Math.min(bounds.getY() + bounds.getHeight() - height, y)
+            );
+          }
+
+          _layout.setVertexLocation(vertexArray[i], x, y);
+        }
+      }
+    } finally {
+      model.endUpdate();
+    }
+  };
+
+  /**
+   * Function: calcPositions
+   *
+   * Takes the displacements calculated for each cell and applies them to the
+   * local cache of cell positions. Limits the displacement to the current
+   * temperature and keeps the cells inside of <bounds>.
+   */
+  const calcPositions = () => {
+    const dispX = getDispX();
+    const dispY = getDispY();
+    const bounds = getBounds();
+
+    for (let index = 0; index < getVertexArray().length; index++) {
+      if (getIsMoveable()[index]) {
+        // Get the distance of displacement for this node for this
+        // iteration
+        let deltaLength = Math.sqrt(
+          dispX[index] * dispX[index] + dispY[index] * dispY[index]
+        );
+
+        if (deltaLength < 0.001) {
+          deltaLength = 0.001;
+        }
+
+        // Scale down by the current temperature if less than the
+        // displacement distance
+        const newXDisp =
+          (dispX[index] / deltaLength) *
+          Math.min(deltaLength, getTemperature());
+        const newYDisp =
+          (dispY[index] / deltaLength) *
+          Math.min(deltaLength, getTemperature());
+
+        // reset displacements
+        dispX[index] = 0;
+        dispY[index] = 0;
+
+        // Update the cached cell locations
+        const location = getCellLocation()[index];
+        location[0] += newXDisp;
+        location[1] += newYDisp;
+
+        if (isSet(bounds)) {
+          const [width, height] = getCellSize()[index];
+
+          location[0] = Math.max(
+            bounds.getX() + width / 2,
+            Math.min(bounds.getX() + bounds.getWidth() - width / 2, location[0])
+          );
+          location[1] = Math.max(
+            bounds.getY() + height / 2,
+            Math.min(
+              bounds.getY() + bounds.getHeight() - height / 2,
+              location[1]
+            )
+          );
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: calcAttraction
+   *
+   * Calculates the attractive forces between all laid out nodes linked by
+   * edges. Edges to unmovable vertices pull on the movable end only.
+   */
+  const calcAttraction = () => {
+    const cellLocation = getCellLocation();
+    const isMoveable = getIsMoveable();
+
+    // Check the neighbours of each vertex and calculate the attractive
+    // force of the edge connecting them
+    for (let i = 0; i < getVertexArray().length; i++) {
+      for (const j of getNeighbours()[i]) {
+        // Do not proceed self-loops
+        if (i !== j && (isMoveable[i] || isMoveable[j])) {
+          const xDelta = cellLocation[i][0] - cellLocation[j][0];
+          const yDelta = cellLocation[i][1] - cellLocation[j][1];
+
+          // The distance between the nodes
+          let deltaLengthSquared =
+            xDelta * xDelta +
+            yDelta * yDelta -
+            getRadiusSquared()[i] -
+            getRadiusSquared()[j];
+
+          if (deltaLengthSquared < getMinDistanceLimitSquared()) {
+            deltaLengthSquared = getMinDistanceLimitSquared();
+          }
+
+          const deltaLength = Math.sqrt(deltaLengthSquared);
+          const force = deltaLengthSquared / getForceConstant();
+
+          const displacementX = (xDelta / deltaLength) * force;
+          const displacementY = (yDelta / deltaLength) * force;
+
+          getDispX()[i] -= displacementX;
+          getDispY()[i] -= displacementY;
+
+          getDispX()[j] += displacementX;
+          getDispY()[j] += displacementY;
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: calcRepulsion
+   *
+   * Calculates the repulsive forces between all laid out nodes. Unmovable
+   * vertices push movable vertices away without being moved themselves.
+   */
+  const calcRepulsion = () => {
+    const vertexCount = getVertexArray().length;
+    const cellLocation = getCellLocation();
+    const isMoveable = getIsMoveable();
+    const random = getRandom();
+
+    for (let i = 0; i < vertexCount; i++) {
+      for (let j = i + 1; j < vertexCount; j++) {
+        // Exits if the layout is no longer allowed to run
+        if (!isAllowedToRun()) {
+          return;
+        }
+
+        if (isMoveable[i] || isMoveable[j]) {
+          let xDelta = cellLocation[i][0] - cellLocation[j][0];
+          let yDelta = cellLocation[i][1] - cellLocation[j][1];
+
+          if (xDelta === 0) {
+            xDelta = 0.01 + random();
+          }
+
+          if (yDelta === 0) {
+            yDelta = 0.01 + random();
+          }
+
+          // Distance between nodes
+          const deltaLength = Math.sqrt(xDelta * xDelta + yDelta * yDelta);
+          let deltaLengthWithRadius =
+            deltaLength - getRadius()[i] - getRadius()[j];
+
+          if (deltaLengthWithRadius > getMaxDistanceLimit()) {
+            // Ignore vertices too far apart
+            continue;
+          }
+
+          if (deltaLengthWithRadius < getMinDistanceLimit()) {
+            deltaLengthWithRadius = getMinDistanceLimit();
+          }
+
+          const force = getForceConstantSquared() / deltaLengthWithRadius;
+
+          const displacementX = (xDelta / deltaLength) * force;
+          const displacementY = (yDelta / deltaLength) * force;
+
+          getDispX()[i] += displacementX;
+          getDispY()[i] += displacementY;
+
+          getDispX()[j] -= displacementX;
+          getDispY()[j] -= displacementY;
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: reduceTemperature
+   *
+   * Reduces the temperature of the layout from an initial setting in a linear
+   * fashion to zero.
+   */
+  const reduceTemperature = () =>
+    setTemperature(
+      getInitialTemp() * (1.0 - getIteration() / getMaxIterations())
+    );
+
+  const me = {
+    isUseInputOrigin,
+    setUseInputOrigin,
+    isResetEdges,
+    setResetEdges,
+    isDisableEdgeStyle,
+    setDisableEdgeStyle,
+    getForceConstant,
+    setForceConstant,
+    getForceConstantSquared,
+    setForceConstantSquared,
+    getMinDistanceLimit,
+    setMinDistanceLimit,
+    getMaxDistanceLimit,
+    setMaxDistanceLimit,
+    getMinDistanceLimitSquared,
+    setMinDistanceLimitSquared,
+    getInitialTemp,
+    setInitialTemp,
+    getTemperature,
+    setTemperature,
+    getMaxIterations,
+    setMaxIterations,
+    getIteration,
+    setIteration,
+    getSeed,
+    setSeed,
+    getBounds,
+    setBounds,
+    getVertexArray,
+    setVertexArray,
+    getDispX,
+    setDispX,
+    getDispY,
+    setDispY,
+    getCellLocation,
+    setCellLocation,
+    getCellSize,
+    setCellSize,
+    getRadius,
+    setRadius,
+    getRadiusSquared,
+    setRadiusSquared,
+    getIsMoveable,
+    setIsMoveable,
+    getNeighbours,
+    setNeighbours,
+    getIndices,
+    setIndices,
+    isAllowedToRun,
+    setAllowedToRun,
+    isVertexIgnored,
+    execute,
+    calcPositions,
+    calcAttraction,
+    calcRepulsion,
+    reduceTemperature
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(FastOrganicLayout);
@@ -0,0 +1,504 @@
+/**
+ * Copyright (c) 2006-2018, JGraph Ltd
+ * Copyright (c) 2006-2018, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import Geometry from '../model/Geometry';
+import { STYLE_NOEDGESTYLE, STYLE_ORTHOGONAL } from '../util/Constants';
+import Dictionary from '../util/Dictionary';
+import Point from '../util/Point';
+import Rectangle from '../util/Rectangle';
+
+/**
+ * Class: GraphLayout
+ *
+ * Base class for all layout algorithms in mxGraph. Main public functions are
+ * <moveCell> for handling a moved cell within a layouted parent, and <execute>
+ * for running the layout on a given parent cell.
+ *
+ * Known Subclasses:
+ *
+ * <CircleLayout>, <CompactTreeLayout>, <FastOrganicLayout>,
+ * <HierarchicalLayout>, <ParallelEdgeLayout>, <PartitionLayout>,
+ * <RankLayout>, <StackLayout>
+ *
+ * Constructor: GraphLayout
+ *
+ * Constructs a new layout using the given layouts.
+ *
+ * Arguments:
+ *
+ * graph - Enclosing
+ */
+const GraphLayout = (graph) => {
+  /**
+   * Variable: graph
+   *
+   * Reference to the enclosing <Graph>.
+   */
+  const [getGraph, setGraph] = addProp(graph);
+
+  /**
+   * Variable: useBoundingBox
+   *
+   * Boolean indicating if the bounding box of the label should be used if
+   * its available. Default is true.
+   */
+  const [isUseBoundingBox, setUseBoundingBox] = addProp(true);
+
+  /**
+   * Variable: parent
+   *
+   * The parent cell of the layout, if any
+   */
+  const [getParent, setParent] = addProp();
+
+  /**
+   * Function: moveCell
+   *
+   * Notified when a cell is being moved in a parent that has automatic
+   * layout to update the cell state (eg. index) so that the outcome of the
+   * layout will position the vertex as close to the point (x, y) as
+   * possible.
+   *
+   * Empty implementation.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> which has been moved.
+   * x - X-coordinate of the new cell location.
+   * y - Y-coordinate of the new cell location.
+   */
+  const moveCell = (cell, x, y) => {};
+
+  /**
+   * Function: resizeCell
+   *
+   * Notified when a cell is being resized in a parent that has automatic
+   * layout to update the other cells in the layout.
+   *
+   * Empty implementation.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> which has been moved.
+   * bounds - <Rectangle> that represents the new cell bounds.
+   */
+  const resizeCell = (cell, bounds) => {};
+
+  /**
+   * Function: execute
+   *
+   * Executes the layout algorithm for the children of the given parent.
+   *
+   * Parameters:
+   *
+   * parent - <Cell> whose children should be layed out.
+   */
+  const execute = (parent) => {};
+
+  /**
+   * Function: getConstraint
+   *
+   * Returns the constraint for the given key and cell. The optional edge and
+   * source arguments are used to return inbound and outgoing routing-
+   * constraints for the given edge and vertex. This implementation always
+   * returns the value for the given key in the style of the given cell.
+   *
+   * Parameters:
+   *
+   * key - Key of the constraint to be returned.
+   * cell - <Cell> whose constraint should be returned.
+   * edge - Optional <Cell> that represents the connection whose constraint
+   * should be returned. Default is null.
+   * source - Optional boolean that specifies if the connection is incoming
+   * or outgoing. Default is null.
+   */
+  const getConstraint = (key, cell, edge, source) =>
+    getGraph().getCurrentCellStyle(cell)[key];
+
+  /**
+   * Function: traverse
+   *
+   * Traverses the (directed) graph invoking the given function for each
+   * visited vertex and edge. The function is invoked with the current vertex
+   * and the incoming edge as a parameter. This implementation makes sure
+   * each vertex is only visited once. The function may return false if the
+   * traversal should stop at the given vertex.
+   *
+   * Parameters:
+   *
+   * vertex - <Cell> that represents the vertex where the traversal starts.
+   * directed - Optional boolean indicating if edges should only be traversed
+   * from source to target. Default is true.
+   * func - Visitor function that takes the current vertex and the incoming
+   * edge as arguments. The traversal stops if the function returns false.
+   * edge - Optional <Cell> that represents the incoming edge. This is
+   * null for the first step of the traversal.
+   * visited - Optional <Dictionary> of cell paths for the visited cells.
+   */
+  const traverse = (
+    vertex,
+    directed = true,
+    func,
+    edge,
+    visited = Dictionary()
+  ) => {
+    if (isSet(func) && isSet(vertex) && !visited.get(vertex)) {
+      visited.put(vertex, true);
+      const result = func(vertex, edge);
+
+      if (isUnset(result) || result) {
+        const model = getGraph().getModel();
+        const edgeCount = model.getEdgeCount(vertex);
+
+        for (let i = 0; i < edgeCount; i++) {
+          const e = model.getEdgeAt(vertex, i);
+          const isSource = model.getTerminal(e, true) === vertex;
+
+          if (!directed || isSource) {
+            const next = getGraph().getView().getVisibleTerminal(e, !isSource);
+            traverse(next, directed, func, e, visited);
+          }
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: isAncestor
+   *
+   * Returns true if the given parent is an ancestor of the given child.
+   *
+   * Parameters:
+   *
+   * parent - <Cell> that specifies the parent.
+   * child - <Cell> that specifies the child.
+   * traverseAncestors - boolean whether to
+   */
+  const isAncestor = (parent, child, traverseAncestors) => {
+    const model = getGraph().getModel();
+
+    if (!traverseAncestors) {
+      return model.getParent(child) === parent;
+    }
+
+    if (child === parent) {
+      return false;
+    }
+
+    while (isSet(child) && child !== parent) {
+      child = model.getParent(child);
+    }
+
+    return child === parent;
+  };
+
+  /**
+   * Function: isVertexMovable
+   *
+   * Returns a boolean indicating if the given <Cell> is movable or
+   * bendable by the algorithm. This implementation returns true if the given
+   * cell is movable in the graph.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> whose movable state should be returned.
+   */
+  const isVertexMovable = (cell) => getGraph().isCellMovable(cell);
+
+  /**
+   * Function: isVertexIgnored
+   *
+   * Returns a boolean indicating if the given <Cell> should be ignored by
+   * the algorithm. This implementation returns false for all vertices.
+   *
+   * Parameters:
+   *
+   * vertex - <Cell> whose ignored state should be returned.
+   */
+  const isVertexIgnored = (vertex) =>
+    !getGraph().getModel().isVertex(vertex) ||
+    !getGraph().isCellVisible(vertex);
+
+  /**
+   * Function: isEdgeIgnored
+   *
+   * Returns a boolean indicating if the given <Cell> should be ignored by
+   * the algorithm. This implementation returns false for all vertices.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> whose ignored state should be returned.
+   */
+  const isEdgeIgnored = (edge) => {
+    const model = getGraph().getModel();
+
+    return (
+      !model.isEdge(edge) ||
+      !getGraph().isCellVisible(edge) ||
+      isUnset(model.getTerminal(edge, true)) ||
+      isUnset(model.getTerminal(edge, false))
+    );
+  };
+
+  /**
+   * Function: setEdgeStyleEnabled
+   *
+   * Disables or enables the edge style of the given edge.
+   */
+  const setEdgeStyleEnabled = (edge, value) =>
+    getGraph().setCellStyles(STYLE_NOEDGESTYLE, value ? '0' : '1', [edge]);
+
+  /**
+   * Function: setOrthogonalEdge
+   *
+   * Disables or enables orthogonal end segments of the given edge.
+   */
+  const setOrthogonalEdge = (edge, value) =>
+    getGraph().setCellStyles(STYLE_ORTHOGONAL, value ? '1' : '0', [edge]);
+
+  /**
+   * Function: getParentOffset
+   *
+   * Determines the offset of the given parent to the parent
+   * of the layout
+   */
+  const getParentOffset = (parent) => {
+    const result = Point();
+
+    if (isSet(parent) && parent !== getParent()) {
+      const model = getGraph().getModel();
+
+      if (model.isAncestor(getParent(), parent)) {
+        let parentGeo = model.getGeometry(parent);
+
+        while (parent !== getParent()) {
+          result.setX(result.getX() + parentGeo.getX());
+          result.setY(result.getY() + parentGeo.getY());
+          parent = model.getParent(parent);
+          parentGeo = model.getGeometry(parent);
+        }
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * Function: setEdgePoints
+   *
+   * Replaces the array of Points in the geometry of the given edge
+   * with the given array of Points.
+   */
+  const setEdgePoints = (edge, points) => {
+    if (isSet(edge)) {
+      const model = getGraph().getModel();
+      let geometry = model.getGeometry(edge);
+
+      if (isUnset(geometry)) {
+        geometry = Geometry();
+        geometry.setRelative(true);
+      } else {
+        geometry = geometry.clone();
+      }
+
+      if (isSet(getParent()) && isSet(points)) {
+        const parent = model.getParent(edge);
+        const parentOffset = getParentOffset(parent);
+
+        for (const point of points) {
+          point.setX(point.getX() - parentOffset.getX());
+          point.setY(point.getY() - parentOffset.getY());
+        }
+      }
+
+      geometry.setPoints(points);
+      model.setGeometry(edge, geometry);
+    }
+  };
+
+  /**
+   * Function: setVertexLocation
+   *
+   * Sets the new position of the given cell taking into account the size of
+   * the bounding box if <useBoundingBox> is true. The change is only carried
+   * out if the new location is not equal to the existing location, otherwise
+   * the geometry is not replaced with an updated instance. The new or old
+   * bounds are returned (including overlapping labels).
+   *
+   * Parameters:
+   *
+   * cell - <Cell> whose geometry is to be set.
+   * x - Integer that defines the x-coordinate of the new location.
+   * y - Integer that defines the y-coordinate of the new location.
+   */
+  const setVertexLocation = (cell, x, y) => {
+    const model = getGraph().getModel();
+    let geometry = model.getGeometry(cell);
+    let result;
+
+    if (isSet(geometry)) {
+      result = Rectangle(x, y, geometry.getWidth(), geometry.getHeight());
+
+      // Checks for oversize labels and shifts the result
+      if (isUseBoundingBox()) {
+        const view = getGraph().getView();
+        const state = view.getState(cell);
+        const box =
+          isSet(state) && isSet(state.getText())
+            ? state.getText().getBoundingBox()
+            : undefined;
+
+        if (isSet(box)) {
+          const scale = view.getScale();
+
+          if (box.getX() < state.getX()) {
+            x += (state.getX() - box.getX()) / scale;
+            result.setWidth(box.getWidth());
+          }
+
+          if (box.getY() < state.getY()) {
+            y += (state.getY() - box.getY()) / scale;
+            result.setHeight(box.getHeight());
+          }
+        }
+      }
+
+      if (isSet(getParent())) {
+        const parent = model.getParent(cell);
+
+        if (isSet(parent) && parent !== getParent()) {
+          const parentOffset = getParentOffset(parent);
+          x = x - parentOffset.getX();
+          y = y - parentOffset.getY();
+        }
+      }
+
+      if (geometry.getX() !== x || geometry.getY() !== y) {
+        geometry = geometry.clone();
+        geometry.setX(x);
+        geometry.setY(y);
+        model.setGeometry(cell, geometry);
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * Function: getVertexBounds
+   *
+   * Returns an <Rectangle> that defines the bounds of the given cell or
+   * the bounding box if <useBoundingBox> is true.
+   */
+  const getVertexBounds = (cell) => {
+    const model = getGraph().getModel();
+    let geo = model.getGeometry(cell);
+
+    // Checks for oversize label bounding box and corrects
+    // the return value accordingly
+    if (isUseBoundingBox()) {
+      const view = getGraph().getView();
+      const state = view.getState(cell);
+      const tmp =
+        isSet(state) && isSet(state.getText())
+          ? state.getText().getBoundingBox()
+          : undefined;
+
+      if (isSet(tmp)) {
+        const scale = view.getScale();
+        const dx0 = Math.max(state.getX() - tmp.getX(), 0) / scale;
+        const dy0 = Math.max(state.getY() - tmp.getY(), 0) / scale;
+        const dx1 =
+          Math.max(
+            tmp.getX() + tmp.getWidth() - (state.getX() + state.getWidth()),
+            0
+          ) / scale;
+        const dy1 =
+          Math.max(
+            tmp.getY() + tmp.getHeight() - (state.getY() + state.getHeight()),
+            0
+          ) / scale;
+        geo = Rectangle(
+          geo.getX() - dx0,
+          geo.getY() - dy0,
+          geo.getWidth() + dx0 + dx1,
+          geo.getHeight() + dy0 + dy1
+        );
+      }
+    }
+
+    if (isSet(getParent())) {
+      const parent = model.getParent(cell);
+      geo = geo.clone();
+
+      if (isSet(parent) && parent !== getParent()) {
+        const parentOffset = getParentOffset(parent);
+        geo.setX(geo.getX() + parentOffset.getX());
+        geo.setY(geo.getY() + parentOffset.getY());
+      }
+    }
+
+    return Rectangle(geo.getX(), geo.getY(), geo.getWidth(), geo.getHeight());
+  };
+
+  /**
+   * Function: arrangeGroups
+   *
+   * Shortcut to <Graph.updateGroupBounds> with moveGroup set to true.
+   */
+  const arrangeGroups = (
+    cells,
+    border,
+    topBorder,
+    rightBorder,
+    bottomBorder,
+    leftBorder
+  ) =>
+    getGraph().updateGroupBounds(
+      cells,
+      border,
+      true,
+      topBorder,
+      rightBorder,
+      bottomBorder,
+      leftBorder
+    );
+
+  const me = {
+    /**
+     * Function: getGraph
+     *
+     * Returns the graph that this layout operates on.
+     */
+    getGraph,
+    setGraph,
+    isUseBoundingBox,
+    setUseBoundingBox,
+    getParent,
+    setParent,
+    moveCell,
+    resizeCell,
+    execute,
+    getConstraint,
+    traverse,
+    isAncestor,
+    isVertexMovable,
+    isVertexIgnored,
+    isEdgeIgnored,
+    setEdgeStyleEnabled,
+    setOrthogonalEdge,
+    getParentOffset,
+    setEdgePoints,
+    setVertexLocation,
+    getVertexBounds,
+    arrangeGroups
+  };
+
+  return me;
+};
+
+export default makeComponent(GraphLayout);
@@ -0,0 +1,258 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, makeComponent } from '../Helpers';
+import Event from '../util/Event';
+import EventObject from '../util/EventObject';
+import EventSource from '../util/EventSource';
+import { applySnapshotResult, createSnapshot } from './LayoutSnapshot';
+import { runLayout } from './LayoutWorker';
+
+/**
+ * Class: LayoutRunner
+ *
+ * Runs layouts off the main thread. The input of the layout is extracted
+ * from the model into a plain snapshot (see <LayoutSnapshot>), the layout
+ * runs on the snapshot in a web worker created from <workerUrl> and the
+ * resulting geometries are applied to the model in a single transaction.
+ *
+ * If no <workerUrl> is set or the environment has no web workers, such as
+ * Jest, the layout runs on the snapshot in the main thread after
+ * <schedule>.
+ *
+ * The worker script is a bundle with <LayoutWorker> as its entry point. The
+ * available layouts and options are described in <LayoutWorker.runLayout>.
+ *
+ * Example:
+ *
+ * (code)
+ * const runner = LayoutRunner(graph);
+ * runner.setWorkerUrl('dist/layout-worker.js');
+ * runner
+ *   .execute('hierarchical', graph.getDefaultParent(), { intraCellSpacing: 40 })
+ *   .then((result) => console.log(isSet(result) ? 'done' : 'cancelled'));
+ * (end)
+ *
+ * Event: Event.DONE
+ *
+ * Fires after the result has been applied to the model. The
+ * <code>result</code> property contains the applied geometries.
+ *
+ * Event: Event.CANCEL
+ *
+ * Fires after the layout has been cancelled.
+ *
+ * Constructor: LayoutRunner
+ *
+ * Constructs a runner for the given graph.
+ *
+ * Parameters:
+ *
+ * graph - <Graph> whose cells are laid out.
+ */
+const LayoutRunner = (graph) => {
+  /**
+   * Variable: graph
+   *
+   * Reference to the enclosing <Graph>.
+   */
+  const [getGraph, setGraph] = addProp(graph);
+
+  /**
+   * Variable: workerUrl
+   *
+   * URL of the worker script. Default is null.
+   */
+  const [getWorkerUrl, setWorkerUrl] = addProp(null);
+
+  /**
+   * Variable: running
+   *
+   * Specifies if a layout is currently running. Default is false.
+   */
+  const [isRunning, setRunning] = addProp(false);
+
+  /**
+   * Variable: cancelled
+   *
+   * Specifies if the current or last layout was cancelled. Default is false.
+   */
+  const [isCancelled, setCancelled] = addProp(false);
+
+  /**
+   * Variable: worker
+   *
+   * Holds the worker of the current layout.
+   */
+  const [getWorker, setWorker] = addProp();
+
+  /**
+   * Variable: stopHandler
+   *
+   * Holds the function that stops the current layout.
+   */
+  const [getStopHandler, setStopHandler] = addProp();
+
+  /**
+   * Function: isWorkerEnabled
+   *
+   * Returns true if the layout should run in a web worker. This returns true
+   * if <workerUrl> is set and web workers are available.
+   */
+  const isWorkerEnabled = () =>
+    isSet(getWorkerUrl()) && typeof Worker !== 'undefined';
+
+  /**
+   * Function: createWorker
+   *
+   * Returns a new web worker for <workerUrl>.
+   */
+  const createWorker = () => new Worker(getWorkerUrl());
+
+  /**
+   * Function: schedule
+   *
+   * Invokes the given function after the browser had a chance to process
+   * pending events. This implementation uses setTimeout.
+   */
+  const schedule = (fn) => setTimeout(fn, 0);
+
+  /**
+   * Function: execute
+   *
+   * Runs the layout with the given name on the given parent and returns a
+   * promise that resolves to the applied geometries or undefined if the
+   * layout was cancelled.
+   *
+   * Parameters:
+   *
+   * name - Name of the layout in <LayoutWorker.LAYOUTS>.
+   * parent - Optional <Cell> whose children should be laid out. Default is
+   * the default parent of the graph.
+   * options - Optional object that maps from property names of the layout
+   * to plain values.
+   */
+  const execute = (
+    name,
+    parent = getGraph().getDefaultParent(),
+    options = {}
+  ) => {
+    if (isRunning()) throw new Error('Already running');
+
+    const snapshot = createSnapshot(getGraph(), parent);
+
+    setRunning(true);
+    setCancelled(false);
+
+    return new Promise((resolve, reject) => {
+      const finish = (error, result) => {
+        if (!isRunning()) return;
+
+        setRunning(false);
+        setStopHandler();
+
+        if (isSet(getWorker())) {
+          getWorker().terminate();
+          setWorker();
+        }
+
+        if (isSet(error)) {
+          reject(error);
+        } else if (isCancelled()) {
+          fireEvent(EventObject(Event.CANCEL));
+          resolve();
+        } else {
+          try {
+            applySnapshotResult(getGraph(), result);
+          } catch (e) {
+            reject(e);
+
+            return;
+          }
+
+          fireEvent(EventObject(Event.DONE, 'result', result));
+          resolve(result);
+        }
+      };
+
+      setStopHandler(() => finish());
+
+      if (isWorkerEnabled()) {
+        const worker = setWorker(me.resolve('createWorker')());
+
+        worker.onmessage = (evt) => {
+          const { error, result } = evt.data;
+
+          finish(isSet(error) ? new Error(error) : null, result);
+        };
+        worker.onerror = (evt) => finish(new Error(evt.message));
+        worker.postMessage({ snapshot, name, options });
+      } else {
+        me.resolve('schedule')(() => {
+          if (!isRunning()) return;
+
+          let result;
+
+          try {
+            result = runLayout(snapshot, name, options);
+          } catch (e) {
+            finish(e);
+
+            return;
+          }
+
+          finish(null, result);
+        });
+      }
+    });
+  };
+
+  /**
+   * Function: cancel
+   *
+   * Cancels the current layout. The worker is terminated and the model is
+   * not changed.
+   */
+  const cancel = () => {
+    if (isRunning()) {
+      setCancelled(true);
+      getStopHandler()();
+    }
+  };
+
+  // Extends EventSource.
+  const { addListener, removeListener, fireEvent } = EventSource();
+
+  const me = {
+    addListener,
+    removeListener,
+    getGraph,
+    setGraph,
+
+    /**
+     * Function: getWorkerUrl
+     *
+     * Returns <workerUrl>.
+     */
+    getWorkerUrl,
+
+    /**
+     * Function: setWorkerUrl
+     *
+     * Sets <workerUrl>.
+     */
+    setWorkerUrl,
+    isRunning,
+    isCancelled,
+    isWorkerEnabled,
+    createWorker,
+    schedule,
+    execute,
+    cancel
+  };
+
+  return me;
+};
+
+export default makeComponent(LayoutRunner);
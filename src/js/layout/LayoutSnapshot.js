@@ -0,0 +1,305 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { isSet, isUnset } from '../Helpers';
+import StylesheetCodec from '../io/StylesheetCodec';
+import Geometry from '../model/Geometry';
+import Point from '../util/Point';
+import Graph from '../view/Graph';
+
+/**
+ * Class: LayoutSnapshot
+ *
+ * Functions to extract the input of a layout from a <Graph> into plain data
+ * that can be posted to a web worker, to run a layout on such a snapshot and
+ * to apply the resulting geometries back to the graph.
+ *
+ * A snapshot has the following structure:
+ *
+ * (code)
+ * {
+ *   gridSize, gridEnabled, cellsMovable, cellsLocked, stylesheet,
+ *   parent: { id, style, geometry },
+ *   cells: [{ id, parent, vertex, edge, source, target, style, geometry }]
+ * }
+ * (end)
+ *
+ * The parent is null if the layout runs on a layer or the root. The cells
+ * are the descendants of the parent in pre-order, followed by the edges
+ * between them. Geometries are stored as
+ * <code>{ x, y, width, height, relative, points }</code>.
+ *
+ * The stylesheet of the graph is stored as returned by
+ * <StylesheetCodec.encodeJson>, so that layouts that depend on named styles,
+ * such as the start size of swimlanes, see the same styles as in the graph.
+ * Style values that are functions must be registered in the <StyleRegistry>
+ * and other object values are not part of the snapshot.
+ *
+ * Edges whose source or target is not a descendant of the parent, or that
+ * are dangling, are not part of the snapshot. Such edges are ignored by the
+ * layout and their geometries are not changed.
+ *
+ * The snapshot runs in a headless <Graph> that has no container. In a web
+ * worker, where no DOM is available, the graph has no handlers either.
+ */
+
+/**
+ * Function: serializeGeometry
+ *
+ * Returns the given <Geometry> as plain data.
+ */
+export const serializeGeometry = (geo) => {
+  if (isUnset(geo)) return null;
+
+  const points = geo.getPoints();
+
+  return {
+    x: geo.getX(),
+    y: geo.getY(),
+    width: geo.getWidth(),
+    height: geo.getHeight(),
+    relative: geo.isRelative(),
+    points: isSet(points)
+      ? points.map((p) => ({ x: p.getX(), y: p.getY() }))
+      : null
+  };
+};
+
+/**
+ * Function: deserializeGeometry
+ *
+ * Returns a new <Geometry> for the given plain data.
+ */
+export const deserializeGeometry = (data) => {
+  if (isUnset(data)) return null;
+
+  const geo = Geometry(data.x, data.y, data.width, data.height);
+  geo.setRelative(data.relative);
+
+  if (isSet(data.points)) {
+    geo.setPoints(data.points.map((p) => Point(p.x, p.y)));
+  }
+
+  return geo;
+};
+
+/**
+ * Function: updateGeometry
+ *
+ * Returns a clone of the given <Geometry> with the bounds and control points
+ * of the given plain data. Returns a new geometry if the given geometry is
+ * null.
+ */
+export const updateGeometry = (geo, data) => {
+  if (isUnset(geo)) return deserializeGeometry(data);
+
+  const tmp = deserializeGeometry(data);
+  const result = geo.clone();
+
+  result.setX(tmp.getX());
+  result.setY(tmp.getY());
+  result.setWidth(tmp.getWidth());
+  result.setHeight(tmp.getHeight());
+  result.setPoints(tmp.getPoints());
+
+  return result;
+};
+
+/**
+ * Function: createSnapshot
+ *
+ * Returns the snapshot of the given parent and its descendants.
+ *
+ * Parameters:
+ *
+ * graph - <Graph> that contains the cells.
+ * parent - <Cell> whose descendants should be laid out.
+ */
+export const createSnapshot = (graph, parent) => {
+  const model = graph.getModel();
+  const cells = [];
+  const edges = [];
+  const ids = new Set();
+
+  const visit = (cell) => {
+    const childCount = model.getChildCount(cell);
+
+    for (let i = 0; i < childCount; i++) {
+      const child = model.getChildAt(cell, i);
+
+      if (model.isEdge(child)) {
+        edges.push(child);
+      } else if (model.isVertex(child)) {
+        ids.add(child.getId());
+        cells.push({
+          id: child.getId(),
+          parent: cell === parent ? null : cell.getId(),
+          vertex: true,
+          edge: false,
+          style: model.getStyle(child),
+          geometry: serializeGeometry(model.getGeometry(child))
+        });
+        visit(child);
+      }
+    }
+  };
+
+  visit(parent);
+
+  // Only keeps edges that connect cells of the snapshot
+  for (const edge of edges) {
+    const source = model.getTerminal(edge, true);
+    const target = model.getTerminal(edge, false);
+
+    if (
+      isSet(source) &&
+      isSet(target) &&
+      ids.has(source.getId()) &&
+      ids.has(target.getId())
+    ) {
+      const edgeParent = model.getParent(edge);
+
+      cells.push({
+        id: edge.getId(),
+        parent: edgeParent === parent ? null : edgeParent.getId(),
+        vertex: false,
+        edge: true,
+        source: source.getId(),
+        target: target.getId(),
+        style: model.getStyle(edge),
+        geometry: serializeGeometry(model.getGeometry(edge))
+      });
+    }
+  }
+
+  const isContainer = parent !== model.getRoot() && !model.isLayer(parent);
+
+  return {
+    gridSize: graph.getGridSize(),
+    gridEnabled: graph.isGridEnabled(),
+    cellsMovable: graph.isCellsMovable(),
+    cellsLocked: graph.isCellsLocked(),
+    stylesheet: StylesheetCodec().encodeJson(graph.getStylesheet()),
+    parent: isContainer
+      ? {
+          id: parent.getId(),
+          style: model.getStyle(parent),
+          geometry: serializeGeometry(model.getGeometry(parent))
+        }
+      : null,
+    cells
+  };
+};
+
+/**
+ * Function: runSnapshotLayout
+ *
+ * Creates a headless <Graph> for the given snapshot, invokes the given
+ * function with the graph and the parent to be laid out, and returns the
+ * resulting geometries of the parent and the cells as an array of
+ * <code>{ id, geometry }</code>.
+ *
+ * Parameters:
+ *
+ * snapshot - Snapshot returned by <createSnapshot>.
+ * fn - Function that takes the graph and the parent and runs the layout.
+ */
+export const runSnapshotLayout = (snapshot, fn) => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const lookup = new Map();
+  let parent = graph.getDefaultParent();
+
+  graph.setGridSize(snapshot.gridSize);
+  graph.setGridEnabled(snapshot.gridEnabled);
+
+  if (isSet(snapshot.stylesheet)) {
+    StylesheetCodec().decodeJson(snapshot.stylesheet, graph.getStylesheet());
+  }
+
+  // IDs are not reused since they might collide with the IDs of the root
+  // and the default layer of the headless graph
+  const insert = (data, cellParent) => {
+    const cell = data.edge
+      ? graph.insertEdge(
+          cellParent,
+          null,
+          '',
+          lookup.get(data.source),
+          lookup.get(data.target),
+          data.style
+        )
+      : graph.insertVertex(cellParent, null, '', 0, 0, 0, 0, data.style);
+
+    model.setGeometry(cell, deserializeGeometry(data.geometry));
+    lookup.set(data.id, cell);
+
+    return cell;
+  };
+
+  model.beginUpdate();
+
+  try {
+    if (isSet(snapshot.parent)) {
+      parent = insert(snapshot.parent, parent);
+    }
+
+    for (const data of snapshot.cells) {
+      insert(data, isSet(data.parent) ? lookup.get(data.parent) : parent);
+    }
+  } finally {
+    model.endUpdate();
+  }
+
+  // Layouts check these flags via Graph.isCellMovable
+  graph.setCellsMovable(snapshot.cellsMovable);
+  graph.setCellsLocked(snapshot.cellsLocked);
+
+  fn(graph, parent);
+
+  const entries = isSet(snapshot.parent)
+    ? [snapshot.parent, ...snapshot.cells]
+    : snapshot.cells;
+
+  return entries.map((data) => ({
+    id: data.id,
+    geometry: serializeGeometry(model.getGeometry(lookup.get(data.id)))
+  }));
+};
+
+/**
+ * Function: applySnapshotResult
+ *
+ * Applies the given geometries to the cells of the given graph in a single
+ * transaction. Cells that have been removed since the snapshot was taken are
+ * ignored.
+ *
+ * Parameters:
+ *
+ * graph - <Graph> that contains the cells.
+ * result - Array of <code>{ id, geometry }</code> returned by
+ * <runSnapshotLayout>.
+ */
+export const applySnapshotResult = (graph, result) => {
+  const model = graph.getModel();
+
+  model.beginUpdate();
+
+  try {
+    for (const { id, geometry } of result) {
+      const cell = model.getCell(id);
+
+      if (isSet(cell) && isSet(geometry)) {
+        const geo = model.getGeometry(cell);
+        const next = updateGeometry(geo, geometry);
+
+        if (isUnset(geo) || !geo.equals(next)) {
+          model.setGeometry(cell, next);
+        }
+      }
+    }
+  } finally {
+    model.endUpdate();
+  }
+};
@@ -0,0 +1,97 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { isUnset } from '../Helpers';
+import CircleLayout from './CircleLayout';
+import CompactTreeLayout from './CompactTreeLayout';
+import FastOrganicLayout from './FastOrganicLayout';
+import HierarchicalLayout from './hierarchical/HierarchicalLayout';
+import { runSnapshotLayout } from './LayoutSnapshot';
+import ParallelEdgeLayout from './ParallelEdgeLayout';
+import PartitionLayout from './PartitionLayout';
+import RadialTreeLayout from './RadialTreeLayout';
+import StackLayout from './StackLayout';
+
+/**
+ * Class: LayoutWorker
+ *
+ * Entry point for web workers that run layouts on snapshots created with
+ * <LayoutSnapshot.createSnapshot>. If this module is loaded in a worker, it
+ * handles messages of the form <code>{ snapshot, name, options }</code> and
+ * posts back <code>{ result }</code> or <code>{ error }</code>.
+ *
+ * The module is also used by <LayoutRunner> to run layouts synchronously
+ * where no workers are available.
+ */
+
+/**
+ * Variable: LAYOUTS
+ *
+ * Maps from layout names to functions that create the respective layout for
+ * a given <Graph>. Custom layouts can be added to this object in the bundle
+ * of the worker.
+ */
+export const LAYOUTS = {
+  circle: (graph) => CircleLayout(graph),
+  compactTree: (graph) => CompactTreeLayout(graph),
+  fastOrganic: (graph) => FastOrganicLayout(graph),
+  hierarchical: (graph) => HierarchicalLayout(graph),
+  parallelEdge: (graph) => ParallelEdgeLayout(graph),
+  partition: (graph) => PartitionLayout(graph),
+  radialTree: (graph) => RadialTreeLayout(graph),
+  stack: (graph) => StackLayout(graph)
+};
+
+/**
+ * Function: runLayout
+ *
+ * Runs the layout with the given name on the given snapshot and returns the
+ * resulting geometries. The options are applied using the setters of the
+ * layout, for example <code>{ seed: 1 }</code> invokes
+ * <code>setSeed(1)</code>. Options must be plain values so that they can be
+ * posted to a worker.
+ *
+ * Parameters:
+ *
+ * snapshot - Snapshot returned by <LayoutSnapshot.createSnapshot>.
+ * name - Name of the layout in <LAYOUTS>.
+ * options - Optional object that maps from property names to values.
+ */
+export const runLayout = (snapshot, name, options = {}) => {
+  const factory = LAYOUTS[name];
+
+  if (isUnset(factory)) throw new Error(`Unknown layout ${name}`);
+
+  return runSnapshotLayout(snapshot, (graph, parent) => {
+    const layout = factory(graph);
+
+    for (const [key, value] of Object.entries(options)) {
+      const setter = layout[`set${key.charAt(0).toUpperCase()}${key.slice(1)}`];
+
+      if (typeof setter !== 'function') {
+        throw new Error(`Unknown option ${key} for layout ${name}`);
+      }
+
+      setter(value);
+    }
+
+    layout.execute(parent);
+  });
+};
+
+// Handles layout requests if this module is the entry of a web worker
+if (
+  typeof WorkerGlobalScope !== 'undefined' &&
+  self instanceof WorkerGlobalScope
+) {
+  self.onmessage = (evt) => {
+    const { snapshot, name, options } = evt.data;
+
+    try {
+      self.postMessage({ result: runLayout(snapshot, name, options) });
+    } catch (e) {
+      self.postMessage({ error: e.message });
+    }
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import ObjectIdentity from '../util/ObjectIdentity';
+import Point from '../util/Point';
+import GraphLayout from './GraphLayout';
+
+/**
+ * Class: ParallelEdgeLayout
+ *
+ * Extends <GraphLayout> for arranging parallel edges. This layout works
+ * on edges for all pairs of vertices where there is more than one edge
+ * connecting the latter.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = ParallelEdgeLayout(graph);
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * To rerun the layout whenever the cells in the default parent change, for
+ * example after a terminal was moved, the layout can be returned from
+ * <LayoutManager.getLayout>:
+ *
+ * (code)
+ * const manager = LayoutManager(graph);
+ * manager.getLayout = (cell) =>
+ *   cell === graph.getDefaultParent() ? layout : null;
+ * (end)
+ *
+ * Constructor: ParallelEdgeLayout
+ *
+ * Constructs a new parallel edge layout for the specified graph.
+ */
+const ParallelEdgeLayout = (graph) => {
+  /**
+   * Variable: spacing
+   *
+   * Defines the spacing between the parallels. Default is 20.
+   */
+  const [getSpacing, setSpacing] = addProp(20);
+
+  /**
+   * Variable: checkOverlap
+   *
+   * Specifies if only overlapping edges should be considered
+   * parallel. Default is false.
+   */
+  const [isCheckOverlap, setCheckOverlap] = addProp(false);
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>.
+   *
+   * Parameters:
+   *
+   * parent - <Cell> whose child edges should be laid out.
+   * cells - Optional array of edges whose parallels should be laid out
+   * instead of the edges in the parent.
+   */
+  const execute = (parent, cells) => {
+    const model = _layout.getGraph().getModel();
+    const lookup = findParallels(parent, cells);
+
+    model.beginUpdate();
+
+    try {
+      lookup.forEach((parallels) => {
+        if (parallels.length > 1) {
+          layout(parallels);
+        }
+      });
+    } finally {
+      model.endUpdate();
+    }
+  };
+
+  /**
+   * Function: findParallels
+   *
+   * Finds the parallel edges in the given parent or of the given cells and
+   * returns a map from the IDs in <getEdgeId> to arrays of parallel edges.
+   * The parallels of an edge are found with <GraphModel.getEdgesBetween> so
+   * that all edges between the terminals are laid out even if only some of
+   * them are given.
+   */
+  const findParallels = (parent, cells) => {
+    const model = _layout.getGraph().getModel();
+    const lookup = new Map();
+
+    const addCell = (cell) => {
+      if (!_layout.isEdgeIgnored(cell)) {
+        const id = getEdgeId(cell);
+
+        if (isSet(id)) {
+          if (!lookup.has(id)) {
+            lookup.set(
+              id,
+              model
+                .getEdgesBetween(
+                  model.getTerminal(cell, true),
+                  model.getTerminal(cell, false)
+                )
+                .filter(
+                  (edge) =>
+                    !_layout.isEdgeIgnored(edge) && getEdgeId(edge) === id
+                )
+            );
+          }
+
+          // Adds edges whose terminals are connected via collapsed ancestors
+          const parallels = lookup.get(id);
+
+          if (!parallels.includes(cell)) {
+            parallels.push(cell);
+          }
+        }
+      }
+    };
+
+    if (isSet(cells)) {
+      cells.forEach(addCell);
+    } else {
+      const childCount = model.getChildCount(parent);
+
+      for (let i = 0; i < childCount; i++) {
+        addCell(model.getChildAt(parent, i));
+      }
+    }
+
+    return lookup;
+  };
+
+  /**
+   * Function: getEdgeId
+   *
+   * Returns a unique ID for the given edge. The ID is independent of the
+   * edge direction and is based on the visible cell terminals of the given
+   * edge.
+   */
+  const getEdgeId = (edge) => {
+    const view = _layout.getGraph().getView();
+
+    // Cannot use cached visible terminal because this could be triggered in
+    // BEFORE_UNDO
+    let src = view.getVisibleTerminal(edge, true);
+    let trg = view.getVisibleTerminal(edge, false);
+    let pts = '';
+
+    if (isSet(src) && isSet(trg)) {
+      src = ObjectIdentity.get(src);
+      trg = ObjectIdentity.get(trg);
+
+      if (isCheckOverlap()) {
+        const state = view.getState(edge);
+
+        if (isSet(state) && isSet(state.getAbsolutePoints())) {
+          pts = state
+            .getAbsolutePoints()
+            .filter((pt) => isSet(pt))
+            .map((pt) => `${pt.getX()},${pt.getY()}`)
+            .join(',');
+        }
+      }
+
+      return (src > trg ? `${trg}-${src}` : `${src}-${trg}`) + pts;
+    }
+
+    return null;
+  };
+
+  /**
+   * Function: layout
+   *
+   * Lays out the parallel edges in the given array.
+   */
+  const layout = (parallels) => {
+    const edge = parallels[0];
+    const view = _layout.getGraph().getView();
+    const model = _layout.getGraph().getModel();
+    const src = model.getGeometry(view.getVisibleTerminal(edge, true));
+    const trg = model.getGeometry(view.getVisibleTerminal(edge, false));
+    const spacing = getSpacing();
+
+    // Routes multiple loops
+    if (isSet(src) && src === trg) {
+      let x0 = src.getX() + src.getWidth() + spacing;
+      const y0 = src.getY() + src.getHeight() / 2;
+
+      for (const parallel of parallels) {
+        route(parallel, x0, y0);
+        x0 += spacing;
+      }
+    } else if (isSet(src) && isSet(trg)) {
+      // Routes parallel edges
+      const scx = src.getX() + src.getWidth() / 2;
+      const scy = src.getY() + src.getHeight() / 2;
+
+      const tcx = trg.getX() + trg.getWidth() / 2;
+      const tcy = trg.getY() + trg.getHeight() / 2;
+
+      const dx = tcx - scx;
+      const dy = tcy - scy;
+
+      const len = Math.sqrt(dx * dx + dy * dy);
+
+      if (len > 0) {
+        let x0 = scx + dx / 2;
+        let y0 = scy + dy / 2;
+
+        const nx = (dy * spacing) / len;
+        const ny = (dx * spacing) / len;
+
+        x0 += (nx * (parallels.length - 1)) / 2;
+        y0 -= (ny * (parallels.length - 1)) / 2;
+
+        for (const parallel of parallels) {
+          route(parallel, x0, y0);
+          x0 -= nx;
+          y0 += ny;
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: route
+   *
+   * Routes the given edge via the given point. The geometry is not changed
+   * if the edge is already routed via the point so that rerunning the layout
+   * from a <LayoutManager> does not create new changes.
+   */
+  const route = (edge, x, y) => {
+    const graph = _layout.getGraph();
+
+    if (graph.isCellMovable(edge)) {
+      const geo = graph.getModel().getGeometry(edge);
+      const pts = isSet(geo) ? geo.getPoints() : null;
+
+      if (
+        isUnset(pts) ||
+        pts.length !== 1 ||
+        pts[0].getX() !== x ||
+        pts[0].getY() !== y
+      ) {
+        _layout.setEdgePoints(edge, [Point(x, y)]);
+      }
+    }
+  };
+
+  const me = {
+    getSpacing,
+    setSpacing,
+    isCheckOverlap,
+    setCheckOverlap,
+    execute,
+    findParallels,
+    getEdgeId,
+    layout,
+    route
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(ParallelEdgeLayout);
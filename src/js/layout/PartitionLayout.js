@@ -0,0 +1,225 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import Rectangle from '../util/Rectangle';
+import GraphLayout from './GraphLayout';
+
+/**
+ * Class: PartitionLayout
+ *
+ * Extends <GraphLayout> for partitioning the parent cell vertically or
+ * horizontally by filling the complete area with the child cells. A horizontal
+ * layout partitions the height of the given parent whereas a a non-horizontal
+ * layout partitions the width. If the parent is a layer (that is, a child of
+ * the root node), then the current graph size is partitioned. The children do
+ * not need to be connected for this layout to work.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = PartitionLayout(graph, true, 10, 20);
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * Constructor: PartitionLayout
+ *
+ * Constructs a new stack layout layout for the specified graph,
+ * spacing, orientation and offset.
+ */
+const PartitionLayout = (graph, horizontal = true, spacing = 0, border = 0) => {
+  /**
+   * Variable: horizontal
+   *
+   * Boolean indicating the direction in which the space is partitioned.
+   * Default is true.
+   */
+  const [isHorizontal, setHorizontal] = addProp(horizontal);
+
+  /**
+   * Variable: spacing
+   *
+   * Integer that specifies the absolute spacing in pixels between the
+   * children. Default is 0.
+   */
+  const [getSpacing, setSpacing] = addProp(spacing);
+
+  /**
+   * Variable: border
+   *
+   * Integer that specifies the absolute inset in pixels for the parent that
+   * contains the children. Default is 0.
+   */
+  const [getBorder, setBorder] = addProp(border);
+
+  /**
+   * Variable: resizeVertices
+   *
+   * Boolean that specifies if vertices should be resized. Default is true.
+   */
+  const [isResizeVertices, setResizeVertices] = addProp(true);
+
+  /**
+   * Function: moveCell
+   *
+   * Implements <GraphLayout.moveCell>.
+   */
+  const moveCell = (cell, x, y) => {
+    const model = _layout.getGraph().getModel();
+    const parent = model.getParent(cell);
+
+    if (isSet(cell) && isSet(parent)) {
+      let i = 0;
+      let last = 0;
+      const childCount = model.getChildCount(parent);
+
+      // Finds index of the closest swimlane
+      // TODO: Take into account the orientation
+      for (i = 0; i < childCount; i++) {
+        const child = model.getChildAt(parent, i);
+        const bounds = _layout.getVertexBounds(child);
+
+        if (isSet(bounds)) {
+          const tmp = bounds.getX() + bounds.getWidth() / 2;
+
+          if (last < x && tmp > x) {
+            break;
+          }
+
+          last = tmp;
+        }
+      }
+
+      // Changes child order in parent
+      const idx = parent.getIndex(cell);
+      model.add(parent, cell, Math.max(0, i - (i > idx ? 1 : 0)));
+    }
+  };
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>. All children where <isVertexIgnored>
+   * returns false and <isVertexMovable> returns true are modified.
+   */
+  const execute = (parent) => {
+    const graph = _layout.getGraph();
+    const horizontal = isHorizontal();
+    const model = graph.getModel();
+    const container = graph.getContainer();
+    let pgeo = model.getGeometry(parent);
+
+    // Handles special case where the parent is either a layer with no
+    // geometry or the current root of the view in which case the size
+    // of the graph's container will be used.
+    if (
+      isSet(container) &&
+      ((isUnset(pgeo) && model.isLayer(parent)) ||
+        parent === graph.getView().getCurrentRoot())
+    ) {
+      pgeo = Rectangle(
+        0,
+        0,
+        container.offsetWidth - 1,
+        container.offsetHeight - 1
+      );
+    }
+
+    if (isSet(pgeo)) {
+      const children = [];
+      const childCount = model.getChildCount(parent);
+
+      for (let i = 0; i < childCount; i++) {
+        const child = model.getChildAt(parent, i);
+
+        if (
+          !me.resolve('isVertexIgnored')(child) &&
+          _layout.isVertexMovable(child)
+        ) {
+          children.push(child);
+        }
+      }
+
+      const n = children.length;
+
+      if (n > 0) {
+        const border = getBorder();
+        const size = graph.isSwimlane(parent)
+          ? graph.getStartSize(parent)
+          : Rectangle(0, 0);
+        const other =
+          (horizontal ? pgeo.getHeight() : pgeo.getWidth()) -
+          2 * border -
+          (horizontal ? size.getHeight() : size.getWidth());
+        let x0 = border + size.getWidth();
+        let y0 = border + size.getHeight();
+
+        const tmp = border + (n - 1) * getSpacing();
+        const value = horizontal
+          ? (pgeo.getWidth() - x0 - tmp) / n
+          : (pgeo.getHeight() - y0 - tmp) / n;
+
+        // Avoids negative values, that is values where the sum of the
+        // spacing plus the border is larger then the available space
+        if (value > 0) {
+          model.beginUpdate();
+
+          try {
+            for (const child of children) {
+              let geo = model.getGeometry(child);
+
+              if (isSet(geo)) {
+                geo = geo.clone();
+                geo.setX(x0);
+                geo.setY(y0);
+
+                if (horizontal) {
+                  if (isResizeVertices()) {
+                    geo.setWidth(value);
+                    geo.setHeight(other);
+                  }
+
+                  x0 += value + getSpacing();
+                } else {
+                  if (isResizeVertices()) {
+                    geo.setHeight(value);
+                    geo.setWidth(other);
+                  }
+
+                  y0 += value + getSpacing();
+                }
+
+                model.setGeometry(child, geo);
+              }
+            }
+          } finally {
+            model.endUpdate();
+          }
+        }
+      }
+    }
+  };
+
+  const me = {
+    isHorizontal,
+    setHorizontal,
+    getSpacing,
+    setSpacing,
+    getBorder,
+    setBorder,
+    isResizeVertices,
+    setResizeVertices,
+    moveCell,
+    execute
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(PartitionLayout);
@@ -0,0 +1,345 @@
+/**
+ * Copyright (c) 2006-2018, JGraph Ltd
+ * Copyright (c) 2006-2018, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import CompactTreeLayout from './CompactTreeLayout';
+
+/**
+ * Class: RadialTreeLayout
+ *
+ * Extends <CompactTreeLayout> to implement a radial tree algorithm. This
+ * layout is suitable for graphs that have no cycles (trees). Vertices that are
+ * not connected to the tree will be ignored by this layout.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = RadialTreeLayout(graph);
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * Constructor: RadialTreeLayout
+ *
+ * Constructs a new radial tree layout for the specified graph
+ *
+ * Arguments:
+ *
+ * graph - Reference to the enclosing <Graph>.
+ */
+const RadialTreeLayout = (graph) => {
+  /**
+   * Variable: angleOffset
+   *
+   * The initial offset to compute the angle position.
+   */
+  const [getAngleOffset, setAngleOffset] = addProp(0.5);
+
+  /**
+   * Variable: rootx
+   *
+   * The X co-ordinate of the root cell
+   */
+  const [getRootx, setRootx] = addProp(0);
+
+  /**
+   * Variable: rooty
+   *
+   * The Y co-ordinate of the root cell
+   */
+  const [getRooty, setRooty] = addProp(0);
+
+  /**
+   * Variable: autoRadius
+   *
+   * Specifies if the radios should be computed automatically
+   */
+  const [isAutoRadius, setAutoRadius] = addProp(false);
+
+  /**
+   * Variable: centerX
+   *
+   * The X co-ordinate of the center of the root cell
+   */
+  const [getCenterX, setCenterX] = addProp(0);
+
+  /**
+   * Variable: centerY
+   *
+   * The Y co-ordinate of the center of the root cell
+   */
+  const [getCenterY, setCenterY] = addProp(0);
+
+  /**
+   * Variable: rowMinX
+   *
+   * Array of leftmost x coordinate of each row
+   */
+  const [getRowMinX, setRowMinX] = addProp([]);
+
+  /**
+   * Variable: rowMaxX
+   *
+   * Array of rightmost x coordinate of each row
+   */
+  const [getRowMaxX, setRowMaxX] = addProp([]);
+
+  /**
+   * Variable: rowMinCenX
+   *
+   * Array of x coordinate of leftmost vertex of each row
+   */
+  const [getRowMinCenX, setRowMinCenX] = addProp([]);
+
+  /**
+   * Variable: rowMaxCenX
+   *
+   * Array of x coordinate of rightmost vertex of each row
+   */
+  const [getRowMaxCenX, setRowMaxCenX] = addProp([]);
+
+  /**
+   * Variable: rowRadi
+   *
+   * Array of y deltas of each row behind root vertex, also the radius in the tree
+   */
+  const [getRowRadi, setRowRadi] = addProp([]);
+
+  /**
+   * Variable: row
+   *
+   * Array of vertices on each row
+   */
+  const [getRow, setRow] = addProp([]);
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>.
+   *
+   * If the parent has any connected edges, then it is used as the root of
+   * the tree. Else, <Graph.findTreeRoots> will be used to find a suitable
+   * root node within the set of children of the given parent.
+   *
+   * Parameters:
+   *
+   * parent - <Cell> whose children should be laid out.
+   * root - Optional <Cell> that will be used as the root of the tree.
+   */
+  const execute = (parent, root) => {
+    const model = _tree.getGraph().getModel();
+    _tree.setUseBoundingBox(false);
+    _tree.setEdgeRouting(false);
+
+    model.beginUpdate();
+
+    try {
+      _tree.execute(parent, root);
+
+      if (isSet(_tree.getRoot()) && isSet(_tree.getNode())) {
+        placeRows();
+      }
+    } finally {
+      model.endUpdate();
+    }
+  };
+
+  /**
+   * Function: placeRows
+   *
+   * Converts the rows of the compact tree into concentric circles around
+   * the root.
+   */
+  const placeRows = () => {
+    const nodeDistance = _tree.getNodeDistance();
+    const rootBounds = _tree.getVertexBounds(_tree.getRoot());
+    setCenterX(rootBounds.getX() + rootBounds.getWidth() / 2);
+    setCenterY(rootBounds.getY() + rootBounds.getHeight() / 2);
+    setRowMinX([]);
+    setRowMaxX([]);
+    setRowMinCenX([]);
+    setRowMaxCenX([]);
+    setRowRadi([]);
+    setRow([]);
+
+    calcRowDims([_tree.getNode()], 0);
+
+    const rows = getRow();
+    const rowRadi = getRowRadi();
+    const centerX = getCenterX();
+    let maxLeftGrad = 0;
+    let maxRightGrad = 0;
+
+    // Find the steepest left and right gradients
+    for (let i = 0; i < rows.length; i++) {
+      const leftGrad = (centerX - getRowMinX()[i] - nodeDistance) / rowRadi[i];
+      const rightGrad = (getRowMaxX()[i] - centerX - nodeDistance) / rowRadi[i];
+
+      maxLeftGrad = Math.max(maxLeftGrad, leftGrad);
+      maxRightGrad = Math.max(maxRightGrad, rightGrad);
+    }
+
+    // Extend out row so they meet the maximum gradient and convert to polar co-ords
+    for (let i = 0; i < rows.length; i++) {
+      const xLeftLimit = centerX - nodeDistance - maxLeftGrad * rowRadi[i];
+      const xRightLimit = centerX + nodeDistance + maxRightGrad * rowRadi[i];
+      const fullWidth = xRightLimit - xLeftLimit;
+
+      for (const node of rows[i]) {
+        const vertexBounds = _tree.getVertexBounds(node.cell);
+        const xProportion =
+          (vertexBounds.getX() + vertexBounds.getWidth() / 2 - xLeftLimit) /
+          fullWidth;
+        node.theta = 2 * Math.PI * xProportion;
+      }
+    }
+
+    // Post-process from outside inwards to try to align parents with children
+    for (let i = rows.length - 2; i >= 0; i--) {
+      const row = rows[i];
+
+      for (let j = 0; j < row.length; j++) {
+        const node = row[j];
+        let counter = 0;
+        let totalTheta = 0;
+
+        for (let child = node.child; isSet(child); child = child.next) {
+          totalTheta += child.theta;
+          counter++;
+        }
+
+        if (counter > 0) {
+          const averTheta = totalTheta / counter;
+
+          if (averTheta > node.theta && j < row.length - 1) {
+            const nextTheta = row[j + 1].theta;
+            node.theta = Math.min(averTheta, nextTheta - Math.PI / 10);
+          } else if (averTheta < node.theta && j > 0) {
+            const lastTheta = row[j - 1].theta;
+            node.theta = Math.max(averTheta, lastTheta + Math.PI / 10);
+          }
+        }
+      }
+    }
+
+    // Set locations
+    for (let i = 0; i < rows.length; i++) {
+      for (const node of rows[i]) {
+        const vertexBounds = _tree.getVertexBounds(node.cell);
+
+        _tree.setVertexLocation(
+          node.cell,
+          centerX -
+            vertexBounds.getWidth() / 2 +
+            rowRadi[i] * Math.cos(node.theta),
+          getCenterY() -
+            vertexBounds.getHeight() / 2 +
+            rowRadi[i] * Math.sin(node.theta)
+        );
+      }
+    }
+  };
+
+  /**
+   * Function: calcRowDims
+   *
+   * Recursive function to calculate the dimensions of each row
+   *
+   * Parameters:
+   *
+   * row - Array of internal nodes, the children of which are to be processed.
+   * rowNum - Integer indicating which row is being processed.
+   */
+  const calcRowDims = (row, rowNum) => {
+    if (isUnset(row) || row.length === 0) {
+      return;
+    }
+
+    const centerX = getCenterX();
+    const rootY = _tree.getVertexBounds(_tree.getRoot()).getY();
+
+    // Place root's children proportionally around the first level
+    getRowMinX()[rowNum] = centerX;
+    getRowMaxX()[rowNum] = centerX;
+    getRowMinCenX()[rowNum] = centerX;
+    getRowMaxCenX()[rowNum] = centerX;
+    getRow()[rowNum] = [];
+
+    let rowHasChildren = false;
+
+    for (const node of row) {
+      for (
+        let child = isSet(node) ? node.child : null;
+        isSet(child);
+        child = child.next
+      ) {
+        const vertexBounds = _tree.getVertexBounds(child.cell);
+        const x = vertexBounds.getX();
+        const width = vertexBounds.getWidth();
+
+        getRowMinX()[rowNum] = Math.min(x, getRowMinX()[rowNum]);
+        getRowMaxX()[rowNum] = Math.max(x + width, getRowMaxX()[rowNum]);
+        getRowMinCenX()[rowNum] = Math.min(
+          x + width / 2,
+          getRowMinCenX()[rowNum]
+        );
+        getRowMaxCenX()[rowNum] = Math.max(
+          x + width / 2,
+          getRowMaxCenX()[rowNum]
+        );
+        getRowRadi()[rowNum] = vertexBounds.getY() - rootY;
+
+        if (isSet(child.child)) {
+          rowHasChildren = true;
+        }
+
+        getRow()[rowNum].push(child);
+      }
+    }
+
+    if (rowHasChildren) {
+      calcRowDims(getRow()[rowNum], rowNum + 1);
+    }
+  };
+
+  const me = {
+    getAngleOffset,
+    setAngleOffset,
+    getRootx,
+    setRootx,
+    getRooty,
+    setRooty,
+    isAutoRadius,
+    setAutoRadius,
+    getCenterX,
+    setCenterX,
+    getCenterY,
+    setCenterY,
+    getRowMinX,
+    setRowMinX,
+    getRowMaxX,
+    setRowMaxX,
+    getRowMinCenX,
+    setRowMinCenX,
+    getRowMaxCenX,
+    setRowMaxCenX,
+    getRowRadi,
+    setRowRadi,
+    getRow,
+    setRow,
+    execute,
+    placeRows,
+    calcRowDims
+  };
+
+  const _tree = CompactTreeLayout(graph, false);
+  _tree.setLevelDistance(120);
+  _tree.setNodeDistance(10);
+  extendFrom(_tree)(me);
+
+  return me;
+};
+
+export default makeComponent(RadialTreeLayout);
@@ -0,0 +1,229 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, makeComponent } from '../Helpers';
+import GraphLayout from './GraphLayout';
+
+/**
+ * Class: RankLayout
+ *
+ * Extends <GraphLayout> to place the child vertices of a parent in ranks
+ * along a direction, where each vertex is placed after all vertices it is
+ * connected from, ignoring cycles. Groups are laid out recursively and
+ * resized to fit their children. This is the default layout of imported
+ * DOT and Mermaid sources.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = RankLayout(graph, 'LR');
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * Constructor: RankLayout
+ *
+ * Constructs a new rank layout for the specified direction.
+ *
+ * Arguments:
+ *
+ * graph - <Graph> that contains the cells.
+ * direction - Optional direction of the ranks. Possible values are TB, LR,
+ * BT and RL. Default is TB.
+ */
+const RankLayout = (graph, direction = 'TB') => {
+  /**
+   * Variable: direction
+   *
+   * Direction of the ranks. Possible values are TB (top to bottom), LR
+   * (left to right), BT (bottom to top) and RL (right to left). Default is
+   * TB.
+   */
+  const [getDirection, setDirection] = addProp(direction);
+
+  /**
+   * Variable: spacing
+   *
+   * Spacing between the vertices and between the ranks. Default is 40.
+   */
+  const [getSpacing, setSpacing] = addProp(40);
+
+  /**
+   * Variable: groupOffset
+   *
+   * Space that is left at the top of groups for their title. Default is 30.
+   */
+  const [getGroupOffset, setGroupOffset] = addProp(30);
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>.
+   */
+  const execute = (parent) => {
+    const model = _layout.getGraph().getModel();
+
+    model.beginUpdate();
+
+    try {
+      me.resolve('layoutRanks')(parent, false);
+    } finally {
+      model.endUpdate();
+    }
+  };
+
+  /**
+   * Function: layoutRanks
+   *
+   * Places the child vertices of the given parent in ranks. Groups among the
+   * children are laid out first. This is called from <execute>.
+   *
+   * Parameters:
+   *
+   * parent - <Cell> whose children should be laid out.
+   * resize - Boolean that specifies if the parent should be resized to fit
+   * its children.
+   */
+  const layoutRanks = (parent, resize) => {
+    const model = _layout.getGraph().getModel();
+    const dir = getDirection();
+    const spacing = getSpacing();
+    const horizontal = dir === 'LR' || dir === 'RL';
+    const reversed = dir === 'BT' || dir === 'RL';
+    const vertices = model.getChildVertices(parent);
+    const ranks = new Map();
+
+    // Lays out groups first so that their size is known
+    for (const cell of vertices) {
+      if (model.getChildCount(cell) > 0) {
+        me.resolve('layoutRanks')(cell, true);
+      }
+    }
+
+    // Returns the child of parent that contains the given cell
+    const getChild = (cell) => {
+      while (isSet(cell) && model.getParent(cell) !== parent) {
+        cell = model.getParent(cell);
+      }
+
+      return cell;
+    };
+
+    // Returns the children of parent that are connected from the given
+    // cell or its descendants
+    const getTargets = (cell) => {
+      const targets = [];
+      const stack = [cell];
+
+      while (stack.length > 0) {
+        const tmp = stack.pop();
+
+        for (const edge of model.getEdges(tmp, false, true, false)) {
+          const target = getChild(model.getTerminal(edge, false));
+
+          if (isSet(target) && target !== cell && targets.indexOf(target) < 0) {
+            targets.push(target);
+          }
+        }
+
+        stack.push(...model.getChildVertices(tmp));
+      }
+
+      return targets;
+    };
+
+    // Assigns ranks using depth-first search, ignoring back edges
+    const visiting = new Set();
+
+    const visit = (cell, rank) => {
+      if (visiting.has(cell) || (ranks.has(cell) && ranks.get(cell) >= rank))
+        return;
+
+      ranks.set(cell, rank);
+      visiting.add(cell);
+      getTargets(cell).forEach((target) => visit(target, rank + 1));
+      visiting.delete(cell);
+    };
+
+    vertices.forEach((cell) => visit(cell, 0));
+
+    const layers = [];
+
+    for (const cell of vertices) {
+      const rank = ranks.get(cell);
+      layers[rank] = layers[rank] || [];
+      layers[rank].push(cell);
+    }
+
+    if (reversed) layers.reverse();
+
+    // Places the layers along the direction with centered vertices
+    const offset = resize ? getGroupOffset() : 0;
+    const breadths = layers.map((layer) =>
+      layer.reduce((sum, cell) => {
+        const geo = model.getGeometry(cell);
+
+        return sum + (horizontal ? geo.getHeight() : geo.getWidth()) + spacing;
+      }, -spacing)
+    );
+    const maxBreadth = Math.max(0, ...breadths);
+    let depth = spacing / 2 + (horizontal ? 0 : offset);
+
+    layers.forEach((layer, i) => {
+      let position =
+        spacing / 2 +
+        (horizontal ? offset : 0) +
+        (maxBreadth - breadths[i]) / 2;
+      let size = 0;
+
+      for (const cell of layer) {
+        const geo = model.getGeometry(cell).clone();
+
+        if (horizontal) {
+          geo.setX(depth);
+          geo.setY(position);
+          position += geo.getHeight() + spacing;
+          size = Math.max(size, geo.getWidth());
+        } else {
+          geo.setX(position);
+          geo.setY(depth);
+          position += geo.getWidth() + spacing;
+          size = Math.max(size, geo.getHeight());
+        }
+
+        model.setGeometry(cell, geo);
+      }
+
+      depth += size + spacing;
+    });
+
+    // Resizes groups to fit their children
+    if (resize) {
+      const geo = model.getGeometry(parent).clone();
+      const length = depth - spacing / 2;
+      const breadth = maxBreadth + spacing;
+
+      geo.setWidth(horizontal ? length : breadth);
+      geo.setHeight(horizontal ? breadth + offset : length);
+      model.setGeometry(parent, geo);
+    }
+  };
+
+  const me = {
+    getDirection,
+    setDirection,
+    getSpacing,
+    setSpacing,
+    getGroupOffset,
+    setGroupOffset,
+    execute,
+    layoutRanks
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(RankLayout);
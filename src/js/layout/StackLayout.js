@@ -0,0 +1,629 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import {
+  DEFAULT_STARTSIZE,
+  STYLE_HORIZONTAL,
+  STYLE_STARTSIZE,
+  STYLE_STROKEWIDTH
+} from '../util/Constants';
+import Rectangle from '../util/Rectangle';
+import { getNumber, getValue } from '../util/Utils';
+import GraphLayout from './GraphLayout';
+
+/**
+ * Class: StackLayout
+ *
+ * Extends <GraphLayout> to create a horizontal or vertical stack of the
+ * child vertices. The children do not need to be connected for this layout
+ * to work.
+ *
+ * Example:
+ *
+ * (code)
+ * const layout = StackLayout(graph, true);
+ * layout.execute(graph.getDefaultParent());
+ * (end)
+ *
+ * Constructor: StackLayout
+ *
+ * Constructs a new stack layout layout for the specified graph,
+ * spacing, orientation and offset.
+ */
+const StackLayout = (
+  graph,
+  horizontal = true,
+  spacing = 0,
+  x0 = 0,
+  y0 = 0,
+  border = 0
+) => {
+  /**
+   * Variable: horizontal
+   *
+   * Specifies the orientation of the layout. Default is true.
+   */
+  const [isHorizontal, setHorizontal] = addProp(horizontal);
+
+  /**
+   * Variable: spacing
+   *
+   * Specifies the spacing between the cells. Default is 0.
+   */
+  const [getSpacing, setSpacing] = addProp(spacing);
+
+  /**
+   * Variable: x0
+   *
+   * Specifies the horizontal origin of the layout. Default is 0.
+   */
+  const [getX0, setX0] = addProp(x0);
+
+  /**
+   * Variable: y0
+   *
+   * Specifies the vertical origin of the layout. Default is 0.
+   */
+  const [getY0, setY0] = addProp(y0);
+
+  /**
+   * Variable: border
+   *
+   * Border to be added if fill is true. Default is 0.
+   */
+  const [getBorder, setBorder] = addProp(border);
+
+  /**
+   * Variable: marginTop
+   *
+   * Top margin for the child area. Default is 0.
+   */
+  const [getMarginTop, setMarginTop] = addProp(0);
+
+  /**
+   * Variable: marginLeft
+   *
+   * Top margin for the child area. Default is 0.
+   */
+  const [getMarginLeft, setMarginLeft] = addProp(0);
+
+  /**
+   * Variable: marginRight
+   *
+   * Top margin for the child area. Default is 0.
+   */
+  const [getMarginRight, setMarginRight] = addProp(0);
+
+  /**
+   * Variable: marginBottom
+   *
+   * Top margin for the child area. Default is 0.
+   */
+  const [getMarginBottom, setMarginBottom] = addProp(0);
+
+  /**
+   * Variable: keepFirstLocation
+   *
+   * Boolean indicating if the location of the first cell should be
+   * kept, that is, it will not be moved to x0 or y0. Default is false.
+   */
+  const [isKeepFirstLocation, setKeepFirstLocation] = addProp(false);
+
+  /**
+   * Variable: fill
+   *
+   * Boolean indicating if dimension should be changed to fill out the parent
+   * cell. Default is false.
+   */
+  const [isFill, setFill] = addProp(false);
+
+  /**
+   * Variable: resizeParent
+   *
+   * If the parent should be resized to match the width/height of the
+   * stack. Default is false.
+   */
+  const [isResizeParent, setResizeParent] = addProp(false);
+
+  /**
+   * Variable: resizeParentMax
+   *
+   * Use maximum of existing value and new value for resize of parent.
+   * Default is false.
+   */
+  const [isResizeParentMax, setResizeParentMax] = addProp(false);
+
+  /**
+   * Variable: resizeLast
+   *
+   * If the last element should be resized to fill out the parent. Default is
+   * false. If <resizeParent> is true then this is ignored.
+   */
+  const [isResizeLast, setResizeLast] = addProp(false);
+
+  /**
+   * Variable: wrap
+   *
+   * Value at which a new column or row should be created. Default is null.
+   */
+  const [getWrap, setWrap] = addProp(null);
+
+  /**
+   * Variable: borderCollapse
+   *
+   * If the strokeWidth should be ignored. Default is true.
+   */
+  const [isBorderCollapse, setBorderCollapse] = addProp(true);
+
+  /**
+   * Variable: allowGaps
+   *
+   * If gaps should be allowed in the stack. Default is false.
+   */
+  const [isAllowGaps, setAllowGaps] = addProp(false);
+
+  /**
+   * Variable: gridSize
+   *
+   * Grid size for alignment of position and size. Default is 0.
+   */
+  const [getGridSize, setGridSize] = addProp(0);
+
+  /**
+   * Function: moveCell
+   *
+   * Implements <GraphLayout.moveCell>.
+   */
+  const moveCell = (cell, x, y) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    const parent = model.getParent(cell);
+    const horizontal = isHorizontal();
+
+    if (isSet(cell) && isSet(parent)) {
+      let i = 0;
+      let last = 0;
+      const childCount = model.getChildCount(parent);
+      let value = horizontal ? x : y;
+      const pstate = graph.getView().getState(parent);
+
+      if (isSet(pstate)) {
+        value -= horizontal ? pstate.getX() : pstate.getY();
+      }
+
+      value /= graph.getView().getScale();
+
+      for (i = 0; i < childCount; i++) {
+        const child = model.getChildAt(parent, i);
+
+        if (child !== cell) {
+          const bounds = model.getGeometry(child);
+
+          if (isSet(bounds)) {
+            const tmp = horizontal
+              ? bounds.getX() + bounds.getWidth() / 2
+              : bounds.getY() + bounds.getHeight() / 2;
+
+            if (last <= value && tmp > value) {
+              break;
+            }
+
+            last = tmp;
+          }
+        }
+      }
+
+      // Changes child order in parent
+      const idx = parent.getIndex(cell);
+      model.add(parent, cell, Math.max(0, i - (i > idx ? 1 : 0)));
+    }
+  };
+
+  /**
+   * Function: getParentSize
+   *
+   * Returns the size for the parent container or the size of the graph
+   * container if the parent is a layer or the root of the model.
+   */
+  const getParentSize = (parent) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    const container = graph.getContainer();
+    let pgeo = model.getGeometry(parent);
+
+    // Handles special case where the parent is either a layer with no
+    // geometry or the current root of the view in which case the size
+    // of the graph's container will be used.
+    if (
+      isSet(container) &&
+      ((isUnset(pgeo) && model.isLayer(parent)) ||
+        parent === graph.getView().getCurrentRoot())
+    ) {
+      pgeo = Rectangle(
+        0,
+        0,
+        container.offsetWidth - 1,
+        container.offsetHeight - 1
+      );
+    }
+
+    return pgeo;
+  };
+
+  /**
+   * Function: getLayoutCells
+   *
+   * Returns the cells to be layouted.
+   */
+  const getLayoutCells = (parent) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    const childCount = model.getChildCount(parent);
+    const cells = [];
+
+    for (let i = 0; i < childCount; i++) {
+      const child = model.getChildAt(parent, i);
+
+      if (
+        !me.resolve('isVertexIgnored')(child) &&
+        _layout.isVertexMovable(child)
+      ) {
+        cells.push(child);
+      }
+    }
+
+    if (isAllowGaps()) {
+      const getPosition = (cell) => {
+        const geo = graph.getCellGeometry(cell);
+
+        return isHorizontal() ? geo.getX() : geo.getY();
+      };
+
+      cells.sort((c1, c2) => getPosition(c1) - getPosition(c2));
+    }
+
+    return cells;
+  };
+
+  /**
+   * Function: snap
+   *
+   * Snaps the given value to the grid size.
+   */
+  const snap = (value) => {
+    const gridSize = getGridSize();
+
+    if (isSet(gridSize) && gridSize > 0) {
+      value = Math.max(value, gridSize);
+
+      if (value / gridSize > 1) {
+        const mod = value % gridSize;
+        value += mod > gridSize / 2 ? gridSize - mod : -mod;
+      }
+    }
+
+    return value;
+  };
+
+  /**
+   * Function: execute
+   *
+   * Implements <GraphLayout.execute>.
+   *
+   * Only children where <isVertexIgnored> returns false are taken into
+   * account.
+   */
+  const execute = (parent) => {
+    if (isSet(parent)) {
+      const graph = _layout.getGraph();
+      const pgeo = getParentSize(parent);
+      const horizontal = isHorizontal();
+      const model = graph.getModel();
+      const spacing = getSpacing();
+      const marginLeft = getMarginLeft();
+      const marginTop = getMarginTop();
+      let fillValue = null;
+
+      if (isSet(pgeo)) {
+        fillValue =
+          (horizontal
+            ? pgeo.getHeight() - getMarginTop() - getMarginBottom()
+            : pgeo.getWidth() - getMarginLeft() - getMarginRight()) -
+          2 * getBorder();
+      }
+
+      let x0 = getX0() + getBorder() + marginLeft;
+      let y0 = getY0() + getBorder() + marginTop;
+
+      // Handles swimlane start size
+      if (graph.isSwimlane(parent)) {
+        // Uses computed style to get latest
+        const style = graph.getCellStyle(parent);
+        let start = getNumber(style, STYLE_STARTSIZE, DEFAULT_STARTSIZE);
+        const horz = getValue(style, STYLE_HORIZONTAL, true) == 1;
+
+        if (isSet(pgeo)) {
+          start = Math.min(start, horz ? pgeo.getHeight() : pgeo.getWidth());
+        }
+
+        if (horizontal === horz && isSet(fillValue)) {
+          fillValue -= start;
+        }
+
+        if (horz) {
+          y0 += start;
+        } else {
+          x0 += start;
+        }
+      }
+
+      model.beginUpdate();
+
+      try {
+        let tmp = 0;
+        let last = null;
+        let lastValue = 0;
+        let lastChild = null;
+        const cells = getLayoutCells(parent);
+
+        for (const child of cells) {
+          let geo = model.getGeometry(child);
+
+          if (isSet(geo)) {
+            geo = geo.clone();
+
+            if (isSet(getWrap()) && isSet(last)) {
+              if (
+                (horizontal &&
+                  last.getX() + last.getWidth() + geo.getWidth() + 2 * spacing >
+                    getWrap()) ||
+                (!horizontal &&
+                  last.getY() +
+                    last.getHeight() +
+                    geo.getHeight() +
+                    2 * spacing >
+                    getWrap())
+              ) {
+                last = null;
+
+                if (horizontal) {
+                  y0 += tmp + spacing;
+                } else {
+                  x0 += tmp + spacing;
+                }
+
+                tmp = 0;
+              }
+            }
+
+            tmp = Math.max(tmp, horizontal ? geo.getHeight() : geo.getWidth());
+            let sw = 0;
+
+            if (!isBorderCollapse()) {
+              const childStyle = graph.getCellStyle(child);
+              sw = getNumber(childStyle, STYLE_STROKEWIDTH, 1);
+            }
+
+            if (isSet(last)) {
+              const temp = lastValue + spacing + Math.floor(sw / 2);
+
+              if (horizontal) {
+                geo.setX(
+                  snap(
+                    (isAllowGaps() ? Math.max(temp, geo.getX()) : temp) -
+                      marginLeft
+                  ) + marginLeft
+                );
+              } else {
+                geo.setY(
+                  snap(
+                    (isAllowGaps() ? Math.max(temp, geo.getY()) : temp) -
+                      marginTop
+                  ) + marginTop
+                );
+              }
+            } else if (!isKeepFirstLocation()) {
+              if (horizontal) {
+                geo.setX(
+                  isAllowGaps() && geo.getX() > x0
+                    ? Math.max(snap(geo.getX() - marginLeft) + marginLeft, x0)
+                    : x0
+                );
+              } else {
+                geo.setY(
+                  isAllowGaps() && geo.getY() > y0
+                    ? Math.max(snap(geo.getY() - marginTop) + marginTop, y0)
+                    : y0
+                );
+              }
+            }
+
+            if (horizontal) {
+              geo.setY(y0);
+            } else {
+              geo.setX(x0);
+            }
+
+            if (isFill() && isSet(fillValue)) {
+              if (horizontal) {
+                geo.setHeight(fillValue);
+              } else {
+                geo.setWidth(fillValue);
+              }
+            }
+
+            if (horizontal) {
+              geo.setWidth(snap(geo.getWidth()));
+            } else {
+              geo.setHeight(snap(geo.getHeight()));
+            }
+
+            setChildGeometry(child, geo);
+            lastChild = child;
+            last = geo;
+
+            lastValue = horizontal
+              ? last.getX() + last.getWidth() + Math.floor(sw / 2)
+              : last.getY() + last.getHeight() + Math.floor(sw / 2);
+          }
+        }
+
+        if (
+          isResizeParent() &&
+          isSet(pgeo) &&
+          isSet(last) &&
+          !graph.isCellCollapsed(parent)
+        ) {
+          updateParentGeometry(parent, pgeo, last);
+        } else if (
+          isResizeLast() &&
+          isSet(pgeo) &&
+          isSet(last) &&
+          isSet(lastChild)
+        ) {
+          last = last.clone();
+
+          if (horizontal) {
+            last.setWidth(
+              pgeo.getWidth() -
+                last.getX() -
+                spacing -
+                getMarginRight() -
+                marginLeft
+            );
+          } else {
+            last.setHeight(
+              pgeo.getHeight() - last.getY() - spacing - getMarginBottom()
+            );
+          }
+
+          setChildGeometry(lastChild, last);
+        }
+      } finally {
+        model.endUpdate();
+      }
+    }
+  };
+
+  /**
+   * Function: setChildGeometry
+   *
+   * Sets the specific geometry to the given child cell.
+   *
+   * Parameters:
+   *
+   * child - The given child of <Cell>.
+   * geo - The specific geometry of <Geometry>.
+   */
+  const setChildGeometry = (child, geo) => {
+    const geo2 = _layout.getGraph().getCellGeometry(child);
+
+    if (
+      isUnset(geo2) ||
+      geo.getX() !== geo2.getX() ||
+      geo.getY() !== geo2.getY() ||
+      geo.getWidth() !== geo2.getWidth() ||
+      geo.getHeight() !== geo2.getHeight()
+    ) {
+      _layout.getGraph().getModel().setGeometry(child, geo);
+    }
+  };
+
+  /**
+   * Function: updateParentGeometry
+   *
+   * Updates the geometry of the given parent cell.
+   *
+   * Parameters:
+   *
+   * parent - The given parent of <Cell>.
+   * pgeo - The new <Geometry> for parent.
+   * last - The last <Geometry>.
+   */
+  const updateParentGeometry = (parent, pgeo, last) => {
+    const model = _layout.getGraph().getModel();
+    const pgeo2 = pgeo.clone();
+
+    if (isHorizontal()) {
+      const tmp =
+        last.getX() + last.getWidth() + getMarginRight() + getBorder();
+
+      pgeo2.setWidth(
+        isResizeParentMax() ? Math.max(pgeo2.getWidth(), tmp) : tmp
+      );
+    } else {
+      const tmp =
+        last.getY() + last.getHeight() + getMarginBottom() + getBorder();
+
+      pgeo2.setHeight(
+        isResizeParentMax() ? Math.max(pgeo2.getHeight(), tmp) : tmp
+      );
+    }
+
+    if (
+      pgeo.getX() !== pgeo2.getX() ||
+      pgeo.getY() !== pgeo2.getY() ||
+      pgeo.getWidth() !== pgeo2.getWidth() ||
+      pgeo.getHeight() !== pgeo2.getHeight()
+    ) {
+      model.setGeometry(parent, pgeo2);
+    }
+  };
+
+  const me = {
+    isHorizontal,
+    setHorizontal,
+    getSpacing,
+    setSpacing,
+    getX0,
+    setX0,
+    getY0,
+    setY0,
+    getBorder,
+    setBorder,
+    getMarginTop,
+    setMarginTop,
+    getMarginLeft,
+    setMarginLeft,
+    getMarginRight,
+    setMarginRight,
+    getMarginBottom,
+    setMarginBottom,
+    isKeepFirstLocation,
+    setKeepFirstLocation,
+    isFill,
+    setFill,
+    isResizeParent,
+    setResizeParent,
+    isResizeParentMax,
+    setResizeParentMax,
+    isResizeLast,
+    setResizeLast,
+    getWrap,
+    setWrap,
+    isBorderCollapse,
+    setBorderCollapse,
+    isAllowGaps,
+    setAllowGaps,
+    getGridSize,
+    setGridSize,
+    moveCell,
+    getParentSize,
+    getLayoutCells,
+    snap,
+    execute,
+    setChildGeometry,
+    updateParentGeometry
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(StackLayout);
@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) 2006-2018, JGraph Ltd
+ * Copyright (c) 2006-2018, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, makeComponent } from '../Helpers';
+
+/**
+ * Class: WeightedCellSorter
+ *
+ * A utility class used to track cells whilst sorting occurs on the weighted
+ * sum of their connected edges. Does not violate (x.compareTo(y)==0) ==
+ * (x.equals(y))
+ *
+ * Constructor: WeightedCellSorter
+ *
+ * Constructs a new weighted cell sorted for the given cell and weight.
+ */
+const WeightedCellSorter = (cell, weightedValue = 0) => {
+  /**
+   * Variable: weightedValue
+   *
+   * The weighted value of the cell stored.
+   */
+  const [getWeightedValue, setWeightedValue] = addProp(weightedValue);
+
+  /**
+   * Variable: nudge
+   *
+   * Whether or not to flip equal weight values.
+   */
+  const [isNudge, setNudge] = addProp(false);
+
+  /**
+   * Variable: visited
+   *
+   * Whether or not this cell has been visited in the current assignment.
+   */
+  const [isVisited, setVisited] = addProp(false);
+
+  /**
+   * Variable: rankIndex
+   *
+   * The index this cell is in the model rank.
+   */
+  const [getRankIndex, setRankIndex] = addProp();
+
+  /**
+   * Variable: cell
+   *
+   * The cell whose median value is being calculated.
+   */
+  const [getCell, setCell] = addProp(cell);
+
+  /**
+   * Function: compare
+   *
+   * Compares two WeightedCellSorters.
+   */
+  const compare = (a, b) => {
+    if (isSet(a) && isSet(b)) {
+      if (b.getWeightedValue() > a.getWeightedValue()) {
+        return -1;
+      } else if (b.getWeightedValue() < a.getWeightedValue()) {
+        return 1;
+      } else {
+        return b.isNudge() ? -1 : 1;
+      }
+    }
+
+    return 0;
+  };
+
+  const me = {
+    getWeightedValue,
+    setWeightedValue,
+    isNudge,
+    setNudge,
+    isVisited,
+    setVisited,
+    getRankIndex,
+    setRankIndex,
+    getCell,
+    setCell,
+    compare
+  };
+
+  return me;
+};
+
+export default makeComponent(WeightedCellSorter);
@@ -0,0 +1,28 @@
+import Graph from '../../view/Graph';
+import CircleLayout from '../CircleLayout';
+
+test('place vertices on a circle', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const cells = [];
+
+  for (let i = 0; i < 6; i++) {
+    cells.push(graph.insertVertex(parent, null, '', 300, 300, 20, 20));
+  }
+
+  const layout = CircleLayout(graph);
+  layout.setMoveCircle(true);
+  layout.execute(parent);
+
+  const r = layout.getRadiusFor(6, 20);
+  const centers = cells.map((cell) => {
+    const geo = model.getGeometry(cell);
+
+    return [geo.getX() + 10, geo.getY() + 10];
+  });
+
+  centers.forEach(([x, y]) =>
+    expect(Math.hypot(x - (r + 10), y - (r + 10))).toBeCloseTo(r, 0)
+  );
+});
@@ -0,0 +1,77 @@
+import Event from '../../util/Event';
+import Graph from '../../view/Graph';
+import CompactTreeLayout from '../CompactTreeLayout';
+
+const createTree = () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const v = {};
+
+  ['root', 'a', 'b', 'c', 'a1', 'a2'].forEach((id) => {
+    v[id] = graph.insertVertex(parent, id, id, 0, 0, 80, 30);
+  });
+
+  graph.insertEdge(parent, 'e1', '', v.root, v.a);
+  graph.insertEdge(parent, 'e2', '', v.root, v.b);
+  graph.insertEdge(parent, 'e3', '', v.root, v.c);
+  graph.insertEdge(parent, 'e4', '', v.a, v.a1);
+  graph.insertEdge(parent, 'e5', '', v.a, v.a2);
+
+  return graph;
+};
+
+const getGeometry = (graph, id) =>
+  graph.getModel().getGeometry(graph.getModel().getCell(id));
+
+test('lay out a vertical tree', () => {
+  const graph = createTree();
+  const layout = CompactTreeLayout(graph, false);
+
+  layout.setLevelDistance(40);
+  layout.execute(graph.getDefaultParent());
+
+  const root = getGeometry(graph, 'root');
+  const children = ['a', 'b', 'c'].map((id) => getGeometry(graph, id));
+
+  children.forEach((geo) => {
+    expect(geo.getY()).toBe(root.getY() + root.getHeight() + 60);
+  });
+
+  for (let i = 1; i < children.length; i++) {
+    expect(children[i].getX()).toBeGreaterThanOrEqual(
+      children[i - 1].getX() + children[i - 1].getWidth() + 40
+    );
+  }
+
+  expect(getGeometry(graph, 'a1').getY()).toBeGreaterThan(children[0].getY());
+  expect(getGeometry(graph, 'e1').getPoints().length).toBe(3);
+});
+
+test('lay out a horizontal tree', () => {
+  const graph = createTree();
+
+  CompactTreeLayout(graph).execute(graph.getDefaultParent());
+
+  const root = getGeometry(graph, 'root');
+
+  ['a', 'b', 'c'].forEach((id) => {
+    expect(getGeometry(graph, id).getX()).toBe(
+      root.getX() + root.getWidth() + 30
+    );
+  });
+});
+
+test('lay out in a single undoable edit', () => {
+  const graph = createTree();
+  const undos = [];
+
+  graph
+    .getModel()
+    .addListener(Event.UNDO, (sender, evt) =>
+      undos.push(evt.getProperty('edit'))
+    );
+
+  CompactTreeLayout(graph).execute(graph.getDefaultParent());
+
+  expect(undos.length).toBe(1);
+});
@@ -0,0 +1,79 @@
+import Rectangle from '../../util/Rectangle';
+import { intersects } from '../../util/Utils';
+import Graph from '../../view/Graph';
+import LayoutManager from '../../view/LayoutManager';
+import EdgeLabelLayout from '../EdgeLabelLayout';
+
+// Uses a fixed label size since there is no text measurement in Jest
+const createLayout = (graph) => {
+  const layout = EdgeLabelLayout(graph);
+
+  layout.getLabelBounds = (state) => {
+    const pt = state.getAbsoluteOffset();
+
+    return Rectangle(pt.getX() - 20, pt.getY() - 10, 40, 20);
+  };
+
+  return layout;
+};
+
+const getLabelBounds = (graph, edge) => {
+  const pt = graph.getView().getState(edge).getAbsoluteOffset();
+
+  return Rectangle(pt.getX() - 20, pt.getY() - 10, 40, 20);
+};
+
+test('move labels away from vertices', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 200, 0, 40, 40);
+  const v3 = graph.insertVertex(parent, null, '', 100, 15, 40, 40);
+  const e = graph.insertEdge(parent, null, 'e', v1, v2);
+
+  createLayout(graph).execute(parent);
+
+  expect(model.getGeometry(e).getOffset().getY()).toBe(-17);
+  expect(
+    intersects(getLabelBounds(graph, e), graph.getView().getState(v3))
+  ).toBe(false);
+});
+
+test('move overlapping labels apart and add leader lines', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 200, 0, 40, 40);
+  const e1 = graph.insertEdge(parent, null, 'e1', v1, v2);
+  const e2 = graph.insertEdge(parent, null, 'e2', v1, v2);
+  const layout = createLayout(graph);
+
+  layout.setLeaderLines(true);
+  layout.execute(parent);
+
+  expect(model.getGeometry(e1).getOffset()).toBeFalsy();
+  expect(intersects(getLabelBounds(graph, e1), getLabelBounds(graph, e2))).toBe(
+    false
+  );
+  expect(graph.getCellStyle(e2).labelLeader).toBe(1);
+  expect(graph.getCellStyle(e1).labelLeader).toBeUndefined();
+});
+
+test('run after the layouts of a layout manager', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const manager = LayoutManager(graph);
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 200, 0, 40, 40);
+  const e = graph.insertEdge(parent, null, 'e', v1, v2);
+
+  manager.getLayout = (cell) =>
+    cell === parent ? { execute: () => {} } : null;
+  manager.setLabelLayout(createLayout(graph));
+  graph.insertVertex(parent, null, '', 100, 15, 40, 40);
+
+  expect(model.getGeometry(e).getOffset().getY()).toBe(-17);
+});
@@ -0,0 +1,92 @@
+import Event from '../../util/Event';
+import Rectangle from '../../util/Rectangle';
+import Graph from '../../view/Graph';
+import FastOrganicLayout from '../FastOrganicLayout';
+
+const createGraph = () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const vertices = [];
+
+  for (let i = 0; i < 8; i++) {
+    vertices.push(graph.insertVertex(parent, `v${i}`, '', 0, 0, 40, 40));
+  }
+
+  vertices.forEach((v, i) => {
+    graph.insertEdge(parent, null, '', v, vertices[(i + 1) % 8]);
+    graph.insertEdge(parent, null, '', v, vertices[(i + 3) % 8]);
+  });
+
+  return graph;
+};
+
+const getLocations = (graph) =>
+  graph
+    .getChildVertices(graph.getDefaultParent())
+    .map((cell) => [cell.getGeometry().getX(), cell.getGeometry().getY()]);
+
+const layout = (graph, seed) => {
+  const organic = FastOrganicLayout(graph);
+  organic.setSeed(seed);
+  organic.execute(graph.getDefaultParent());
+
+  return organic;
+};
+
+test('produce the same result for the same seed', () => {
+  const g1 = createGraph();
+  const g2 = createGraph();
+  const g3 = createGraph();
+
+  layout(g1, 7);
+  layout(g2, 7);
+  layout(g3, 8);
+
+  expect(getLocations(g1)).toStrictEqual(getLocations(g2));
+  expect(getLocations(g1)).not.toStrictEqual(getLocations(g3));
+});
+
+test('spread vertices apart in a single undoable edit', () => {
+  const graph = createGraph();
+  const undos = [];
+
+  graph
+    .getModel()
+    .addListener(Event.UNDO, (sender, evt) =>
+      undos.push(evt.getProperty('edit'))
+    );
+  layout(graph, 1);
+
+  const keys = getLocations(graph).map(([x, y]) => `${x},${y}`);
+
+  expect(new Set(keys).size).toBe(keys.length);
+  expect(undos.length).toBe(1);
+});
+
+test('keep unmovable vertices in place', () => {
+  const graph = createGraph();
+  const locked = graph.getModel().getCell('v0');
+
+  graph.setCellStyles('movable', '0', [locked]);
+  graph.getModel().getGeometry(locked).setX(300);
+  layout(graph, 3);
+
+  expect(locked.getGeometry().getX()).toBe(300);
+  expect(locked.getGeometry().getY()).toBe(0);
+});
+
+test('keep vertices inside the bounds', () => {
+  const graph = createGraph();
+  const organic = FastOrganicLayout(graph);
+
+  organic.setSeed(5);
+  organic.setBounds(Rectangle(100, 100, 200, 150));
+  organic.execute(graph.getDefaultParent());
+
+  getLocations(graph).forEach(([x, y]) => {
+    expect(x).toBeGreaterThanOrEqual(100);
+    expect(x + 40).toBeLessThanOrEqual(300);
+    expect(y).toBeGreaterThanOrEqual(100);
+    expect(y + 40).toBeLessThanOrEqual(250);
+  });
+});
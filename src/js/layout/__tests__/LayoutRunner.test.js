@@ -0,0 +1,178 @@
+import Event from '../../util/Event';
+import Graph from '../../view/Graph';
+import FastOrganicLayout from '../FastOrganicLayout';
+import LayoutRunner from '../LayoutRunner';
+import { applySnapshotResult, createSnapshot } from '../LayoutSnapshot';
+import { runLayout } from '../LayoutWorker';
+import StackLayout from '../StackLayout';
+
+const createGraph = () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const cells = [];
+
+  for (let i = 0; i < 6; i++) {
+    cells.push(graph.insertVertex(parent, null, '', 0, 0, 40, 30));
+
+    if (i > 0) {
+      graph.insertEdge(parent, null, '', cells[i - 1], cells[i]);
+    }
+  }
+
+  return { graph, model: graph.getModel(), cells };
+};
+
+const getBounds = (model, cells) =>
+  cells.map((cell) => {
+    const geo = model.getGeometry(cell);
+
+    return [geo.getX(), geo.getY(), geo.getWidth(), geo.getHeight()];
+  });
+
+test('apply the layout of a snapshot in one transaction', async () => {
+  const { graph, model, cells } = createGraph();
+  const expected = createGraph();
+  const edits = [];
+  const layout = FastOrganicLayout(expected.graph);
+
+  layout.setSeed(7);
+  layout.execute(expected.graph.getDefaultParent());
+  model.addListener(Event.UNDO, (sender, evt) =>
+    edits.push(evt.getProperty('edit'))
+  );
+
+  const result = await LayoutRunner(graph).execute(
+    'fastOrganic',
+    graph.getDefaultParent(),
+    { seed: 7 }
+  );
+
+  expect(result.length).toBe(11);
+  expect(getBounds(model, cells)).toEqual(
+    getBounds(expected.model, expected.cells)
+  );
+  expect(edits.length).toBe(1);
+});
+
+test('cancel a scheduled layout', async () => {
+  const { graph, model, cells } = createGraph();
+  const runner = LayoutRunner(graph);
+  const before = getBounds(model, cells);
+  const cancelled = jest.fn();
+
+  runner.addListener(Event.CANCEL, cancelled);
+  const promise = runner.execute('circle');
+  runner.cancel();
+
+  expect(await promise).toBeUndefined();
+  expect(runner.isCancelled()).toBe(true);
+  expect(cancelled).toHaveBeenCalledTimes(1);
+  expect(getBounds(model, cells)).toEqual(before);
+});
+
+test('run the layout in a worker and terminate it on cancel', async () => {
+  const { graph, model, cells } = createGraph();
+  const runner = LayoutRunner(graph);
+  const workers = [];
+
+  global.Worker = class {
+    constructor() {
+      this.terminate = jest.fn();
+      workers.push(this);
+    }
+
+    postMessage({ snapshot, name, options }) {
+      this.reply = () =>
+        this.onmessage({
+          data: { result: runLayout(snapshot, name, options) }
+        });
+    }
+  };
+
+  try {
+    runner.setWorkerUrl('layout-worker.js');
+
+    const promise = runner.execute('circle');
+    workers[0].reply();
+    await promise;
+
+    expect(workers[0].terminate).toHaveBeenCalled();
+    expect(model.getGeometry(cells[0]).getX()).not.toBe(0);
+
+    const before = getBounds(model, cells);
+    const cancelled = runner.execute('stack');
+    runner.cancel();
+
+    expect(await cancelled).toBeUndefined();
+    expect(workers[1].terminate).toHaveBeenCalled();
+    expect(getBounds(model, cells)).toEqual(before);
+  } finally {
+    delete global.Worker;
+  }
+});
+
+test('reject unknown layouts', async () => {
+  const { graph } = createGraph();
+
+  await expect(LayoutRunner(graph).execute('unknown')).rejects.toThrow(
+    'Unknown layout unknown'
+  );
+});
+
+test('leave edges to cells outside the parent out of the snapshot', () => {
+  const { graph, cells } = createGraph();
+  const parent = graph.getDefaultParent();
+  const group = graph.insertVertex(parent, null, '', 0, 0, 200, 200);
+  const child = graph.insertVertex(group, null, '', 10, 10, 40, 30);
+  const outside = graph.insertEdge(group, null, '', child, cells[0]);
+
+  graph.setCellsLocked(true);
+
+  const snapshot = createSnapshot(graph, group);
+  const ids = snapshot.cells.map(({ id }) => id);
+
+  expect(ids).toEqual([child.getId()]);
+  expect(ids).not.toContain(outside.getId());
+  expect(snapshot.cellsLocked).toBe(true);
+  expect(snapshot.cellsMovable).toBe(true);
+});
+
+test('lay out a container with the styles of the graph', () => {
+  const createLane = () => {
+    const graph = Graph();
+
+    graph
+      .getStylesheet()
+      .putCellStyle('lane', { shape: 'swimlane', startSize: 55 });
+
+    const lane = graph.insertVertex(
+      graph.getDefaultParent(),
+      null,
+      '',
+      0,
+      0,
+      200,
+      300,
+      'lane'
+    );
+    const cells = [0, 1, 2].map(() =>
+      graph.insertVertex(lane, null, '', 0, 0, 40, 30)
+    );
+
+    return { graph, model: graph.getModel(), lane, cells };
+  };
+
+  const { graph, model, lane, cells } = createLane();
+  const expected = createLane();
+
+  StackLayout(expected.graph).execute(expected.lane);
+
+  // Snapshots are structured clones in the worker
+  const snapshot = JSON.parse(JSON.stringify(createSnapshot(graph, lane)));
+  applySnapshotResult(graph, runLayout(snapshot, 'stack'));
+
+  expect(model.getGeometry(cells[0]).getY()).toBe(55);
+  expect(getBounds(model, cells)).toEqual(
+    getBounds(expected.model, expected.cells)
+  );
+});
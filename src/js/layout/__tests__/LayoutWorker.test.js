@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+
+// Workers have a navigator but no window or document
+global.navigator = {
+  appName: 'Netscape',
+  appVersion: '5.0 (X11)',
+  platform: 'Linux x86_64',
+  userAgent: 'Mozilla/5.0 (X11; Linux x86_64)'
+};
+
+const { LAYOUTS, runLayout } = require('../LayoutWorker');
+
+const createSnapshot = (cellsLocked = false) => {
+  const cells = [];
+
+  for (let i = 0; i < 4; i++) {
+    cells.push({
+      id: `v${i}`,
+      parent: null,
+      vertex: true,
+      edge: false,
+      style: null,
+      geometry: { x: 0, y: 0, width: 40, height: 30, relative: false }
+    });
+  }
+
+  for (let i = 1; i < 4; i++) {
+    cells.push({
+      id: `e${i}`,
+      parent: null,
+      vertex: false,
+      edge: true,
+      source: `v${i - 1}`,
+      target: `v${i}`,
+      style: null,
+      geometry: { x: 0, y: 0, width: 0, height: 0, relative: true }
+    });
+  }
+
+  // Snapshots are structured clones in the worker
+  return JSON.parse(
+    JSON.stringify({
+      gridSize: 10,
+      gridEnabled: true,
+      cellsMovable: true,
+      cellsLocked,
+      parent: null,
+      cells
+    })
+  );
+};
+
+test('run all layouts without a DOM', () => {
+  expect(typeof document).toBe('undefined');
+
+  for (const name of Object.keys(LAYOUTS)) {
+    const result = runLayout(createSnapshot(), name);
+
+    expect(result.map(({ id }) => id)).toEqual([
+      'v0',
+      'v1',
+      'v2',
+      'v3',
+      'e1',
+      'e2',
+      'e3'
+    ]);
+  }
+
+  const moved = runLayout(createSnapshot(), 'circle');
+
+  expect(moved[1].geometry.x).not.toBe(0);
+});
+
+test('keep the cells in place if the graph is locked', () => {
+  const result = runLayout(createSnapshot(true), 'circle');
+
+  for (const { geometry } of result.slice(0, 4)) {
+    expect([geometry.x, geometry.y]).toEqual([0, 0]);
+  }
+});
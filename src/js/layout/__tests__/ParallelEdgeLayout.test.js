@@ -0,0 +1,67 @@
+import Graph from '../../view/Graph';
+import LayoutManager from '../../view/LayoutManager';
+import ParallelEdgeLayout from '../ParallelEdgeLayout';
+
+const getPoint = (graph, edge) =>
+  graph.getModel().getGeometry(edge).getPoints()[0];
+
+test('spread parallel edges in both directions', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 200, 0, 40, 40);
+  const v3 = graph.insertVertex(parent, null, '', 0, 200, 40, 40);
+  const e1 = graph.insertEdge(parent, null, '', v1, v2);
+  const e2 = graph.insertEdge(parent, null, '', v2, v1);
+  const e3 = graph.insertEdge(parent, null, '', v1, v2);
+  const e4 = graph.insertEdge(parent, null, '', v1, v3);
+
+  ParallelEdgeLayout(graph).execute(parent);
+
+  expect(getPoint(graph, e1).getY()).toBe(0);
+  expect(getPoint(graph, e2).getY()).toBe(20);
+  expect(getPoint(graph, e3).getY()).toBe(40);
+  expect([e1, e2, e3].every((e) => getPoint(graph, e).getX() === 120)).toBe(
+    true
+  );
+  expect(graph.getModel().getGeometry(e4).getPoints()).toBeFalsy();
+});
+
+test('route parallel loops next to the vertex', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const e1 = graph.insertEdge(parent, null, '', v1, v1);
+  const e2 = graph.insertEdge(parent, null, '', v1, v1);
+  const layout = ParallelEdgeLayout(graph);
+
+  layout.setSpacing(10);
+  layout.execute(parent, [e2]);
+
+  expect(getPoint(graph, e1).getX()).toBe(50);
+  expect(getPoint(graph, e2).getX()).toBe(60);
+  expect(getPoint(graph, e2).getY()).toBe(20);
+});
+
+test('rerun from a layout manager after moves', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const layout = ParallelEdgeLayout(graph);
+  const manager = LayoutManager(graph);
+
+  manager.getLayout = (cell) => (cell === parent ? layout : null);
+
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 200, 0, 40, 40);
+  const e1 = graph.insertEdge(parent, null, '', v1, v2);
+  const e2 = graph.insertEdge(parent, null, '', v1, v2);
+
+  expect(getPoint(graph, e1).getY()).toBe(10);
+  expect(getPoint(graph, e2).getY()).toBe(30);
+
+  graph.moveCells([v2], 0, 100);
+
+  expect(getPoint(graph, e1).getX()).toBeCloseTo(124.47, 1);
+  expect(getPoint(graph, e2).getX()).toBeCloseTo(115.53, 1);
+  expect(getPoint(graph, e1).getY()).toBeCloseTo(61.06, 1);
+});
@@ -0,0 +1,30 @@
+import Graph from '../../view/Graph';
+import PartitionLayout from '../PartitionLayout';
+
+test('partition the parent between children', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const group = graph.insertVertex(
+    graph.getDefaultParent(),
+    null,
+    '',
+    0,
+    0,
+    300,
+    100
+  );
+  const cells = [0, 1, 2].map(() =>
+    graph.insertVertex(group, null, '', 0, 0, 10, 10)
+  );
+
+  PartitionLayout(graph, true, 10, 5).execute(group);
+
+  const geos = cells.map((cell) => model.getGeometry(cell));
+
+  expect(geos.map((geo) => geo.getX())).toEqual([5, 105, 205]);
+  geos.forEach((geo) => {
+    expect(geo.getY()).toBe(5);
+    expect(geo.getWidth()).toBe(90);
+    expect(geo.getHeight()).toBe(90);
+  });
+});
@@ -0,0 +1,52 @@
+import Event from '../../util/Event';
+import Graph from '../../view/Graph';
+import RadialTreeLayout from '../RadialTreeLayout';
+
+test('place levels on concentric circles', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const root = graph.insertVertex(parent, 'root', '', 200, 200, 40, 40);
+  const undos = [];
+  const level1 = [];
+  const level2 = [];
+
+  for (let i = 0; i < 4; i++) {
+    const v = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+    graph.insertEdge(parent, null, '', root, v);
+    level1.push(v);
+
+    for (let j = 0; j < 2; j++) {
+      const w = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+      graph.insertEdge(parent, null, '', v, w);
+      level2.push(w);
+    }
+  }
+
+  model.addListener(Event.UNDO, (sender, evt) =>
+    undos.push(evt.getProperty('edit'))
+  );
+
+  RadialTreeLayout(graph).execute(parent);
+
+  const rootGeo = model.getGeometry(root);
+  const center = (geo) => [
+    geo.getX() + geo.getWidth() / 2,
+    geo.getY() + geo.getHeight() / 2
+  ];
+  const [cx, cy] = center(rootGeo);
+  const radius = (cell) => {
+    const [x, y] = center(model.getGeometry(cell));
+
+    return Math.hypot(x - cx, y - cy);
+  };
+
+  const r1 = radius(level1[0]);
+  const r2 = radius(level2[0]);
+
+  level1.forEach((v) => expect(radius(v)).toBeCloseTo(r1));
+  level2.forEach((v) => expect(radius(v)).toBeCloseTo(r2));
+  expect(r1).toBeGreaterThan(0);
+  expect(r2).toBeGreaterThan(r1);
+  expect(undos.length).toBe(1);
+});
@@ -0,0 +1,64 @@
+import Graph from '../../view/Graph';
+import RankLayout from '../RankLayout';
+
+const createGraph = () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const a = graph.insertVertex(parent, null, 'a', 0, 0, 80, 30);
+  const b = graph.insertVertex(parent, null, 'b', 0, 0, 80, 30);
+  const c = graph.insertVertex(parent, null, 'c', 0, 0, 80, 30);
+
+  graph.insertEdge(parent, null, '', a, b);
+  graph.insertEdge(parent, null, '', b, c);
+  graph.insertEdge(parent, null, '', c, a);
+
+  return { graph, model: graph.getModel(), parent, cells: [a, b, c] };
+};
+
+const getLocations = (model, cells) =>
+  cells.map((cell) => {
+    const geo = model.getGeometry(cell);
+
+    return [geo.getX(), geo.getY()];
+  });
+
+test('place connected vertices in ranks ignoring cycles', () => {
+  const { graph, model, parent, cells } = createGraph();
+
+  RankLayout(graph).execute(parent);
+
+  expect(getLocations(model, cells)).toEqual([
+    [20, 20],
+    [20, 90],
+    [20, 160]
+  ]);
+});
+
+test('place the ranks in the given direction', () => {
+  const { graph, model, parent, cells } = createGraph();
+  const layout = RankLayout(graph, 'RL');
+
+  layout.setSpacing(20);
+  layout.execute(parent);
+
+  expect(getLocations(model, cells)).toEqual([
+    [210, 10],
+    [110, 10],
+    [10, 10]
+  ]);
+});
+
+test('resize groups to fit their children', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const group = graph.insertVertex(parent, null, '', 0, 0, 10, 10);
+  const child = graph.insertVertex(group, null, '', 0, 0, 80, 30);
+
+  RankLayout(graph).execute(parent);
+
+  const geo = model.getGeometry(group);
+
+  expect([geo.getWidth(), geo.getHeight()]).toEqual([120, 100]);
+  expect(model.getGeometry(child).getY()).toBe(50);
+});
@@ -0,0 +1,64 @@
+import Graph from '../../view/Graph';
+import StackLayout from '../StackLayout';
+
+const createGraph = () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const cells = [30, 50, 20].map((width, i) =>
+    graph.insertVertex(parent, null, '', 100, 100, width, 10 + i * 10)
+  );
+
+  return { graph, parent, cells };
+};
+
+test('stack children with spacing', () => {
+  const { graph, parent, cells } = createGraph();
+  const layout = StackLayout(graph, true, 5, 10, 20);
+  layout.execute(parent);
+
+  const geos = cells.map((cell) => graph.getModel().getGeometry(cell));
+
+  expect(geos.map((geo) => geo.getX())).toEqual([10, 45, 100]);
+  expect(geos.map((geo) => geo.getY())).toEqual([20, 20, 20]);
+});
+
+test('wrap into a new row', () => {
+  const { graph, parent, cells } = createGraph();
+  const layout = StackLayout(graph, true, 0);
+  layout.setWrap(90);
+  layout.execute(parent);
+
+  const geos = cells.map((cell) => graph.getModel().getGeometry(cell));
+
+  expect(geos.map((geo) => [geo.getX(), geo.getY()])).toEqual([
+    [0, 0],
+    [30, 0],
+    [0, 20]
+  ]);
+});
+
+test('fill and resize parent', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const group = graph.insertVertex(
+    graph.getDefaultParent(),
+    null,
+    '',
+    0,
+    0,
+    100,
+    200
+  );
+  const a = graph.insertVertex(group, null, '', 0, 0, 40, 30);
+  const b = graph.insertVertex(group, null, '', 0, 0, 60, 50);
+
+  const layout = StackLayout(graph, false, 10, 0, 0, 5);
+  layout.setFill(true);
+  layout.setResizeParent(true);
+  layout.execute(group);
+
+  expect(model.getGeometry(a).getWidth()).toBe(90);
+  expect(model.getGeometry(b).getWidth()).toBe(90);
+  expect(model.getGeometry(b).getY()).toBe(45);
+  expect(model.getGeometry(group).getHeight()).toBe(100);
+});
@@ -0,0 +1,19 @@
+/**
+ * Copyright (c) 2006-2018, JGraph Ltd
+ * Copyright (c) 2006-2018, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+/**
+ * Variable: HierarchicalEdgeStyle
+ *
+ * Edge styles applied by <HierarchicalLayout> to the edges it routes.
+ */
+const HierarchicalEdgeStyle = {
+  ORTHOGONAL: 1,
+  POLYLINE: 2,
+  STRAIGHT: 3,
+  CURVE: 4
+};
+
+export default HierarchicalEdgeStyle;
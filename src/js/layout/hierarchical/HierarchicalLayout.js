@@ -0,0 +1,809 @@
+/**
+ * Copyright (c) 2006-2018, JGraph Ltd
+ * Copyright (c) 2006-2018, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import {
+  addProp,
+  extendFrom,
+  isSet,
+  isUnset,
+  makeComponent
+} from '../../Helpers';
+import { DIRECTION_NORTH } from '../../util/Constants';
+import Dictionary from '../../util/Dictionary';
+import ObjectIdentity from '../../util/ObjectIdentity';
+import GraphLayout from '../GraphLayout';
+import HierarchicalEdgeStyle from './HierarchicalEdgeStyle';
+import GraphHierarchyModel from './model/GraphHierarchyModel';
+import CoordinateAssignment from './stage/CoordinateAssignment';
+import MedianHybridCrossingReduction from './stage/MedianHybridCrossingReduction';
+import MinimumCycleRemover from './stage/MinimumCycleRemover';
+
+/**
+ * Class: HierarchicalLayout
+ *
+ * A hierarchical layout algorithm.
+ *
+ * Constructor: HierarchicalLayout
+ *
+ * Constructs a new hierarchical layout algorithm.
+ *
+ * Arguments:
+ *
+ * graph - Reference to the enclosing <Graph>.
+ * orientation - Optional constant that defines the orientation of this
+ * layout.
+ * deterministic - Optional boolean that specifies if this layout should be
+ * deterministic. Default is true.
+ */
+const HierarchicalLayout = (
+  graph,
+  orientation = DIRECTION_NORTH,
+  deterministic = true
+) => {
+  /**
+   * Variable: roots
+   *
+   * Holds the array of <Cell> that this layout contains.
+   */
+  const [getRoots, setRoots] = addProp();
+
+  /**
+   * Variable: resizeParent
+   *
+   * Specifies if the parent should be resized after the layout so that it
+   * contains all the child cells. Default is false. See also <parentBorder>.
+   */
+  const [isResizeParent, setResizeParent] = addProp(false);
+
+  /**
+   * Variable: maintainParentLocation
+   *
+   * Specifies if the parent location should be maintained, so that the
+   * top, left corner stays the same before and after execution of
+   * the layout. Default is false for backwards compatibility.
+   */
+  const [isMaintainParentLocation, setMaintainParentLocation] = addProp(false);
+
+  /**
+   * Variable: moveParent
+   *
+   * Specifies if the parent should be moved if <resizeParent> is enabled.
+   * Default is false.
+   */
+  const [isMoveParent, setMoveParent] = addProp(false);
+
+  /**
+   * Variable: parentBorder
+   *
+   * The border to be added around the children if the parent is to be
+   * resized using <resizeParent>. Default is 0.
+   */
+  const [getParentBorder, setParentBorder] = addProp(0);
+
+  /**
+   * Variable: intraCellSpacing
+   *
+   * The spacing buffer added between cells on the same layer. Default is 30.
+   */
+  const [getIntraCellSpacing, setIntraCellSpacing] = addProp(30);
+
+  /**
+   * Variable: interRankCellSpacing
+   *
+   * The spacing buffer added between cell on adjacent layers. Default is 100.
+   */
+  const [getInterRankCellSpacing, setInterRankCellSpacing] = addProp(100);
+
+  /**
+   * Variable: interHierarchySpacing
+   *
+   * The spacing buffer between unconnected hierarchies. Default is 60.
+   */
+  const [getInterHierarchySpacing, setInterHierarchySpacing] = addProp(60);
+
+  /**
+   * Variable: parallelEdgeSpacing
+   *
+   * The distance between each parallel edge on each ranks for long edges.
+   * Default is 10.
+   */
+  const [getParallelEdgeSpacing, setParallelEdgeSpacing] = addProp(10);
+
+  /**
+   * Variable: orientation
+   *
+   * The position of the root node(s) relative to the laid out graph in.
+   * Default is <Constants.DIRECTION_NORTH>.
+   */
+  const [getOrientation, setOrientation] = addProp(orientation);
+
+  /**
+   * Variable: fineTuning
+   *
+   * Whether or not to perform local optimisations and iterate multiple times
+   * through the algorithm. Default is true.
+   */
+  const [isFineTuning, setFineTuning] = addProp(true);
+
+  /**
+   * Variable: tightenToSource
+   *
+   * Whether or not to tighten the assigned ranks of vertices up towards
+   * the source cells. Default is true.
+   */
+  const [isTightenToSource, setTightenToSource] = addProp(true);
+
+  /**
+   * Variable: disableEdgeStyle
+   *
+   * Specifies if the STYLE_NOEDGESTYLE flag should be set on edges that are
+   * modified by the result. Default is true.
+   */
+  const [isDisableEdgeStyle, setDisableEdgeStyle] = addProp(true);
+
+  /**
+   * Variable: traverseAncestors
+   *
+   * Whether or not to drill into child cells and layout in reverse
+   * group order. This also cause the layout to navigate edges whose
+   * terminal vertices have different parents but are in the same
+   * ancestry chain. Default is true.
+   */
+  const [isTraverseAncestors, setTraverseAncestors] = addProp(true);
+
+  /**
+   * Variable: model
+   *
+   * The internal <GraphHierarchyModel> formed of the layout.
+   */
+  const [getModel, setModel] = addProp();
+
+  /**
+   * Variable: edgesCache
+   *
+   * A cache of edges whose source terminal is the key
+   */
+  const [getEdgesCache, setEdgesCache] = addProp();
+
+  /**
+   * Variable: edgeSourceTermCache
+   *
+   * A cache of edges whose source terminal is the key
+   */
+  const [getEdgeSourceTermCache, setEdgeSourceTermCache] = addProp();
+
+  /**
+   * Variable: edgesTargetTermCache
+   *
+   * A cache of edges whose source terminal is the key
+   */
+  const [getEdgesTargetTermCache, setEdgesTargetTermCache] = addProp();
+
+  /**
+   * Variable: edgeStyle
+   *
+   * The style to apply between cell layers to edge segments.
+   * Default is <HierarchicalEdgeStyle.POLYLINE>.
+   */
+  const [getEdgeStyle, setEdgeStyle] = addProp(HierarchicalEdgeStyle.POLYLINE);
+
+  /**
+   * Variable: deterministic
+   *
+   * Specifies if this layout should be deterministic. Default is true.
+   */
+  const [isDeterministic, setDeterministic] = addProp(deterministic);
+
+  /**
+   * Function: execute
+   *
+   * Executes the layout for the children of the specified parent.
+   *
+   * Parameters:
+   *
+   * parent - Parent <Cell> that contains the children to be laid out.
+   * roots - Optional starting roots of the layout.
+   */
+  const execute = (parent, roots) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    _layout.setParent(parent);
+    setEdgesCache(Dictionary());
+    setEdgeSourceTermCache(Dictionary());
+    setEdgesTargetTermCache(Dictionary());
+
+    if (isSet(roots) && !Array.isArray(roots)) {
+      roots = [roots];
+    }
+
+    // If the roots are set and the parent is set, only
+    // use the roots that are some dependent of the that
+    // parent.
+    // If just the root are set, use them as-is
+    // If just the parent is set use it's immediate
+    // children as the initial set
+    if (isUnset(roots) && isUnset(parent)) {
+      return;
+    }
+
+    // Maintaining parent location
+    let parentX = null;
+    let parentY = null;
+
+    if (isSet(parent) && isMaintainParentLocation()) {
+      const geo = graph.getCellGeometry(parent);
+
+      if (isSet(geo)) {
+        parentX = geo.getX();
+        parentY = geo.getY();
+      }
+    }
+
+    if (isSet(roots)) {
+      setRoots(
+        roots.filter(
+          (root) =>
+            (isUnset(parent) || model.isAncestor(parent, root)) &&
+            model.isVertex(root)
+        )
+      );
+    }
+
+    model.beginUpdate();
+
+    try {
+      run(parent);
+
+      if (isResizeParent() && !graph.isCellCollapsed(parent)) {
+        graph.updateGroupBounds([parent], getParentBorder(), isMoveParent());
+      }
+
+      // Maintaining parent location
+      if (isSet(parentX) && isSet(parentY)) {
+        let geo = graph.getCellGeometry(parent);
+
+        if (isSet(geo)) {
+          geo = geo.clone();
+          geo.setX(parentX);
+          geo.setY(parentY);
+          model.setGeometry(parent, geo);
+        }
+      }
+    } finally {
+      model.endUpdate();
+    }
+  };
+
+  /**
+   * Function: findRoots
+   *
+   * Returns all visible children in the given parent which do not have
+   * incoming edges. If the result is empty then the children with the
+   * maximum difference between incoming and outgoing edges are returned.
+   * This takes into account edges that are being promoted to the given
+   * root due to invisible children or collapsed cells.
+   *
+   * Parameters:
+   *
+   * parent - <Cell> whose children should be checked.
+   * vertices - array of vertices to limit search to
+   */
+  const findRoots = (parent, vertices) => {
+    const roots = [];
+
+    if (isSet(parent) && isSet(vertices)) {
+      const graph = _layout.getGraph();
+      const model = graph.getModel();
+      let best = null;
+      let maxDiff = -100000;
+
+      for (const cell of Object.values(vertices)) {
+        if (model.isVertex(cell) && graph.isCellVisible(cell)) {
+          const conns = getEdges(cell);
+          let fanOut = 0;
+          let fanIn = 0;
+
+          for (const conn of conns) {
+            if (getVisibleTerminal(conn, true) === cell) {
+              fanOut++;
+            } else {
+              fanIn++;
+            }
+          }
+
+          if (fanIn === 0 && fanOut > 0) {
+            roots.push(cell);
+          }
+
+          const diff = fanOut - fanIn;
+
+          if (diff > maxDiff) {
+            maxDiff = diff;
+            best = cell;
+          }
+        }
+      }
+
+      if (roots.length === 0 && isSet(best)) {
+        roots.push(best);
+      }
+    }
+
+    return roots;
+  };
+
+  /**
+   * Function: getEdges
+   *
+   * Returns the connected edges for the given cell.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> whose edges should be returned.
+   */
+  const getEdges = (cell) => {
+    const cachedEdges = getEdgesCache().get(cell);
+
+    if (isSet(cachedEdges)) {
+      return cachedEdges;
+    }
+
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    const parent = _layout.getParent();
+    let edges = [];
+    const isCollapsed = graph.isCellCollapsed(cell);
+    const childCount = model.getChildCount(cell);
+
+    for (let i = 0; i < childCount; i++) {
+      const child = model.getChildAt(cell, i);
+
+      if (isPort(child) || isCollapsed || !graph.isCellVisible(child)) {
+        edges = edges.concat(model.getEdges(child, true, true));
+      }
+    }
+
+    edges = edges.concat(model.getEdges(cell, true, true));
+
+    const result = edges.filter((edge) => {
+      const source = getVisibleTerminal(edge, true);
+      const target = getVisibleTerminal(edge, false);
+
+      return (
+        source === target ||
+        (target === cell &&
+          (isUnset(parent) ||
+            _layout.isAncestor(parent, source, isTraverseAncestors()))) ||
+        (source === cell &&
+          (isUnset(parent) ||
+            _layout.isAncestor(parent, target, isTraverseAncestors())))
+      );
+    });
+
+    getEdgesCache().put(cell, result);
+
+    return result;
+  };
+
+  /**
+   * Function: getVisibleTerminal
+   *
+   * Helper function to return visible terminal for edge allowing for ports
+   *
+   * Parameters:
+   *
+   * edge - <Cell> whose edges should be returned.
+   * source - Boolean that specifies whether the source or target terminal is
+   * to be returned
+   */
+  const getVisibleTerminal = (edge, source) => {
+    const terminalCache = source
+      ? getEdgeSourceTermCache()
+      : getEdgesTargetTermCache();
+    const term = terminalCache.get(edge);
+
+    if (isSet(term)) {
+      return term;
+    }
+
+    const graph = _layout.getGraph();
+    const state = graph.getView().getState(edge);
+    let terminal = isSet(state)
+      ? state.getVisibleTerminal(source)
+      : graph.getView().getVisibleTerminal(edge, source);
+
+    if (isSet(terminal)) {
+      if (isPort(terminal)) {
+        terminal = graph.getModel().getParent(terminal);
+      }
+
+      terminalCache.put(edge, terminal);
+    }
+
+    return terminal;
+  };
+
+  /**
+   * Function: run
+   *
+   * The API method used to exercise the layout upon the graph description
+   * and produce a separate description of the vertex position and edge
+   * routing changes made. It runs each stage of the layout that has been
+   * created.
+   */
+  const run = (parent) => {
+    // Separate out unconnected hierarchies
+    const hierarchyVertices = [];
+    const allVertexSet = {};
+
+    if (isUnset(getRoots()) && isSet(parent)) {
+      const filledVertexSet = {};
+      filterDescendants(parent, filledVertexSet);
+      setRoots([]);
+
+      while (Object.keys(filledVertexSet).length > 0) {
+        const candidateRoots = findRoots(parent, filledVertexSet);
+
+        // If the candidate root is an unconnected group cell, remove it from
+        // the layout. We may need a custom set that holds such groups and forces
+        // them to be processed for resizing and/or moving.
+        for (const candidateRoot of candidateRoots) {
+          const vertexSet = {};
+          hierarchyVertices.push(vertexSet);
+
+          traverse(
+            candidateRoot,
+            true,
+            null,
+            allVertexSet,
+            vertexSet,
+            hierarchyVertices,
+            filledVertexSet
+          );
+        }
+
+        getRoots().push(...candidateRoots);
+      }
+    } else {
+      // Find vertex set as directed traversal from roots
+      for (const root of getRoots()) {
+        const vertexSet = {};
+        hierarchyVertices.push(vertexSet);
+
+        traverse(
+          root,
+          true,
+          null,
+          allVertexSet,
+          vertexSet,
+          hierarchyVertices,
+          null
+        );
+      }
+    }
+
+    // Iterate through the result removing parents who have children in this layout
+
+    // Perform a layout for each seperate hierarchy
+    // Track initial coordinate x-positioning
+    let initialX = 0;
+
+    for (const vertexSet of hierarchyVertices) {
+      setModel(
+        GraphHierarchyModel(
+          me,
+          Object.values(vertexSet),
+          getRoots(),
+          parent,
+          isTightenToSource()
+        )
+      );
+
+      cycleStage(parent);
+      layeringStage();
+      crossingStage(parent);
+      initialX = placementStage(initialX, parent);
+    }
+  };
+
+  /**
+   * Function: filterDescendants
+   *
+   * Creates an array of descendant cells
+   */
+  const filterDescendants = (cell, result) => {
+    const graph = _layout.getGraph();
+    const model = graph.getModel();
+    const parent = _layout.getParent();
+
+    if (model.isVertex(cell) && cell !== parent && graph.isCellVisible(cell)) {
+      result[ObjectIdentity.get(cell)] = cell;
+    }
+
+    if (
+      isTraverseAncestors() ||
+      (cell === parent && graph.isCellVisible(cell))
+    ) {
+      const childCount = model.getChildCount(cell);
+
+      for (let i = 0; i < childCount; i++) {
+        const child = model.getChildAt(cell, i);
+
+        // Ignore ports in the layout vertex list, they are dealt with
+        // in the traversal mechanisms
+        if (!isPort(child)) {
+          filterDescendants(child, result);
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: isPort
+   *
+   * Returns true if the given cell is a "port", that is, when connecting to
+   * it, its parent is the connecting vertex in terms of graph traversal
+   *
+   * Parameters:
+   *
+   * cell - <Cell> that represents the port.
+   */
+  const isPort = (cell) => {
+    const geo = isSet(cell) ? cell.getGeometry() : null;
+
+    return isSet(geo) ? geo.isRelative() : false;
+  };
+
+  /**
+   * Function: getEdgesBetween
+   *
+   * Returns the edges between the given source and target. This takes into
+   * account collapsed and invisible cells and ports.
+   *
+   * Parameters:
+   *
+   * source -
+   * target -
+   * directed -
+   */
+  const getEdgesBetween = (source, target, directed = false) =>
+    getEdges(source).filter((edge) => {
+      const src = getVisibleTerminal(edge, true);
+      const trg = getVisibleTerminal(edge, false);
+
+      return (
+        (src === source && trg === target) ||
+        (!directed && src === target && trg === source)
+      );
+    });
+
+  /**
+   * Traverses the (directed) graph invoking the given function for each
+   * visited vertex and edge. The function is invoked with the current vertex
+   * and the incoming edge as a parameter. This implementation makes sure
+   * each vertex is only visited once. The function may return false if the
+   * traversal should stop at the given vertex.
+   *
+   * Parameters:
+   *
+   * vertex - <Cell> that represents the vertex where the traversal starts.
+   * directed - boolean indicating if edges should only be traversed
+   * from source to target. Default is true.
+   * edge - Optional <Cell> that represents the incoming edge. This is
+   * null for the first step of the traversal.
+   * allVertices - Array of cell paths for the visited cells.
+   */
+  const traverse = (
+    vertex,
+    directed,
+    edge,
+    allVertices,
+    currentComp,
+    hierarchyVertices,
+    filledVertexSet
+  ) => {
+    if (isSet(vertex) && isSet(allVertices)) {
+      // Has this vertex been seen before in any traversal
+      // And if the filled vertex set is populated, only
+      // process vertices in that it contains
+      const vertexID = ObjectIdentity.get(vertex);
+
+      if (
+        isUnset(allVertices[vertexID]) &&
+        (isUnset(filledVertexSet) || isSet(filledVertexSet[vertexID]))
+      ) {
+        if (isUnset(currentComp[vertexID])) {
+          currentComp[vertexID] = vertex;
+        }
+
+        if (isUnset(allVertices[vertexID])) {
+          allVertices[vertexID] = vertex;
+        }
+
+        if (isSet(filledVertexSet)) {
+          delete filledVertexSet[vertexID];
+        }
+
+        const edges = getEdges(vertex);
+        const edgeIsSource = edges.map(
+          (e) => getVisibleTerminal(e, true) === vertex
+        );
+
+        for (let i = 0; i < edges.length; i++) {
+          if (!directed || edgeIsSource[i]) {
+            const next = getVisibleTerminal(edges[i], !edgeIsSource[i]);
+
+            // Check whether there are more edges incoming from the target vertex than outgoing
+            // The hierarchical model treats bi-directional parallel edges as being sourced
+            // from the more "sourced" terminal. If the directions are equal in number, the direction
+            // is that of the natural direction from the roots of the layout.
+            // The checks below are slightly more verbose than need be for performance reasons
+            let netCount = 1;
+
+            for (let j = 0; j < edges.length; j++) {
+              if (j !== i) {
+                const isSource2 = edgeIsSource[j];
+                const otherTerm = getVisibleTerminal(edges[j], !isSource2);
+
+                if (otherTerm === next) {
+                  netCount += isSource2 ? 1 : -1;
+                }
+              }
+            }
+
+            if (netCount >= 0) {
+              currentComp = traverse(
+                next,
+                directed,
+                edges[i],
+                allVertices,
+                currentComp,
+                hierarchyVertices,
+                filledVertexSet
+              );
+            }
+          }
+        }
+      } else if (isUnset(currentComp[vertexID])) {
+        // We've seen this vertex before, but not in the current component
+        // This component and the one it's in need to be merged
+        for (let i = 0; i < hierarchyVertices.length; i++) {
+          const comp = hierarchyVertices[i];
+
+          if (isSet(comp[vertexID])) {
+            Object.assign(currentComp, comp);
+
+            // Remove the current component from the hierarchy set
+            hierarchyVertices.splice(i, 1);
+
+            return currentComp;
+          }
+        }
+      }
+    }
+
+    return currentComp;
+  };
+
+  /**
+   * Function: cycleStage
+   *
+   * Executes the cycle stage using MinimumCycleRemover.
+   */
+  const cycleStage = (parent) => {
+    const cycleStage = MinimumCycleRemover(me);
+    cycleStage.execute(parent);
+  };
+
+  /**
+   * Function: layeringStage
+   *
+   * Implements first stage of a Sugiyama layout.
+   */
+  const layeringStage = () => {
+    getModel().initialRank();
+    getModel().fixRanks();
+  };
+
+  /**
+   * Function: crossingStage
+   *
+   * Executes the crossing stage using MedianHybridCrossingReduction.
+   */
+  const crossingStage = (parent) => {
+    const crossingStage = MedianHybridCrossingReduction(me);
+    crossingStage.execute(parent);
+  };
+
+  /**
+   * Function: placementStage
+   *
+   * Executes the placement stage using CoordinateAssignment.
+   */
+  const placementStage = (initialX, parent) => {
+    const placementStage = CoordinateAssignment(
+      me,
+      getIntraCellSpacing(),
+      getInterRankCellSpacing(),
+      getOrientation(),
+      initialX,
+      getParallelEdgeSpacing()
+    );
+    placementStage.setFineTuning(isFineTuning());
+    placementStage.execute(parent);
+
+    return placementStage.getLimitX() + getInterHierarchySpacing();
+  };
+
+  const me = {
+    getRoots,
+    setRoots,
+    isResizeParent,
+    setResizeParent,
+    isMaintainParentLocation,
+    setMaintainParentLocation,
+    isMoveParent,
+    setMoveParent,
+    getParentBorder,
+    setParentBorder,
+    getIntraCellSpacing,
+    setIntraCellSpacing,
+    getInterRankCellSpacing,
+    setInterRankCellSpacing,
+    getInterHierarchySpacing,
+    setInterHierarchySpacing,
+    getParallelEdgeSpacing,
+    setParallelEdgeSpacing,
+    getOrientation,
+    setOrientation,
+    isFineTuning,
+    setFineTuning,
+    isTightenToSource,
+    setTightenToSource,
+    isDisableEdgeStyle,
+    setDisableEdgeStyle,
+    isTraverseAncestors,
+    setTraverseAncestors,
+
+    /**
+     * Function: getModel
+     *
+     * Returns the internal <GraphHierarchyModel> for this layout algorithm.
+     */
+    getModel,
+    setModel,
+    getEdgesCache,
+    setEdgesCache,
+    getEdgeSourceTermCache,
+    setEdgeSourceTermCache,
+    getEdgesTargetTermCache,
+    setEdgesTargetTermCache,
+    getEdgeStyle,
+    setEdgeStyle,
+    isDeterministic,
+    setDeterministic,
+    execute,
+    findRoots,
+    getEdges,
+    getVisibleTerminal,
+    run,
+    filterDescendants,
+    isPort,
+    getEdgesBetween,
+    traverse,
+    cycleStage,
+    layeringStage,
+    crossingStage,
+    placementStage
+  };
+
+  const _layout = GraphLayout(graph);
+  extendFrom(_layout)(me);
+
+  return me;
+};
+
+export default makeComponent(HierarchicalLayout);
@@ -0,0 +1,82 @@
+import Event from '../../../util/Event';
+import Graph from '../../../view/Graph';
+import HierarchicalLayout from '../HierarchicalLayout';
+
+const createGraph = () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const v = {};
+
+  ['a', 'b', 'c', 'd', 'e'].forEach((id) => {
+    v[id] = graph.insertVertex(parent, id, id, 0, 0, 80, 30);
+  });
+
+  graph.insertEdge(parent, 'ab', '', v.a, v.b);
+  graph.insertEdge(parent, 'ac', '', v.a, v.c);
+  graph.insertEdge(parent, 'bd', '', v.b, v.d);
+  graph.insertEdge(parent, 'cd', '', v.c, v.d);
+  graph.insertEdge(parent, 'ae', '', v.a, v.e);
+  graph.insertEdge(parent, 'da', '', v.d, v.a);
+
+  return graph;
+};
+
+test('assign vertices to ranks', () => {
+  const graph = createGraph();
+  const model = graph.getModel();
+  const y = (id) => model.getGeometry(model.getCell(id)).getY();
+
+  HierarchicalLayout(graph).execute(graph.getDefaultParent());
+
+  expect(y('a')).toBeLessThan(y('b'));
+  expect(y('b')).toBe(y('c'));
+  expect(y('b')).toBeLessThan(y('d'));
+});
+
+test('separate vertices within a rank', () => {
+  const graph = createGraph();
+  const model = graph.getModel();
+  const layout = HierarchicalLayout(graph);
+
+  layout.execute(graph.getDefaultParent());
+
+  const b = model.getGeometry(model.getCell('b'));
+  const c = model.getGeometry(model.getCell('c'));
+  const [left, right] = b.getX() < c.getX() ? [b, c] : [c, b];
+
+  expect(left.getX() + left.getWidth() + layout.getIntraCellSpacing()).toBe(
+    right.getX()
+  );
+});
+
+test('route edges through control points', () => {
+  const graph = createGraph();
+  const model = graph.getModel();
+
+  HierarchicalLayout(graph).execute(graph.getDefaultParent());
+
+  expect(model.getGeometry(model.getCell('ab')).getPoints().length).toBe(2);
+  expect(model.getGeometry(model.getCell('ae')).getPoints().length).toBe(2);
+  expect(
+    model.getGeometry(model.getCell('da')).getPoints().length
+  ).toBeGreaterThan(2);
+});
+
+test('lay out in a single undoable edit', () => {
+  const graph = createGraph();
+  const model = graph.getModel();
+  const undos = [];
+
+  model.addListener(Event.UNDO, (sender, evt) =>
+    undos.push(evt.getProperty('edit'))
+  );
+
+  HierarchicalLayout(graph).execute(graph.getDefaultParent());
+
+  expect(undos.length).toBe(1);
+
+  undos[0].undo();
+
+  expect(model.getGeometry(model.getCell('d')).getY()).toBe(0);
+  expect(model.getGeometry(model.getCell('ab')).getPoints()).toBeFalsy();
+});
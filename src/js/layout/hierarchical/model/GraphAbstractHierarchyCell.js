@@ -0,0 +1,225 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, makeComponent } from '../../../Helpers';
+
+/**
+ * Class: GraphAbstractHierarchyCell
+ *
+ * An abstraction of an internal hierarchy node or edge
+ *
+ * Constructor: GraphAbstractHierarchyCell
+ *
+ * Constructs a new hierarchical layout algorithm.
+ */
+const GraphAbstractHierarchyCell = () => {
+  /**
+   * Variable: maxRank
+   *
+   * The maximum rank this cell occupies. Default is -1.
+   */
+  const [getMaxRank, setMaxRank] = addProp(-1);
+
+  /**
+   * Variable: minRank
+   *
+   * The minimum rank this cell occupies. Default is -1.
+   */
+  const [getMinRank, setMinRank] = addProp(-1);
+
+  /**
+   * Variable: x
+   *
+   * The x position of this cell for each layer it occupies
+   */
+  const [getXValues, setXValues] = addProp([]);
+
+  /**
+   * Variable: y
+   *
+   * The y position of this cell for each layer it occupies
+   */
+  const [getYValues, setYValues] = addProp([]);
+
+  /**
+   * Variable: width
+   *
+   * The width of this cell. Default is 0.
+   */
+  const [getWidth, setWidth] = addProp(0);
+
+  /**
+   * Variable: height
+   *
+   * The height of this cell. Default is 0.
+   */
+  const [getHeight, setHeight] = addProp(0);
+
+  /**
+   * Variable: nextLayerConnectedCells
+   *
+   * A cached version of the cells this cell connects to on the next layer up
+   */
+  const [
+    getNextLayerConnectedCellsCache,
+    setNextLayerConnectedCellsCache
+  ] = addProp();
+
+  /**
+   * Variable: previousLayerConnectedCells
+   *
+   * A cached version of the cells this cell connects to on the next layer down
+   */
+  const [
+    getPreviousLayerConnectedCellsCache,
+    setPreviousLayerConnectedCellsCache
+  ] = addProp();
+
+  /**
+   * Variable: temp
+   *
+   * Temporary variable for general use. Generally, try to avoid
+   * carrying information between stages. Currently, the longest
+   * path layering sets temp to the rank position in fixRanks()
+   * and the crossing reduction uses this. This meant temp couldn't
+   * be used for hashing the nodes in the model dfs and so hashCode
+   * was created
+   */
+  const [getTemp, setTemp] = addProp([]);
+
+  /**
+   * Function: getNextLayerConnectedCells
+   *
+   * Returns the cells this cell connects to on the next layer up
+   */
+  const getNextLayerConnectedCells = (layer) => null;
+
+  /**
+   * Function: getPreviousLayerConnectedCells
+   *
+   * Returns the cells this cell connects to on the next layer down
+   */
+  const getPreviousLayerConnectedCells = (layer) => null;
+
+  /**
+   * Function: isEdge
+   *
+   * Returns whether or not this cell is an edge
+   */
+  const isEdge = () => false;
+
+  /**
+   * Function: isVertex
+   *
+   * Returns whether or not this cell is a node
+   */
+  const isVertex = () => false;
+
+  /**
+   * Function: getGeneralPurposeVariable
+   *
+   * Gets the value of temp for the specified layer
+   */
+  const getGeneralPurposeVariable = (layer) => null;
+
+  /**
+   * Function: setGeneralPurposeVariable
+   *
+   * Set the value of temp for the specified layer
+   */
+  const setGeneralPurposeVariable = (layer, value) => null;
+
+  /**
+   * Function: setX
+   *
+   * Set the value of x for the specified layer
+   */
+  const setX = (layer, value) => {
+    if (me.resolve('isVertex')()) {
+      getXValues()[0] = value;
+    } else if (me.resolve('isEdge')()) {
+      getXValues()[layer - getMinRank() - 1] = value;
+    }
+  };
+
+  /**
+   * Function: getX
+   *
+   * Gets the value of x on the specified layer
+   */
+  const getX = (layer) => {
+    if (me.resolve('isVertex')()) {
+      return getXValues()[0];
+    } else if (me.resolve('isEdge')()) {
+      return getXValues()[layer - getMinRank() - 1];
+    }
+
+    return 0.0;
+  };
+
+  /**
+   * Function: setY
+   *
+   * Set the value of y for the specified layer
+   */
+  const setY = (layer, value) => {
+    if (me.resolve('isVertex')()) {
+      getYValues()[0] = value;
+    } else if (me.resolve('isEdge')()) {
+      getYValues()[layer - getMinRank() - 1] = value;
+    }
+  };
+
+  /**
+   * Function: getY
+   *
+   * Gets the value of y on the specified layer
+   */
+  const getY = (layer) => {
+    if (me.resolve('isVertex')()) {
+      return getYValues()[0];
+    } else if (me.resolve('isEdge')()) {
+      return getYValues()[layer - getMinRank() - 1];
+    }
+
+    return 0.0;
+  };
+
+  const me = {
+    getMaxRank,
+    setMaxRank,
+    getMinRank,
+    setMinRank,
+    getXValues,
+    setXValues,
+    getYValues,
+    setYValues,
+    getWidth,
+    setWidth,
+    getHeight,
+    setHeight,
+    getNextLayerConnectedCellsCache,
+    setNextLayerConnectedCellsCache,
+    getPreviousLayerConnectedCellsCache,
+    setPreviousLayerConnectedCellsCache,
+    getTemp,
+    setTemp,
+    getNextLayerConnectedCells,
+    getPreviousLayerConnectedCells,
+    isEdge,
+    isVertex,
+    getGeneralPurposeVariable,
+    setGeneralPurposeVariable,
+    setX,
+    getX,
+    setY,
+    getY
+  };
+
+  return me;
+};
+
+export default makeComponent(GraphAbstractHierarchyCell);
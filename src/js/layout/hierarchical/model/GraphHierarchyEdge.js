@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isUnset, makeComponent } from '../../../Helpers';
+import ObjectIdentity from '../../../util/ObjectIdentity';
+import GraphAbstractHierarchyCell from './GraphAbstractHierarchyCell';
+
+/**
+ * Class: GraphHierarchyEdge
+ *
+ * An abstraction of a hierarchical edge for the hierarchy layout
+ *
+ * Constructor: GraphHierarchyEdge
+ *
+ * Constructs a hierarchy edge
+ *
+ * Arguments:
+ *
+ * edges - a list of real graph edges this abstraction represents
+ */
+const GraphHierarchyEdge = (edges) => {
+  /**
+   * Variable: edges
+   *
+   * The graph edge(s) this object represents. Parallel edges are all grouped
+   * together within one hierarchy edge.
+   */
+  const [getEdges, setEdges] = addProp(edges);
+
+  /**
+   * Variable: ids
+   *
+   * The object identities of the wrapped cells
+   */
+  const [getIds, setIds] = addProp(
+    edges.map((edge) => ObjectIdentity.get(edge))
+  );
+
+  /**
+   * Variable: source
+   *
+   * The node this edge is sourced at
+   */
+  const [getSource, setSource] = addProp();
+
+  /**
+   * Variable: target
+   *
+   * The node this edge targets
+   */
+  const [getTarget, setTarget] = addProp();
+
+  /**
+   * Variable: isReversed
+   *
+   * Whether or not the direction of this edge has been reversed
+   * internally to create a DAG for the hierarchical layout
+   */
+  const [isReversed, setReversed] = addProp(false);
+
+  /**
+   * Function: invert
+   *
+   * Inverts the direction of this internal edge(s)
+   */
+  const invert = (layer) => {
+    const temp = getSource();
+    setSource(getTarget());
+    setTarget(temp);
+    setReversed(!isReversed());
+  };
+
+  /**
+   * Function: getNextLayerConnectedCells
+   *
+   * Returns the cells this cell connects to on the next layer up
+   */
+  const getNextLayerConnectedCells = (layer) => {
+    if (isUnset(_cell.getNextLayerConnectedCellsCache())) {
+      const temp = _cell.getTemp();
+      const cells = [];
+
+      for (let i = 0; i < temp.length; i++) {
+        cells[i] = [i === temp.length - 1 ? getSource() : me];
+      }
+
+      _cell.setNextLayerConnectedCellsCache(cells);
+    }
+
+    return _cell.getNextLayerConnectedCellsCache()[
+      layer - _cell.getMinRank() - 1
+    ];
+  };
+
+  /**
+   * Function: getPreviousLayerConnectedCells
+   *
+   * Returns the cells this cell connects to on the next layer down
+   */
+  const getPreviousLayerConnectedCells = (layer) => {
+    if (isUnset(_cell.getPreviousLayerConnectedCellsCache())) {
+      const temp = _cell.getTemp();
+      const cells = [];
+
+      for (let i = 0; i < temp.length; i++) {
+        cells[i] = [i === 0 ? getTarget() : me];
+      }
+
+      _cell.setPreviousLayerConnectedCellsCache(cells);
+    }
+
+    return _cell.getPreviousLayerConnectedCellsCache()[
+      layer - _cell.getMinRank() - 1
+    ];
+  };
+
+  /**
+   * Function: isEdge
+   *
+   * Returns true.
+   */
+  const isEdge = () => true;
+
+  /**
+   * Function: getGeneralPurposeVariable
+   *
+   * Gets the value of temp for the specified layer
+   */
+  const getGeneralPurposeVariable = (layer) =>
+    _cell.getTemp()[layer - _cell.getMinRank() - 1];
+
+  /**
+   * Function: setGeneralPurposeVariable
+   *
+   * Set the value of temp for the specified layer
+   */
+  const setGeneralPurposeVariable = (layer, value) => {
+    _cell.getTemp()[layer - _cell.getMinRank() - 1] = value;
+  };
+
+  /**
+   * Function: getCoreCell
+   *
+   * Gets the first core edge associated with this wrapper
+   */
+  const getCoreCell = () => (getEdges().length > 0 ? getEdges()[0] : null);
+
+  const me = {
+    getEdges,
+    setEdges,
+    getIds,
+    setIds,
+    getSource,
+    setSource,
+    getTarget,
+    setTarget,
+    isReversed,
+    setReversed,
+    invert,
+    getNextLayerConnectedCells,
+    getPreviousLayerConnectedCells,
+    isEdge,
+    getGeneralPurposeVariable,
+    setGeneralPurposeVariable,
+    getCoreCell
+  };
+
+  const _cell = GraphAbstractHierarchyCell();
+  extendFrom(_cell)(me);
+
+  return me;
+};
+
+export default makeComponent(GraphHierarchyEdge);
@@ -0,0 +1,651 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, isUnset, makeComponent } from '../../../Helpers';
+import Dictionary from '../../../util/Dictionary';
+import GraphHierarchyEdge from './GraphHierarchyEdge';
+import GraphHierarchyNode from './GraphHierarchyNode';
+
+/**
+ * Class: GraphHierarchyModel
+ *
+ * Internal model of a hierarchical graph. This model stores nodes and edges
+ * equivalent to the real graph nodes and edges, but also stores the rank of the
+ * cells, the order within the ranks and the new candidate locations of cells.
+ * The internal model also reverses edge direction were appropriate , ignores
+ * self-loop and groups parallels together under one edge object.
+ *
+ * Constructor: GraphHierarchyModel
+ *
+ * Creates an internal ordered graph model using the vertices passed in. If
+ * there are any, leftward edge need to be inverted in the internal model
+ *
+ * Arguments:
+ *
+ * layout - the <HierarchicalLayout> that uses this model
+ * vertices - the vertices for this hierarchy
+ * roots - the roots of the hierarchy
+ * parent - the parent cell whose children are being laid out
+ * tightenToSource - whether or not to tighten vertices towards the sources
+ */
+const GraphHierarchyModel = (
+  layout,
+  vertices,
+  roots,
+  parent,
+  tightenToSource = false
+) => {
+  /**
+   * Variable: maxRank
+   *
+   * Stores the largest rank number allocated
+   */
+  const [getMaxRank, setMaxRank] = addProp(0);
+
+  /**
+   * Variable: vertexMapper
+   *
+   * Map from graph vertices to internal model nodes.
+   */
+  const [getVertexMapper, setVertexMapper] = addProp(Dictionary());
+
+  /**
+   * Variable: edgeMapper
+   *
+   * Map from graph edges to internal model edges
+   */
+  const [getEdgeMapper, setEdgeMapper] = addProp(Dictionary());
+
+  /**
+   * Variable: ranks
+   *
+   * Mapping from rank number to actual rank
+   */
+  const [getRanks, setRanks] = addProp();
+
+  /**
+   * Variable: roots
+   *
+   * Store of roots of this hierarchy model, these are real graph cells, not
+   * internal cells
+   */
+  const [getRoots, setRoots] = addProp(roots);
+
+  /**
+   * Variable: parent
+   *
+   * The parent cell whose children are being laid out
+   */
+  const [getParent, setParent] = addProp(parent);
+
+  /**
+   * Variable: dfsCount
+   *
+   * Count of the number of times the ancestor dfs has been used.
+   */
+  const [getDfsCount, setDfsCount] = addProp(0);
+
+  /**
+   * Variable: tightenToSource
+   *
+   * Whether or not to tighten the assigned ranks of vertices up towards
+   * the source cells.
+   */
+  const [isTightenToSource, setTightenToSource] = addProp(tightenToSource);
+
+  /**
+   * Function: createInternalCells
+   *
+   * Creates all edges in the internal model
+   *
+   * Parameters:
+   *
+   * layout - Reference to the <HierarchicalLayout> algorithm.
+   * vertices - Array of <Cells> that represent the vertices whom are to
+   * have an internal representation created.
+   * internalVertices - The array of <GraphHierarchyNodes> to have their
+   * information filled in using the real vertices.
+   */
+  const createInternalCells = (layout, vertices, internalVertices) => {
+    const graph = layout.getGraph();
+
+    // Create internal edges
+    for (let i = 0; i < vertices.length; i++) {
+      internalVertices[i] = GraphHierarchyNode(vertices[i]);
+      getVertexMapper().put(vertices[i], internalVertices[i]);
+
+      const conns = layout.getEdges(vertices[i]);
+      internalVertices[i].setConnectsAsSource([]);
+
+      // Create internal edges, but don't do any rank assignment yet
+      // First use the information from the greedy cycle remover to
+      // invert the leftward edges internally
+      for (const conn of conns) {
+        const cell = layout.getVisibleTerminal(conn, false);
+
+        // Looking for outgoing edges only
+        if (
+          cell !== vertices[i] &&
+          graph.getModel().isVertex(cell) &&
+          !layout.isVertexIgnored(cell)
+        ) {
+          // We process all edge between this source and its targets
+          // If there are edges going both ways, we need to collect
+          // them all into one internal edges to avoid looping problems
+          // later. We assume this direction (source -> target) is the
+          // natural direction if at least half the edges are going in
+          // that direction.
+
+          // The check below for edges[0] being in the vertex mapper is
+          // in case we've processed this the other way around
+          // (target -> source) and the number of edges in each direction
+          // are the same. All the graph edges will have been assigned to
+          // an internal edge going the other way, so we don't want to
+          // process them again
+          const undirectedEdges = layout.getEdgesBetween(
+            vertices[i],
+            cell,
+            false
+          );
+          const directedEdges = layout.getEdgesBetween(vertices[i], cell, true);
+
+          if (
+            isSet(undirectedEdges) &&
+            undirectedEdges.length > 0 &&
+            isUnset(getEdgeMapper().get(undirectedEdges[0])) &&
+            directedEdges.length * 2 >= undirectedEdges.length
+          ) {
+            const internalEdge = GraphHierarchyEdge(undirectedEdges);
+
+            for (const edge of undirectedEdges) {
+              getEdgeMapper().put(edge, internalEdge);
+
+              // Resets all point on the edge and disables the edge style
+              // without deleting it from the cell style
+              graph.resetEdge(edge);
+
+              if (layout.isDisableEdgeStyle()) {
+                layout.setEdgeStyleEnabled(edge, false);
+                layout.setOrthogonalEdge(edge, true);
+              }
+            }
+
+            internalEdge.setSource(internalVertices[i]);
+
+            if (
+              !internalVertices[i].getConnectsAsSource().includes(internalEdge)
+            ) {
+              internalVertices[i].getConnectsAsSource().push(internalEdge);
+            }
+          }
+        }
+      }
+
+      // Ensure temp variable is cleared from any previous use
+      internalVertices[i].getTemp()[0] = 0;
+    }
+  };
+
+  /**
+   * Function: initialRank
+   *
+   * Basic determination of minimum layer ranking by working from from sources
+   * or sinks and working through each node in the relevant edge direction.
+   * Starting at the sinks is basically a longest path layering algorithm.
+   */
+  const initialRank = () => {
+    const startNodes = [];
+
+    if (isSet(getRoots())) {
+      for (const root of getRoots()) {
+        const internalNode = getVertexMapper().get(root);
+
+        if (isSet(internalNode)) {
+          startNodes.push(internalNode);
+        }
+      }
+    }
+
+    const internalNodes = getVertexMapper().getValues();
+
+    for (const internalNode of internalNodes) {
+      // Mark the node as not having had a layer assigned
+      internalNode.getTemp()[0] = -1;
+    }
+
+    const startNodesCopy = startNodes.slice();
+
+    while (startNodes.length > 0) {
+      const internalNode = startNodes[0];
+      const layerDeterminingEdges = internalNode.getConnectsAsTarget();
+      const edgesToBeMarked = internalNode.getConnectsAsSource();
+
+      // flag to keep track of whether or not all layer determining
+      // edges have been scanned
+      let allEdgesScanned = true;
+
+      // Work out the layer of this node from the layer determining
+      // edges. The minimum layer number of any node connected by one of
+      // the layer determining edges variable
+      let minimumLayer = GraphHierarchyModel.SOURCESCANSTARTRANK;
+
+      for (const internalEdge of layerDeterminingEdges) {
+        if (internalEdge.getTemp()[0] === 5270620) {
+          // This edge has been scanned, get the layer of the
+          // node on the other end
+          const otherNode = internalEdge.getSource();
+          minimumLayer = Math.min(minimumLayer, otherNode.getTemp()[0] - 1);
+        } else {
+          allEdgesScanned = false;
+          break;
+        }
+      }
+
+      // If all edge have been scanned, assign the layer, mark all
+      // edges in the other direction and remove from the nodes list
+      if (allEdgesScanned) {
+        internalNode.getTemp()[0] = minimumLayer;
+        setMaxRank(Math.min(getMaxRank(), minimumLayer));
+
+        if (isSet(edgesToBeMarked)) {
+          for (const internalEdge of edgesToBeMarked) {
+            // Assign unique stamp ( y/m/d/h )
+            internalEdge.getTemp()[0] = 5270620;
+
+            // Add node on other end of edge to LinkedList of
+            // nodes to be analysed
+            const otherNode = internalEdge.getTarget();
+
+            // Only add node if it hasn't been assigned a layer
+            if (otherNode.getTemp()[0] === -1) {
+              startNodes.push(otherNode);
+
+              // Mark this other node as neither being
+              // unassigned nor assigned so it isn't
+              // added to this list again, but it's
+              // layer isn't used in any calculation.
+              otherNode.getTemp()[0] = -2;
+            }
+          }
+        }
+
+        startNodes.shift();
+      } else {
+        // Not all the edges have been scanned, get to the back of
+        // the class and put the dunces cap on
+        const removedCell = startNodes.shift();
+        startNodes.push(internalNode);
+
+        if (removedCell === internalNode && startNodes.length === 1) {
+          // This is an error condition, we can't get out of
+          // this loop. It could happen for more than one node
+          // but that's a lot harder to detect.
+          break;
+        }
+      }
+    }
+
+    // Normalize the ranks down from their large starting value to place
+    // at least 1 sink on layer 0
+    for (const internalNode of internalNodes) {
+      internalNode.getTemp()[0] -= getMaxRank();
+    }
+
+    // Tighten the rank 0 nodes as far as possible
+    for (const internalNode of startNodesCopy) {
+      let currentMaxLayer = 0;
+
+      for (const internalEdge of internalNode.getConnectsAsSource()) {
+        const otherNode = internalEdge.getTarget();
+        internalNode.getTemp()[0] = Math.max(
+          currentMaxLayer,
+          otherNode.getTemp()[0] + 1
+        );
+        currentMaxLayer = internalNode.getTemp()[0];
+      }
+    }
+
+    // Reset the maxRank to that which would be expected for a from-sink
+    // scan
+    setMaxRank(GraphHierarchyModel.SOURCESCANSTARTRANK - getMaxRank());
+  };
+
+  /**
+   * Function: fixRanks
+   *
+   * Fixes the layer assignments to the values stored in the nodes. Also needs
+   * to create dummy nodes for edges that cross layers.
+   */
+  const fixRanks = () => {
+    const rankList = [];
+    setRanks([]);
+
+    for (let i = 0; i < getMaxRank() + 1; i++) {
+      rankList[i] = [];
+      getRanks()[i] = rankList[i];
+    }
+
+    // Perform a DFS to obtain an initial ordering for each rank.
+    // Without doing this you would end up having to process
+    // crossings for a standard tree.
+    let rootsArray;
+
+    if (isSet(getRoots())) {
+      rootsArray = getRoots().map((cell) => getVertexMapper().get(cell));
+    }
+
+    visit(
+      (parent, node, edge, layer, seen) => {
+        if (seen === 0 && node.getMaxRank() < 0 && node.getMinRank() < 0) {
+          rankList[node.getTemp()[0]].push(node);
+          node.setMaxRank(node.getTemp()[0]);
+          node.setMinRank(node.getTemp()[0]);
+
+          // Set temp[0] to the nodes position in the rank
+          node.getTemp()[0] = rankList[node.getMaxRank()].length - 1;
+        }
+
+        if (isSet(parent) && isSet(edge)) {
+          const parentToCellRankDifference =
+            parent.getMaxRank() - node.getMaxRank();
+
+          if (parentToCellRankDifference > 1) {
+            // There are ranks in between the parent and current cell
+            edge.setMaxRank(parent.getMaxRank());
+            edge.setMinRank(node.getMaxRank());
+            edge.setTemp([]);
+            edge.setXValues([]);
+            edge.setYValues([]);
+
+            for (let i = edge.getMinRank() + 1; i < edge.getMaxRank(); i++) {
+              // The connecting edge must be added to the
+              // appropriate ranks
+              rankList[i].push(edge);
+              edge.setGeneralPurposeVariable(i, rankList[i].length - 1);
+            }
+          }
+        }
+      },
+      rootsArray,
+      false
+    );
+  };
+
+  /**
+   * Function: visit
+   *
+   * A depth first search through the internal heirarchy model.
+   *
+   * Parameters:
+   *
+   * visitor - The visitor function pattern to be called for each node.
+   * trackAncestors - Whether or not the search is to keep track all nodes
+   * directly above this one in the search path.
+   */
+  const visit = (visitor, dfsRoots, trackAncestors, seenNodes = {}) => {
+    // Run dfs through on all roots
+    if (isSet(dfsRoots)) {
+      for (let i = 0; i < dfsRoots.length; i++) {
+        const internalNode = dfsRoots[i];
+
+        if (isSet(internalNode)) {
+          if (trackAncestors) {
+            // Set up hash code for root
+            internalNode.setHashCode([getDfsCount(), i]);
+            extendedDfs(
+              null,
+              internalNode,
+              null,
+              visitor,
+              seenNodes,
+              internalNode.getHashCode(),
+              i,
+              0
+            );
+          } else {
+            dfs(null, internalNode, null, visitor, seenNodes, 0);
+          }
+        }
+      }
+
+      setDfsCount(getDfsCount() + 1);
+    }
+  };
+
+  /**
+   * Function: dfs
+   *
+   * Performs a depth first search on the internal hierarchy model
+   *
+   * Parameters:
+   *
+   * parent - the parent internal node of the current internal node
+   * root - the current internal node
+   * connectingEdge - the internal edge connecting the internal node and the parent
+   * internal node, if any
+   * visitor - the visitor pattern to be called for each node
+   * seen - a set of all nodes seen by this dfs a set of all of the
+   * ancestor node of the current node
+   * layer - the layer on the dfs tree ( not the same as the model ranks )
+   */
+  const dfs = (parent, root, connectingEdge, visitor, seen, layer) => {
+    if (isSet(root)) {
+      const rootId = root.getId();
+
+      if (isUnset(seen[rootId])) {
+        seen[rootId] = root;
+        visitor(parent, root, connectingEdge, layer, 0);
+
+        // Copy the connects as source list so that visitors
+        // can change the original for edge direction inversions
+        const outgoingEdges = root.getConnectsAsSource().slice();
+
+        for (const internalEdge of outgoingEdges) {
+          const targetNode = internalEdge.getTarget();
+
+          // Root check is O(|roots|)
+          dfs(root, targetNode, internalEdge, visitor, seen, layer + 1);
+        }
+      } else {
+        // Use the int field to indicate this node has been seen
+        visitor(parent, root, connectingEdge, layer, 1);
+      }
+    }
+  };
+
+  /**
+   * Function: extendedDfs
+   *
+   * Performs a depth first search on the internal hierarchy model. This dfs
+   * extends the default version by keeping track of cells ancestors, but it
+   * should be only used when necessary because of it can be computationally
+   * intensive for deep searches.
+   *
+   * Parameters:
+   *
+   * parent - the parent internal node of the current internal node
+   * root - the current internal node
+   * connectingEdge - the internal edge connecting the internal node and the parent
+   * internal node, if any
+   * visitor - the visitor pattern to be called for each node
+   * seen - a set of all nodes seen by this dfs
+   * ancestors - the parent hash code
+   * childHash - the new hash code for this node
+   * layer - the layer on the dfs tree ( not the same as the model ranks )
+   */
+  const extendedDfs = (
+    parent,
+    root,
+    connectingEdge,
+    visitor,
+    seen,
+    ancestors,
+    childHash,
+    layer
+  ) => {
+    // Explanation of custom hash set. Previously, the ancestors variable
+    // was passed through the dfs as a HashSet. The ancestors were copied
+    // into a new HashSet and when the new child was processed it was also
+    // added to the set. If the current node was in its ancestor list it
+    // meant there is a cycle in the graph and this information is passed
+    // to the visitor.visit() in the seen parameter. The HashSet clone was
+    // very expensive on CPU so a custom hash was developed using primitive
+    // types. temp[] couldn't be used so hashCode[] was added to each node.
+    // Each new child adds another int to the array, copying the prefix
+    // from its parent. Child of the same parent add different ints (the
+    // limit is therefore 2^32 children per parent...). If a node has a
+    // child with the hashCode already set then the child code is compared
+    // to the same portion of the current nodes array. If they match there
+    // is a loop.
+    // Note that the basic mechanism would only allow for 1 use of this
+    // functionality, so the root nodes have two ints. The second int is
+    // incremented through each node root and the first is incremented
+    // through each run of the dfs algorithm (therefore the dfs is not
+    // thread safe). The hash code of each node is set if not already set,
+    // or if the first int does not match that of the current run.
+    if (isSet(root)) {
+      if (isSet(parent)) {
+        // Form this nodes hash code if necessary, that is, if the
+        // hashCode variable has not been initialized or if the
+        // start of the parent hash code does not equal the start of
+        // this nodes hash code, indicating the code was set on a
+        // previous run of this dfs.
+        if (
+          isUnset(root.getHashCode()) ||
+          root.getHashCode()[0] !== parent.getHashCode()[0]
+        ) {
+          root.setHashCode([...parent.getHashCode(), childHash]);
+        }
+      }
+
+      const rootId = root.getId();
+
+      if (isUnset(seen[rootId])) {
+        seen[rootId] = root;
+        visitor(parent, root, connectingEdge, layer, 0);
+
+        // Copy the connects as source list so that visitors
+        // can change the original for edge direction inversions
+        const outgoingEdges = root.getConnectsAsSource().slice();
+
+        for (let i = 0; i < outgoingEdges.length; i++) {
+          const internalEdge = outgoingEdges[i];
+          const targetNode = internalEdge.getTarget();
+
+          // Root check is O(|roots|)
+          extendedDfs(
+            root,
+            targetNode,
+            internalEdge,
+            visitor,
+            seen,
+            root.getHashCode(),
+            i,
+            layer + 1
+          );
+        }
+      } else {
+        // Use the int field to indicate this node has been seen
+        visitor(parent, root, connectingEdge, layer, 1);
+      }
+    }
+  };
+
+  const me = {
+    getMaxRank,
+    setMaxRank,
+    getVertexMapper,
+    setVertexMapper,
+    getEdgeMapper,
+    setEdgeMapper,
+    getRanks,
+    setRanks,
+    getRoots,
+    setRoots,
+    getParent,
+    setParent,
+    getDfsCount,
+    setDfsCount,
+    isTightenToSource,
+    setTightenToSource,
+    createInternalCells,
+    initialRank,
+    fixRanks,
+    visit,
+    dfs,
+    extendedDfs
+  };
+
+  const graph = layout.getGraph();
+  const internalVertices = [];
+
+  if (isUnset(vertices)) {
+    vertices = graph.getChildVertices(parent);
+  }
+
+  setMaxRank(GraphHierarchyModel.SOURCESCANSTARTRANK);
+
+  // map of cells to internal cell needed for second run through
+  // to setup the sink of edges correctly. Guess size by number
+  // of edges is roughly same as number of vertices.
+  createInternalCells(layout, vertices, internalVertices);
+
+  // Go through edges set their sink values. Also check the
+  // ordering if and invert edges if necessary
+  for (let i = 0; i < vertices.length; i++) {
+    const edges = internalVertices[i].getConnectsAsSource();
+
+    for (const internalEdge of edges) {
+      const realEdges = internalEdge.getEdges();
+
+      // Only need to process the first real edge, since
+      // all the edges connect to the same other vertex
+      if (isSet(realEdges) && realEdges.length > 0) {
+        const realEdge = realEdges[0];
+        let targetCell = layout.getVisibleTerminal(realEdge, false);
+        let internalTargetCell = getVertexMapper().get(targetCell);
+
+        if (internalVertices[i] === internalTargetCell) {
+          // If there are parallel edges going between two vertices and not all are in the same direction
+          // you can have navigated across one direction when doing the cycle reversal that isn't the same
+          // direction as the first real edge in the array above. When that happens the if above catches
+          // that and we correct the target cell before continuing.
+          // This branch only detects this single case
+          targetCell = layout.getVisibleTerminal(realEdge, true);
+          internalTargetCell = getVertexMapper().get(targetCell);
+        }
+
+        if (
+          isSet(internalTargetCell) &&
+          internalVertices[i] !== internalTargetCell
+        ) {
+          internalEdge.setTarget(internalTargetCell);
+
+          if (
+            !internalTargetCell.getConnectsAsTarget().includes(internalEdge)
+          ) {
+            internalTargetCell.getConnectsAsTarget().push(internalEdge);
+          }
+        }
+      }
+    }
+
+    // Use the temp variable in the internal nodes to mark this
+    // internal vertex as having been visited.
+    internalVertices[i].getTemp()[0] = 1;
+  }
+
+  return me;
+};
+
+/**
+ * Variable: SOURCESCANSTARTRANK
+ *
+ * High value to start source layering scan rank value from.
+ */
+GraphHierarchyModel.SOURCESCANSTARTRANK = 100000000;
+
+export default makeComponent(GraphHierarchyModel);
@@ -0,0 +1,212 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import {
+  addProp,
+  extendFrom,
+  isSet,
+  isUnset,
+  makeComponent
+} from '../../../Helpers';
+import ObjectIdentity from '../../../util/ObjectIdentity';
+import GraphAbstractHierarchyCell from './GraphAbstractHierarchyCell';
+
+/**
+ * Class: GraphHierarchyNode
+ *
+ * An abstraction of a hierarchical node for the hierarchy layout
+ *
+ * Constructor: GraphHierarchyNode
+ *
+ * Constructs an internal node to represent the specified real graph cell
+ *
+ * Arguments:
+ *
+ * cell - the real graph cell this node represents
+ */
+const GraphHierarchyNode = (cell) => {
+  /**
+   * Variable: cell
+   *
+   * The graph cell this object represents.
+   */
+  const [getCell, setCell] = addProp(cell);
+
+  /**
+   * Variable: id
+   *
+   * The object identity of the wrapped cell
+   */
+  const [getId, setId] = addProp(ObjectIdentity.get(cell));
+
+  /**
+   * Variable: connectsAsTarget
+   *
+   * Collection of hierarchy edges that have this node as a target
+   */
+  const [getConnectsAsTarget, setConnectsAsTarget] = addProp([]);
+
+  /**
+   * Variable: connectsAsSource
+   *
+   * Collection of hierarchy edges that have this node as a source
+   */
+  const [getConnectsAsSource, setConnectsAsSource] = addProp([]);
+
+  /**
+   * Variable: hashCode
+   *
+   * Assigns a unique hashcode for each node. Used by the model dfs instead
+   * of copying HashSets
+   */
+  const [getHashCode, setHashCode] = addProp();
+
+  /**
+   * Function: getRankValue
+   *
+   * Returns the integer value of the layer that this node resides in
+   */
+  const getRankValue = (layer) => _cell.getMaxRank();
+
+  /**
+   * Function: getNextLayerConnectedCells
+   *
+   * Returns the cells this cell connects to on the next layer up
+   */
+  const getNextLayerConnectedCells = (layer) => {
+    if (isUnset(_cell.getNextLayerConnectedCellsCache())) {
+      const cells = [];
+
+      for (const edge of getConnectsAsTarget()) {
+        if (edge.getMaxRank() === -1 || edge.getMaxRank() === layer + 1) {
+          // Either edge is not in any rank or
+          // no dummy nodes in edge, add node of other side of edge
+          cells.push(edge.getSource());
+        } else {
+          // Edge spans at least two layers, add edge
+          cells.push(edge);
+        }
+      }
+
+      _cell.setNextLayerConnectedCellsCache([cells]);
+    }
+
+    return _cell.getNextLayerConnectedCellsCache()[0];
+  };
+
+  /**
+   * Function: getPreviousLayerConnectedCells
+   *
+   * Returns the cells this cell connects to on the next layer down
+   */
+  const getPreviousLayerConnectedCells = (layer) => {
+    if (isUnset(_cell.getPreviousLayerConnectedCellsCache())) {
+      const cells = [];
+
+      for (const edge of getConnectsAsSource()) {
+        if (edge.getMinRank() === -1 || edge.getMinRank() === layer - 1) {
+          // No dummy nodes in edge, add node of other side of edge
+          cells.push(edge.getTarget());
+        } else {
+          // Edge spans at least two layers, add edge
+          cells.push(edge);
+        }
+      }
+
+      _cell.setPreviousLayerConnectedCellsCache([cells]);
+    }
+
+    return _cell.getPreviousLayerConnectedCellsCache()[0];
+  };
+
+  /**
+   * Function: isVertex
+   *
+   * Returns true.
+   */
+  const isVertex = () => true;
+
+  /**
+   * Function: getGeneralPurposeVariable
+   *
+   * Gets the value of temp for the specified layer
+   */
+  const getGeneralPurposeVariable = (layer) => _cell.getTemp()[0];
+
+  /**
+   * Function: setGeneralPurposeVariable
+   *
+   * Set the value of temp for the specified layer
+   */
+  const setGeneralPurposeVariable = (layer, value) => {
+    _cell.getTemp()[0] = value;
+  };
+
+  /**
+   * Function: isAncestor
+   */
+  const isAncestor = (otherNode) => {
+    const hashCode = getHashCode();
+    const otherHashCode = isSet(otherNode) ? otherNode.getHashCode() : null;
+
+    // Firstly, the hash code of this node needs to be shorter than the
+    // other node
+    if (
+      isSet(hashCode) &&
+      isSet(otherHashCode) &&
+      hashCode.length < otherHashCode.length
+    ) {
+      // Secondly, this hash code must match the start of the other
+      // node's hash code. Arrays.equals cannot be used here since
+      // the arrays are different length, and we do not want to
+      // perform another array copy.
+      for (let i = 0; i < hashCode.length; i++) {
+        if (hashCode[i] !== otherHashCode[i]) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * Function: getCoreCell
+   *
+   * Gets the core vertex associated with this wrapper
+   */
+  const getCoreCell = () => getCell();
+
+  const me = {
+    getCell,
+    setCell,
+    getId,
+    setId,
+    getConnectsAsTarget,
+    setConnectsAsTarget,
+    getConnectsAsSource,
+    setConnectsAsSource,
+    getHashCode,
+    setHashCode,
+    getRankValue,
+    getNextLayerConnectedCells,
+    getPreviousLayerConnectedCells,
+    isVertex,
+    getGeneralPurposeVariable,
+    setGeneralPurposeVariable,
+    isAncestor,
+    getCoreCell
+  };
+
+  const _cell = GraphAbstractHierarchyCell();
+  extendFrom(_cell)(me);
+
+  return me;
+};
+
+export default makeComponent(GraphHierarchyNode);
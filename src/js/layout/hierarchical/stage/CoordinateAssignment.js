@@ -0,0 +1,1437 @@
+/**
+ * Copyright (c) 2006-2018, JGraph Ltd
+ * Copyright (c) 2006-2018, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import {
+  addProp,
+  extendFrom,
+  isSet,
+  isUnset,
+  makeComponent
+} from '../../../Helpers';
+import {
+  DIRECTION_EAST,
+  DIRECTION_NORTH,
+  DIRECTION_SOUTH,
+  DIRECTION_WEST
+} from '../../../util/Constants';
+import Dictionary from '../../../util/Dictionary';
+import ObjectIdentity from '../../../util/ObjectIdentity';
+import Point from '../../../util/Point';
+import WeightedCellSorter from '../../WeightedCellSorter';
+import HierarchicalEdgeStyle from '../HierarchicalEdgeStyle';
+import HierarchicalLayoutStage from './HierarchicalLayoutStage';
+
+/**
+ * Class: CoordinateAssignment
+ *
+ * Sets the horizontal locations of node and edge dummy nodes on each layer.
+ * Uses median down and up weighings as well as heuristics to straighten edges as
+ * far as possible.
+ *
+ * Constructor: CoordinateAssignment
+ *
+ * Creates a coordinate assignment.
+ *
+ * Arguments:
+ *
+ * layout - Reference to the enclosing <HierarchicalLayout>.
+ * intraCellSpacing - the minimum buffer between cells on the same rank
+ * interRankCellSpacing - the minimum distance between cells on adjacent ranks
+ * orientation - the position of the root node(s) relative to the graph
+ * initialX - the leftmost coordinate node placement starts at
+ * parallelEdgeSpacing - the distance between each parallel edge
+ */
+const CoordinateAssignment = (
+  layout,
+  intraCellSpacing = 30,
+  interRankCellSpacing = 100,
+  orientation = DIRECTION_NORTH,
+  initialX,
+  parallelEdgeSpacing = 10
+) => {
+  /**
+   * Variable: intraCellSpacing
+   *
+   * The minimum buffer between cells on the same rank. Default is 30.
+   */
+  const [getIntraCellSpacing, setIntraCellSpacing] = addProp(intraCellSpacing);
+
+  /**
+   * Variable: interRankCellSpacing
+   *
+   * The minimum distance between cells on adjacent ranks. Default is 100.
+   */
+  const [getInterRankCellSpacing, setInterRankCellSpacing] = addProp(
+    interRankCellSpacing
+  );
+
+  /**
+   * Variable: parallelEdgeSpacing
+   *
+   * The distance between each parallel edge on each ranks for long edges.
+   * Default is 10.
+   */
+  const [getParallelEdgeSpacing, setParallelEdgeSpacing] = addProp(
+    parallelEdgeSpacing
+  );
+
+  /**
+   * Variable: maxIterations
+   *
+   * The number of heuristic iterations to run. Default is 8.
+   */
+  const [getMaxIterations, setMaxIterations] = addProp(8);
+
+  /**
+   * Variable: prefHozEdgeSep
+   *
+   * The preferred horizontal distance between edges exiting a vertex Default
+   * is 5.
+   */
+  const [getPrefHozEdgeSep, setPrefHozEdgeSep] = addProp(5);
+
+  /**
+   * Variable: prefVertEdgeOff
+   *
+   * The preferred vertical offset between edges exiting a vertex Default is 2.
+   */
+  const [getPrefVertEdgeOff, setPrefVertEdgeOff] = addProp(2);
+
+  /**
+   * Variable: minEdgeJetty
+   *
+   * The minimum distance for an edge jetty from a vertex Default is 12.
+   */
+  const [getMinEdgeJetty, setMinEdgeJetty] = addProp(12);
+
+  /**
+   * Variable: channelBuffer
+   *
+   * The size of the vertical buffer in the center of inter-rank channels
+   * where edge control points should not be placed Default is 4.
+   */
+  const [getChannelBuffer, setChannelBuffer] = addProp(4);
+
+  /**
+   * Variable: jettyPositions
+   *
+   * Map of internal edges and (x,y) pair of positions of the start and end
+   * jetty for that edge where it connects to the source and target vertices.
+   * Note that the y co-ord is the offset of the jetty, not the absolute
+   * point
+   */
+  const [getJettyPositions, setJettyPositions] = addProp();
+
+  /**
+   * Variable: orientation
+   *
+   * The position of the root ( start ) node(s) relative to the rest of the
+   * laid out graph. Default is <Constants.DIRECTION_NORTH>.
+   */
+  const [getOrientation, setOrientation] = addProp(orientation);
+
+  /**
+   * Variable: initialX
+   *
+   * The minimum x position node placement starts at
+   */
+  const [getInitialX, setInitialX] = addProp(initialX);
+
+  /**
+   * Variable: limitX
+   *
+   * The maximum x value this positioning lays up to
+   */
+  const [getLimitX, setLimitX] = addProp(0);
+
+  /**
+   * Variable: currentXDelta
+   *
+   * The sum of x-displacements for the current iteration
+   */
+  const [getCurrentXDelta, setCurrentXDelta] = addProp(0);
+
+  /**
+   * Variable: widestRank
+   *
+   * The rank that has the widest x position
+   */
+  const [getWidestRank, setWidestRank] = addProp(0);
+
+  /**
+   * Variable: rankTopY
+   *
+   * Internal cache of top-most values of Y for each rank
+   */
+  const [getRankTopY, setRankTopY] = addProp();
+
+  /**
+   * Variable: rankBottomY
+   *
+   * Internal cache of bottom-most value of Y for each rank
+   */
+  const [getRankBottomY, setRankBottomY] = addProp();
+
+  /**
+   * Variable: widestRankValue
+   *
+   * The X-coordinate of the edge of the widest rank
+   */
+  const [getWidestRankValue, setWidestRankValue] = addProp(0);
+
+  /**
+   * Variable: rankWidths
+   *
+   * The width of all the ranks
+   */
+  const [getRankWidths, setRankWidths] = addProp();
+
+  /**
+   * Variable: rankY
+   *
+   * The Y-coordinate of all the ranks
+   */
+  const [getRankY, setRankY] = addProp();
+
+  /**
+   * Variable: fineTuning
+   *
+   * Whether or not to perform local optimisations and iterate multiple times
+   * through the algorithm. Default is true.
+   */
+  const [isFineTuning, setFineTuning] = addProp(true);
+
+  /**
+   * Variable: groupPadding
+   *
+   * Padding added to resized parents Default is 10.
+   */
+  const [getGroupPadding, setGroupPadding] = addProp(10);
+
+  const isVerticalOrientation = () =>
+    getOrientation() === DIRECTION_NORTH ||
+    getOrientation() === DIRECTION_SOUTH;
+
+  /**
+   * Function: execute
+   *
+   * A basic horizontal coordinate assignment algorithm
+   */
+  const execute = (parent) => {
+    const layout = _stage.getLayout();
+    const model = layout.getModel();
+    setJettyPositions({});
+    setCurrentXDelta(0.0);
+
+    initialCoords(layout.getGraph(), model);
+
+    if (isFineTuning()) {
+      minNode(model);
+
+      let bestXDelta = 100000000.0;
+
+      for (let i = 0; i < getMaxIterations(); i++) {
+        // Median Heuristic
+        if (i !== 0) {
+          medianPos(i, model);
+          minNode(model);
+        }
+
+        // if the total offset is less for the current positioning,
+        // there are less heavily angled edges and so the current
+        // positioning is used
+        if (getCurrentXDelta() < bestXDelta) {
+          model.getRanks().forEach((rank, j) => {
+            for (const cell of rank) {
+              cell.setX(j, cell.getGeneralPurposeVariable(j));
+            }
+          });
+
+          bestXDelta = getCurrentXDelta();
+        } else {
+          // Restore the best positions
+          model.getRanks().forEach((rank, j) => {
+            for (const cell of rank) {
+              cell.setGeneralPurposeVariable(j, cell.getX(j));
+            }
+          });
+        }
+
+        minPath(layout.getGraph(), model);
+        setCurrentXDelta(0);
+      }
+    }
+
+    setCellLocations(layout.getGraph(), model);
+  };
+
+  /**
+   * Function: minNode
+   *
+   * Performs one median positioning sweep in both directions
+   */
+  const minNode = (model) => {
+    // Queue all nodes
+    const nodeList = [];
+
+    // Need to be able to map from cell to cellWrapper
+    const map = Dictionary();
+    const rank = [];
+
+    for (let i = 0; i <= model.getMaxRank(); i++) {
+      rank[i] = model.getRanks()[i];
+
+      for (let j = 0; j < rank[i].length; j++) {
+        // Use the weight to store the rank and visited to store whether
+        // or not the cell is in the list
+        const node = rank[i][j];
+        const nodeWrapper = WeightedCellSorter(node, i);
+        nodeWrapper.setRankIndex(j);
+        nodeWrapper.setVisited(true);
+        nodeList.push(nodeWrapper);
+        map.put(node, nodeWrapper);
+      }
+    }
+
+    // Set a limit of the maximum number of times we will access the queue
+    // in case a loop appears
+    const maxTries = nodeList.length * 10;
+    let count = 0;
+
+    // Don't move cell within this value of their median
+    const tolerance = 1;
+    const intraCellSpacing = getIntraCellSpacing();
+
+    while (nodeList.length > 0 && count <= maxTries) {
+      const cellWrapper = nodeList.shift();
+      const cell = cellWrapper.getCell();
+      const rankValue = cellWrapper.getWeightedValue();
+      const rankIndex = cellWrapper.getRankIndex();
+
+      const nextLayerConnectedCells = cell.getNextLayerConnectedCells(
+        rankValue
+      );
+      const previousLayerConnectedCells = cell.getPreviousLayerConnectedCells(
+        rankValue
+      );
+      const numNextLayerConnected = nextLayerConnectedCells.length;
+      const numPreviousLayerConnected = previousLayerConnectedCells.length;
+
+      const medianNextLevel = medianXValue(
+        nextLayerConnectedCells,
+        rankValue + 1
+      );
+      const medianPreviousLevel = medianXValue(
+        previousLayerConnectedCells,
+        rankValue - 1
+      );
+
+      const numConnectedNeighbours =
+        numNextLayerConnected + numPreviousLayerConnected;
+      const currentPosition = cell.getGeneralPurposeVariable(rankValue);
+      let cellMedian = currentPosition;
+
+      if (numConnectedNeighbours > 0) {
+        cellMedian =
+          (medianNextLevel * numNextLayerConnected +
+            medianPreviousLevel * numPreviousLayerConnected) /
+          numConnectedNeighbours;
+      }
+
+      // Flag storing whether or not position has changed
+      let positionChanged = false;
+
+      if (cellMedian < currentPosition - tolerance) {
+        if (rankIndex === 0) {
+          cell.setGeneralPurposeVariable(rankValue, cellMedian);
+          positionChanged = true;
+        } else {
+          const leftCell = rank[rankValue][rankIndex - 1];
+          const leftLimit =
+            leftCell.getGeneralPurposeVariable(rankValue) +
+            leftCell.getWidth() / 2 +
+            intraCellSpacing +
+            cell.getWidth() / 2;
+
+          if (leftLimit < cellMedian) {
+            cell.setGeneralPurposeVariable(rankValue, cellMedian);
+            positionChanged = true;
+          } else if (
+            leftLimit <
+            cell.getGeneralPurposeVariable(rankValue) - tolerance
+          ) {
+            cell.setGeneralPurposeVariable(rankValue, leftLimit);
+            positionChanged = true;
+          }
+        }
+      } else if (cellMedian > currentPosition + tolerance) {
+        const rankSize = rank[rankValue].length;
+
+        if (rankIndex === rankSize - 1) {
+          cell.setGeneralPurposeVariable(rankValue, cellMedian);
+          positionChanged = true;
+        } else {
+          const rightCell = rank[rankValue][rankIndex + 1];
+          const rightLimit =
+            rightCell.getGeneralPurposeVariable(rankValue) -
+            rightCell.getWidth() / 2 -
+            intraCellSpacing -
+            cell.getWidth() / 2;
+
+          if (rightLimit > cellMedian) {
+            cell.setGeneralPurposeVariable(rankValue, cellMedian);
+            positionChanged = true;
+          } else if (
+            rightLimit >
+            cell.getGeneralPurposeVariable(rankValue) + tolerance
+          ) {
+            cell.setGeneralPurposeVariable(rankValue, rightLimit);
+            positionChanged = true;
+          }
+        }
+      }
+
+      if (positionChanged) {
+        // Add connected nodes to map and list
+        for (const connectedCell of [
+          ...nextLayerConnectedCells,
+          ...previousLayerConnectedCells
+        ]) {
+          const connectedCellWrapper = map.get(connectedCell);
+
+          if (
+            isSet(connectedCellWrapper) &&
+            !connectedCellWrapper.isVisited()
+          ) {
+            connectedCellWrapper.setVisited(true);
+            nodeList.push(connectedCellWrapper);
+          }
+        }
+      }
+
+      cellWrapper.setVisited(false);
+      count++;
+    }
+  };
+
+  /**
+   * Function: medianPos
+   *
+   * Performs one median positioning sweep in one direction
+   *
+   * Parameters:
+   *
+   * i - the iteration of the whole process
+   * model - an internal model of the hierarchical layout
+   */
+  const medianPos = (i, model) => {
+    // Reverse sweep direction each time through this method
+    const downwardSweep = i % 2 === 0;
+
+    if (downwardSweep) {
+      for (let j = model.getMaxRank(); j > 0; j--) {
+        rankMedianPosition(j - 1, model, j);
+      }
+    } else {
+      for (let j = 0; j < model.getMaxRank() - 1; j++) {
+        rankMedianPosition(j + 1, model, j);
+      }
+    }
+  };
+
+  /**
+   * Function: rankMedianPosition
+   *
+   * Performs median minimisation over one rank.
+   *
+   * Parameters:
+   *
+   * rankValue - the layer number of this rank
+   * model - an internal model of the hierarchical layout
+   * nextRankValue - the layer number whose connected cels are to be laid out
+   * relative to
+   */
+  const rankMedianPosition = (rankValue, model, nextRankValue) => {
+    const rank = model.getRanks()[rankValue];
+    const intraCellSpacing = getIntraCellSpacing();
+
+    const getConnectedCells = (cell) =>
+      nextRankValue < rankValue
+        ? cell.getPreviousLayerConnectedCells(rankValue)
+        : cell.getNextLayerConnectedCells(rankValue);
+
+    // Form an array of the order in which the cell are to be processed
+    // , the order is given by the weighted sum of the in or out edges,
+    // depending on whether we're traveling up or down the hierarchy.
+    const weightedValues = [];
+    const cellMap = {};
+
+    for (let i = 0; i < rank.length; i++) {
+      const currentCell = rank[i];
+
+      // Calculate the weighing based on this node type and those this
+      // node is connected to on the next layer
+      weightedValues[i] = WeightedCellSorter(
+        currentCell,
+        calculatedWeightedValue(currentCell, getConnectedCells(currentCell))
+      );
+      weightedValues[i].setRankIndex(i);
+      cellMap[ObjectIdentity.get(currentCell)] = weightedValues[i];
+    }
+
+    weightedValues.sort((a, b) => a.compare(a, b));
+
+    // Set the new position of each node within the rank using
+    // its temp variable
+    for (const weightedValue of weightedValues) {
+      const cell = weightedValue.getCell();
+      const nextLayerConnectedCells = getConnectedCells(cell).slice();
+      let medianNextLevel = 0;
+
+      if (nextLayerConnectedCells.length > 0) {
+        medianNextLevel = medianXValue(nextLayerConnectedCells, nextRankValue);
+      } else {
+        // For case of no connections on the next level set the
+        // median to be the current position and try to be
+        // positioned there
+        medianNextLevel = cell.getGeneralPurposeVariable(rankValue);
+      }
+
+      let leftBuffer = 0.0;
+      let leftLimit = -100000000.0;
+
+      for (let j = weightedValue.getRankIndex() - 1; j >= 0; ) {
+        const other = cellMap[ObjectIdentity.get(rank[j])];
+
+        if (isSet(other)) {
+          const leftCell = other.getCell();
+
+          if (other.isVisited()) {
+            // The left limit is the right hand limit of that
+            // cell plus any allowance for unallocated cells
+            // in-between
+            leftLimit =
+              leftCell.getGeneralPurposeVariable(rankValue) +
+              leftCell.getWidth() / 2.0 +
+              intraCellSpacing +
+              leftBuffer +
+              cell.getWidth() / 2.0;
+            j = -1;
+          } else {
+            leftBuffer += leftCell.getWidth() + intraCellSpacing;
+            j--;
+          }
+        }
+      }
+
+      let rightBuffer = 0.0;
+      let rightLimit = 100000000.0;
+
+      for (
+        let j = weightedValue.getRankIndex() + 1;
+        j < weightedValues.length;
+
+      ) {
+        const other = cellMap[ObjectIdentity.get(rank[j])];
+
+        if (isSet(other)) {
+          const rightCell = other.getCell();
+
+          if (other.isVisited()) {
+            // The left limit is the right hand limit of that
+            // cell plus any allowance for unallocated cells
+            // in-between
+            rightLimit =
+              rightCell.getGeneralPurposeVariable(rankValue) -
+              rightCell.getWidth() / 2.0 -
+              intraCellSpacing -
+              rightBuffer -
+              cell.getWidth() / 2.0;
+            j = weightedValues.length;
+          } else {
+            rightBuffer += rightCell.getWidth() + intraCellSpacing;
+            j++;
+          }
+        }
+      }
+
+      if (medianNextLevel >= leftLimit && medianNextLevel <= rightLimit) {
+        cell.setGeneralPurposeVariable(rankValue, medianNextLevel);
+      } else if (medianNextLevel < leftLimit) {
+        // Couldn't place at median value, place as close to that
+        // value as possible
+        cell.setGeneralPurposeVariable(rankValue, leftLimit);
+        setCurrentXDelta(getCurrentXDelta() + leftLimit - medianNextLevel);
+      } else if (medianNextLevel > rightLimit) {
+        // Couldn't place at median value, place as close to that
+        // value as possible
+        cell.setGeneralPurposeVariable(rankValue, rightLimit);
+        setCurrentXDelta(getCurrentXDelta() + medianNextLevel - rightLimit);
+      }
+
+      weightedValue.setVisited(true);
+    }
+  };
+
+  /**
+   * Function: calculatedWeightedValue
+   *
+   * Calculates the priority the specified cell has based on the type of its
+   * cell and the cells it is connected to on the next layer
+   *
+   * Parameters:
+   *
+   * currentCell - the cell whose weight is to be calculated
+   * collection - the cells the specified cell is connected to
+   */
+  const calculatedWeightedValue = (currentCell, collection) => {
+    let totalWeight = 0;
+
+    for (const cell of collection) {
+      if (currentCell.isVertex() && cell.isVertex()) {
+        totalWeight++;
+      } else if (currentCell.isEdge() && cell.isEdge()) {
+        totalWeight += 8;
+      } else {
+        totalWeight += 2;
+      }
+    }
+
+    return totalWeight;
+  };
+
+  /**
+   * Function: medianXValue
+   *
+   * Calculates the median position of the connected cell on the specified
+   * rank
+   *
+   * Parameters:
+   *
+   * connectedCells - the cells the candidate connects to on this level
+   * rankValue - the layer number of this rank
+   */
+  const medianXValue = (connectedCells, rankValue) => {
+    if (connectedCells.length === 0) {
+      return 0;
+    }
+
+    const medianValues = connectedCells.map((cell) =>
+      cell.getGeneralPurposeVariable(rankValue)
+    );
+    medianValues.sort((a, b) => a - b);
+
+    if (connectedCells.length % 2 === 1) {
+      // For odd numbers of adjacent vertices return the median
+      return medianValues[Math.floor(connectedCells.length / 2)];
+    } else {
+      const medianPoint = connectedCells.length / 2;
+      const leftMedian = medianValues[medianPoint - 1];
+      const rightMedian = medianValues[medianPoint];
+
+      return (leftMedian + rightMedian) / 2;
+    }
+  };
+
+  /**
+   * Function: initialCoords
+   *
+   * Sets up the layout in an initial positioning. The ranks are all centered
+   * as much as possible along the middle vertex in each rank. The other cells
+   * are then placed as close as possible on either side.
+   *
+   * Parameters:
+   *
+   * facade - the facade describing the input graph
+   * model - an internal model of the hierarchical layout
+   */
+  const initialCoords = (facade, model) => {
+    calculateWidestRank(facade, model);
+
+    // Sweep up and down from the widest rank
+    for (let i = getWidestRank(); i >= 0; i--) {
+      if (i < model.getMaxRank()) {
+        rankCoordinates(i, facade, model);
+      }
+    }
+
+    for (let i = getWidestRank() + 1; i <= model.getMaxRank(); i++) {
+      if (i > 0) {
+        rankCoordinates(i, facade, model);
+      }
+    }
+  };
+
+  /**
+   * Function: updateNodeSize
+   *
+   * Updates the width and height of the given node from the bounds of its
+   * vertex or the number of its parallel edges.
+   */
+  const updateNodeSize = (node) => {
+    if (node.isVertex()) {
+      const bounds = _stage.getLayout().getVertexBounds(node.getCell());
+
+      if (isSet(bounds)) {
+        if (isVerticalOrientation()) {
+          node.setWidth(bounds.getWidth());
+          node.setHeight(bounds.getHeight());
+        } else {
+          node.setWidth(bounds.getHeight());
+          node.setHeight(bounds.getWidth());
+        }
+      }
+    } else if (node.isEdge()) {
+      // The width is the number of additional parallel edges
+      // time the parallel edge spacing
+      const numEdges = isSet(node.getEdges()) ? node.getEdges().length : 1;
+      node.setWidth((numEdges - 1) * getParallelEdgeSpacing());
+    }
+  };
+
+  /**
+   * Function: rankCoordinates
+   *
+   * Sets up the layout in an initial positioning. All the first cells in each
+   * rank are moved to the left and the rest of the rank inserted as close
+   * together as their size and buffering permits. This method works on just
+   * the specified rank.
+   *
+   * Parameters:
+   *
+   * rankValue - the current rank being processed
+   * graph - the facade describing the input graph
+   * model - an internal model of the hierarchical layout
+   */
+  const rankCoordinates = (rankValue, graph, model) => {
+    const rank = model.getRanks()[rankValue];
+    let localX =
+      getInitialX() + (getWidestRankValue() - getRankWidths()[rankValue]) / 2;
+
+    for (const node of rank) {
+      updateNodeSize(node);
+
+      // Set the initial x-value as being the best result so far
+      localX += node.getWidth() / 2.0;
+      node.setX(rankValue, localX);
+      node.setGeneralPurposeVariable(rankValue, localX);
+      localX += node.getWidth() / 2.0;
+      localX += getIntraCellSpacing();
+    }
+  };
+
+  /**
+   * Function: calculateWidestRank
+   *
+   * Calculates the width rank in the hierarchy. Also set the y value of each
+   * rank whilst performing the calculation
+   *
+   * Parameters:
+   *
+   * graph - the facade describing the input graph
+   * model - an internal model of the hierarchical layout
+   */
+  const calculateWidestRank = (graph, model) => {
+    // Starting y co-ordinate
+    let y = -getInterRankCellSpacing();
+
+    // Track the widest cell on the last rank since the y
+    // difference depends on it
+    let lastRankMaxCellHeight = 0.0;
+    setRankWidths([]);
+    setRankY([]);
+
+    for (let rankValue = model.getMaxRank(); rankValue >= 0; rankValue--) {
+      // Keep track of the widest cell on this rank
+      let maxCellHeight = 0.0;
+      const rank = model.getRanks()[rankValue];
+      let localX = getInitialX();
+
+      for (const node of rank) {
+        updateNodeSize(node);
+
+        if (node.isVertex()) {
+          maxCellHeight = Math.max(maxCellHeight, node.getHeight());
+        }
+
+        // Set the initial x-value as being the best result so far
+        localX += node.getWidth() / 2.0;
+        node.setX(rankValue, localX);
+        node.setGeneralPurposeVariable(rankValue, localX);
+        localX += node.getWidth() / 2.0;
+        localX += getIntraCellSpacing();
+
+        if (localX > getWidestRankValue()) {
+          setWidestRankValue(localX);
+          setWidestRank(rankValue);
+        }
+
+        getRankWidths()[rankValue] = localX;
+      }
+
+      getRankY()[rankValue] = y;
+      const distanceToNextRank =
+        maxCellHeight / 2.0 +
+        lastRankMaxCellHeight / 2.0 +
+        getInterRankCellSpacing();
+      lastRankMaxCellHeight = maxCellHeight;
+
+      if (
+        getOrientation() === DIRECTION_NORTH ||
+        getOrientation() === DIRECTION_WEST
+      ) {
+        y += distanceToNextRank;
+      } else {
+        y -= distanceToNextRank;
+      }
+
+      for (const cell of rank) {
+        cell.setY(rankValue, y);
+      }
+    }
+  };
+
+  /**
+   * Function: minPath
+   *
+   * Straightens out chains of virtual nodes where possible
+   *
+   * Parameters:
+   *
+   * graph - the facade describing the input graph
+   * model - an internal model of the hierarchical layout
+   */
+  const minPath = (graph, model) => {
+    // Work down and up each edge with at least 2 control points
+    // trying to straighten each one out. If the same number of
+    // straight segments are formed in both directions, the
+    // preferred direction used is the one where the final
+    // control points have the least offset from the connectable
+    // region of the terminating vertices
+    const edges = model.getEdgeMapper().getValues();
+
+    for (const cell of edges) {
+      const minRank = cell.getMinRank();
+      const maxRank = cell.getMaxRank();
+
+      if (maxRank - minRank - 1 < 1) {
+        continue;
+      }
+
+      // At least two virtual nodes in the edge
+      // Check first whether the edge is already straight
+      let referenceX = cell.getGeneralPurposeVariable(minRank + 1);
+      let edgeStraight = true;
+      let refSegCount = 0;
+
+      for (let i = minRank + 2; i < maxRank; i++) {
+        const x = cell.getGeneralPurposeVariable(i);
+
+        if (referenceX !== x) {
+          edgeStraight = false;
+          referenceX = x;
+        } else {
+          refSegCount++;
+        }
+      }
+
+      if (!edgeStraight) {
+        let upSegCount = 0;
+        let downSegCount = 0;
+        const upXPositions = [];
+        const downXPositions = [];
+
+        let currentX = cell.getGeneralPurposeVariable(minRank + 1);
+
+        for (let i = minRank + 1; i < maxRank - 1; i++) {
+          // Attempt to straight out the control point on the
+          // next segment up with the current control point.
+          const nextX = cell.getX(i + 1);
+
+          if (currentX === nextX) {
+            upXPositions[i - minRank - 1] = currentX;
+            upSegCount++;
+          } else if (repositionValid(model, cell, i + 1, currentX)) {
+            upXPositions[i - minRank - 1] = currentX;
+            upSegCount++;
+            // Leave currentX at same value
+          } else {
+            upXPositions[i - minRank - 1] = nextX;
+            currentX = nextX;
+          }
+        }
+
+        currentX = cell.getX(maxRank - 1);
+
+        for (let i = maxRank - 1; i > minRank + 1; i--) {
+          // Attempt to straight out the control point on the
+          // next segment down with the current control point.
+          const nextX = cell.getX(i - 1);
+
+          if (currentX === nextX) {
+            downXPositions[i - minRank - 2] = currentX;
+            downSegCount++;
+          } else if (repositionValid(model, cell, i - 1, currentX)) {
+            downXPositions[i - minRank - 2] = currentX;
+            downSegCount++;
+            // Leave currentX at same value
+          } else {
+            downXPositions[i - minRank - 2] = cell.getX(i - 1);
+            currentX = nextX;
+          }
+        }
+
+        if (downSegCount > refSegCount || upSegCount > refSegCount) {
+          if (downSegCount >= upSegCount) {
+            // Apply down calculation values
+            for (let i = maxRank - 2; i > minRank; i--) {
+              cell.setX(i, downXPositions[i - minRank - 1]);
+            }
+          } else if (upSegCount > downSegCount) {
+            // Apply up calculation values
+            for (let i = minRank + 2; i < maxRank; i++) {
+              cell.setX(i, upXPositions[i - minRank - 2]);
+            }
+          }
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: repositionValid
+   *
+   * Determines whether or not a node may be moved to the specified x
+   * position on the specified rank
+   *
+   * Parameters:
+   *
+   * model - the layout model
+   * cell - the cell being analysed
+   * rank - the layer of the cell
+   * position - the x position being sought
+   */
+  const repositionValid = (model, cell, rank, position) => {
+    const rankArray = model.getRanks()[rank];
+    const rankIndex = rankArray.indexOf(cell);
+
+    if (rankIndex < 0) {
+      return false;
+    }
+
+    const currentX = cell.getGeneralPurposeVariable(rank);
+
+    if (position < currentX) {
+      // Trying to move node to the left.
+      if (rankIndex === 0) {
+        // Left-most node, can move anywhere
+        return true;
+      }
+
+      const leftCell = rankArray[rankIndex - 1];
+      const leftLimit =
+        leftCell.getGeneralPurposeVariable(rank) +
+        leftCell.getWidth() / 2 +
+        getIntraCellSpacing() +
+        cell.getWidth() / 2;
+
+      return leftLimit <= position;
+    } else if (position > currentX) {
+      // Trying to move node to the right.
+      if (rankIndex === rankArray.length - 1) {
+        // Right-most node, can move anywhere
+        return true;
+      }
+
+      const rightCell = rankArray[rankIndex + 1];
+      const rightLimit =
+        rightCell.getGeneralPurposeVariable(rank) -
+        rightCell.getWidth() / 2 -
+        getIntraCellSpacing() -
+        cell.getWidth() / 2;
+
+      return rightLimit >= position;
+    }
+
+    return true;
+  };
+
+  /**
+   * Function: setCellLocations
+   *
+   * Sets the cell locations in the facade to those stored after this layout
+   * processing step has completed.
+   *
+   * Parameters:
+   *
+   * graph - the input graph
+   * model - the layout model
+   */
+  const setCellLocations = (graph, model) => {
+    setRankTopY([]);
+    setRankBottomY([]);
+
+    for (let i = 0; i < model.getRanks().length; i++) {
+      getRankTopY()[i] = Number.MAX_VALUE;
+      getRankBottomY()[i] = -Number.MAX_VALUE;
+    }
+
+    // Process vertices all first, since they define the lower and
+    // limits of each rank. Between these limits lie the channels
+    // where the edges can be routed across the graph
+    for (const vertex of model.getVertexMapper().getValues()) {
+      setVertexLocation(vertex);
+    }
+
+    const edgeStyle = _stage.getLayout().getEdgeStyle();
+
+    // Post process edge styles. Needs the vertex locations set for initial
+    // values of the top and bottoms of each rank
+    if (
+      edgeStyle === HierarchicalEdgeStyle.ORTHOGONAL ||
+      edgeStyle === HierarchicalEdgeStyle.POLYLINE ||
+      edgeStyle === HierarchicalEdgeStyle.CURVE
+    ) {
+      localEdgeProcessing(model);
+    }
+
+    for (const edge of model.getEdgeMapper().getValues()) {
+      setEdgePosition(edge);
+    }
+  };
+
+  /**
+   * Function: localEdgeProcessing
+   *
+   * Separates the x position of edges as they connect to vertices
+   *
+   * Parameters:
+   *
+   * model - the layout model
+   */
+  const localEdgeProcessing = (model) => {
+    const prefHozEdgeSep = getPrefHozEdgeSep();
+    const prefVertEdgeOff = getPrefVertEdgeOff();
+
+    // Iterate through each vertex, look at the edges connected in
+    // both directions.
+    for (let rankIndex = 0; rankIndex < model.getRanks().length; rankIndex++) {
+      const rank = model.getRanks()[rankIndex];
+
+      for (const cell of rank) {
+        if (!cell.isVertex()) continue;
+
+        let currentCells = cell.getPreviousLayerConnectedCells(rankIndex);
+        let currentRank = rankIndex - 1;
+
+        // Two loops, last connected cells, and next
+        for (let k = 0; k < 2; k++) {
+          if (
+            currentRank > -1 &&
+            currentRank < model.getRanks().length &&
+            isSet(currentCells) &&
+            currentCells.length > 0
+          ) {
+            const sortedCells = currentCells.map((currentCell) =>
+              WeightedCellSorter(currentCell, currentCell.getX(currentRank))
+            );
+            sortedCells.sort((a, b) => a.compare(a, b));
+
+            let leftLimit = cell.getX(rankIndex) - cell.getWidth() / 2;
+            let rightLimit = leftLimit + cell.getWidth();
+
+            // Connected edge count starts at 1 to allow for buffer
+            // with edge of vertex
+            let connectedEdgeCount = 0;
+            const connectedEdges = [];
+
+            // Calculate width requirements for all connected edges
+            for (const sorted of sortedCells) {
+              const innerCell = sorted.getCell();
+
+              if (innerCell.isVertex()) {
+                // Get the connecting edge
+                const connections =
+                  k === 0
+                    ? cell.getConnectsAsSource()
+                    : cell.getConnectsAsTarget();
+
+                for (const connection of connections) {
+                  if (
+                    connection.getSource() === innerCell ||
+                    connection.getTarget() === innerCell
+                  ) {
+                    connectedEdgeCount += connection.getEdges().length;
+                    connectedEdges.push(connection);
+                  }
+                }
+              } else {
+                connectedEdgeCount += innerCell.getEdges().length;
+                connectedEdges.push(innerCell);
+              }
+            }
+
+            const requiredWidth = (connectedEdgeCount + 1) * prefHozEdgeSep;
+
+            // Add a buffer on the edges of the vertex if the edge count allows
+            if (cell.getWidth() > requiredWidth + 2 * prefHozEdgeSep) {
+              leftLimit += prefHozEdgeSep;
+              rightLimit -= prefHozEdgeSep;
+            }
+
+            const availableWidth = rightLimit - leftLimit;
+            const edgeSpacing = availableWidth / connectedEdgeCount;
+
+            let currentX = leftLimit + edgeSpacing / 2.0;
+            let currentYOffset = getMinEdgeJetty() - prefVertEdgeOff;
+
+            for (let j = 0; j < connectedEdges.length; j++) {
+              const numActualEdges = connectedEdges[j].getEdges().length;
+              const id = connectedEdges[j].getIds()[0];
+              let pos = getJettyPositions()[id];
+
+              if (isUnset(pos)) {
+                pos = [];
+                getJettyPositions()[id] = pos;
+              }
+
+              if (j < connectedEdgeCount / 2) {
+                currentYOffset += prefVertEdgeOff;
+              } else if (j > connectedEdgeCount / 2) {
+                currentYOffset -= prefVertEdgeOff;
+              }
+              // Ignore the case if equals, this means the second of 2
+              // jettys with the same y (even number of edges)
+
+              for (let m = 0; m < numActualEdges; m++) {
+                pos[m * 4 + k * 2] = currentX;
+                currentX += edgeSpacing;
+                pos[m * 4 + k * 2 + 1] = currentYOffset;
+              }
+            }
+          }
+
+          currentCells = cell.getNextLayerConnectedCells(rankIndex);
+          currentRank = rankIndex + 1;
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: setEdgePosition
+   *
+   * Fixes the control points
+   */
+  const setEdgePosition = (cell) => {
+    // For parallel edges we need to seperate out the points a
+    // little
+    let offsetX = 0;
+
+    // Only set the edge control points once
+    if (cell.getTemp()[0] === 101207) return;
+
+    const layout = _stage.getLayout();
+    const graph = layout.getGraph();
+    const model = graph.getModel();
+    const edgeStyle = layout.getEdgeStyle();
+    const rankTopY = getRankTopY();
+    const rankBottomY = getRankBottomY();
+    let maxRank = cell.getMaxRank();
+    let minRank = cell.getMinRank();
+
+    if (maxRank === minRank) {
+      maxRank = cell.getSource().getMaxRank();
+      minRank = cell.getTarget().getMinRank();
+    }
+
+    let parallelEdgeCount = 0;
+    const jettys = getJettyPositions()[cell.getIds()[0]];
+    const source = cell.isReversed()
+      ? cell.getTarget().getCell()
+      : cell.getSource().getCell();
+    const layoutReversed =
+      getOrientation() === DIRECTION_EAST ||
+      getOrientation() === DIRECTION_SOUTH;
+
+    const getPortX = (terminal, visibleTerminal, width) => {
+      const state = graph.getView().getState(terminal);
+
+      return isSet(state)
+        ? state.getX()
+        : model.getGeometry(visibleTerminal).getX() +
+            width * model.getGeometry(terminal).getX();
+    };
+
+    const addPoint = (points, x, y) =>
+      points.push(isVerticalOrientation() ? Point(x, y) : Point(y, x));
+
+    for (const realEdge of cell.getEdges()) {
+      const realSource = layout.getVisibleTerminal(realEdge, true);
+      const newPoints = [];
+
+      // Single length reversed edges end up with the jettys in the wrong
+      // places. Since single length edges only have jettys, not segment
+      // control points, we just say the edge isn't reversed in this section
+      let reversed = cell.isReversed();
+
+      if (realSource !== source) {
+        // The real edges include all core model edges and these can go
+        // in both directions. If the source of the hierarchical model edge
+        // isn't the source of the specific real edge in this iteration
+        // treat if as reversed
+        reversed = !reversed;
+      }
+
+      // First jetty of edge
+      if (isSet(jettys)) {
+        const arrayOffset = reversed ? 2 : 0;
+        let y = reversed
+          ? layoutReversed
+            ? rankBottomY[minRank]
+            : rankTopY[minRank]
+          : layoutReversed
+          ? rankTopY[maxRank]
+          : rankBottomY[maxRank];
+        let jetty = jettys[parallelEdgeCount * 4 + 1 + arrayOffset];
+
+        if (reversed !== layoutReversed) {
+          jetty = -jetty;
+        }
+
+        y += jetty;
+        let x = jettys[parallelEdgeCount * 4 + arrayOffset];
+
+        const modelSource = model.getTerminal(realEdge, true);
+
+        if (
+          layout.isPort(modelSource) &&
+          model.getParent(modelSource) === realSource
+        ) {
+          x = getPortX(modelSource, realSource, cell.getSource().getWidth());
+        }
+
+        addPoint(newPoints, x, y);
+
+        if (edgeStyle === HierarchicalEdgeStyle.CURVE) {
+          addPoint(newPoints, x, y + jetty);
+        }
+      }
+
+      // Declare variables to define loop through edge points and
+      // change direction if edge is reversed
+      const xValues = cell.getXValues();
+      let loopStart = xValues.length - 1;
+      let loopLimit = -1;
+      let loopDelta = -1;
+      let currentRank = cell.getMaxRank() - 1;
+
+      if (reversed) {
+        loopStart = 0;
+        loopLimit = xValues.length;
+        loopDelta = 1;
+        currentRank = cell.getMinRank() + 1;
+      }
+
+      // Reversed edges need the points inserted in
+      // reverse order
+      for (
+        let j = loopStart;
+        cell.getMaxRank() !== cell.getMinRank() && j !== loopLimit;
+        j += loopDelta
+      ) {
+        // The horizontal position in a vertical layout
+        const positionX = xValues[j] + offsetX;
+
+        // Work out the vertical positions in a vertical layout
+        // in the edge buffer channels above and below this rank
+        let topChannelY =
+          (rankTopY[currentRank] + rankBottomY[currentRank + 1]) / 2.0;
+        let bottomChannelY =
+          (rankTopY[currentRank - 1] + rankBottomY[currentRank]) / 2.0;
+
+        if (reversed) {
+          const tmp = topChannelY;
+          topChannelY = bottomChannelY;
+          bottomChannelY = tmp;
+        }
+
+        addPoint(newPoints, positionX, topChannelY);
+        addPoint(newPoints, positionX, bottomChannelY);
+
+        setLimitX(Math.max(getLimitX(), positionX));
+        currentRank += loopDelta;
+      }
+
+      // Second jetty of edge
+      if (isSet(jettys)) {
+        const arrayOffset = reversed ? 2 : 0;
+        const rankY = reversed
+          ? layoutReversed
+            ? rankTopY[maxRank]
+            : rankBottomY[maxRank]
+          : layoutReversed
+          ? rankBottomY[minRank]
+          : rankTopY[minRank];
+        let jetty = jettys[parallelEdgeCount * 4 + 3 - arrayOffset];
+
+        if (reversed !== layoutReversed) {
+          jetty = -jetty;
+        }
+
+        const y = rankY - jetty;
+        let x = jettys[parallelEdgeCount * 4 + 2 - arrayOffset];
+
+        const modelTarget = model.getTerminal(realEdge, false);
+        const realTarget = layout.getVisibleTerminal(realEdge, false);
+
+        if (
+          layout.isPort(modelTarget) &&
+          model.getParent(modelTarget) === realTarget
+        ) {
+          x = getPortX(modelTarget, realTarget, cell.getTarget().getWidth());
+        }
+
+        if (edgeStyle === HierarchicalEdgeStyle.CURVE) {
+          addPoint(newPoints, x, y - jetty);
+        }
+
+        addPoint(newPoints, x, y);
+      }
+
+      if (cell.isReversed()) {
+        me.resolve('processReversedEdge')(cell, realEdge);
+      }
+
+      layout.setEdgePoints(realEdge, newPoints);
+
+      // Increase offset so next edge is drawn next to
+      // this one
+      if (offsetX === 0.0) {
+        offsetX = getParallelEdgeSpacing();
+      } else if (offsetX > 0) {
+        offsetX = -offsetX;
+      } else {
+        offsetX = -offsetX + getParallelEdgeSpacing();
+      }
+
+      parallelEdgeCount++;
+    }
+
+    cell.getTemp()[0] = 101207;
+  };
+
+  /**
+   * Function: setVertexLocation
+   *
+   * Fixes the position of the specified vertex.
+   *
+   * Parameters:
+   *
+   * cell - the vertex to position
+   */
+  const setVertexLocation = (cell) => {
+    const realCell = cell.getCell();
+    const positionX = cell.getX() - cell.getWidth() / 2;
+    const positionY = cell.getY() - cell.getHeight() / 2;
+    const minRank = cell.getMinRank();
+
+    getRankTopY()[minRank] = Math.min(getRankTopY()[minRank], positionY);
+    getRankBottomY()[minRank] = Math.max(
+      getRankBottomY()[minRank],
+      positionY + cell.getHeight()
+    );
+
+    if (isVerticalOrientation()) {
+      _stage.getLayout().setVertexLocation(realCell, positionX, positionY);
+    } else {
+      _stage.getLayout().setVertexLocation(realCell, positionY, positionX);
+    }
+
+    setLimitX(Math.max(getLimitX(), positionX + cell.getWidth()));
+  };
+
+  /**
+   * Function: processReversedEdge
+   *
+   * Hook to add additional processing
+   *
+   * Parameters:
+   *
+   * edge - the hierarchical model edge
+   * realEdge - the real edge in the graph
+   */
+  const processReversedEdge = (edge, realEdge) => {};
+
+  const me = {
+    getIntraCellSpacing,
+    setIntraCellSpacing,
+    getInterRankCellSpacing,
+    setInterRankCellSpacing,
+    getParallelEdgeSpacing,
+    setParallelEdgeSpacing,
+    getMaxIterations,
+    setMaxIterations,
+    getPrefHozEdgeSep,
+    setPrefHozEdgeSep,
+    getPrefVertEdgeOff,
+    setPrefVertEdgeOff,
+    getMinEdgeJetty,
+    setMinEdgeJetty,
+    getChannelBuffer,
+    setChannelBuffer,
+    getJettyPositions,
+    setJettyPositions,
+    getOrientation,
+    setOrientation,
+    getInitialX,
+    setInitialX,
+    getLimitX,
+    setLimitX,
+    getCurrentXDelta,
+    setCurrentXDelta,
+    getWidestRank,
+    setWidestRank,
+    getRankTopY,
+    setRankTopY,
+    getRankBottomY,
+    setRankBottomY,
+    getWidestRankValue,
+    setWidestRankValue,
+    getRankWidths,
+    setRankWidths,
+    getRankY,
+    setRankY,
+    isFineTuning,
+    setFineTuning,
+    getGroupPadding,
+    setGroupPadding,
+    execute,
+    minNode,
+    medianPos,
+    rankMedianPosition,
+    calculatedWeightedValue,
+    medianXValue,
+    initialCoords,
+    updateNodeSize,
+    rankCoordinates,
+    calculateWidestRank,
+    minPath,
+    repositionValid,
+    setCellLocations,
+    localEdgeProcessing,
+    setEdgePosition,
+    setVertexLocation,
+    processReversedEdge
+  };
+
+  const _stage = HierarchicalLayoutStage(layout);
+  extendFrom(_stage)(me);
+
+  return me;
+};
+
+export default makeComponent(CoordinateAssignment);
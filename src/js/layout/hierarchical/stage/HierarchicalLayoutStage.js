@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, makeComponent } from '../../../Helpers';
+
+/**
+ * Class: HierarchicalLayoutStage
+ *
+ * The specific layout interface for hierarchical layouts. It adds a
+ * <code>run</code> method with a parameter for the hierarchical layout model
+ * that is shared between the layout stages.
+ *
+ * Constructor: HierarchicalLayoutStage
+ *
+ * Constructs a new hierarchical layout stage.
+ *
+ * Parameters:
+ *
+ * layout - Reference to the enclosing <HierarchicalLayout>.
+ */
+const HierarchicalLayoutStage = (layout) => {
+  /**
+   * Variable: layout
+   *
+   * Reference to the enclosing <HierarchicalLayout>.
+   */
+  const [getLayout, setLayout] = addProp(layout);
+
+  /**
+   * Function: execute
+   *
+   * Takes the graph detail and configuration information within the facade
+   * and creates the resulting laid out graph within that facade for further
+   * use.
+   */
+  const execute = (parent) => {};
+
+  const me = {
+    getLayout,
+    setLayout,
+    execute
+  };
+
+  return me;
+};
+
+export default makeComponent(HierarchicalLayoutStage);
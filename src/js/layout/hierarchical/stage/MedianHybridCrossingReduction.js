@@ -0,0 +1,520 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import {
+  addProp,
+  extendFrom,
+  isSet,
+  isUnset,
+  makeComponent
+} from '../../../Helpers';
+import HierarchicalLayoutStage from './HierarchicalLayoutStage';
+
+/**
+ * Function: compareMedianValues
+ *
+ * Compares two entries of cells and their median values. Used to sort the
+ * cells of a rank by their median values.
+ */
+const compareMedianValues = (a, b) => {
+  if (isSet(a) && isSet(b)) {
+    if (b.medianValue > a.medianValue) {
+      return -1;
+    } else if (b.medianValue < a.medianValue) {
+      return 1;
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Class: MedianHybridCrossingReduction
+ *
+ * Sets the horizontal locations of node and edge dummy nodes on each layer.
+ * Uses median down and up weighings as well heuristic to straighten edges as
+ * far as possible.
+ *
+ * Constructor: MedianHybridCrossingReduction
+ *
+ * Creates a coordinate assignment.
+ *
+ * Arguments:
+ *
+ * layout - Reference to the enclosing <HierarchicalLayout>.
+ */
+const MedianHybridCrossingReduction = (layout) => {
+  /**
+   * Variable: maxIterations
+   *
+   * The maximum number of iterations to perform whilst reducing edge
+   * crossings. Default is 24.
+   */
+  const [getMaxIterations, setMaxIterations] = addProp(24);
+
+  /**
+   * Variable: nestedBestRanks
+   *
+   * Stores each rank as a collection of cells in the best order found for
+   * each layer so far
+   */
+  const [getNestedBestRanks, setNestedBestRanks] = addProp();
+
+  /**
+   * Variable: maxNoImprovementIterations
+   *
+   * The maximum number of iterations without improvement before the
+   * reduction stops. Default is 2.
+   */
+  const [
+    getMaxNoImprovementIterations,
+    setMaxNoImprovementIterations
+  ] = addProp(2);
+
+  /**
+   * Function: execute
+   *
+   * Performs a vertex ordering within ranks as described by Gansner et al
+   * 1993
+   */
+  const execute = (parent) => {
+    const model = _stage.getLayout().getModel();
+
+    // Stores initial ordering as being the best one found so far
+    setNestedBestRanks(model.getRanks().map((rank) => rank.slice()));
+    const nestedBestRanks = getNestedBestRanks();
+
+    let iterationsWithoutImprovement = 0;
+    let currentBestCrossings = calculateCrossings(model);
+
+    for (
+      let i = 0;
+      i < getMaxIterations() &&
+      iterationsWithoutImprovement < getMaxNoImprovementIterations();
+      i++
+    ) {
+      weightedMedian(i, model);
+      transpose(i, model);
+      const candidateCrossings = calculateCrossings(model);
+
+      if (candidateCrossings < currentBestCrossings) {
+        currentBestCrossings = candidateCrossings;
+        iterationsWithoutImprovement = 0;
+
+        // Store the current rankings as the best ones
+        for (let j = 0; j < nestedBestRanks.length; j++) {
+          for (const cell of model.getRanks()[j]) {
+            nestedBestRanks[j][cell.getGeneralPurposeVariable(j)] = cell;
+          }
+        }
+      } else {
+        // Increase count of iterations where we haven't improved the
+        // layout
+        iterationsWithoutImprovement++;
+
+        // Restore the best values to the cells
+        for (let j = 0; j < nestedBestRanks.length; j++) {
+          const rank = model.getRanks()[j];
+
+          for (let k = 0; k < rank.length; k++) {
+            rank[k].setGeneralPurposeVariable(j, k);
+          }
+        }
+      }
+
+      if (currentBestCrossings === 0) {
+        // Do nothing further
+        break;
+      }
+    }
+
+    // Store the best rankings but in the model
+    const ranks = [];
+
+    for (let i = 0; i < model.getMaxRank() + 1; i++) {
+      ranks[i] = [];
+    }
+
+    for (let i = 0; i < nestedBestRanks.length; i++) {
+      for (const cell of nestedBestRanks[i]) {
+        ranks[i].push(cell);
+      }
+    }
+
+    model.setRanks(ranks);
+  };
+
+  /**
+   * Function: calculateCrossings
+   *
+   * Calculates the total number of edge crossing in the current graph.
+   * Returns the current number of edge crossings in the hierarchy graph
+   * model in the current candidate layout
+   *
+   * Parameters:
+   *
+   * model - the internal model describing the hierarchy
+   */
+  const calculateCrossings = (model) => {
+    const numRanks = model.getRanks().length;
+    let totalCrossings = 0;
+
+    for (let i = 1; i < numRanks; i++) {
+      totalCrossings += calculateRankCrossing(i, model);
+    }
+
+    return totalCrossings;
+  };
+
+  /**
+   * Function: calculateRankCrossing
+   *
+   * Calculates the number of edges crossings between the specified rank and
+   * the rank below it. Returns the number of edges crossings with the rank
+   * beneath
+   *
+   * Parameters:
+   *
+   * i -  the topmost rank of the pair ( higher rank value )
+   * model - the internal model describing the hierarchy
+   */
+  const calculateRankCrossing = (i, model) => {
+    let totalCrossings = 0;
+    const rank = model.getRanks()[i];
+    const previousRank = model.getRanks()[i - 1];
+    const tmpIndices = [];
+
+    // Iterate over the top rank and fill in the connection information
+    for (const node of rank) {
+      const rankPosition = node.getGeneralPurposeVariable(i);
+      const connectedCells = node.getPreviousLayerConnectedCells(i);
+      const nodeIndices = connectedCells.map((connectedNode) =>
+        connectedNode.getGeneralPurposeVariable(i - 1)
+      );
+
+      nodeIndices.sort((x, y) => x - y);
+      tmpIndices[rankPosition] = nodeIndices;
+    }
+
+    let indices = [];
+
+    for (const nodeIndices of tmpIndices) {
+      indices = indices.concat(nodeIndices);
+    }
+
+    let firstIndex = 1;
+
+    while (firstIndex < previousRank.length) {
+      firstIndex <<= 1;
+    }
+
+    const treeSize = 2 * firstIndex - 1;
+    firstIndex -= 1;
+    const tree = [];
+
+    for (let j = 0; j < treeSize; ++j) {
+      tree[j] = 0;
+    }
+
+    for (const index of indices) {
+      let treeIndex = index + firstIndex;
+      ++tree[treeIndex];
+
+      while (treeIndex > 0) {
+        if (treeIndex % 2) {
+          totalCrossings += tree[treeIndex + 1];
+        }
+
+        treeIndex = (treeIndex - 1) >> 1;
+        ++tree[treeIndex];
+      }
+    }
+
+    return totalCrossings;
+  };
+
+  /**
+   * Function: transpose
+   *
+   * Takes each possible adjacent cell pair on each rank and checks if
+   * swapping them around reduces the number of crossing
+   *
+   * Parameters:
+   *
+   * mainLoopIteration - the iteration number of the main loop
+   * model - the internal model describing the hierarchy
+   */
+  const transpose = (mainLoopIteration, model) => {
+    let improved = true;
+
+    // Track the number of iterations in case of looping
+    let count = 0;
+    const maxCount = 10;
+
+    const getPositions = (cells, layer) =>
+      cells.map((cell) => cell.getGeneralPurposeVariable(layer));
+
+    while (improved && count++ < maxCount) {
+      // On certain iterations allow allow swapping of cell pairs with
+      // equal edge crossings switched or not switched. This help to
+      // nudge a stuck layout into a lower crossing total.
+      const nudge = mainLoopIteration % 2 === 1 && count % 2 === 1;
+      improved = false;
+
+      for (let i = 0; i < model.getRanks().length; i++) {
+        const rank = model.getRanks()[i];
+        const orderedCells = [];
+
+        for (let j = 0; j < rank.length; j++) {
+          const cell = rank[j];
+          let tempRank = cell.getGeneralPurposeVariable(i);
+
+          // FIXME: Workaround to avoid negative tempRanks
+          if (tempRank < 0) {
+            tempRank = j;
+          }
+
+          orderedCells[tempRank] = cell;
+        }
+
+        let leftAbovePositions;
+        let leftBelowPositions;
+        let rightAbovePositions;
+        let rightBelowPositions;
+        let leftCell;
+        let rightCell;
+
+        for (let j = 0; j < rank.length - 1; j++) {
+          // For each intra-rank adjacent pair of cells
+          // see if swapping them around would reduce the
+          // number of edges crossing they cause in total
+          // On every cell pair except the first on each rank, we
+          // can save processing using the previous values for the
+          // right cell on the new left cell
+          if (j === 0) {
+            leftCell = orderedCells[j];
+            leftAbovePositions = getPositions(
+              leftCell.getNextLayerConnectedCells(i),
+              i + 1
+            );
+            leftBelowPositions = getPositions(
+              leftCell.getPreviousLayerConnectedCells(i),
+              i - 1
+            );
+          } else {
+            leftAbovePositions = rightAbovePositions;
+            leftBelowPositions = rightBelowPositions;
+            leftCell = rightCell;
+          }
+
+          rightCell = orderedCells[j + 1];
+          rightAbovePositions = getPositions(
+            rightCell.getNextLayerConnectedCells(i),
+            i + 1
+          );
+          rightBelowPositions = getPositions(
+            rightCell.getPreviousLayerConnectedCells(i),
+            i - 1
+          );
+
+          let totalCurrentCrossings = 0;
+          let totalSwitchedCrossings = 0;
+
+          for (const left of leftAbovePositions) {
+            for (const right of rightAbovePositions) {
+              if (left > right) {
+                totalCurrentCrossings++;
+              }
+
+              if (left < right) {
+                totalSwitchedCrossings++;
+              }
+            }
+          }
+
+          for (const left of leftBelowPositions) {
+            for (const right of rightBelowPositions) {
+              if (left > right) {
+                totalCurrentCrossings++;
+              }
+
+              if (left < right) {
+                totalSwitchedCrossings++;
+              }
+            }
+          }
+
+          if (
+            totalSwitchedCrossings < totalCurrentCrossings ||
+            (totalSwitchedCrossings === totalCurrentCrossings && nudge)
+          ) {
+            const temp = leftCell.getGeneralPurposeVariable(i);
+            leftCell.setGeneralPurposeVariable(
+              i,
+              rightCell.getGeneralPurposeVariable(i)
+            );
+            rightCell.setGeneralPurposeVariable(i, temp);
+
+            // With this pair exchanged we have to switch all of
+            // values for the left cell to the right cell so the
+            // next iteration for this rank uses it as the left
+            // cell again
+            rightAbovePositions = leftAbovePositions;
+            rightBelowPositions = leftBelowPositions;
+            rightCell = leftCell;
+
+            if (!nudge) {
+              // Don't count nudges as improvement or we'll end
+              // up stuck in two combinations and not finishing
+              // as early as we should
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: weightedMedian
+   *
+   * Sweeps up or down the layout attempting to minimise the median placement
+   * of connected cells on adjacent ranks
+   *
+   * Parameters:
+   *
+   * iteration - the iteration number of the main loop
+   * model - the internal model describing the hierarchy
+   */
+  const weightedMedian = (iteration, model) => {
+    // Reverse sweep direction each time through this method
+    const downwardSweep = iteration % 2 === 0;
+
+    if (downwardSweep) {
+      for (let j = model.getMaxRank() - 1; j >= 0; j--) {
+        medianRank(j, downwardSweep);
+      }
+    } else {
+      for (let j = 1; j < model.getMaxRank(); j++) {
+        medianRank(j, downwardSweep);
+      }
+    }
+  };
+
+  /**
+   * Function: medianRank
+   *
+   * Attempts to minimise the median placement of connected cells on this rank
+   * and one of the adjacent ranks
+   *
+   * Parameters:
+   *
+   * rankValue - the layer number of this rank
+   * downwardSweep - whether or not this is a downward sweep through the graph
+   */
+  const medianRank = (rankValue, downwardSweep) => {
+    const cells = getNestedBestRanks()[rankValue];
+    const medianValues = [];
+    const reservedPositions = [];
+
+    for (const cell of cells) {
+      const nextLevelConnectedCells = downwardSweep
+        ? cell.getNextLayerConnectedCells(rankValue)
+        : cell.getPreviousLayerConnectedCells(rankValue);
+      const nextRankValue = downwardSweep ? rankValue + 1 : rankValue - 1;
+
+      if (
+        isSet(nextLevelConnectedCells) &&
+        nextLevelConnectedCells.length !== 0
+      ) {
+        medianValues.push({
+          cell,
+          medianValue: medianValue(nextLevelConnectedCells, nextRankValue)
+        });
+      } else {
+        // Nodes with no adjacent vertices are flagged in the reserved array
+        // to indicate they should be left in their current position.
+        reservedPositions[cell.getGeneralPurposeVariable(rankValue)] = true;
+      }
+    }
+
+    medianValues.sort(compareMedianValues);
+
+    // Set the new position of each node within the rank using
+    // its temp variable
+    for (let i = 0; i < cells.length; i++) {
+      if (isUnset(reservedPositions[i])) {
+        const cell = medianValues.shift().cell;
+        cell.setGeneralPurposeVariable(rankValue, i);
+      }
+    }
+  };
+
+  /**
+   * Function: medianValue
+   *
+   * Calculates the median rank order positioning for the specified cell using
+   * the connected cells on the specified rank. Returns the median rank
+   * ordering value of the connected cells
+   *
+   * Parameters:
+   *
+   * connectedCells - the cells on the specified rank connected to the
+   * specified cell
+   * rankValue - the rank that the connected cell lie upon
+   */
+  const medianValue = (connectedCells, rankValue) => {
+    const medianValues = connectedCells.map((cell) =>
+      cell.getGeneralPurposeVariable(rankValue)
+    );
+    const arrayCount = medianValues.length;
+
+    // Sort() sorts lexicographically by default (i.e. 11 before 9) so force
+    // numerical order sort
+    medianValues.sort((a, b) => a - b);
+
+    if (arrayCount % 2 === 1) {
+      // For odd numbers of adjacent vertices return the median
+      return medianValues[Math.floor(arrayCount / 2)];
+    } else if (arrayCount === 2) {
+      return (medianValues[0] + medianValues[1]) / 2.0;
+    } else {
+      const medianPoint = arrayCount / 2;
+      const leftMedian = medianValues[medianPoint - 1] - medianValues[0];
+      const rightMedian =
+        medianValues[arrayCount - 1] - medianValues[medianPoint];
+
+      return (
+        (medianValues[medianPoint - 1] * rightMedian +
+          medianValues[medianPoint] * leftMedian) /
+        (leftMedian + rightMedian)
+      );
+    }
+  };
+
+  const me = {
+    getMaxIterations,
+    setMaxIterations,
+    getNestedBestRanks,
+    setNestedBestRanks,
+    getMaxNoImprovementIterations,
+    setMaxNoImprovementIterations,
+    execute,
+    calculateCrossings,
+    calculateRankCrossing,
+    transpose,
+    weightedMedian,
+    medianRank,
+    medianValue
+  };
+
+  const _stage = HierarchicalLayoutStage(layout);
+  extendFrom(_stage)(me);
+
+  return me;
+};
+
+export default makeComponent(MedianHybridCrossingReduction);
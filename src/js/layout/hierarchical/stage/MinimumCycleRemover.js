@@ -0,0 +1,85 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, isSet, makeComponent } from '../../../Helpers';
+import { remove } from '../../../util/Utils';
+import HierarchicalLayoutStage from './HierarchicalLayoutStage';
+
+/**
+ * Class: MinimumCycleRemover
+ *
+ * An implementation of the first stage of the Sugiyama layout. Straightforward
+ * longest path calculation of layer assignment
+ *
+ * Constructor: MinimumCycleRemover
+ *
+ * Creates a cycle remover for the given internal model.
+ */
+const MinimumCycleRemover = (layout) => {
+  /**
+   * Function: execute
+   *
+   * Takes the graph detail and configuration information within the facade
+   * and creates the resulting laid out graph within that facade for further
+   * use.
+   */
+  const execute = (parent) => {
+    const model = _stage.getLayout().getModel();
+    const seenNodes = {};
+    const unseenNodes = {};
+
+    for (const node of model.getVertexMapper().getValues()) {
+      unseenNodes[node.getId()] = node;
+    }
+
+    // Perform a dfs through the internal model. If a cycle is found,
+    // reverse it.
+    let rootsArray;
+
+    if (isSet(model.getRoots())) {
+      rootsArray = model
+        .getRoots()
+        .map((root) => model.getVertexMapper().get(root));
+    }
+
+    const visitor = (parent, node, connectingEdge, layer, seen) => {
+      // Check if the cell is in it's own ancestor list, if so
+      // invert the connecting edge and reverse the target/source
+      // relationship to that edge in the parent and the cell
+      if (node.isAncestor(parent)) {
+        connectingEdge.invert();
+        remove(connectingEdge, parent.getConnectsAsSource());
+        parent.getConnectsAsTarget().push(connectingEdge);
+        remove(connectingEdge, node.getConnectsAsTarget());
+        node.getConnectsAsSource().push(connectingEdge);
+      }
+
+      seenNodes[node.getId()] = node;
+      delete unseenNodes[node.getId()];
+    };
+
+    model.visit(visitor, rootsArray, true);
+
+    // If there are any nodes that should be nodes that the dfs can miss
+    // these need to be processed with the dfs and the roots assigned
+    // correctly to form a correct internal model
+    const seenNodesCopy = { ...seenNodes };
+
+    // Pick a random cell and dfs from it
+    model.visit(visitor, Object.values(unseenNodes), true, seenNodesCopy);
+  };
+
+  const me = {
+    execute
+  };
+
+  const _stage = HierarchicalLayoutStage(layout);
+  extendFrom(_stage)(me);
+
+  return me;
+};
+
+export default makeComponent(MinimumCycleRemover);
@@ -4,7 +4,8 @@
  * Copyright (c) 2021, Junsik Shim
  */
 
-import { addProp, isUnset, makeComponent } from '../Helpers';
+import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import { NODETYPE_ELEMENT } from '../util/Constants';
 
 /**
  * Class: Cell
@@ -348,7 +349,7 @@ const Cell = (value, geometry, style) => {
    *
    * index - Integer that specifies the index of the edge to be returned.
    */
-  const getEdgeAt = (index) => getEdges[index];
+  const getEdgeAt = (index) => getEdges()[index];
 
   /**
    * Function: insertEdge
@@ -432,9 +433,7 @@ const Cell = (value, geometry, style) => {
   const hasAttribute = (name) => {
     const obj = getValue();
 
-    return obj &&
-      obj.nodeType === Constants.NODETYPE_ELEMENT &&
-      obj.hasAttribute
+    return obj && obj.nodeType === NODETYPE_ELEMENT && obj.hasAttribute
       ? obj.hasAttribute(name)
       : obj.getAttribute(name) !== undefined;
   };
@@ -454,11 +453,11 @@ const Cell = (value, geometry, style) => {
   const getAttribute = (name, defaultValue) => {
     const obj = getValue();
     const val =
-      obj && obj.nodeType === Constants.NODETYPE_ELEMENT
+      obj && obj.nodeType === NODETYPE_ELEMENT
         ? obj.getAttribute(name)
         : undefined;
 
-    return val !== undefined ? val : defaultValue;
+    return isSet(val) ? val : defaultValue;
   };
 
   /**
@@ -474,7 +473,7 @@ const Cell = (value, geometry, style) => {
   const setAttribute = (name, value) => {
     const obj = getValue();
 
-    if (obj && obj.nodeType === Constants.NODETYPE_ELEMENT) {
+    if (obj && obj.nodeType === NODETYPE_ELEMENT) {
       obj.setAttribute(name, value);
     }
   };
@@ -495,7 +494,7 @@ const Cell = (value, geometry, style) => {
    * 'edges'
    */
   const clone = () => {
-    const c = Cell(cloneValue(), getGeometry(), getStyle());
+    const c = CellComponent(cloneValue(), getGeometry(), getStyle());
     c.setVertex(isVertex());
     c.setEdge(isEdge());
     c.setConnectable(isConnectable());
@@ -514,11 +513,13 @@ const Cell = (value, geometry, style) => {
   const cloneValue = () => {
     const v = getValue();
 
-    if (!v) return;
+    if (!v) return v;
 
     if (typeof v.clone === 'function') return v.clone();
     // changing to Number.isNaN breaks the logic
     else if (!isNaN(v.nodeType)) return v.cloneNode(true);
+
+    return v;
   };
 
   const toString = () => {
@@ -697,6 +698,42 @@ const Cell = (value, geometry, style) => {
      * parent - <Cell> that represents the new parent.
      */
     setParent,
+
+    /**
+     * Function: getSource
+     *
+     * Returns the source terminal.
+     */
+    getSource,
+
+    /**
+     * Function: setSource
+     *
+     * Sets the source terminal.
+     *
+     * Parameters:
+     *
+     * source - <Cell> that represents the new source terminal.
+     */
+    setSource,
+
+    /**
+     * Function: getTarget
+     *
+     * Returns the target terminal.
+     */
+    getTarget,
+
+    /**
+     * Function: setTarget
+     *
+     * Sets the target terminal.
+     *
+     * Parameters:
+     *
+     * target - <Cell> that represents the new target terminal.
+     */
+    setTarget,
     getTerminal,
     setTerminal,
     getChildCount,
@@ -726,4 +763,6 @@ const Cell = (value, geometry, style) => {
   return me;
 };
 
-export default makeComponent(Cell);
+const CellComponent = makeComponent(Cell);
+
+export default CellComponent;
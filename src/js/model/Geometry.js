@@ -398,7 +398,7 @@ const Geometry = (x, y, width, height) => {
       (getOffset() && getOffset().equals(obj.getOffset())));
 
   const clone = () => {
-    const c = Geometry(getX(), getY(), getWidth(), getHeight());
+    const c = GeometryComponent(getX(), getY(), getWidth(), getHeight());
 
     if (isSet(getAlternateBounds()))
       c.setAlternateBounds(getAlternateBounds().clone());
@@ -483,4 +483,6 @@ const Geometry = (x, y, width, height) => {
  */
 Geometry.TRANSLATE_CONTROL_POINTS = true;
 
-export default makeComponent(Geometry);
+const GeometryComponent = makeComponent(Geometry);
+
+export default GeometryComponent;
@@ -389,15 +389,15 @@ const GraphModel = (root) => {
 
     // Checks if the filter returns true for the cell
     // and adds it to the result array
-    if (!filter || filter(parent)) {
-      result.push(parent);
+    if (!filter || filter(p)) {
+      result.push(p);
     }
 
     // Visits the children of the cell
-    const childCount = getChildCount(parent);
+    const childCount = getChildCount(p);
 
     for (let i = 0; i < childCount; i++) {
-      const child = getChildAt(parent, i);
+      const child = getChildAt(p, i);
       result.push(...filterDescendants(filter, child));
     }
 
@@ -2086,9 +2086,31 @@ const GraphModel = (root) => {
     isVisible,
     setVisible,
     visibleStateForCellChanged,
+
+    /**
+     * Function: getCurrentEdit
+     *
+     * Returns <currentEdit>.
+     */
+    getCurrentEdit,
+
+    /**
+     * Function: setCurrentEdit
+     *
+     * Sets <currentEdit>.
+     */
+    setCurrentEdit,
+
+    /**
+     * Function: getUpdateLevel
+     *
+     * Returns <updateLevel>.
+     */
+    getUpdateLevel,
     execute,
     beginUpdate,
     endUpdate,
+    createUndoableEdit,
     mergeChildren,
     getParents,
     cloneCell,
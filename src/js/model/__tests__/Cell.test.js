@@ -31,6 +31,14 @@ test('edgecount should be 0 on initial', () => {
   expect(c.getEdgeCount()).toStrictEqual(0);
 });
 
+test('getEdgeAt should return the inserted edge', () => {
+  const c = Cell('cell value', g, '');
+  const e = Cell();
+  c.insertEdge(e, true);
+
+  expect(c.getEdgeAt(0)).toBe(e);
+});
+
 test('cloning a cell will create another', () => {
   const c = Cell('cell value', g, '');
   const c2 = c.clone();
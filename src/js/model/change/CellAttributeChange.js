@@ -57,15 +57,22 @@ const CellAttributeChange = (cell, attribute, value) => {
 
     const tmp = cell.getAttribute(getAttribute());
 
-    if (!getPrevious()) cell.getValue.removeAttribute(getAttribute());
+    if (!getPrevious()) cell.getValue().removeAttribute(getAttribute());
     else cell.setAttribute(getAttribute(), getPrevious());
 
     setPrevious(tmp);
   };
 
   const me = {
-    execute,
-    getCell
+    getCell,
+    setCell,
+    getAttribute,
+    setAttribute,
+    getValue,
+    setValue,
+    getPrevious,
+    setPrevious,
+    execute
   };
 
   return me;
@@ -48,7 +48,7 @@ const ChildChange = (model, parent, child, index) => {
 
     tmp = getModel().parentForCellChanged(child, previous, previousIndex);
 
-    if (previousIndex) {
+    if (previous) {
       connect(child, true);
     }
 
@@ -90,9 +90,19 @@ const ChildChange = (model, parent, child, index) => {
   };
 
   const me = {
-    execute,
+    getModel,
+    setModel,
+    getParent,
+    setParent,
+    getPrevious,
+    setPrevious,
     getChild,
-    getPrevious
+    setChild,
+    getIndex,
+    setIndex,
+    getPreviousIndex,
+    setPreviousIndex,
+    execute
   };
 
   return me;
@@ -38,8 +38,15 @@ const CollapseChange = (model, cell, collapsed) => {
   };
 
   const me = {
-    execute,
-    getCell
+    getModel,
+    setModel,
+    getCell,
+    setCell,
+    getCollapsed,
+    setCollapsed,
+    getPrevious,
+    setPrevious,
+    execute
   };
 
   return me;
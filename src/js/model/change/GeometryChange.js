@@ -36,10 +36,15 @@ const GeometryChange = (model, cell, geometry) => {
   };
 
   const me = {
-    execute,
+    getModel,
+    setModel,
     getCell,
+    setCell,
+    getGeometry,
+    setGeometry,
     getPrevious,
-    getGeometry
+    setPrevious,
+    execute
   };
 
   return me;
@@ -33,6 +33,12 @@ const RootChange = (model, root) => {
   };
 
   const me = {
+    getModel,
+    setModel,
+    getRoot,
+    setRoot,
+    getPrevious,
+    setPrevious,
     execute
   };
 
@@ -4,7 +4,7 @@
  * Copyright (c) 2021, Junsik Shim
  */
 
-import { addProp, makeComponent } from "../../Helpers";
+import { addProp, makeComponent } from '../../Helpers';
 
 /**
  * Class: StyleChange
@@ -36,8 +36,15 @@ const StyleChange = (model, cell, style) => {
   };
 
   const me = {
-    execute,
+    getModel,
+    setModel,
     getCell,
+    setCell,
+    getStyle,
+    setStyle,
+    getPrevious,
+    setPrevious,
+    execute
   };
 
   return me;
@@ -21,7 +21,7 @@ const TerminalChange = (model, cell, terminal, source) => {
   const [getCell, setCell] = addProp(cell);
   const [getTerminal, setTerminal] = addProp(terminal);
   const [getPrevious, setPrevious] = addProp(terminal);
-  const [getSource, setSource] = addProp(source);
+  const [isSource, setSource] = addProp(source);
 
   /**
    * Function: execute
@@ -34,14 +34,22 @@ const TerminalChange = (model, cell, terminal, source) => {
 
     setTerminal(getPrevious());
     setPrevious(
-      getModel().terminalForCellChanged(getCell(), getPrevious(), getSource())
+      getModel().terminalForCellChanged(getCell(), getPrevious(), isSource())
     );
   };
 
   const me = {
-    execute,
+    getModel,
+    setModel,
     getCell,
-    getPrevious
+    setCell,
+    getTerminal,
+    setTerminal,
+    getPrevious,
+    setPrevious,
+    isSource,
+    setSource,
+    execute
   };
 
   return me;
@@ -36,8 +36,15 @@ const ValueChange = (model, cell, value) => {
   };
 
   const me = {
-    execute,
-    getCell
+    getModel,
+    setModel,
+    getCell,
+    setCell,
+    getValue,
+    setValue,
+    getPrevious,
+    setPrevious,
+    execute
   };
 
   return me;
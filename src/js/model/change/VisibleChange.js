@@ -38,8 +38,15 @@ const VisibleChange = (model, cell, visible) => {
   };
 
   const me = {
-    execute,
-    getCell
+    getModel,
+    setModel,
+    getCell,
+    setCell,
+    getVisible,
+    setVisible,
+    getPrevious,
+    setPrevious,
+    execute
   };
 
   return me;
@@ -0,0 +1,96 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, makeComponent } from '../Helpers';
+import Shape from './Shape';
+
+/**
+ * Class: Actor
+ *
+ * Extends <mxShape> to implement an actor shape. If a custom shape with one
+ * filled area is needed, then this shape's <redrawPath> should be overridden.
+ *
+ * Example:
+ *
+ * (code)
+ * const SampleShape = (bounds, fill, stroke, strokewidth) => {
+ *   const redrawPath = (c, x, y, w, h) => {
+ *     c.moveTo(0, 0);
+ *     c.lineTo(w, h);
+ *     // ...
+ *     c.close();
+ *   };
+ *
+ *   const me = { redrawPath };
+ *   extendFrom(Actor(bounds, fill, stroke, strokewidth))(me);
+ *
+ *   return me;
+ * };
+ *
+ * CellRenderer.registerShape('sample', makeComponent(SampleShape));
+ * (end)
+ *
+ * This shape is registered under <mxConstants.SHAPE_ACTOR> in
+ * <mxCellRenderer>.
+ *
+ * Constructor: Actor
+ *
+ * Constructs a new actor shape.
+ *
+ * Parameters:
+ *
+ * bounds - <mxRectangle> that defines the bounds. This is stored in
+ * <mxShape.bounds>.
+ * fill - String that defines the fill color. This is stored in <fill>.
+ * stroke - String that defines the stroke color. This is stored in <stroke>.
+ * strokewidth - Optional integer that defines the stroke width. Default is
+ * 1. This is stored in <strokewidth>.
+ */
+const Actor = (bounds, fill, stroke, strokewidth = 1) => {
+  /**
+   * Function: paintVertexShape
+   *
+   * Redirects to redrawPath for subclasses to work.
+   */
+  const paintVertexShape = (c, x, y, w, h) => {
+    c.translate(x, y);
+    c.begin();
+    me.resolve('redrawPath')(c, x, y, w, h);
+    c.fillAndStroke();
+  };
+
+  /**
+   * Function: redrawPath
+   *
+   * Draws the path for this shape.
+   */
+  const redrawPath = (c, x, y, w, h) => {
+    const width = w / 3;
+    c.moveTo(0, h);
+    c.curveTo(0, (3 * h) / 5, 0, (2 * h) / 5, w / 2, (2 * h) / 5);
+    c.curveTo(w / 2 - width, (2 * h) / 5, w / 2 - width, 0, w / 2, 0);
+    c.curveTo(w / 2 + width, 0, w / 2 + width, (2 * h) / 5, w / 2, (2 * h) / 5);
+    c.curveTo(w, (2 * h) / 5, w, (3 * h) / 5, w, h);
+    c.close();
+  };
+
+  const me = {
+    paintVertexShape,
+    redrawPath
+  };
+
+  const _shape = Shape();
+  extendFrom(_shape)(me);
+
+  _shape.setBounds(bounds);
+  _shape.setFill(fill);
+  _shape.setStroke(stroke);
+  _shape.setStrokeWidth(strokewidth);
+
+  return me;
+};
+
+export default makeComponent(Actor);
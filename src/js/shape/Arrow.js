@@ -0,0 +1,157 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, makeComponent } from '../Helpers';
+import { ARROW_SIZE, ARROW_SPACING, ARROW_WIDTH } from '../util/Constants';
+import Shape from './Shape';
+
+/**
+ * Class: Arrow
+ *
+ * Extends <mxShape> to implement an arrow shape. (The shape
+ * is used to represent edges, not vertices.)
+ * This shape is registered under <mxConstants.SHAPE_ARROW>
+ * in <mxCellRenderer>.
+ *
+ * Constructor: Arrow
+ *
+ * Constructs a new arrow shape.
+ *
+ * Parameters:
+ *
+ * points - Array of <mxPoints> that define the points. This is stored in
+ * <mxShape.points>.
+ * fill - String that defines the fill color. This is stored in <fill>.
+ * stroke - String that defines the stroke color. This is stored in <stroke>.
+ * strokewidth - Optional integer that defines the stroke width. Default is
+ * 1. This is stored in <strokewidth>.
+ * arrowWidth - Optional integer that defines the arrow width. Default is
+ * <mxConstants.ARROW_WIDTH>. This is stored in <arrowWidth>.
+ * spacing - Optional integer that defines the spacing between the arrow shape
+ * and its endpoints. Default is <mxConstants.ARROW_SPACING>. This is stored in
+ * <arrowSpacing>.
+ * endSize - Optional integer that defines the size of the arrowhead. Default
+ * is <mxConstants.ARROW_SIZE>. This is stored in <arrowSize>.
+ */
+const Arrow = (
+  points,
+  fill,
+  stroke,
+  strokewidth = 1,
+  arrowWidth = ARROW_WIDTH,
+  spacing = ARROW_SPACING,
+  endSize = ARROW_SIZE
+) => {
+  /**
+   * Variable: arrowWidth
+   *
+   * Width of the arrow. Default is <mxConstants.ARROW_WIDTH>.
+   */
+  const [getArrowWidth, setArrowWidth] = addProp(arrowWidth);
+
+  /**
+   * Variable: arrowSpacing
+   *
+   * Spacing between the arrow and its endpoints. Default is
+   * <mxConstants.ARROW_SPACING>.
+   */
+  const [getArrowSpacing, setArrowSpacing] = addProp(spacing);
+
+  /**
+   * Variable: arrowSize
+   *
+   * Size of the arrowhead. Default is <mxConstants.ARROW_SIZE>.
+   */
+  const [getArrowSize, setArrowSize] = addProp(endSize);
+
+  /**
+   * Function: augmentBoundingBox
+   *
+   * Augments the bounding box with the edge width and markers.
+   */
+  const augmentBoundingBox = (bbox) => {
+    _shape.augmentBoundingBox(bbox);
+
+    const w = Math.max(getArrowWidth(), getArrowSize());
+    bbox.grow((w / 2 + _shape.getStrokeWidth()) * _shape.getScale());
+  };
+
+  /**
+   * Function: paintEdgeShape
+   *
+   * Paints the line shape.
+   */
+  const paintEdgeShape = (c, pts) => {
+    // Geometry of arrow
+    const spacing = getArrowSpacing();
+    const width = getArrowWidth();
+    const arrow = getArrowSize();
+
+    // Base vector (between end points)
+    const p0 = pts[0];
+    const pe = pts[pts.length - 1];
+    const dx = pe.getX() - p0.getX();
+    const dy = pe.getY() - p0.getY();
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const length = dist - 2 * spacing - arrow;
+
+    // Computes the norm and the inverse norm
+    const nx = dx / dist;
+    const ny = dy / dist;
+    const basex = length * nx;
+    const basey = length * ny;
+    const floorx = (width * ny) / 3;
+    const floory = (-width * nx) / 3;
+
+    // Computes points
+    const p0x = p0.getX() - floorx / 2 + spacing * nx;
+    const p0y = p0.getY() - floory / 2 + spacing * ny;
+    const p1x = p0x + floorx;
+    const p1y = p0y + floory;
+    const p2x = p1x + basex;
+    const p2y = p1y + basey;
+    const p3x = p2x + floorx;
+    const p3y = p2y + floory;
+    // p4 not necessary
+    const p5x = p3x - 3 * floorx;
+    const p5y = p3y - 3 * floory;
+
+    c.begin();
+    c.moveTo(p0x, p0y);
+    c.lineTo(p1x, p1y);
+    c.lineTo(p2x, p2y);
+    c.lineTo(p3x, p3y);
+    c.lineTo(pe.getX() - spacing * nx, pe.getY() - spacing * ny);
+    c.lineTo(p5x, p5y);
+    c.lineTo(p5x + floorx, p5y + floory);
+    c.close();
+
+    c.fillAndStroke();
+  };
+
+  const me = {
+    getArrowWidth,
+    setArrowWidth,
+    getArrowSpacing,
+    setArrowSpacing,
+    getArrowSize,
+    setArrowSize,
+    augmentBoundingBox,
+    paintEdgeShape
+  };
+
+  const _shape = Shape();
+  extendFrom(_shape)(me);
+
+  _shape.setPoints(points);
+  _shape.setFill(fill);
+  _shape.setStroke(stroke);
+  _shape.setStrokeWidth(strokewidth);
+
+  return me;
+};
+
+export default makeComponent(Arrow);
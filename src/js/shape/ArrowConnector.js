@@ -0,0 +1,552 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, makeComponent } from '../Helpers';
+import {
+  ARROW_SIZE,
+  ARROW_SPACING,
+  ARROW_WIDTH,
+  NONE,
+  STYLE_ENDARROW,
+  STYLE_ENDSIZE,
+  STYLE_ENDWIDTH,
+  STYLE_STARTARROW,
+  STYLE_STARTSIZE,
+  STYLE_STARTWIDTH,
+  STYLE_STROKEWIDTH,
+  STYLE_WIDTH
+} from '../util/Constants';
+import { getNumber, getValue, relativeCcw } from '../util/Utils';
+import Shape from './Shape';
+
+/**
+ * Class: ArrowConnector
+ *
+ * Extends <mxShape> to implement an new rounded arrow shape with support for
+ * waypoints and double arrows. (The shape is used to represent edges, not
+ * vertices.) This shape is registered under <mxConstants.SHAPE_ARROW_CONNECTOR>
+ * in <mxCellRenderer>.
+ *
+ * The width of the body is defined by <mxConstants.STYLE_WIDTH>, the widths
+ * of the arrows by <mxConstants.STYLE_STARTWIDTH> and
+ * <mxConstants.STYLE_ENDWIDTH> and the lengths of the arrows by
+ * <mxConstants.STYLE_STARTSIZE> and <mxConstants.STYLE_ENDSIZE>. The arrows
+ * are only painted if <mxConstants.STYLE_STARTARROW> or
+ * <mxConstants.STYLE_ENDARROW> is not <mxConstants.NONE>.
+ *
+ * Constructor: ArrowConnector
+ *
+ * Constructs a new arrow shape.
+ *
+ * Parameters:
+ *
+ * points - Array of <mxPoints> that define the points. This is stored in
+ * <mxShape.points>.
+ * fill - String that defines the fill color. This is stored in <fill>.
+ * stroke - String that defines the stroke color. This is stored in <stroke>.
+ * strokewidth - Optional integer that defines the stroke width. Default is
+ * 1. This is stored in <strokewidth>.
+ * arrowWidth - Optional integer that defines the arrow width. Default is
+ * <mxConstants.ARROW_WIDTH>. This is stored in <arrowWidth>.
+ * spacing - Optional integer that defines the spacing between the arrow shape
+ * and its endpoints. Default is <mxConstants.ARROW_SPACING>. This is stored in
+ * <arrowSpacing>.
+ */
+const ArrowConnector = (
+  points,
+  fill,
+  stroke,
+  strokewidth = 1,
+  arrowWidth = ARROW_WIDTH,
+  spacing = ARROW_SPACING
+) => {
+  /**
+   * Variable: arrowWidth
+   *
+   * Default width of the arrows. Default is <mxConstants.ARROW_WIDTH>.
+   */
+  const [getArrowWidth, setArrowWidth] = addProp(arrowWidth);
+
+  /**
+   * Variable: arrowSpacing
+   *
+   * Spacing between the arrow and its endpoints. Default is
+   * <mxConstants.ARROW_SPACING>.
+   */
+  const [getArrowSpacing, setArrowSpacing] = addProp(spacing);
+
+  /**
+   * Function: isRoundable
+   *
+   * Hook for subclassers.
+   */
+  const isRoundable = () => true;
+
+  /**
+   * Function: resetStyles
+   *
+   * Overrides mxShape to reset spacing.
+   */
+  const resetStyles = () => {
+    _shape.resetStyles();
+
+    setArrowSpacing(ARROW_SPACING);
+  };
+
+  /**
+   * Function: apply
+   *
+   * Overrides apply to get smooth transition from default start- and endsize.
+   */
+  const apply = (state) => {
+    _shape.apply(state);
+
+    const style = _shape.getStyle();
+
+    if (isSet(style)) {
+      _shape.setStartSize(
+        getNumber(style, STYLE_STARTSIZE, ARROW_SIZE / 5) * 3
+      );
+      _shape.setEndSize(getNumber(style, STYLE_ENDSIZE, ARROW_SIZE / 5) * 3);
+    }
+  };
+
+  /**
+   * Function: augmentBoundingBox
+   *
+   * Augments the bounding box with the edge width and markers.
+   */
+  const augmentBoundingBox = (bbox) => {
+    _shape.augmentBoundingBox(bbox);
+
+    let w = me.resolve('getEdgeWidth')();
+
+    if (me.resolve('isMarkerStart')()) {
+      w = Math.max(w, me.resolve('getStartArrowWidth')());
+    }
+
+    if (me.resolve('isMarkerEnd')()) {
+      w = Math.max(w, me.resolve('getEndArrowWidth')());
+    }
+
+    bbox.grow((w / 2 + _shape.getStrokeWidth()) * _shape.getScale());
+  };
+
+  /**
+   * Function: paintEdgeShape
+   *
+   * Paints the line shape.
+   */
+  const paintEdgeShape = (c, pts) => {
+    // Geometry of arrow
+    let strokeWidth = _shape.getStrokeWidth();
+
+    if (_shape.isOutline()) {
+      strokeWidth = Math.max(
+        1,
+        getNumber(_shape.getStyle(), STYLE_STROKEWIDTH, _shape.getStrokeWidth())
+      );
+    }
+
+    const startWidth = me.resolve('getStartArrowWidth')() + strokeWidth;
+    const endWidth = me.resolve('getEndArrowWidth')() + strokeWidth;
+    const edgeWidth = _shape.isOutline()
+      ? me.resolve('getEdgeWidth')() + strokeWidth
+      : me.resolve('getEdgeWidth')();
+    const openEnded = me.resolve('isOpenEnded')();
+    const markerStart = me.resolve('isMarkerStart')();
+    const markerEnd = me.resolve('isMarkerEnd')();
+    const spacing = openEnded ? 0 : getArrowSpacing() + strokeWidth / 2;
+    const startSize = Number(_shape.getStartSize()) + strokeWidth;
+    const endSize = Number(_shape.getEndSize()) + strokeWidth;
+    const isRounded = me.resolve('isArrowRounded')();
+
+    // Base vector (between first points)
+    const pe = pts[pts.length - 1];
+
+    // Finds first non-overlapping point
+    let i0 = 1;
+
+    while (
+      i0 < pts.length - 1 &&
+      pts[i0].getX() === pts[0].getX() &&
+      pts[i0].getY() === pts[0].getY()
+    ) {
+      i0++;
+    }
+
+    const dx = pts[i0].getX() - pts[0].getX();
+    const dy = pts[i0].getY() - pts[0].getY();
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    if (dist === 0) {
+      return;
+    }
+
+    // Computes the norm and the inverse norm
+    let nx = dx / dist;
+    let nx2;
+    let nx1 = nx;
+    let ny = dy / dist;
+    let ny2;
+    let ny1 = ny;
+    let orthx = edgeWidth * ny;
+    let orthy = -edgeWidth * nx;
+
+    // Stores the inbound function calls in reverse order in fns
+    const fns = [];
+
+    if (isRounded) {
+      c.setLineJoin('round');
+    } else if (pts.length > 2) {
+      // Only mitre if there are waypoints
+      c.setMiterLimit(1.42);
+    }
+
+    c.begin();
+
+    const startNx = nx;
+    const startNy = ny;
+
+    if (markerStart && !openEnded) {
+      me.resolve('paintMarker')(
+        c,
+        pts[0].getX(),
+        pts[0].getY(),
+        nx,
+        ny,
+        startSize,
+        startWidth,
+        edgeWidth,
+        spacing,
+        true
+      );
+    } else {
+      const outStartX = pts[0].getX() + orthx / 2 + spacing * nx;
+      const outStartY = pts[0].getY() + orthy / 2 + spacing * ny;
+      const inEndX = pts[0].getX() - orthx / 2 + spacing * nx;
+      const inEndY = pts[0].getY() - orthy / 2 + spacing * ny;
+
+      if (openEnded) {
+        c.moveTo(outStartX, outStartY);
+        fns.push(() => c.lineTo(inEndX, inEndY));
+      } else {
+        c.moveTo(inEndX, inEndY);
+        c.lineTo(outStartX, outStartY);
+      }
+    }
+
+    for (let i = 0; i < pts.length - 2; i++) {
+      // Work out in which direction the line is bending
+      const pos = relativeCcw(
+        pts[i].getX(),
+        pts[i].getY(),
+        pts[i + 1].getX(),
+        pts[i + 1].getY(),
+        pts[i + 2].getX(),
+        pts[i + 2].getY()
+      );
+
+      const dx1 = pts[i + 2].getX() - pts[i + 1].getX();
+      const dy1 = pts[i + 2].getY() - pts[i + 1].getY();
+      const dist1 = Math.sqrt(dx1 * dx1 + dy1 * dy1);
+
+      if (dist1 !== 0) {
+        nx1 = dx1 / dist1;
+        ny1 = dy1 / dist1;
+
+        const tmp1 = nx * nx1 + ny * ny1;
+        const tmp = Math.max(Math.sqrt((tmp1 + 1) / 2), 0.04);
+
+        // Work out the normal orthogonal to the line through the control
+        // point and the edge sides intersection
+        nx2 = nx + nx1;
+        ny2 = ny + ny1;
+        const dist2 = Math.sqrt(nx2 * nx2 + ny2 * ny2);
+
+        if (dist2 !== 0) {
+          nx2 = nx2 / dist2;
+          ny2 = ny2 / dist2;
+
+          // Higher strokewidths require a larger minimum bend, 0.35 covers
+          // all but the most extreme cases
+          const strokeWidthFactor = Math.max(
+            tmp,
+            Math.min(_shape.getStrokeWidth() / 200 + 0.04, 0.35)
+          );
+          const angleFactor =
+            pos !== 0 && isRounded
+              ? Math.max(0.1, strokeWidthFactor)
+              : Math.max(tmp, 0.06);
+
+          const outX = pts[i + 1].getX() + (ny2 * edgeWidth) / 2 / angleFactor;
+          const outY = pts[i + 1].getY() - (nx2 * edgeWidth) / 2 / angleFactor;
+          const inX = pts[i + 1].getX() - (ny2 * edgeWidth) / 2 / angleFactor;
+          const inY = pts[i + 1].getY() + (nx2 * edgeWidth) / 2 / angleFactor;
+
+          if (pos === 0 || !isRounded) {
+            // If the two segments are aligned, or if we're not drawing curved
+            // sections between segments just draw straight to the
+            // intersection point
+            c.lineTo(outX, outY);
+            fns.push(() => c.lineTo(inX, inY));
+          } else if (pos === -1) {
+            const c1x = inX + ny * edgeWidth;
+            const c1y = inY - nx * edgeWidth;
+            const c2x = inX + ny1 * edgeWidth;
+            const c2y = inY - nx1 * edgeWidth;
+            c.lineTo(c1x, c1y);
+            c.quadTo(outX, outY, c2x, c2y);
+            fns.push(() => c.lineTo(inX, inY));
+          } else {
+            c.lineTo(outX, outY);
+
+            const c1x = outX - ny * edgeWidth;
+            const c1y = outY + nx * edgeWidth;
+            const c2x = outX - ny1 * edgeWidth;
+            const c2y = outY + nx1 * edgeWidth;
+            fns.push(() => c.quadTo(inX, inY, c1x, c1y));
+            fns.push(() => c.lineTo(c2x, c2y));
+          }
+
+          nx = nx1;
+          ny = ny1;
+        }
+      }
+    }
+
+    orthx = edgeWidth * ny1;
+    orthy = -edgeWidth * nx1;
+
+    if (markerEnd && !openEnded) {
+      me.resolve('paintMarker')(
+        c,
+        pe.getX(),
+        pe.getY(),
+        -nx,
+        -ny,
+        endSize,
+        endWidth,
+        edgeWidth,
+        spacing,
+        false
+      );
+    } else {
+      c.lineTo(
+        pe.getX() - spacing * nx1 + orthx / 2,
+        pe.getY() - spacing * ny1 + orthy / 2
+      );
+
+      const inStartX = pe.getX() - spacing * nx1 - orthx / 2;
+      const inStartY = pe.getY() - spacing * ny1 - orthy / 2;
+
+      if (!openEnded) {
+        c.lineTo(inStartX, inStartY);
+      } else {
+        c.moveTo(inStartX, inStartY);
+        fns.splice(0, 0, () => c.moveTo(inStartX, inStartY));
+      }
+    }
+
+    for (let i = fns.length - 1; i >= 0; i--) {
+      fns[i]();
+    }
+
+    if (openEnded) {
+      c.end();
+      c.stroke();
+    } else {
+      c.close();
+      c.fillAndStroke();
+    }
+
+    // Workaround for shadow on top of base arrow
+    c.setShadow(false);
+
+    // Need to redraw the markers without the low miter limit
+    c.setMiterLimit(4);
+
+    if (isRounded) {
+      c.setLineJoin('flat');
+    }
+
+    if (pts.length > 2) {
+      // Only to repaint markers if no waypoints
+      // Need to redraw the markers without the low miter limit
+      c.setMiterLimit(4);
+
+      if (markerStart && !openEnded) {
+        c.begin();
+        me.resolve('paintMarker')(
+          c,
+          pts[0].getX(),
+          pts[0].getY(),
+          startNx,
+          startNy,
+          startSize,
+          startWidth,
+          edgeWidth,
+          spacing,
+          true
+        );
+        c.stroke();
+        c.end();
+      }
+
+      if (markerEnd && !openEnded) {
+        c.begin();
+        me.resolve('paintMarker')(
+          c,
+          pe.getX(),
+          pe.getY(),
+          -nx,
+          -ny,
+          endSize,
+          endWidth,
+          edgeWidth,
+          spacing,
+          true
+        );
+        c.stroke();
+        c.end();
+      }
+    }
+  };
+
+  /**
+   * Function: paintMarker
+   *
+   * Paints the marker.
+   */
+  const paintMarker = (
+    c,
+    ptX,
+    ptY,
+    nx,
+    ny,
+    size,
+    arrowWidth,
+    edgeWidth,
+    spacing,
+    initialMove
+  ) => {
+    const widthArrowRatio = edgeWidth / arrowWidth;
+    const orthx = (edgeWidth * ny) / 2;
+    const orthy = (-edgeWidth * nx) / 2;
+
+    const spaceX = (spacing + size) * nx;
+    const spaceY = (spacing + size) * ny;
+
+    if (initialMove) {
+      c.moveTo(ptX - orthx + spaceX, ptY - orthy + spaceY);
+    } else {
+      c.lineTo(ptX - orthx + spaceX, ptY - orthy + spaceY);
+    }
+
+    c.lineTo(
+      ptX - orthx / widthArrowRatio + spaceX,
+      ptY - orthy / widthArrowRatio + spaceY
+    );
+    c.lineTo(ptX + spacing * nx, ptY + spacing * ny);
+    c.lineTo(
+      ptX + orthx / widthArrowRatio + spaceX,
+      ptY + orthy / widthArrowRatio + spaceY
+    );
+    c.lineTo(ptX + orthx + spaceX, ptY + orthy + spaceY);
+  };
+
+  /**
+   * Function: isArrowRounded
+   *
+   * Returns wether the arrow is rounded.
+   */
+  const isArrowRounded = () => _shape.isRounded();
+
+  /**
+   * Function: getStartArrowWidth
+   *
+   * Returns the width of the start arrow from <mxConstants.STYLE_STARTWIDTH>.
+   * Default is <arrowWidth>.
+   */
+  const getStartArrowWidth = () =>
+    getNumber(_shape.getStyle(), STYLE_STARTWIDTH, getArrowWidth());
+
+  /**
+   * Function: getEndArrowWidth
+   *
+   * Returns the width of the end arrow from <mxConstants.STYLE_ENDWIDTH>.
+   * Default is <arrowWidth>.
+   */
+  const getEndArrowWidth = () =>
+    getNumber(_shape.getStyle(), STYLE_ENDWIDTH, getArrowWidth());
+
+  /**
+   * Function: getEdgeWidth
+   *
+   * Returns the width of the body of the edge from <mxConstants.STYLE_WIDTH>.
+   * Default is <mxConstants.ARROW_WIDTH> / 3.
+   */
+  const getEdgeWidth = () =>
+    getNumber(_shape.getStyle(), STYLE_WIDTH, ARROW_WIDTH / 3);
+
+  /**
+   * Function: isOpenEnded
+   *
+   * Returns whether the ends of the shape are drawn.
+   */
+  const isOpenEnded = () => false;
+
+  /**
+   * Function: isMarkerStart
+   *
+   * Returns whether the start marker is drawn.
+   */
+  const isMarkerStart = () =>
+    getValue(_shape.getStyle(), STYLE_STARTARROW, NONE) !== NONE;
+
+  /**
+   * Function: isMarkerEnd
+   *
+   * Returns whether the end marker is drawn.
+   */
+  const isMarkerEnd = () =>
+    getValue(_shape.getStyle(), STYLE_ENDARROW, NONE) !== NONE;
+
+  const me = {
+    getArrowWidth,
+    setArrowWidth,
+    getArrowSpacing,
+    setArrowSpacing,
+    isRoundable,
+    resetStyles,
+    apply,
+    augmentBoundingBox,
+    paintEdgeShape,
+    paintMarker,
+    isArrowRounded,
+    getStartArrowWidth,
+    getEndArrowWidth,
+    getEdgeWidth,
+    isOpenEnded,
+    isMarkerStart,
+    isMarkerEnd
+  };
+
+  const _shape = Shape();
+  extendFrom(_shape)(me);
+
+  _shape.setPoints(points);
+  _shape.setFill(fill);
+  _shape.setStroke(stroke);
+  _shape.setStrokeWidth(strokewidth);
+  _shape.setStartSize(ARROW_SIZE / 5);
+  _shape.setEndSize(ARROW_SIZE / 5);
+  _shape.setUseSvgBoundingBox(true);
+
+  return me;
+};
+
+export default makeComponent(ArrowConnector);
@@ -0,0 +1,112 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, makeComponent } from '../Helpers';
+import { STYLE_MARGIN } from '../util/Constants';
+import Rectangle from '../util/Rectangle';
+import { getNumber } from '../util/Utils';
+import Shape from './Shape';
+
+/**
+ * Class: DoubleEllipse
+ *
+ * Extends <mxShape> to implement a double ellipse shape. This shape is
+ * registered under <mxConstants.SHAPE_DOUBLE_ELLIPSE> in <mxCellRenderer>.
+ *
+ * The distance between the ellipses is defined by <mxConstants.STYLE_MARGIN>.
+ *
+ * Constructor: DoubleEllipse
+ *
+ * Constructs a new double ellipse shape.
+ *
+ * Parameters:
+ *
+ * bounds - <mxRectangle> that defines the bounds. This is stored in
+ * <mxShape.bounds>.
+ * fill - String that defines the fill color. This is stored in <fill>.
+ * stroke - String that defines the stroke color. This is stored in <stroke>.
+ * strokewidth - Optional integer that defines the stroke width. Default is
+ * 1. This is stored in <strokewidth>.
+ */
+const DoubleEllipse = (bounds, fill, stroke, strokewidth = 1) => {
+  /**
+   * Function: paintBackground
+   *
+   * Paints the background.
+   */
+  const paintBackground = (c, x, y, w, h) => {
+    c.ellipse(x, y, w, h);
+    c.fillAndStroke();
+  };
+
+  /**
+   * Function: paintForeground
+   *
+   * Paints the foreground.
+   */
+  const paintForeground = (c, x, y, w, h) => {
+    if (!_shape.isOutline()) {
+      const margin = getNumber(
+        _shape.getStyle(),
+        STYLE_MARGIN,
+        Math.min(3 + _shape.getStrokeWidth(), Math.min(w / 5, h / 5))
+      );
+      x += margin;
+      y += margin;
+      w -= 2 * margin;
+      h -= 2 * margin;
+
+      if (w > 0 && h > 0) {
+        c.ellipse(x, y, w, h);
+      }
+
+      c.stroke();
+    }
+  };
+
+  /**
+   * Function: getLabelBounds
+   *
+   * Returns the bounds for the label.
+   */
+  const getLabelBounds = (rect) => {
+    const s = _shape.getScale();
+    const margin =
+      getNumber(
+        _shape.getStyle(),
+        STYLE_MARGIN,
+        Math.min(
+          3 + _shape.getStrokeWidth(),
+          Math.min(rect.getWidth() / 5 / s, rect.getHeight() / 5 / s)
+        )
+      ) * s;
+
+    return Rectangle(
+      rect.getX() + margin,
+      rect.getY() + margin,
+      rect.getWidth() - 2 * margin,
+      rect.getHeight() - 2 * margin
+    );
+  };
+
+  const me = {
+    paintBackground,
+    paintForeground,
+    getLabelBounds
+  };
+
+  const _shape = Shape();
+  extendFrom(_shape)(me);
+
+  _shape.setBounds(bounds);
+  _shape.setFill(fill);
+  _shape.setStroke(stroke);
+  _shape.setStrokeWidth(strokewidth);
+
+  return me;
+};
+
+export default makeComponent(DoubleEllipse);
@@ -0,0 +1,76 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { extendFrom, makeComponent } from '../Helpers';
+import { LINE_ARCSIZE, STYLE_ARCSIZE } from '../util/Constants';
+import Point from '../util/Point';
+import { getValue } from '../util/Utils';
+import Actor from './Actor';
+
+/**
+ * Class: Hexagon
+ *
+ * Implementation of the hexagon shape. This shape is registered under
+ * <mxConstants.SHAPE_HEXAGON> in <mxCellRenderer> and should be used with
+ * <mxPerimeter.HexagonPerimeter>.
+ *
+ * Constructor: Hexagon
+ *
+ * Constructs a new hexagon shape.
+ *
+ * Parameters:
+ *
+ * bounds - <mxRectangle> that defines the bounds. This is stored in
+ * <mxShape.bounds>.
+ * fill - String that defines the fill color. This is stored in <fill>.
+ * stroke - String that defines the stroke color. This is stored in <stroke>.
+ * strokewidth - Optional integer that defines the stroke width. Default is
+ * 1. This is stored in <strokewidth>.
+ */
+const Hexagon = (bounds, fill, stroke, strokewidth = 1) => {
+  /**
+   * Function: isRoundable
+   *
+   * Adds roundable support.
+   */
+  const isRoundable = () => true;
+
+  /**
+   * Function: redrawPath
+   *
+   * Draws the path for this shape.
+   */
+  const redrawPath = (c, x, y, w, h) => {
+    const arcSize =
+      getValue(_actor.getStyle(), STYLE_ARCSIZE, LINE_ARCSIZE) / 2;
+    _actor.addPoints(
+      c,
+      [
+        Point(0.25 * w, 0),
+        Point(0.75 * w, 0),
+        Point(w, 0.5 * h),
+        Point(0.75 * w, h),
+        Point(0.25 * w, h),
+        Point(0, 0.5 * h)
+      ],
+      _actor.isRounded(),
+      arcSize,
+      true
+    );
+  };
+
+  const me = {
+    isRoundable,
+    redrawPath
+  };
+
+  const _actor = Actor(bounds, fill, stroke, strokewidth);
+  extendFrom(_actor)(me);
+
+  return me;
+};
+
+export default makeComponent(Hexagon);
@@ -0,0 +1,283 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, makeComponent } from '../Helpers';
+import {
+  ALIGN_BOTTOM,
+  ALIGN_CENTER,
+  ALIGN_LEFT,
+  ALIGN_MIDDLE,
+  ALIGN_RIGHT,
+  ALIGN_TOP,
+  DEFAULT_IMAGESIZE,
+  STYLE_IMAGE_ALIGN,
+  STYLE_IMAGE_HEIGHT,
+  STYLE_IMAGE_VERTICAL_ALIGN,
+  STYLE_IMAGE_WIDTH,
+  STYLE_INDICATOR_HEIGHT,
+  STYLE_INDICATOR_WIDTH,
+  STYLE_SPACING
+} from '../util/Constants';
+import Rectangle from '../util/Rectangle';
+import { getNumber, getValue } from '../util/Utils';
+import RectangleShape from './RectangleShape';
+
+/**
+ * Class: Label
+ *
+ * Extends <mxShape> to implement an image shape with a label.
+ * This shape is registered under <mxConstants.SHAPE_LABEL> in
+ * <mxCellRenderer>.
+ *
+ * Constructor: Label
+ *
+ * Constructs a new label shape.
+ *
+ * Parameters:
+ *
+ * bounds - <mxRectangle> that defines the bounds. This is stored in
+ * <mxShape.bounds>.
+ * fill - String that defines the fill color. This is stored in <fill>.
+ * stroke - String that defines the stroke color. This is stored in <stroke>.
+ * strokewidth - Optional integer that defines the stroke width. Default is
+ * 1. This is stored in <strokewidth>.
+ */
+const Label = (bounds, fill, stroke, strokewidth = 1) => {
+  /**
+   * Variable: imageSize
+   *
+   * Default width and height for the image. Default is
+   * <mxConstants.DEFAULT_IMAGESIZE>.
+   */
+  const [getImageSize, setImageSize] = addProp(DEFAULT_IMAGESIZE);
+
+  /**
+   * Variable: spacing
+   *
+   * Default value for image spacing. Default is 2.
+   */
+  const [getSpacing, setSpacing] = addProp(2);
+
+  /**
+   * Variable: indicatorSize
+   *
+   * Default width and height for the indicator. Default is 10.
+   */
+  const [getIndicatorSize, setIndicatorSize] = addProp(10);
+
+  /**
+   * Variable: indicatorSpacing
+   *
+   * Default spacing between image and indicator. Default is 2.
+   */
+  const [getIndicatorSpacing, setIndicatorSpacing] = addProp(2);
+
+  /**
+   * Function: init
+   *
+   * Initializes the shape and the <indicator>.
+   */
+  const init = (container) => {
+    _rectangle.init(container);
+
+    const indicatorShape = _rectangle.getIndicatorShape();
+
+    if (isSet(indicatorShape)) {
+      const indicator = _rectangle.setIndicator(indicatorShape());
+      indicator.init(_rectangle.getNode());
+    }
+  };
+
+  /**
+   * Function: redraw
+   *
+   * Reconfigures this shape. This will update the colors of the indicator
+   * and reconfigure it if required.
+   */
+  const redraw = () => {
+    const indicator = _rectangle.getIndicator();
+
+    if (isSet(indicator)) {
+      indicator.setFill(_rectangle.getIndicatorColor());
+      indicator.setStroke(_rectangle.getIndicatorStrokeColor());
+      indicator.setGradient(_rectangle.getIndicatorGradientColor());
+      indicator.setDirection(_rectangle.getIndicatorDirection());
+      indicator.redraw();
+    }
+
+    _rectangle.redraw();
+  };
+
+  /**
+   * Function: isHtmlAllowed
+   *
+   * Returns true for non-rounded, non-rotated shapes with no glass gradient
+   * and no indicator shape.
+   */
+  const isHtmlAllowed = () =>
+    _rectangle.isHtmlAllowed() &&
+    !isSet(_rectangle.getIndicatorColor()) &&
+    !isSet(_rectangle.getIndicatorShape());
+
+  /**
+   * Function: paintForeground
+   *
+   * Paints the image and the indicator before the foreground of the
+   * rectangle.
+   */
+  const paintForeground = (c, x, y, w, h) => {
+    paintImage(c, x, y, w, h);
+    paintIndicator(c, x, y, w, h);
+    _rectangle.paintForeground(c, x, y, w, h);
+  };
+
+  /**
+   * Function: paintImage
+   *
+   * Paints the <image> in the bounds returned by <getImageBounds>.
+   */
+  const paintImage = (c, x, y, w, h) => {
+    const image = _rectangle.getImage();
+
+    if (isSet(image)) {
+      const bounds = me.resolve('getImageBounds')(x, y, w, h);
+      c.image(
+        bounds.getX(),
+        bounds.getY(),
+        bounds.getWidth(),
+        bounds.getHeight(),
+        image,
+        false,
+        false,
+        false
+      );
+    }
+  };
+
+  /**
+   * Function: getImageBounds
+   *
+   * Returns the bounds of the image based on <mxConstants.STYLE_IMAGE_ALIGN>,
+   * <mxConstants.STYLE_IMAGE_VERTICAL_ALIGN> and the image size in the style.
+   */
+  const getImageBounds = (x, y, w, h) => {
+    const style = _rectangle.getStyle();
+    const align = getValue(style, STYLE_IMAGE_ALIGN, ALIGN_LEFT);
+    const valign = getValue(style, STYLE_IMAGE_VERTICAL_ALIGN, ALIGN_MIDDLE);
+    const width = getNumber(style, STYLE_IMAGE_WIDTH, DEFAULT_IMAGESIZE);
+    const height = getNumber(style, STYLE_IMAGE_HEIGHT, DEFAULT_IMAGESIZE);
+    const spacing = getNumber(style, STYLE_SPACING, getSpacing()) + 5;
+
+    if (align === ALIGN_CENTER) {
+      x += (w - width) / 2;
+    } else if (align === ALIGN_RIGHT) {
+      x += w - width - spacing;
+    } else {
+      // default is left
+      x += spacing;
+    }
+
+    if (valign === ALIGN_TOP) {
+      y += spacing;
+    } else if (valign === ALIGN_BOTTOM) {
+      y += h - height - spacing;
+    } else {
+      // default is middle
+      y += (h - height) / 2;
+    }
+
+    return Rectangle(x, y, width, height);
+  };
+
+  /**
+   * Function: paintIndicator
+   *
+   * Paints the <indicator> shape or the indicator image in the bounds
+   * returned by <getIndicatorBounds>.
+   */
+  const paintIndicator = (c, x, y, w, h) => {
+    const indicator = _rectangle.getIndicator();
+    const indicatorImage = _rectangle.getIndicatorImage();
+
+    if (isSet(indicator)) {
+      indicator.setBounds(me.resolve('getIndicatorBounds')(x, y, w, h));
+      indicator.paint(c);
+    } else if (isSet(indicatorImage)) {
+      const bounds = me.resolve('getIndicatorBounds')(x, y, w, h);
+      c.image(
+        bounds.getX(),
+        bounds.getY(),
+        bounds.getWidth(),
+        bounds.getHeight(),
+        indicatorImage,
+        false,
+        false,
+        false
+      );
+    }
+  };
+
+  /**
+   * Function: getIndicatorBounds
+   *
+   * Returns the bounds of the indicator based on the image alignment and
+   * <mxConstants.STYLE_INDICATOR_WIDTH> and <mxConstants.STYLE_INDICATOR_HEIGHT>.
+   */
+  const getIndicatorBounds = (x, y, w, h) => {
+    const style = _rectangle.getStyle();
+    const align = getValue(style, STYLE_IMAGE_ALIGN, ALIGN_LEFT);
+    const valign = getValue(style, STYLE_IMAGE_VERTICAL_ALIGN, ALIGN_MIDDLE);
+    const width = getNumber(style, STYLE_INDICATOR_WIDTH, getIndicatorSize());
+    const height = getNumber(style, STYLE_INDICATOR_HEIGHT, getIndicatorSize());
+    const spacing = getSpacing() + 5;
+
+    if (align === ALIGN_RIGHT) {
+      x += w - width - spacing;
+    } else if (align === ALIGN_CENTER) {
+      x += (w - width) / 2;
+    } else {
+      // default is left
+      x += spacing;
+    }
+
+    if (valign === ALIGN_BOTTOM) {
+      y += h - height - spacing;
+    } else if (valign === ALIGN_TOP) {
+      y += spacing;
+    } else {
+      // default is middle
+      y += (h - height) / 2;
+    }
+
+    return Rectangle(x, y, width, height);
+  };
+
+  const me = {
+    getImageSize,
+    setImageSize,
+    getSpacing,
+    setSpacing,
+    getIndicatorSize,
+    setIndicatorSize,
+    getIndicatorSpacing,
+    setIndicatorSpacing,
+    init,
+    redraw,
+    isHtmlAllowed,
+    paintForeground,
+    paintImage,
+    getImageBounds,
+    paintIndicator,
+    getIndicatorBounds
+  };
+
+  const _rectangle = RectangleShape(bounds, fill, stroke, strokewidth);
+  extendFrom(_rectangle)(me);
+
+  return me;
+};
+
+export default makeComponent(Label);
@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, makeComponent } from '../Helpers';
+import Shape from './Shape';
+
+/**
+ * Class: Line
+ *
+ * Extends <mxShape> to implement a horizontal line shape. The line is rotated
+ * by <mxShape.direction>.
+ * This shape is registered under <mxConstants.SHAPE_LINE> in
+ * <mxCellRenderer>.
+ *
+ * Constructor: Line
+ *
+ * Constructs a new line shape.
+ *
+ * Parameters:
+ *
+ * bounds - <mxRectangle> that defines the bounds. This is stored in
+ * <mxShape.bounds>.
+ * stroke - String that defines the stroke color. This is stored in <stroke>.
+ * strokewidth - Optional integer that defines the stroke width. Default is
+ * 1. This is stored in <strokewidth>.
+ * vertical - Optional boolean that specifies if the line is vertical.
+ * Default is false.
+ */
+const Line = (bounds, stroke, strokewidth = 1, vertical = false) => {
+  /**
+   * Variable: vertical
+   *
+   * Whether to paint a vertical line.
+   */
+  const [isVertical, setVertical] = addProp(vertical);
+
+  /**
+   * Function: paintVertexShape
+   *
+   * Paints the line shape.
+   */
+  const paintVertexShape = (c, x, y, w, h) => {
+    c.begin();
+
+    if (isVertical()) {
+      const mid = x + w / 2;
+      c.moveTo(mid, y);
+      c.lineTo(mid, y + h);
+    } else {
+      const mid = y + h / 2;
+      c.moveTo(x, mid);
+      c.lineTo(x + w, mid);
+    }
+
+    c.stroke();
+  };
+
+  const me = {
+    isVertical,
+    setVertical,
+    paintVertexShape
+  };
+
+  const _shape = Shape();
+  extendFrom(_shape)(me);
+
+  _shape.setBounds(bounds);
+  _shape.setStroke(stroke);
+  _shape.setStrokeWidth(strokewidth);
+
+  return me;
+};
+
+export default makeComponent(Line);
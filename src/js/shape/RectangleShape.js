@@ -4,7 +4,7 @@
  * Copyright (c) 2021, Junsik Shim
  */
 
-import { extendFrom, isSet, makeComponent } from '../Helpers';
+import { extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
 import {
   LINE_ARCSIZE,
   NONE,
@@ -124,16 +124,19 @@ const RectangleShape = (bounds, fill, stroke, strokeWidth = 1) => {
     if (
       _shape.isGlass() &&
       !_shape.isOutline() &&
-      isSet(getFill()) &&
-      getFill() !== NONE
+      isSet(_shape.getFill()) &&
+      _shape.getFill() !== NONE
     ) {
-      paintGlassEffect(
+      _shape.paintGlassEffect(
         c,
         x,
         y,
         w,
         h,
-        getArcSize(w + getStrokeWidth(), h + getStrokeWidth())
+        _shape.getArcSize(
+          w + _shape.getStrokeWidth(),
+          h + _shape.getStrokeWidth()
+        )
       );
     }
   };
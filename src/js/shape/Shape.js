@@ -272,6 +272,7 @@ const Shape = (stencil) => {
   const [getIndicatorDirection, setIndicatorDirection] = addProp();
   const [getIndicatorImage, setIndicatorImage] = addProp();
   const [getIndicatorShape, setIndicatorShape] = addProp();
+  const [getIndicator, setIndicator] = addProp();
   const [getOldGradients, setOldGradients] = addProp();
   const [getConstraints, setConstraints] = addProp();
 
@@ -893,7 +894,7 @@ const Shape = (stencil) => {
     const gradient = getGradient();
 
     if (isSet(fill) && fill !== NONE && isSet(gradient) && gradient !== NONE) {
-      var b = getGradientBounds(c, x, y, w, h);
+      var b = me.resolve('getGradientBounds')(c, x, y, w, h);
       c.setGradient(
         fill,
         gradient,
@@ -1291,7 +1292,7 @@ const Shape = (stencil) => {
       let bbox = createBoundingBox();
 
       if (isSet(bbox)) {
-        augmentBoundingBox(bbox);
+        me.resolve('augmentBoundingBox')(bbox);
         const rot = getShapeRotation();
 
         if (rot !== 0) {
@@ -1548,6 +1549,8 @@ const Shape = (stencil) => {
     setIndicatorImage,
     getIndicatorShape,
     setIndicatorShape,
+    getIndicator,
+    setIndicator,
     getNode,
     getScale,
     setScale,
@@ -1581,6 +1584,14 @@ const Shape = (stencil) => {
     setSvgStrokeTolerance,
     getFill,
     setFill,
+    getGradient,
+    setGradient,
+    getDirection,
+    setDirection,
+    getStartSize,
+    setStartSize,
+    getEndSize,
+    setEndSize,
     isOutline,
     setOutline,
     getSvgPointerEvents,
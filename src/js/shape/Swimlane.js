@@ -0,0 +1,485 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import {
+  DEFAULT_STARTSIZE,
+  DIRECTION_EAST,
+  DIRECTION_NORTH,
+  DIRECTION_SOUTH,
+  DIRECTION_WEST,
+  LINE_ARCSIZE,
+  NONE,
+  RECTANGLE_ROUNDING_FACTOR,
+  STYLE_ABSOLUTE_ARCSIZE,
+  STYLE_ARCSIZE,
+  STYLE_DIRECTION,
+  STYLE_FLIPH,
+  STYLE_FLIPV,
+  STYLE_HORIZONTAL,
+  STYLE_POINTER_EVENTS,
+  STYLE_SEPARATORCOLOR,
+  STYLE_STARTSIZE,
+  STYLE_SWIMLANE_FILLCOLOR,
+  STYLE_SWIMLANE_LINE
+} from '../util/Constants';
+import Rectangle from '../util/Rectangle';
+import { getValue } from '../util/Utils';
+import Shape from './Shape';
+
+/**
+ * Class: Swimlane
+ *
+ * Extends <mxShape> to implement a swimlane shape. This shape is registered
+ * under <mxConstants.SHAPE_SWIMLANE> in <mxCellRenderer>. Use the
+ * <mxConstants.STYLE_STYLE_STARTSIZE> to define the size of the title
+ * region, <mxConstants.STYLE_SWIMLANE_FILLCOLOR> for the content area fill,
+ * <mxConstants.STYLE_SEPARATORCOLOR> to draw an additional vertical separator
+ * and <mxConstants.STYLE_SWIMLANE_LINE> to hide the line between the title
+ * region and the content area. The <mxConstants.STYLE_HORIZONTAL> affects
+ * the orientation of this shape, not only its label.
+ *
+ * Constructor: Swimlane
+ *
+ * Constructs a new swimlane shape.
+ *
+ * Parameters:
+ *
+ * bounds - <mxRectangle> that defines the bounds. This is stored in
+ * <mxShape.bounds>.
+ * fill - String that defines the fill color. This is stored in <fill>.
+ * stroke - String that defines the stroke color. This is stored in <stroke>.
+ * strokewidth - Optional integer that defines the stroke width. Default is
+ * 1. This is stored in <strokewidth>.
+ */
+const Swimlane = (bounds, fill, stroke, strokewidth = 1) => {
+  /**
+   * Variable: imageSize
+   *
+   * Default imagewidth and imageheight if an image but no imagewidth
+   * and imageheight are defined in the style. Value is 16.
+   */
+  const [getImageSize, setImageSize] = addProp(16);
+
+  /**
+   * Function: isRoundable
+   *
+   * Adds roundable support.
+   */
+  const isRoundable = (c, x, y, w, h) => true;
+
+  /**
+   * Function: getTitleSize
+   *
+   * Returns the title size.
+   */
+  const getTitleSize = () =>
+    Math.max(
+      0,
+      getValue(_shape.getStyle(), STYLE_STARTSIZE, DEFAULT_STARTSIZE)
+    );
+
+  /**
+   * Function: getLabelBounds
+   *
+   * Returns the bounds of the title region, which matches the start size
+   * returned by <mxGraph.getActualStartSize>.
+   */
+  const getLabelBounds = (rect) => {
+    const style = _shape.getStyle();
+    const direction = getValue(style, STYLE_DIRECTION, DIRECTION_EAST);
+    const start = getTitleSize();
+    const bounds = Rectangle(
+      rect.getX(),
+      rect.getY(),
+      rect.getWidth(),
+      rect.getHeight()
+    );
+    const horizontal = isHorizontal();
+    const flipH = getValue(style, STYLE_FLIPH, 0) == 1;
+    const flipV = getValue(style, STYLE_FLIPV, 0) == 1;
+
+    // East is default
+    const shapeVertical =
+      direction === DIRECTION_NORTH || direction === DIRECTION_SOUTH;
+    const realHorizontal = horizontal === !shapeVertical;
+
+    const realFlipH =
+      !realHorizontal &&
+      flipH !== (direction === DIRECTION_SOUTH || direction === DIRECTION_WEST);
+    const realFlipV =
+      realHorizontal &&
+      flipV !== (direction === DIRECTION_SOUTH || direction === DIRECTION_WEST);
+
+    // Shape is horizontal
+    if (!shapeVertical) {
+      const tmp = Math.min(bounds.getHeight(), start * _shape.getScale());
+
+      if (realFlipH || realFlipV) {
+        bounds.setY(bounds.getY() + bounds.getHeight() - tmp);
+      }
+
+      bounds.setHeight(tmp);
+    } else {
+      const tmp = Math.min(bounds.getWidth(), start * _shape.getScale());
+
+      if (realFlipH || realFlipV) {
+        bounds.setX(bounds.getX() + bounds.getWidth() - tmp);
+      }
+
+      bounds.setWidth(tmp);
+    }
+
+    return bounds;
+  };
+
+  /**
+   * Function: getGradientBounds
+   *
+   * Returns the bounding box for the gradient box for this shape.
+   */
+  const getGradientBounds = (c, x, y, w, h) => {
+    const start = getTitleSize();
+
+    if (isHorizontal()) {
+      return Rectangle(x, y, w, Math.min(start, h));
+    } else {
+      return Rectangle(x, y, Math.min(start, w), h);
+    }
+  };
+
+  /**
+   * Function: getSwimlaneArcSize
+   *
+   * Returns the arcsize for the swimlane.
+   */
+  const getSwimlaneArcSize = (w, h, start) => {
+    const style = _shape.getStyle();
+
+    if (getValue(style, STYLE_ABSOLUTE_ARCSIZE, 0) == 1) {
+      return Math.min(
+        w / 2,
+        Math.min(h / 2, getValue(style, STYLE_ARCSIZE, LINE_ARCSIZE) / 2)
+      );
+    } else {
+      const f =
+        getValue(style, STYLE_ARCSIZE, RECTANGLE_ROUNDING_FACTOR * 100) / 100;
+
+      return start * f * 3;
+    }
+  };
+
+  /**
+   * Function: isHorizontal
+   *
+   * Returns true if the title region is at the top of the shape.
+   */
+  const isHorizontal = () =>
+    getValue(_shape.getStyle(), STYLE_HORIZONTAL, 1) == 1;
+
+  /**
+   * Function: paintVertexShape
+   *
+   * Paints the swimlane vertex shape.
+   */
+  const paintVertexShape = (c, x, y, w, h) => {
+    const style = _shape.getStyle();
+    const fill = getValue(style, STYLE_SWIMLANE_FILLCOLOR, NONE);
+    const swimlaneLine = getValue(style, STYLE_SWIMLANE_LINE, 1) == 1;
+    let start = getTitleSize();
+    let r = 0;
+
+    if (isHorizontal()) {
+      start = Math.min(start, h);
+    } else {
+      start = Math.min(start, w);
+    }
+
+    c.translate(x, y);
+
+    if (!_shape.isRounded()) {
+      paintSwimlane(c, x, y, w, h, start, fill, swimlaneLine);
+    } else {
+      r = getSwimlaneArcSize(w, h, start);
+      r = Math.min((isHorizontal() ? h : w) - start, Math.min(start, r));
+      paintRoundedSwimlane(c, x, y, w, h, start, r, fill, swimlaneLine);
+    }
+
+    const sep = getValue(style, STYLE_SEPARATORCOLOR, NONE);
+    paintSeparator(c, x, y, w, h, start, sep);
+
+    if (isSet(_shape.getImage())) {
+      const bounds = getImageBounds(x, y, w, h);
+      c.image(
+        bounds.getX() - x,
+        bounds.getY() - y,
+        bounds.getWidth(),
+        bounds.getHeight(),
+        _shape.getImage(),
+        false,
+        false,
+        false
+      );
+    }
+
+    if (_shape.isGlass()) {
+      c.setShadow(false);
+      _shape.paintGlassEffect(c, 0, 0, w, start, r);
+    }
+  };
+
+  /**
+   * Function: configurePointerEvents
+   *
+   * Disables pointer events on the canvas if <mxConstants.STYLE_POINTER_EVENTS>
+   * is 0 and the shape is not filled.
+   */
+  const configurePointerEvents = (c) => {
+    const style = _shape.getStyle();
+    let events = true;
+
+    if (isSet(style)) {
+      events = getValue(style, STYLE_POINTER_EVENTS, '1') == 1;
+    }
+
+    if (!events && (isUnset(_shape.getFill()) || _shape.getFill() === NONE)) {
+      c.setPointerEvents(false);
+    }
+
+    return events;
+  };
+
+  /**
+   * Function: paintContent
+   *
+   * Fills the content area of the swimlane with the given fill color after
+   * the path of the content area has been added to the given canvas.
+   */
+  const paintContent = (c, fill, events, path) => {
+    if (fill === NONE || !events) {
+      c.setPointerEvents(false);
+    }
+
+    if (fill !== NONE) {
+      c.setFillColor(fill);
+    }
+
+    c.begin();
+    path();
+
+    if (fill === NONE) {
+      c.stroke();
+    } else {
+      c.fillAndStroke();
+    }
+  };
+
+  /**
+   * Function: paintSwimlane
+   *
+   * Paints the swimlane vertex shape.
+   */
+  const paintSwimlane = (c, x, y, w, h, start, fill, swimlaneLine) => {
+    c.begin();
+
+    const events = configurePointerEvents(c);
+
+    if (isHorizontal()) {
+      c.moveTo(0, start);
+      c.lineTo(0, 0);
+      c.lineTo(w, 0);
+      c.lineTo(w, start);
+      c.fillAndStroke();
+
+      if (start < h) {
+        paintContent(c, fill, events, () => {
+          c.moveTo(0, start);
+          c.lineTo(0, h);
+          c.lineTo(w, h);
+          c.lineTo(w, start);
+        });
+      }
+    } else {
+      c.moveTo(start, 0);
+      c.lineTo(0, 0);
+      c.lineTo(0, h);
+      c.lineTo(start, h);
+      c.fillAndStroke();
+
+      if (start < w) {
+        paintContent(c, fill, events, () => {
+          c.moveTo(start, 0);
+          c.lineTo(w, 0);
+          c.lineTo(w, h);
+          c.lineTo(start, h);
+        });
+      }
+    }
+
+    if (swimlaneLine) {
+      paintDivider(c, x, y, w, h, start, fill === NONE);
+    }
+  };
+
+  /**
+   * Function: paintRoundedSwimlane
+   *
+   * Paints the swimlane vertex shape.
+   */
+  const paintRoundedSwimlane = (
+    c,
+    x,
+    y,
+    w,
+    h,
+    start,
+    r,
+    fill,
+    swimlaneLine
+  ) => {
+    c.begin();
+
+    const events = configurePointerEvents(c);
+
+    if (isHorizontal()) {
+      c.moveTo(w, start);
+      c.lineTo(w, r);
+      c.quadTo(w, 0, w - Math.min(w / 2, r), 0);
+      c.lineTo(Math.min(w / 2, r), 0);
+      c.quadTo(0, 0, 0, r);
+      c.lineTo(0, start);
+      c.fillAndStroke();
+
+      if (start < h) {
+        paintContent(c, fill, events, () => {
+          c.moveTo(0, start);
+          c.lineTo(0, h - r);
+          c.quadTo(0, h, Math.min(w / 2, r), h);
+          c.lineTo(w - Math.min(w / 2, r), h);
+          c.quadTo(w, h, w, h - r);
+          c.lineTo(w, start);
+        });
+      }
+    } else {
+      c.moveTo(start, 0);
+      c.lineTo(r, 0);
+      c.quadTo(0, 0, 0, Math.min(h / 2, r));
+      c.lineTo(0, h - Math.min(h / 2, r));
+      c.quadTo(0, h, r, h);
+      c.lineTo(start, h);
+      c.fillAndStroke();
+
+      if (start < w) {
+        paintContent(c, fill, events, () => {
+          c.moveTo(start, h);
+          c.lineTo(w - r, h);
+          c.quadTo(w, h, w, h - Math.min(h / 2, r));
+          c.lineTo(w, Math.min(h / 2, r));
+          c.quadTo(w, 0, w - r, 0);
+          c.lineTo(start, 0);
+        });
+      }
+    }
+
+    if (swimlaneLine) {
+      paintDivider(c, x, y, w, h, start, fill === NONE);
+    }
+  };
+
+  /**
+   * Function: paintDivider
+   *
+   * Paints the divider between swimlane title and content area.
+   */
+  const paintDivider = (c, x, y, w, h, start, shadow) => {
+    if (!shadow) {
+      c.setShadow(false);
+    }
+
+    c.begin();
+
+    if (isHorizontal()) {
+      c.moveTo(0, start);
+      c.lineTo(w, start);
+    } else {
+      c.moveTo(start, 0);
+      c.lineTo(start, h);
+    }
+
+    c.stroke();
+  };
+
+  /**
+   * Function: paintSeparator
+   *
+   * Paints the vertical or horizontal separator line between swimlanes.
+   */
+  const paintSeparator = (c, x, y, w, h, start, color) => {
+    if (color !== NONE) {
+      c.setStrokeColor(color);
+      c.setDashed(true);
+      c.begin();
+
+      if (isHorizontal()) {
+        c.moveTo(w, start);
+        c.lineTo(w, h);
+      } else {
+        c.moveTo(start, 0);
+        c.lineTo(w, 0);
+      }
+
+      c.stroke();
+      c.setDashed(false);
+    }
+  };
+
+  /**
+   * Function: getImageBounds
+   *
+   * Returns the bounds of the image in the title region.
+   */
+  const getImageBounds = (x, y, w, h) => {
+    if (isHorizontal()) {
+      return Rectangle(
+        x + w - getImageSize(),
+        y,
+        getImageSize(),
+        getImageSize()
+      );
+    } else {
+      return Rectangle(x, y, getImageSize(), getImageSize());
+    }
+  };
+
+  const me = {
+    getImageSize,
+    setImageSize,
+    isRoundable,
+    getTitleSize,
+    getLabelBounds,
+    getGradientBounds,
+    getSwimlaneArcSize,
+    isHorizontal,
+    paintVertexShape,
+    paintSwimlane,
+    paintRoundedSwimlane,
+    paintDivider,
+    paintSeparator,
+    getImageBounds
+  };
+
+  const _shape = Shape();
+  extendFrom(_shape)(me);
+
+  _shape.setBounds(bounds);
+  _shape.setFill(fill);
+  _shape.setStroke(stroke);
+  _shape.setStrokeWidth(strokewidth);
+
+  return me;
+};
+
+export default makeComponent(Swimlane);
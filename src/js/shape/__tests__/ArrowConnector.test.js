@@ -0,0 +1,93 @@
+import { SHAPE_ARROW, SHAPE_ARROW_CONNECTOR } from '../../util/Constants';
+import Point from '../../util/Point';
+import Rectangle from '../../util/Rectangle';
+import CellRenderer from '../../view/CellRenderer';
+import Arrow from '../Arrow';
+import ArrowConnector from '../ArrowConnector';
+import { createCanvas } from './Helpers';
+
+const named = (c, name) => c.calls.filter(([n]) => n === name);
+
+test('register the arrow shapes by default', () => {
+  const renderer = CellRenderer();
+
+  expect(renderer.getShape(SHAPE_ARROW)).toBeDefined();
+  expect(renderer.getShape(SHAPE_ARROW_CONNECTOR)).toBeDefined();
+});
+
+test('paint a block arrow between the end points', () => {
+  const c = createCanvas();
+  const pts = [Point(0, 0), Point(100, 0)];
+
+  Arrow(pts).paintEdgeShape(c, pts);
+
+  expect(c.calls).toEqual([
+    ['begin'],
+    ['moveTo', 0, 5],
+    ['lineTo', 0, -5],
+    ['lineTo', 70, -5],
+    ['lineTo', 70, -15],
+    ['lineTo', 100, 0],
+    ['lineTo', 70, 15],
+    ['lineTo', 70, 5],
+    ['close'],
+    ['fillAndStroke']
+  ]);
+});
+
+test('paint the body with the configured width and arrow sizes', () => {
+  const c = createCanvas();
+  const pts = [Point(0, 0), Point(100, 0)];
+  const shape = ArrowConnector(pts, 'white', 'black', 0);
+
+  shape.setStyle({
+    width: 10,
+    endWidth: '20',
+    endArrow: 'block'
+  });
+  shape.setEndSize(12);
+  shape.paintEdgeShape(c, pts);
+
+  expect(c.calls.slice(0, 8)).toEqual([
+    ['begin'],
+    ['moveTo', 0, 5],
+    ['lineTo', 0, -5],
+    ['lineTo', 88, -5],
+    ['lineTo', 88, -10],
+    ['lineTo', 100, 0],
+    ['lineTo', 88, 10],
+    ['lineTo', 88, 5]
+  ]);
+  expect(named(c, 'fillAndStroke').length).toBe(1);
+});
+
+test('follow the waypoints with rounded joints', () => {
+  const pts = [Point(0, 0), Point(100, 0), Point(100, 100)];
+  const sharp = createCanvas();
+  const rounded = createCanvas();
+  const shape = ArrowConnector(pts);
+
+  shape.setStyle({ startArrow: 'block', endArrow: 'block' });
+  shape.paintEdgeShape(sharp, pts);
+
+  shape.setRounded(true);
+  shape.paintEdgeShape(rounded, pts);
+
+  expect(named(sharp, 'quadTo').length).toBe(0);
+  expect(named(sharp, 'setMiterLimit')[0]).toEqual(['setMiterLimit', 1.42]);
+  expect(named(rounded, 'quadTo').length).toBe(1);
+  expect(named(rounded, 'setLineJoin')[0]).toEqual(['setLineJoin', 'round']);
+
+  // Markers are repainted after the body if there are waypoints
+  expect(named(rounded, 'stroke').length).toBe(2);
+});
+
+test('grow the bounding box by the widest arrow', () => {
+  const shape = ArrowConnector([Point(0, 0), Point(100, 0)], null, null, 0);
+  const bbox = Rectangle(0, 0, 100, 0);
+
+  shape.setStyle({ width: 10, startWidth: 40, startArrow: 'block' });
+  shape.augmentBoundingBox(bbox);
+
+  expect([bbox.getY(), bbox.getHeight()]).toEqual([-20, 40]);
+});
@@ -0,0 +1,21 @@
+/**
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+/**
+ * Function: createCanvas
+ *
+ * Returns a canvas that records all calls as <code>[name, ...args]</code>
+ * in its calls array.
+ */
+export const createCanvas = () => {
+  const calls = [];
+
+  return new Proxy(
+    { calls },
+    {
+      get: (target, name) =>
+        name === 'calls' ? calls : (...args) => calls.push([name, ...args])
+    }
+  );
+};
@@ -0,0 +1,100 @@
+import { NS_SVG, SHAPE_LABEL } from '../../util/Constants';
+import Rectangle from '../../util/Rectangle';
+import CellRenderer from '../../view/CellRenderer';
+import Graph from '../../view/Graph';
+import Ellipse from '../Ellipse';
+import Label from '../Label';
+import { createCanvas } from './Helpers';
+
+test('register the label shape by default', () => {
+  expect(CellRenderer().getShape(SHAPE_LABEL)).toBeDefined();
+});
+
+test('place the image using the image alignment', () => {
+  const shape = Label(Rectangle(0, 0, 200, 60));
+  const bounds = (style) => {
+    shape.setStyle(style);
+    const b = shape.getImageBounds(10, 20, 200, 60);
+
+    return [b.getX(), b.getY(), b.getWidth(), b.getHeight()];
+  };
+
+  expect(bounds({})).toEqual([17, 38, 24, 24]);
+  expect(bounds({ imageAlign: 'right', imageVerticalAlign: 'top' })).toEqual([
+    179,
+    27,
+    24,
+    24
+  ]);
+  expect(
+    bounds({ imageAlign: 'center', imageWidth: 40, imageHeight: '20' })
+  ).toEqual([90, 40, 40, 20]);
+});
+
+test('paint the image and the indicator image', () => {
+  const c = createCanvas();
+  const shape = Label(Rectangle(0, 0, 200, 60));
+
+  shape.setStyle({ imageAlign: 'right' });
+  shape.setImage('image.png');
+  shape.setIndicatorImage('indicator.png');
+  shape.paintForeground(c, 0, 0, 200, 60);
+
+  expect(c.calls).toEqual([
+    ['image', 169, 18, 24, 24, 'image.png', false, false, false],
+    ['image', 183, 25, 10, 10, 'indicator.png', false, false, false]
+  ]);
+});
+
+test('paint the indicator shape', () => {
+  const c = createCanvas();
+  const shape = Label(Rectangle(0, 0, 200, 60));
+
+  shape.setStyle({ indicatorWidth: 20, indicatorHeight: 20 });
+  shape.setIndicator(Ellipse());
+  shape.paintIndicator(c, 0, 0, 200, 60);
+
+  const bounds = shape.getIndicator().getBounds();
+
+  expect([bounds.getX(), bounds.getY()]).toEqual([7, 20]);
+  expect(c.calls).toContainEqual(['ellipse', 7, 20, 20, 20]);
+});
+
+test('configure the indicator shape when redrawing', () => {
+  const svg = document.createElementNS(NS_SVG, 'svg');
+  const container = svg.appendChild(document.createElementNS(NS_SVG, 'g'));
+  const shape = Label(Rectangle(0, 0, 120, 40));
+
+  shape.setIndicatorShape(Ellipse);
+  shape.setIndicatorColor('green');
+  shape.setIndicatorStrokeColor('black');
+  shape.setIndicatorGradientColor('white');
+  shape.setIndicatorDirection('north');
+  shape.init(container);
+  shape.redraw();
+
+  const indicator = shape.getIndicator();
+
+  expect(indicator.getFill()).toBe('green');
+  expect(indicator.getStroke()).toBe('black');
+  expect(indicator.getGradient()).toBe('white');
+  expect(indicator.getDirection()).toBe('north');
+});
+
+test('read the indicator from the cell style', () => {
+  const graph = Graph();
+  const cell = graph.insertVertex(
+    graph.getDefaultParent(),
+    null,
+    'Service',
+    0,
+    0,
+    120,
+    40,
+    'shape=label;indicatorShape=ellipse;indicatorColor=green'
+  );
+  const state = graph.getView().getState(cell);
+
+  expect(graph.getIndicatorShape(state)).toBe('ellipse');
+  expect(graph.getIndicatorColor(state)).toBe('green');
+});
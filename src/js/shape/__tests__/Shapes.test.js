@@ -0,0 +1,73 @@
+import {
+  SHAPE_ACTOR,
+  SHAPE_CLOUD,
+  SHAPE_DOUBLE_ELLIPSE,
+  SHAPE_HEXAGON,
+  SHAPE_LINE,
+  SHAPE_TRIANGLE
+} from '../../util/Constants';
+import Rectangle from '../../util/Rectangle';
+import CellRenderer from '../../view/CellRenderer';
+import Actor from '../Actor';
+import DoubleEllipse from '../DoubleEllipse';
+import Line from '../Line';
+import Triangle from '../Triangle';
+import { createCanvas } from './Helpers';
+
+test('register the shapes by default', () => {
+  const renderer = CellRenderer();
+
+  [
+    SHAPE_ACTOR,
+    SHAPE_TRIANGLE,
+    SHAPE_HEXAGON,
+    SHAPE_CLOUD,
+    SHAPE_LINE,
+    SHAPE_DOUBLE_ELLIPSE
+  ].forEach((name) => expect(renderer.getShape(name)).toBeDefined());
+});
+
+test('paint the path of an actor subclass', () => {
+  const c = createCanvas();
+  const shape = Triangle(Rectangle(0, 0, 100, 50));
+
+  expect(shape.isRoundable()).toBe(true);
+  shape.paintVertexShape(c, 10, 20, 100, 50);
+
+  expect(c.calls).toEqual([
+    ['translate', 10, 20],
+    ['begin'],
+    ['moveTo', 0, 0],
+    ['lineTo', 100, 25],
+    ['lineTo', 0, 50],
+    ['close'],
+    ['fillAndStroke']
+  ]);
+});
+
+test('paint an actor', () => {
+  const c = createCanvas();
+  Actor(Rectangle(0, 0, 30, 60)).paintVertexShape(c, 0, 0, 30, 60);
+
+  expect(c.calls.filter(([name]) => name === 'curveTo').length).toBe(4);
+});
+
+test('paint horizontal and vertical lines', () => {
+  const c = createCanvas();
+  Line(Rectangle(), 'black').paintVertexShape(c, 0, 0, 100, 20);
+  Line(Rectangle(), 'black', 1, true).paintVertexShape(c, 0, 0, 100, 20);
+
+  expect(c.calls).toContainEqual(['lineTo', 100, 10]);
+  expect(c.calls).toContainEqual(['lineTo', 50, 20]);
+});
+
+test('inset the inner ellipse and the label of a double ellipse', () => {
+  const c = createCanvas();
+  const shape = DoubleEllipse(Rectangle(0, 0, 100, 50));
+
+  shape.setStyle({ margin: '5' });
+  shape.paintForeground(c, 0, 0, 100, 50);
+
+  expect(c.calls[0]).toEqual(['ellipse', 5, 5, 90, 40]);
+  expect(shape.getLabelBounds(Rectangle(0, 0, 100, 50)).getWidth()).toBe(90);
+});
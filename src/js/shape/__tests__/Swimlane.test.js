@@ -0,0 +1,106 @@
+import { SHAPE_SWIMLANE } from '../../util/Constants';
+import Rectangle from '../../util/Rectangle';
+import CellRenderer from '../../view/CellRenderer';
+import Graph from '../../view/Graph';
+import Swimlane from '../Swimlane';
+import { createCanvas } from './Helpers';
+
+test('register the swimlane shape by default', () => {
+  expect(CellRenderer().getShape(SHAPE_SWIMLANE)).toBeDefined();
+});
+
+test('paint the header and the body with separate fills', () => {
+  const c = createCanvas();
+  const shape = Swimlane(Rectangle(0, 0, 100, 80));
+
+  shape.setStyle({ startSize: '20', swimlaneFillColor: 'yellow' });
+  shape.paintVertexShape(c, 0, 0, 100, 80);
+
+  expect(c.calls).toEqual([
+    ['translate', 0, 0],
+    ['begin'],
+    ['moveTo', 0, 20],
+    ['lineTo', 0, 0],
+    ['lineTo', 100, 0],
+    ['lineTo', 100, 20],
+    ['fillAndStroke'],
+    ['setFillColor', 'yellow'],
+    ['begin'],
+    ['moveTo', 0, 20],
+    ['lineTo', 0, 80],
+    ['lineTo', 100, 80],
+    ['lineTo', 100, 20],
+    ['fillAndStroke'],
+    ['setShadow', false],
+    ['begin'],
+    ['moveTo', 0, 20],
+    ['lineTo', 100, 20],
+    ['stroke']
+  ]);
+});
+
+test('paint a vertical header without the swimlane line', () => {
+  const c = createCanvas();
+  const shape = Swimlane(Rectangle(0, 0, 100, 80));
+
+  shape.setStyle({ startSize: 30, horizontal: '0', swimlaneLine: '0' });
+  shape.paintVertexShape(c, 0, 0, 100, 80);
+
+  expect(c.calls).toContainEqual(['moveTo', 30, 0]);
+  expect(c.calls).toContainEqual(['lineTo', 30, 80]);
+  expect(c.calls[c.calls.length - 1]).toEqual(['stroke']);
+  expect(c.calls).not.toContainEqual(['setShadow', false]);
+});
+
+test('paint rounded corners', () => {
+  const c = createCanvas();
+  const shape = Swimlane(Rectangle(0, 0, 100, 80));
+
+  shape.setStyle({ startSize: 20 });
+  shape.setRounded(true);
+  shape.paintVertexShape(c, 0, 0, 100, 80);
+
+  expect(c.calls.filter(([name]) => name === 'quadTo').length).toBe(4);
+});
+
+test('return the header as the label bounds', () => {
+  const shape = Swimlane(Rectangle(0, 0, 100, 80));
+
+  shape.setStyle({ startSize: 20 });
+  const bounds = shape.getLabelBounds(Rectangle(10, 10, 100, 80));
+
+  expect([bounds.getX(), bounds.getY()]).toEqual([10, 10]);
+  expect([bounds.getWidth(), bounds.getHeight()]).toEqual([100, 20]);
+
+  shape.setStyle({ startSize: 20, flipV: 1 });
+  expect(shape.getLabelBounds(Rectangle(10, 10, 100, 80)).getY()).toBe(70);
+});
+
+test('report the header area as the actual start size', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const lane = graph.insertVertex(
+    parent,
+    null,
+    'Lane',
+    0,
+    0,
+    100,
+    80,
+    'shape=swimlane;startSize=20'
+  );
+  const vertical = graph.insertVertex(
+    parent,
+    null,
+    'Lane',
+    0,
+    0,
+    100,
+    80,
+    'shape=swimlane;startSize=30;horizontal=0'
+  );
+
+  expect(graph.getActualStartSize(lane).getY()).toBe(20);
+  expect(graph.getActualStartSize(vertical).getX()).toBe(30);
+  expect(graph.getStartSize(vertical).getWidth()).toBe(30);
+});
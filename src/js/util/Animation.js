@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import Event from './Event';
+import EventObject from './EventObject';
+import EventSource from './EventSource';
+
+/**
+ * Class: Animation
+ *
+ * Implements a basic animation in JavaScript.
+ *
+ * Constructor: Animation
+ *
+ * Constructs an animation.
+ *
+ * Parameters:
+ *
+ * delay - Optional delay between the animation steps. Passed to <setInterval>.
+ * Default is 20.
+ */
+const Animation = (delay = 20) => {
+  /**
+   * Variable: delay
+   *
+   * Specifies the delay between the animation steps. Default is 20ms.
+   */
+  const [getDelay, setDelay] = addProp(delay);
+
+  /**
+   * Variable: thread
+   *
+   * Reference to the thread while the animation is running.
+   */
+  const [getThread, setThread] = addProp();
+
+  /**
+   * Function: isRunning
+   *
+   * Returns true if the animation is running.
+   */
+  const isRunning = () => isSet(getThread());
+
+  /**
+   * Function: startAnimation
+   *
+   * Starts the animation by repeatedly invoking updateAnimation.
+   */
+  const startAnimation = () => {
+    if (isUnset(getThread())) {
+      setThread(setInterval(() => me.resolve('updateAnimation')(), getDelay()));
+    }
+  };
+
+  /**
+   * Function: updateAnimation
+   *
+   * Hook for subclassers to implement the animation. Invoke stopAnimation
+   * when finished, startAnimation to resume. This is called whenever the
+   * timer fires and fires an Event.EXECUTE event with no properties.
+   */
+  const updateAnimation = () => fireEvent(EventObject(Event.EXECUTE));
+
+  /**
+   * Function: stopAnimation
+   *
+   * Stops the animation by deleting the timer and fires an <Event.DONE>.
+   */
+  const stopAnimation = () => {
+    if (isSet(getThread())) {
+      clearInterval(getThread());
+      setThread();
+      fireEvent(EventObject(Event.DONE));
+    }
+  };
+
+  // Extends EventSource.
+  const { addListener, removeListener, fireEvent } = EventSource();
+
+  const me = {
+    addListener,
+    removeListener,
+    fireEvent,
+    getDelay,
+    setDelay,
+    isRunning,
+    startAnimation,
+    updateAnimation,
+    stopAnimation
+  };
+
+  return me;
+};
+
+export default makeComponent(Animation);
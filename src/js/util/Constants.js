@@ -1261,6 +1261,16 @@ export const STYLE_LABEL_BORDERCOLOR = 'labelBorderColor';
  */
 export const STYLE_LABEL_PADDING = 'labelPadding';
 
+/**
+ * Variable: STYLE_LABEL_LEADER
+ *
+ * Defines the key for the leader line of edge labels. If this is 1 then a
+ * line is drawn from the position of the label on the edge to the label if
+ * the label has an offset. Possible values are 0 or 1. Default is 0. Value
+ * is "labelLeader".
+ */
+export const STYLE_LABEL_LEADER = 'labelLeader';
+
 /**
  * Variable: STYLE_INDICATOR_SHAPE
  *
@@ -1401,6 +1411,33 @@ export const STYLE_ENDSIZE = 'endSize';
  */
 export const STYLE_STARTSIZE = 'startSize';
 
+/**
+ * Variable: STYLE_WIDTH
+ *
+ * Defines the key for the width style. The type of this value is numeric
+ * and the value represents the width of the body of an arrow connector in
+ * pixels. Value is "width".
+ */
+export const STYLE_WIDTH = 'width';
+
+/**
+ * Variable: STYLE_STARTWIDTH
+ *
+ * Defines the key for the startWidth style. The type of this value is
+ * numeric and the value represents the width of the start arrow of an arrow
+ * connector in pixels. Value is "startWidth".
+ */
+export const STYLE_STARTWIDTH = 'startWidth';
+
+/**
+ * Variable: STYLE_ENDWIDTH
+ *
+ * Defines the key for the endWidth style. The type of this value is numeric
+ * and the value represents the width of the end arrow of an arrow connector
+ * in pixels. Value is "endWidth".
+ */
+export const STYLE_ENDWIDTH = 'endWidth';
+
 /**
  * Variable: STYLE_SWIMLANE_LINE
  *
@@ -1825,6 +1862,22 @@ export const STYLE_SOURCE_JETTY_SIZE = 'sourceJettySize';
  */
 export const STYLE_TARGET_JETTY_SIZE = 'targetJettySize';
 
+/**
+ * Variable: STYLE_ROUTING_MARGIN
+ *
+ * Defines the key for the minimum distance between the edge and the vertices
+ * in <EdgeStyle.ObstacleConnector>. Default is 10. Value is "routingMargin".
+ */
+export const STYLE_ROUTING_MARGIN = 'routingMargin';
+
+/**
+ * Variable: STYLE_ROUTING_SPACING
+ *
+ * Defines the key for the distance between parallel edges in
+ * <EdgeStyle.ObstacleConnector>. Default is 10. Value is "routingSpacing".
+ */
+export const STYLE_ROUTING_SPACING = 'routingSpacing';
+
 /**
  * Variable: STYLE_LOOP
  *
@@ -2297,6 +2350,14 @@ export const EDGESTYLE_ORTHOGONAL = 'orthogonalEdgeStyle';
  */
 export const EDGESTYLE_SEGMENT = 'segmentEdgeStyle';
 
+/**
+ * Variable: EDGESTYLE_OBSTACLE
+ *
+ * Name of the obstacle avoiding orthogonal edge style. Can be used as a
+ * string value for the STYLE_EDGE style.
+ */
+export const EDGESTYLE_OBSTACLE = 'obstacleEdgeStyle';
+
 /**
  * Variable: PERIMETER_ELLIPSE
  *
@@ -985,6 +985,20 @@ const Event = {
    */
   DONE: 'done',
 
+  /**
+   * Variable: PROGRESS
+   *
+   * Specifies the event name for progress.
+   */
+  PROGRESS: 'progress',
+
+  /**
+   * Variable: CANCEL
+   *
+   * Specifies the event name for cancel.
+   */
+  CANCEL: 'cancel',
+
   /**
    * Variable: EXECUTE
    *
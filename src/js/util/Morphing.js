@@ -0,0 +1,365 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, extendFrom, isSet, isUnset, makeComponent } from '../Helpers';
+import CellStatePreview from '../view/CellStatePreview';
+import Animation from './Animation';
+import Dictionary from './Dictionary';
+import Event from './Event';
+import Point from './Point';
+
+/**
+ * Function: easeInOut
+ *
+ * Default easing of <Morphing>, a cubic ease in and out.
+ */
+const easeInOut = (t) =>
+  t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+/**
+ * Class: Morphing
+ *
+ * Implements animation for morphing cells. The bounds of the vertices and the
+ * control points of the edges are interpolated from the states in the view to
+ * the geometries in the model using a <CellStatePreview>. The model changes
+ * should be made in an update that is ended once the animation is done, so
+ * that the model is only committed at the end. Here is an example of using
+ * this class for animating the result of a layout algorithm:
+ *
+ * (code)
+ * graph.getModel().beginUpdate();
+ * try
+ * {
+ *   const layout = FastOrganicLayout(graph);
+ *   layout.execute(graph.getDefaultParent());
+ * }
+ * finally
+ * {
+ *   const morph = Morphing(graph);
+ *   morph.addListener(Event.DONE, () => graph.getModel().endUpdate());
+ *   morph.startAnimation();
+ * }
+ * (end)
+ *
+ * Or using <execute>:
+ *
+ * (code)
+ * Morphing(graph).execute(() => layout.execute(graph.getDefaultParent()));
+ * (end)
+ *
+ * Constructor: Morphing
+ *
+ * Constructs an animation.
+ *
+ * Parameters:
+ *
+ * graph - Reference to the enclosing <Graph>.
+ * duration - Optional duration of the animation in milliseconds. Default is
+ * 300.
+ * easing - Optional function that maps the elapsed fraction of the duration
+ * to the fraction of the transition. Default is a cubic ease in and out.
+ * delay - Optional delay between the animation steps. Default is 20.
+ */
+const Morphing = (graph, duration = 300, easing = easeInOut, delay = 20) => {
+  /**
+   * Variable: graph
+   *
+   * Specifies the graph to be animated.
+   */
+  const [getGraph, setGraph] = addProp(graph);
+
+  /**
+   * Variable: duration
+   *
+   * Specifies the duration of the animation in milliseconds. Default is 300.
+   */
+  const [getDuration, setDuration] = addProp(duration);
+
+  /**
+   * Variable: easing
+   *
+   * Function that takes the elapsed fraction of the <duration> and returns
+   * the fraction of the transition. Default is a cubic ease in and out.
+   */
+  const [getEasing, setEasing] = addProp(easing);
+
+  /**
+   * Variable: cells
+   *
+   * Optional array of cells to be animated. If this is not specified
+   * then all cells are checked and all descendants of changed vertices
+   * are moved along with their parent.
+   */
+  const [getCells, setCells] = addProp(null);
+
+  /**
+   * Variable: startTime
+   *
+   * Holds the time when the animation was started.
+   */
+  const [getStartTime, setStartTime] = addProp(0);
+
+  /**
+   * Variable: transitions
+   *
+   * <Dictionary> that maps from cells to the bounds and points of their
+   * states before and after the change.
+   */
+  const [getTransitions, setTransitions] = addProp(Dictionary());
+
+  /**
+   * Function: getBounds
+   *
+   * Returns the bounds and the control points of the given state.
+   */
+  const getBounds = (state) => {
+    const pts = state.getAbsolutePoints();
+
+    return {
+      x: state.getX(),
+      y: state.getY(),
+      width: state.getWidth(),
+      height: state.getHeight(),
+      points: isSet(pts)
+        ? pts.slice(1, pts.length - 1).map((p) => p.clone())
+        : []
+    };
+  };
+
+  /**
+   * Function: prepare
+   *
+   * Stores the current bounds of the states and updates the states from the
+   * model to find their target bounds. The states are not redrawn.
+   */
+  const prepare = () => {
+    const graph = getGraph();
+    const model = graph.getModel();
+    const view = graph.getView();
+    const states = [];
+    const edges = [];
+
+    const collect = (cell) => {
+      const state = view.getState(cell);
+
+      if (isSet(state)) {
+        if (model.isEdge(cell)) edges.push(state);
+        else states.push(state);
+      }
+
+      const childCount = model.getChildCount(cell);
+
+      for (let i = 0; i < childCount; i++) {
+        collect(model.getChildAt(cell, i));
+      }
+    };
+
+    collect(model.getRoot());
+
+    const transitions = Dictionary();
+
+    // Edges are updated after all vertices as they depend on the terminals
+    for (const state of states.concat(edges)) {
+      const from = getBounds(state);
+      view.updateCellState(state);
+      transitions.put(state.getCell(), { from, to: getBounds(state) });
+    }
+
+    setTransitions(transitions);
+  };
+
+  /**
+   * Function: startAnimation
+   *
+   * Prepares and starts the animation.
+   */
+  const startAnimation = () => {
+    if (!_animation.isRunning()) {
+      me.resolve('prepare')();
+      setStartTime(Date.now());
+    }
+
+    _animation.startAnimation();
+  };
+
+  /**
+   * Function: updateAnimation
+   *
+   * Animates the changes in the graph model.
+   */
+  const updateAnimation = () => {
+    _animation.updateAnimation();
+
+    const elapsed = Date.now() - getStartTime();
+    const t = getDuration() > 0 ? Math.min(1, elapsed / getDuration()) : 1;
+    const f = t < 1 ? 1 - getEasing()(t) : 0;
+    const move = CellStatePreview(getGraph());
+
+    if (isSet(getCells())) {
+      // Animates the given cells individually without recursion
+      for (const cell of getCells()) {
+        animateCell(cell, move, f, false);
+      }
+    } else {
+      // Animates all changed cells by using recursion to find
+      // the changed cells but not for the animation itself
+      animateCell(getGraph().getModel().getRoot(), move, f, true);
+    }
+
+    me.resolve('show')(move);
+
+    if (move.isEmpty() || t >= 1) {
+      _animation.stopAnimation();
+    }
+  };
+
+  /**
+   * Function: show
+   *
+   * Shows the changes in the given <CellStatePreview>.
+   */
+  const show = (move) => move.show();
+
+  /**
+   * Function: animateCell
+   *
+   * Animates the given cell state using <CellStatePreview.moveState>.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> to be animated.
+   * move - <CellStatePreview> that contains the deltas.
+   * f - Remaining fraction of the transition.
+   * recurse - Boolean that specifies if the descendants should be animated.
+   */
+  const animateCell = (cell, move, f, recurse) => {
+    const graph = getGraph();
+    const model = graph.getModel();
+    const state = graph.getView().getState(cell);
+    const transition = getTransitions().get(cell);
+    let changed = false;
+
+    if (isSet(state) && isSet(transition)) {
+      const { from, to } = transition;
+
+      if (model.isVertex(cell)) {
+        changed =
+          from.x !== to.x ||
+          from.y !== to.y ||
+          from.width !== to.width ||
+          from.height !== to.height;
+
+        if (changed) {
+          move.moveState(state, (from.x - to.x) * f, (from.y - to.y) * f);
+
+          if (from.width !== to.width || from.height !== to.height) {
+            move.resizeState(
+              state,
+              (from.width - to.width) * f,
+              (from.height - to.height) * f
+            );
+          }
+        }
+      } else if (
+        model.isEdge(cell) &&
+        from.points.length === to.points.length &&
+        from.points.some((p, i) => !p.equals(to.points[i]))
+      ) {
+        move.movePoints(
+          state,
+          from.points.map((p, i) =>
+            Point(
+              (p.getX() - to.points[i].getX()) * f,
+              (p.getY() - to.points[i].getY()) * f
+            )
+          )
+        );
+      }
+    }
+
+    if (recurse && !stopRecursion(state, changed)) {
+      const childCount = model.getChildCount(cell);
+
+      for (let i = 0; i < childCount; i++) {
+        animateCell(model.getChildAt(cell, i), move, f, recurse);
+      }
+    }
+  };
+
+  /**
+   * Function: stopRecursion
+   *
+   * Returns true if the animation should not recursively find more
+   * deltas for children if the given parent state has been animated.
+   */
+  const stopRecursion = (state, changed) => isSet(state) && changed;
+
+  /**
+   * Function: execute
+   *
+   * Invokes the given function in a model update, animates the changes and
+   * ends the update once the animation is done. Returns a promise that
+   * resolves after the update has ended.
+   *
+   * Parameters:
+   *
+   * fn - Function that changes the model, eg. by executing a layout.
+   */
+  const execute = (fn) => {
+    const model = getGraph().getModel();
+
+    model.beginUpdate();
+
+    try {
+      fn();
+    } catch (e) {
+      model.endUpdate();
+
+      throw e;
+    }
+
+    return new Promise((resolve) => {
+      const handler = () => {
+        _animation.removeListener(handler);
+        model.endUpdate();
+        resolve();
+      };
+
+      _animation.addListener(Event.DONE, handler);
+      me.resolve('startAnimation')();
+    });
+  };
+
+  const me = {
+    getGraph,
+    setGraph,
+    getDuration,
+    setDuration,
+    getEasing,
+    setEasing,
+    getCells,
+    setCells,
+    getStartTime,
+    setStartTime,
+    getTransitions,
+    setTransitions,
+    getBounds,
+    prepare,
+    startAnimation,
+    updateAnimation,
+    show,
+    animateCell,
+    stopRecursion,
+    execute
+  };
+
+  const _animation = Animation(delay);
+  extendFrom(_animation)(me);
+
+  return me;
+};
+
+export default makeComponent(Morphing);
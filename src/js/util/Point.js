@@ -4,7 +4,7 @@
  * Copyright (c) 2021, Junsik Shim
  */
 
-import { addProp } from '../Helpers';
+import { addProp, makeComponent } from '../Helpers';
 
 /**
  * Class: Point
@@ -43,7 +43,7 @@ const Point = (x = 0, y = 0) => {
    *
    * Returns a clone of this <Point>.
    */
-  const clone = () => Point(getX(), getY());
+  const clone = () => PointComponent(getX(), getY());
 
   const toString = () => `[${getX()}, ${getY()}]`;
 
@@ -60,4 +60,6 @@ const Point = (x = 0, y = 0) => {
   return me;
 };
 
-export default Point;
+const PointComponent = makeComponent(Point);
+
+export default PointComponent;
@@ -4,7 +4,7 @@
  * Copyright (c) 2021, Junsik Shim
  */
 
-import { addProp } from '../Helpers';
+import { addProp, makeComponent } from '../Helpers';
 import Point from './Point';
 
 /**
@@ -153,7 +153,8 @@ const Rectangle = (x, y, width = 0, height = 0) => {
     obj.getWidth() === getWidth() &&
     obj.getHeight() === getHeight();
 
-  const clone = () => Rectangle(getX(), getY(), getWidth(), getHeight());
+  const clone = () =>
+    RectangleComponent(getX(), getY(), getWidth(), getHeight());
 
   const toString = () =>
     `[${getX()}, ${getY()}, ${getWidth()}, ${getHeight()}]`;
@@ -183,12 +184,19 @@ const Rectangle = (x, y, width = 0, height = 0) => {
   return me;
 };
 
+const RectangleComponent = makeComponent(Rectangle);
+
 /**
  * Function: fromRectangle
  *
  * Returns a new <Rectangle> which is a copy of the given rectangle.
  */
-Rectangle.fromRectangle = (rect) =>
-  Rectangle(rect.getX(), rect.getY(), rect.getWidth(), rect.getHeight());
-
-export default Rectangle;
+RectangleComponent.fromRectangle = (rect) =>
+  RectangleComponent(
+    rect.getX(),
+    rect.getY(),
+    rect.getWidth(),
+    rect.getHeight()
+  );
+
+export default RectangleComponent;
@@ -125,14 +125,15 @@ const UndoableEdit = (source, significant) => {
   /**
    * Function: undo
    *
-   * Undoes all changes in this edit.
+   * Undoes all changes in this edit in reverse order so that each change is
+   * undone in the state it was executed in.
    */
   const undo = () => {
     if (!isUndone()) {
       const source = getSource();
       source.fireEvent(EventObject(Event.START_EDIT));
 
-      for (const change of getChanges()) {
+      for (const change of [...getChanges()].reverse()) {
         if (change.execute) change.execute();
         else if (change.undo) change.undo();
 
@@ -7,14 +7,12 @@
 import { IS_GC, IS_IE, IS_MT, IS_OT, IS_SF } from '../Client';
 import { isSet, isUnset } from '../Helpers';
 import CellPath from '../model/CellPath';
-import TemporaryCellStates from '../view/TemporaryCellStates';
 import {
   ALIGN_BOTTOM,
   ALIGN_LEFT,
   ALIGN_RIGHT,
   ALIGN_TOP,
   DEFAULT_FONTFAMILY,
-  DIALECT_SVG,
   DIRECTION_EAST,
   DIRECTION_MASK_EAST,
   DIRECTION_MASK_NONE,
@@ -35,7 +33,6 @@ import {
   NODETYPE_ELEMENT,
   NODETYPE_TEXT,
   NONE,
-  NS_SVG,
   STYLE_DIRECTION,
   STYLE_FLIPH,
   STYLE_FLIPV,
@@ -475,7 +472,8 @@ export const createMsXmlDocument = () => {
  * xml - String that contains the XML data.
  */
 export const parseXml = (() => {
-  if (window.DOMParser) {
+  // Workers have no window, DOMParser is then looked up when parsing
+  if (typeof window === 'undefined' || window.DOMParser) {
     return (xml) => {
       const parser = new DOMParser();
 
@@ -521,9 +519,9 @@ export const removeWhitespace = (node, before) => {
 
   while (isSet(tmp) && tmp.nodeType === NODETYPE_TEXT) {
     const next = before ? tmp.previousSibling : tmp.nextSibling;
-    const text = mxUtils.getTextContent(tmp);
+    const text = getTextContent(tmp);
 
-    if (trim(text).length === 0) {
+    if (text.trim().length === 0) {
       tmp.parentNode.removeChild(tmp);
     }
 
@@ -644,7 +642,7 @@ export const getPrettyXml = (
         result.push(indent + '<!--' + value + '-->' + newline);
       }
     } else if (node.nodeType === NODETYPE_TEXT) {
-      const value = trim(mxUtils.getTextContent(node));
+      const value = getTextContent(node).trim();
 
       if (value.length > 0) {
         result.push(indent + htmlEntities(value, false) + newline);
@@ -1178,7 +1176,7 @@ export const clone = (obj, transients, shallow) => {
   if (!obj) return;
   if (typeof obj.constructor !== 'function') return;
 
-  const clone = obj.constructor();
+  const result = obj.constructor();
 
   for (const key in obj) {
     if (
@@ -1186,12 +1184,12 @@ export const clone = (obj, transients, shallow) => {
       (!transients || transients.indexOf(key) < 0)
     ) {
       if (!shallow && typeof obj[key] === 'object')
-        clone[key] = clone(obj[key]);
-      else clone[key] = obj[key];
+        result[key] = clone(obj[key]);
+      else result[key] = obj[key];
     }
   }
 
-  return clone;
+  return result;
 };
 
 /**
@@ -2798,67 +2796,6 @@ export const getSizeForString = (
   return size;
 };
 
-/**
- * Function: getViewXml
- */
-export const getViewXml = (graph, scale = 1, cells, x0 = 0, y0 = 0) => {
-  if (isUnset(cells)) {
-    const model = graph.getModel();
-    cells = [model.getRoot()];
-  }
-
-  const view = graph.getView();
-  let result;
-
-  // Disables events on the view
-  const eventsEnabled = view.isEventsEnabled();
-  view.setEventsEnabled(false);
-
-  // Workaround for label bounds not taken into account for image export.
-  // Creates a temporary draw pane which is used for rendering the text.
-  // Text rendering is required for finding the bounds of the labels.
-  const drawPane = view.getDrawPane();
-  const overlayPane = view.getOverlayPane();
-
-  if (graph.getDialect() === DIALECT_SVG) {
-    view.setDrawPane(document.createElementNS(NS_SVG, 'g'));
-    view.getCanvas().appendChild(view.getDrawPane());
-
-    // Redirects cell overlays into temporary container
-    view.setOverlayPane(document.createElementNS(NS_SVG, 'g'));
-    view.getCanvas().appendChild(view.getOverlayPane());
-  } else {
-    view.setDrawPane(view.getDrawPane().cloneNode(false));
-    view.getCanvas().appendChild(view.getDrawPane());
-
-    // Redirects cell overlays into temporary container
-    view.setOverlayPane(view.getOverlayPane().cloneNode(false));
-    view.getCanvas().appendChild(view.getOverlayPane());
-  }
-
-  // Resets the translation
-  const translate = view.getTranslate();
-  view.translate = Point(x0, y0);
-
-  // Creates the temporary cell states in the view
-  const temp = TemporaryCellStates(graph.getView(), scale, cells);
-
-  try {
-    const enc = new mxCodec();
-    result = enc.encode(graph.getView());
-  } finally {
-    temp.destroy();
-    view.setTranslate(translate);
-    view.getCanvas().removeChild(view.getDrawPane());
-    view.getCanvas().removeChild(view.getOverlayPane());
-    view.setDrawPane(drawPane);
-    view.setOverlayPane(overlayPane);
-    view.setEventsEnabled(eventsEnabled);
-  }
-
-  return result;
-};
-
 /**
  * Function: getScaleForPageCount
  *
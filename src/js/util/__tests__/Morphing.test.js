@@ -0,0 +1,66 @@
+import Geometry from '../../model/Geometry';
+import Graph from '../../view/Graph';
+import Event from '../Event';
+import Morphing from '../Morphing';
+import Point from '../Point';
+
+beforeEach(() => jest.useFakeTimers('modern'));
+afterEach(() => jest.useRealTimers());
+
+test('interpolate vertex bounds and edge points until the end', async () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const view = graph.getView();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 20, 20);
+  const v2 = graph.insertVertex(parent, null, '', 200, 0, 20, 20);
+  const e = graph.insertEdge(parent, null, '', v1, v2);
+  const edgeGeo = model.getGeometry(e).clone();
+  const edits = [];
+
+  edgeGeo.setPoints([Point(100, 100)]);
+  model.setGeometry(e, edgeGeo);
+  model.addListener(Event.UNDO, (sender, evt) =>
+    edits.push(evt.getProperty('edit'))
+  );
+
+  const done = Morphing(graph, 100, (t) => t).execute(() => {
+    model.setGeometry(v1, Geometry(100, 50, 40, 40));
+
+    const geo = model.getGeometry(e).clone();
+    geo.setPoints([Point(100, 200)]);
+    model.setGeometry(e, geo);
+  });
+
+  jest.advanceTimersByTime(40);
+
+  const state = view.getState(v1);
+
+  expect(edits.length).toBe(0);
+  expect(state.getX()).toBeCloseTo(40);
+  expect(state.getY()).toBeCloseTo(20);
+  expect(state.getWidth()).toBeCloseTo(28);
+  expect(view.getState(e).getAbsolutePoints()[1].getY()).toBeCloseTo(140);
+
+  jest.advanceTimersByTime(100);
+  await done;
+
+  expect(edits.length).toBe(1);
+  expect(view.getState(v1).getX()).toBe(100);
+  expect(view.getState(v1).getWidth()).toBe(40);
+  expect(view.getState(e).getAbsolutePoints()[1].getY()).toBe(200);
+});
+
+test('stop at once if nothing changed', () => {
+  const graph = Graph();
+  const morph = Morphing(graph);
+  const done = jest.fn();
+
+  graph.insertVertex(graph.getDefaultParent(), null, '', 0, 0, 20, 20);
+  morph.addListener(Event.DONE, done);
+  morph.startAnimation();
+  jest.advanceTimersByTime(20);
+
+  expect(done).toHaveBeenCalledTimes(1);
+  expect(morph.isRunning()).toBe(false);
+});
@@ -0,0 +1,38 @@
+import Event from '../Event';
+import UndoableEdit from '../UndoableEdit';
+
+const createEdit = (order) => {
+  const source = { fireEvent: jest.fn() };
+  const edit = UndoableEdit(source);
+
+  ['a', 'b', 'c'].forEach((name) =>
+    edit.add({
+      undo: () => order.push(`undo ${name}`),
+      redo: () => order.push(`redo ${name}`)
+    })
+  );
+
+  return { source, edit };
+};
+
+test('undo the changes in reverse order', () => {
+  const order = [];
+  const { edit } = createEdit(order);
+
+  edit.undo();
+
+  expect(order).toStrictEqual(['undo c', 'undo b', 'undo a']);
+});
+
+test('redo the changes in order', () => {
+  const order = [];
+  const { source, edit } = createEdit(order);
+
+  edit.undo();
+  edit.redo();
+
+  expect(order.slice(3)).toStrictEqual(['redo a', 'redo b', 'redo c']);
+  expect(source.fireEvent.mock.calls[0][0].getName()).toStrictEqual(
+    Event.START_EDIT
+  );
+});
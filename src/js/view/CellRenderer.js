@@ -5,11 +5,21 @@
  */
 
 import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import Actor from '../shape/Actor';
+import Arrow from '../shape/Arrow';
+import ArrowConnector from '../shape/ArrowConnector';
+import Cloud from '../shape/Cloud';
 import Connector from '../shape/Connector';
+import DoubleEllipse from '../shape/DoubleEllipse';
 import Ellipse from '../shape/Ellipse';
+import Hexagon from '../shape/Hexagon';
+import Label from '../shape/Label';
+import Line from '../shape/Line';
 import RectangleShape from '../shape/RectangleShape';
 import Rhombus from '../shape/Rhombus';
 import StencilRegistry from '../shape/StencilRegistry';
+import Swimlane from '../shape/Swimlane';
+import Triangle from '../shape/Triangle';
 import {
   ALIGN_CENTER,
   ALIGN_MIDDLE,
@@ -42,6 +52,7 @@ import {
   STYLE_INDICATOR_STROKECOLOR,
   STYLE_LABEL_BACKGROUNDCOLOR,
   STYLE_LABEL_BORDERCOLOR,
+  STYLE_LABEL_LEADER,
   STYLE_LABEL_PADDING,
   STYLE_LABEL_POSITION,
   STYLE_LABEL_WIDTH,
@@ -62,6 +73,8 @@ import {
 import Cylinder from './Cylinder';
 import Text from '../shape/Text';
 import ImageShape from '../shape/ImageShape';
+import Polyline from '../shape/Polyline';
+import Point from '../util/Point';
 import Rectangle from '../util/Rectangle';
 import { IS_IOS, IS_SVG, IS_TOUCH, NO_FO } from '../Client';
 import { equalEntries, equalPoints, getValue, isNode } from '../util/Utils';
@@ -226,7 +239,7 @@ const CellRenderer = () => {
   const createIndicatorShape = (state) => {
     state
       .getShape()
-      .getIndicatorShape(
+      .setIndicatorShape(
         getShape(state.getView().getGraph().getIndicatorShape(state))
       );
   };
@@ -1166,6 +1179,80 @@ const CellRenderer = () => {
     }
   };
 
+  /**
+   * Function: redrawLabelLeader
+   *
+   * Creates, updates or removes the leader line of the label of the given
+   * state using the points from <getLabelLeaderPoints>.
+   *
+   * Parameters:
+   *
+   * state - <CellState> whose leader line should be redrawn.
+   */
+  const redrawLabelLeader = (state) => {
+    const pts = me.resolve('getLabelLeaderPoints')(state);
+    let leader = state.getLeader();
+
+    if (isSet(pts)) {
+      if (isUnset(leader)) {
+        leader = state.setLeader(Polyline(pts));
+        leader.setDashed(true);
+        leader.init(state.getView().getDrawPane());
+      }
+
+      leader.setStroke(getValue(state.getStyle(), STYLE_STROKECOLOR, 'black'));
+      leader.setPoints(pts);
+      leader.setScale(state.getView().getScale());
+      leader.redraw();
+    } else if (isSet(leader)) {
+      leader.destroy();
+      state.setLeader();
+    }
+  };
+
+  /**
+   * Function: getLabelLeaderPoints
+   *
+   * Returns the start and end point of the leader line of the label of the
+   * given edge state or null if no leader line should be drawn. The line
+   * starts at the position of the label without the offset and ends on the
+   * nearest point of the bounding box of the label.
+   *
+   * Parameters:
+   *
+   * state - <CellState> whose leader line should be returned.
+   */
+  const getLabelLeaderPoints = (state) => {
+    const graph = state.getView().getGraph();
+    const geo = graph.getCellGeometry(state.getCell());
+    const offset = isSet(geo) ? geo.getOffset() : null;
+    const text = state.getText();
+
+    if (
+      graph.getModel().isEdge(state.getCell()) &&
+      getValue(state.getStyle(), STYLE_LABEL_LEADER, 0) == 1 &&
+      isSet(offset) &&
+      (offset.getX() !== 0 || offset.getY() !== 0) &&
+      isSet(text) &&
+      isSet(text.getBoundingBox())
+    ) {
+      const s = state.getView().getScale();
+      const x = state.getAbsoluteOffset().getX() - offset.getX() * s;
+      const y = state.getAbsoluteOffset().getY() - offset.getY() * s;
+      const bbox = text.getBoundingBox();
+
+      return [
+        Point(x, y),
+        Point(
+          Math.max(bbox.getX(), Math.min(bbox.getX() + bbox.getWidth(), x)),
+          Math.max(bbox.getY(), Math.min(bbox.getY() + bbox.getHeight(), y))
+        )
+      ];
+    }
+
+    return null;
+  };
+
   /**
    * Function: redrawCellOverlays
    *
@@ -1430,6 +1517,7 @@ const CellRenderer = () => {
 
     if (isSet(state.getShape()) && (isUnset(rendering) || rendering)) {
       redrawLabel(state, shapeChanged);
+      redrawLabelLeader(state);
       redrawCellOverlays(state, shapeChanged);
       me.resolve('redrawControl')(state, shapeChanged);
     }
@@ -1508,7 +1596,7 @@ const CellRenderer = () => {
       createIndicatorShape(state);
 
       if (isSet(shape.getIndicatorShape())) {
-        shape.setIndicator(shape.getIndicatorShape());
+        shape.setIndicator(shape.getIndicatorShape()());
         shape.getIndicator().init(state.getNode());
         force = true;
       }
@@ -1597,6 +1685,11 @@ const CellRenderer = () => {
         state.setControl();
       }
 
+      if (isSet(state.getLeader())) {
+        state.getLeader().destroy();
+        state.setLeader();
+      }
+
       state.getShape().destroy();
       state.setShape();
     }
@@ -1625,6 +1718,8 @@ const CellRenderer = () => {
     isLabelEvent,
     installListeners,
     redrawLabel,
+    redrawLabelLeader,
+    getLabelLeaderPoints,
     isTextShapeInvalid,
     redrawLabelShape,
     getTextScale,
@@ -1670,16 +1765,16 @@ CellRenderer.registerShape(SHAPE_ELLIPSE, Ellipse);
 CellRenderer.registerShape(SHAPE_RHOMBUS, Rhombus);
 CellRenderer.registerShape(SHAPE_CYLINDER, Cylinder);
 CellRenderer.registerShape(SHAPE_CONNECTOR, Connector);
-// CellRenderer.registerShape(SHAPE_ACTOR, Actor);
-// CellRenderer.registerShape(SHAPE_TRIANGLE, Triangle);
-// CellRenderer.registerShape(SHAPE_HEXAGON, Hexagon);
-// CellRenderer.registerShape(SHAPE_CLOUD, Cloud);
-// CellRenderer.registerShape(SHAPE_LINE, Line);
-// CellRenderer.registerShape(SHAPE_ARROW, Arrow);
-// CellRenderer.registerShape(SHAPE_ARROW_CONNECTOR, ArrowConnector);
-// CellRenderer.registerShape(SHAPE_DOUBLE_ELLIPSE, DoubleEllipse);
-// CellRenderer.registerShape(SHAPE_SWIMLANE, Swimlane);
+CellRenderer.registerShape(SHAPE_ACTOR, Actor);
+CellRenderer.registerShape(SHAPE_TRIANGLE, Triangle);
+CellRenderer.registerShape(SHAPE_HEXAGON, Hexagon);
+CellRenderer.registerShape(SHAPE_CLOUD, Cloud);
+CellRenderer.registerShape(SHAPE_LINE, Line);
+CellRenderer.registerShape(SHAPE_ARROW, Arrow);
+CellRenderer.registerShape(SHAPE_ARROW_CONNECTOR, ArrowConnector);
+CellRenderer.registerShape(SHAPE_DOUBLE_ELLIPSE, DoubleEllipse);
+CellRenderer.registerShape(SHAPE_SWIMLANE, Swimlane);
 CellRenderer.registerShape(SHAPE_IMAGE, ImageShape);
-// CellRenderer.registerShape(SHAPE_LABEL, Label);
+CellRenderer.registerShape(SHAPE_LABEL, Label);
 
 export default makeComponent(CellRenderer);
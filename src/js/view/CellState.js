@@ -163,6 +163,7 @@ const CellState = (view, cell, style = {}) => {
   const [getPaintBounds, setPaintBounds] = addProp();
   const [getOverlays, setOverlays] = addProp();
   const [getControl, setControl] = addProp();
+  const [getLeader, setLeader] = addProp();
   const [getBoundingBox, setBoundingBox] = addProp();
 
   /**
@@ -485,6 +486,8 @@ const CellState = (view, cell, style = {}) => {
     setOverlays,
     getControl,
     setControl,
+    getLeader,
+    setLeader,
     getCenterX,
     getCenterY,
     getTerminalDistance,
@@ -0,0 +1,339 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, isUnset, makeComponent } from '../Helpers';
+import Dictionary from '../util/Dictionary';
+import Point from '../util/Point';
+
+/**
+ * Class: CellStatePreview
+ *
+ * Implements a live preview for moving, resizing and reshaping cell states
+ * without changing the model. The preview stores a delta for each state that
+ * is applied to the state after it has been updated from the model in <show>.
+ *
+ * Constructor: CellStatePreview
+ *
+ * Constructs a preview for the given graph.
+ *
+ * Parameters:
+ *
+ * graph - Reference to the enclosing <Graph>.
+ */
+const CellStatePreview = (graph) => {
+  /**
+   * Variable: graph
+   *
+   * Reference to the enclosing <Graph>.
+   */
+  const [getGraph, setGraph] = addProp(graph);
+
+  /**
+   * Variable: deltas
+   *
+   * Reference to the <Dictionary> that maps from cells to deltas.
+   */
+  const [getDeltas, setDeltas] = addProp(Dictionary());
+
+  /**
+   * Variable: count
+   *
+   * Contains the number of entries in the map.
+   */
+  const [getCount, setCount] = addProp(0);
+
+  /**
+   * Function: isEmpty
+   *
+   * Returns true if this contains no entries.
+   */
+  const isEmpty = () => getCount() === 0;
+
+  /**
+   * Function: getDelta
+   *
+   * Returns the delta for the given state. The delta is created if it does
+   * not exist.
+   */
+  const getDelta = (state) => {
+    let delta = getDeltas().get(state.getCell());
+
+    if (isUnset(delta)) {
+      // Note: Deltas stores the point and the state since the key is a string.
+      delta = { point: Point(), state };
+      getDeltas().put(state.getCell(), delta);
+      setCount(getCount() + 1);
+    }
+
+    return delta;
+  };
+
+  /**
+   * Function: moveState
+   *
+   * Moves the given state by the given vector.
+   *
+   * Parameters:
+   *
+   * state - <CellState> to be moved.
+   * dx - Horizontal delta.
+   * dy - Vertical delta.
+   * add - Optional boolean that specifies if the delta should be added to an
+   * existing delta. Default is true.
+   * includeEdges - Optional boolean that specifies if the connected edges
+   * should be revalidated. Default is true.
+   */
+  const moveState = (state, dx, dy, add = true, includeEdges = true) => {
+    const delta = getDelta(state);
+
+    if (add) {
+      delta.point.setX(delta.point.getX() + dx);
+      delta.point.setY(delta.point.getY() + dy);
+    } else {
+      delta.point.setX(dx);
+      delta.point.setY(dy);
+    }
+
+    if (includeEdges) {
+      addEdges(state);
+    }
+
+    return delta.point;
+  };
+
+  /**
+   * Function: resizeState
+   *
+   * Changes the size of the given vertex state by the given delta.
+   *
+   * Parameters:
+   *
+   * state - <CellState> to be resized.
+   * dw - Delta of the width.
+   * dh - Delta of the height.
+   */
+  const resizeState = (state, dw, dh) => {
+    const delta = getDelta(state);
+    delta.size = Point(dw, dh);
+
+    return delta.size;
+  };
+
+  /**
+   * Function: movePoints
+   *
+   * Moves the control points of the given edge state. The given array
+   * contains a <Point> for each point between the terminal points of the
+   * edge. The deltas are ignored if the number of points of the updated
+   * state does not match.
+   *
+   * Parameters:
+   *
+   * state - <CellState> that represents an edge.
+   * points - Array of <Points> that contain the deltas.
+   */
+  const movePoints = (state, points) => {
+    const delta = getDelta(state);
+    delta.points = points;
+
+    return delta.points;
+  };
+
+  /**
+   * Function: show
+   *
+   * Applies the deltas to the states and redraws them.
+   *
+   * Parameters:
+   *
+   * visitor - Optional function that is invoked for each redrawn state.
+   */
+  const show = (visitor) => {
+    getDeltas().visit((key, delta) =>
+      translateState(delta.state, delta.point.getX(), delta.point.getY())
+    );
+
+    getDeltas().visit((key, delta) =>
+      revalidateState(
+        delta.state,
+        delta.point.getX(),
+        delta.point.getY(),
+        visitor
+      )
+    );
+  };
+
+  /**
+   * Function: translateState
+   *
+   * Updates the given vertex state from the model and applies the given
+   * vector and the size delta of the state. The descendants are translated
+   * recursively.
+   */
+  const translateState = (state, dx, dy) => {
+    if (isSet(state)) {
+      const model = getGraph().getModel();
+
+      if (model.isVertex(state.getCell())) {
+        state.getView().updateCellState(state);
+        const geo = model.getGeometry(state.getCell());
+        const delta = getDeltas().get(state.getCell());
+
+        // Moves selection cells and non-relative vertices in
+        // the first phase so that edge terminal points will
+        // be updated in the second phase
+        if (
+          (dx !== 0 || dy !== 0) &&
+          isSet(geo) &&
+          (!geo.isRelative() || isSet(delta))
+        ) {
+          state.setX(state.getX() + dx);
+          state.setY(state.getY() + dy);
+        }
+
+        if (isSet(delta) && isSet(delta.size)) {
+          state.setWidth(state.getWidth() + delta.size.getX());
+          state.setHeight(state.getHeight() + delta.size.getY());
+        }
+      }
+
+      const childCount = model.getChildCount(state.getCell());
+
+      for (let i = 0; i < childCount; i++) {
+        translateState(
+          state.getView().getState(model.getChildAt(state.getCell(), i)),
+          dx,
+          dy
+        );
+      }
+    }
+  };
+
+  /**
+   * Function: revalidateState
+   *
+   * Updates the given edge state from the model, applies the deltas of its
+   * control points and redraws the given state and its descendants.
+   */
+  const revalidateState = (state, dx, dy, visitor) => {
+    if (isSet(state)) {
+      const graph = getGraph();
+      const model = graph.getModel();
+
+      // Updates the edge terminal points and restores the
+      // (relative) positions of any (relative) children
+      if (model.isEdge(state.getCell())) {
+        state.getView().updateCellState(state);
+        movePointsOfState(state);
+      }
+
+      const geo = graph.getCellGeometry(state.getCell());
+      const pState = state.getView().getState(model.getParent(state.getCell()));
+
+      // Moves selection vertices which are relative
+      if (
+        (dx !== 0 || dy !== 0) &&
+        isSet(geo) &&
+        geo.isRelative() &&
+        model.isVertex(state.getCell()) &&
+        (isUnset(pState) ||
+          model.isVertex(pState.getCell()) ||
+          isSet(getDeltas().get(state.getCell())))
+      ) {
+        state.setX(state.getX() + dx);
+        state.setY(state.getY() + dy);
+      }
+
+      graph.getCellRenderer().redraw(state);
+
+      // Invokes the visitor on the given state
+      if (isSet(visitor)) {
+        visitor(state);
+      }
+
+      const childCount = model.getChildCount(state.getCell());
+
+      for (let i = 0; i < childCount; i++) {
+        revalidateState(
+          graph.getView().getState(model.getChildAt(state.getCell(), i)),
+          dx,
+          dy,
+          visitor
+        );
+      }
+    }
+  };
+
+  /**
+   * Function: movePointsOfState
+   *
+   * Applies the deltas of the control points to the given updated edge state.
+   */
+  const movePointsOfState = (state) => {
+    const delta = getDeltas().get(state.getCell());
+    const pts = state.getAbsolutePoints();
+
+    if (
+      isSet(delta) &&
+      isSet(delta.points) &&
+      isSet(pts) &&
+      pts.length === delta.points.length + 2
+    ) {
+      state.setAbsolutePoints(
+        pts.map((pt, i) =>
+          i > 0 && i < pts.length - 1
+            ? Point(
+                pt.getX() + delta.points[i - 1].getX(),
+                pt.getY() + delta.points[i - 1].getY()
+              )
+            : pt
+        )
+      );
+      state.getView().updateEdgeBounds(state);
+    }
+  };
+
+  /**
+   * Function: addEdges
+   *
+   * Adds the edges of the given state to the preview so that they are
+   * revalidated.
+   */
+  const addEdges = (state) => {
+    const model = getGraph().getModel();
+    const edgeCount = model.getEdgeCount(state.getCell());
+
+    for (let i = 0; i < edgeCount; i++) {
+      const s = state.getView().getState(model.getEdgeAt(state.getCell(), i));
+
+      if (isSet(s)) {
+        moveState(s, 0, 0);
+      }
+    }
+  };
+
+  const me = {
+    getGraph,
+    setGraph,
+    getDeltas,
+    setDeltas,
+    getCount,
+    isEmpty,
+    getDelta,
+    moveState,
+    resizeState,
+    movePoints,
+    show,
+    translateState,
+    revalidateState,
+    movePointsOfState,
+    addEdges
+  };
+
+  return me;
+};
+
+export default makeComponent(CellStatePreview);
@@ -24,6 +24,8 @@ import {
   STYLE_ENDSIZE,
   STYLE_JETTY_SIZE,
   STYLE_ROTATION,
+  STYLE_ROUTING_MARGIN,
+  STYLE_ROUTING_SPACING,
   STYLE_SEGMENT,
   STYLE_SOURCE_JETTY_SIZE,
   STYLE_STARTARROW,
@@ -33,12 +35,154 @@ import {
 import Point from '../util/Point';
 import {
   contains,
+  getNumber,
   getPortConstraints,
   getValue,
   reversePortConstraints
 } from '../util/Utils';
 import CellState from './CellState';
 
+/**
+ * Variable: ROUTING_SIDES
+ *
+ * Sides of a vertex in the order east, south, west and north. The index of a
+ * side is also used as the direction of the segments in the routing grid.
+ */
+const ROUTING_SIDES = [
+  { mask: DIRECTION_MASK_EAST, dx: 1, dy: 0 },
+  { mask: DIRECTION_MASK_SOUTH, dx: 0, dy: 1 },
+  { mask: DIRECTION_MASK_WEST, dx: -1, dy: 0 },
+  { mask: DIRECTION_MASK_NORTH, dx: 0, dy: -1 }
+];
+
+/**
+ * Variable: ROUTING_TOLERANCE
+ *
+ * Tolerance for comparing routing coordinates.
+ */
+const ROUTING_TOLERANCE = 0.01;
+
+/**
+ * Function: pushHeap
+ *
+ * Adds the given entry to the given binary heap ordered by the key f.
+ */
+const pushHeap = (heap, entry) => {
+  let i = heap.length;
+  heap.push(entry);
+
+  while (i > 0) {
+    const p = (i - 1) >> 1;
+
+    if (heap[p].f <= entry.f) break;
+
+    heap[i] = heap[p];
+    i = p;
+  }
+
+  heap[i] = entry;
+};
+
+/**
+ * Function: popHeap
+ *
+ * Removes and returns the entry with the smallest key from the given heap.
+ */
+const popHeap = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+
+  if (heap.length > 0) {
+    let i = 0;
+
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let c = i;
+      let f = last.f;
+
+      if (l < heap.length && heap[l].f < f) {
+        c = l;
+        f = heap[l].f;
+      }
+
+      if (r < heap.length && heap[r].f < f) {
+        c = r;
+      }
+
+      if (c === i) break;
+
+      heap[i] = heap[c];
+      i = c;
+    }
+
+    heap[i] = last;
+  }
+
+  return top;
+};
+
+/**
+ * Function: countBelow
+ *
+ * Returns the number of the given ascending values that are less than the
+ * given value. If inclusive is true then values that are equal to the given
+ * value are counted as well.
+ */
+const countBelow = (values, value, inclusive) => {
+  let lo = 0;
+  let hi = values.length;
+
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+
+    if (values[mid] < value || (inclusive && values[mid] === value)) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+
+  return lo;
+};
+
+/**
+ * Function: createRoutingMask
+ *
+ * Returns an array with cols * rows flags in row-major order where all flags
+ * in the given index ranges are 1. A range is an object with the inclusive
+ * bounds i1, j1, i2 and j2. The ranges are added up in a difference array so
+ * that the mask is created in time linear to its size.
+ */
+const createRoutingMask = (cols, rows, ranges) => {
+  const w = cols + 1;
+  const sums = new Int32Array(w * (rows + 1));
+  const mask = new Uint8Array(cols * rows);
+
+  ranges.forEach(({ i1, j1, i2, j2 }) => {
+    if (i1 <= i2 && j1 <= j2) {
+      sums[j1 * w + i1]++;
+      sums[j1 * w + i2 + 1]--;
+      sums[(j2 + 1) * w + i1]--;
+      sums[(j2 + 1) * w + i2 + 1]++;
+    }
+  });
+
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const k = j * w + i;
+
+      if (i > 0) sums[k] += sums[k - 1];
+      if (j > 0) sums[k] += sums[k - w];
+      if (i > 0 && j > 0) sums[k] -= sums[k - w - 1];
+
+      mask[j * cols + i] = sums[k] > 0 ? 1 : 0;
+    }
+  }
+
+  return mask;
+};
+
 /**
  * Class: EdgeStyle
  *
@@ -1655,6 +1799,508 @@ const EdgeStyle = {
       }
     }
 
+    return result;
+  },
+
+  /**
+   * Variable: routingMargin
+   *
+   * Default minimum distance between the edge and the vertices in
+   * <ObstacleConnector>. Default is 10.
+   */
+  routingMargin: 10,
+
+  /**
+   * Variable: routingSpacing
+   *
+   * Default distance between parallel edges in <ObstacleConnector>. Default
+   * is 10.
+   */
+  routingSpacing: 10,
+
+  /**
+   * Variable: routingBendCost
+   *
+   * Length that is added to a route in <ObstacleConnector> for each bend.
+   * Higher values result in fewer bends and longer routes. Default is 40.
+   */
+  routingBendCost: 40,
+
+  /**
+   * Variable: routingMaxGridSize
+   *
+   * Maximum number of nodes in the grid of <findOrthogonalRoute>. Routes in
+   * larger grids are not searched so that <ObstacleConnector> falls back to
+   * <SegmentConnector>. Default is 250000.
+   */
+  routingMaxGridSize: 250000,
+
+  /**
+   * Variable: routingMaxSteps
+   *
+   * Maximum number of steps in the search of <findOrthogonalRoute>. If the
+   * search takes more steps then it is aborted so that <ObstacleConnector>
+   * falls back to <SegmentConnector>. Default is 100000.
+   */
+  routingMaxSteps: 100000,
+
+  /**
+   * Function: ObstacleConnector
+   *
+   * Implements an orthogonal edge style that routes the edge around the
+   * vertices in the parent of the edge. The route is the shortest path in a
+   * grid that is made of the bounds of the vertices, where each bend adds
+   * <routingBendCost> to the length of the path so that routes with fewer
+   * bends are preferred.
+   *
+   * The edge leaves and enters the terminals on the sides allowed by
+   * <Utils.getPortConstraints>. Vertices are kept at a distance of
+   * <STYLE_ROUTING_MARGIN> and parallel edges are spread apart by
+   * <STYLE_ROUTING_SPACING>. Falls back to <SegmentConnector> if the edge has
+   * control points, is not connected to two distinct vertices, if there is
+   * no route or if the search exceeds <routingMaxGridSize> or
+   * <routingMaxSteps>.
+   *
+   * Parameters:
+   *
+   * state - <CellState> that represents the edge to be updated.
+   * source - <CellState> that represents the source terminal.
+   * target - <CellState> that represents the target terminal.
+   * points - List of relative control points.
+   * result - Array of <Points> that represent the actual points of the
+   * edge.
+   */
+  ObstacleConnector: (state, source, target, points, result) => {
+    const view = state.getView();
+    const model = view.getGraph().getModel();
+
+    if (
+      (isSet(points) && points.length > 0) ||
+      isUnset(source) ||
+      isUnset(target) ||
+      source === target ||
+      model.isEdge(source.getCell()) ||
+      model.isEdge(target.getCell())
+    ) {
+      EdgeStyle.SegmentConnector(state, source, target, points, result);
+
+      return;
+    }
+
+    const scale = view.getScale();
+    const style = state.getStyle();
+    const margin =
+      getNumber(style, STYLE_ROUTING_MARGIN, EdgeStyle.routingMargin) * scale;
+    const spacing =
+      getNumber(style, STYLE_ROUTING_SPACING, EdgeStyle.routingSpacing) * scale;
+    const pts = state.getAbsolutePoints();
+    const { index, count } = EdgeStyle.getParallelIndex(state, source, target);
+    const offset = (index - (count - 1) / 2) * spacing;
+
+    const route = EdgeStyle.findOrthogonalRoute(
+      EdgeStyle.getRoutingPorts(state, source, pts[0], true, offset, margin),
+      EdgeStyle.getRoutingPorts(
+        state,
+        target,
+        pts[pts.length - 1],
+        false,
+        offset,
+        margin
+      ),
+      EdgeStyle.getRoutingObstacles(
+        state,
+        source,
+        target,
+        margin,
+        margin + index * spacing
+      ),
+      EdgeStyle.routingBendCost * scale,
+      offset
+    );
+
+    if (isUnset(route)) {
+      EdgeStyle.SegmentConnector(state, source, target, points, result);
+    } else {
+      route.forEach((pt) => result.push(pt));
+    }
+  },
+
+  /**
+   * Function: getParallelIndex
+   *
+   * Returns an object with the index of the given edge in the edges between
+   * the given terminals and the number of such edges.
+   */
+  getParallelIndex: (state, source, target) => {
+    const model = state.getView().getGraph().getModel();
+    const edges = model.getEdgesBetween(source.getCell(), target.getCell());
+    const index = edges.indexOf(state.getCell());
+
+    return index < 0 ? { index: 0, count: 1 } : { index, count: edges.length };
+  },
+
+  /**
+   * Function: getRoutingPorts
+   *
+   * Returns the ports of the given terminal for <ObstacleConnector>. A port
+   * is an object with the direction in which the edge leaves the terminal,
+   * the point on the side of the terminal and the point at the given margin
+   * from the side, where the route starts or ends.
+   *
+   * If a fixed terminal point is given then the only port is on the nearest
+   * allowed side. Otherwise there is a port at the center of each allowed
+   * side, which is moved along the side by the given offset.
+   *
+   * Parameters:
+   *
+   * state - <CellState> that represents the edge.
+   * terminal - <CellState> that represents the terminal.
+   * fixed - Optional fixed terminal <Point>.
+   * isSource - Boolean that specifies if the terminal is the source.
+   * offset - Offset of the ports along the sides.
+   * margin - Distance between the sides and the start of the route.
+   */
+  getRoutingPorts: (state, terminal, fixed, isSource, offset, margin) => {
+    const x = terminal.getX();
+    const y = terminal.getY();
+    const w = terminal.getWidth();
+    const h = terminal.getHeight();
+    const mask = getPortConstraints(
+      terminal,
+      state,
+      isSource,
+      DIRECTION_MASK_ALL
+    );
+    let dirs = [0, 1, 2, 3].filter((d) => (mask & ROUTING_SIDES[d].mask) > 0);
+
+    if (dirs.length === 0) {
+      dirs = [0, 1, 2, 3];
+    }
+
+    const createPort = (dir, px, py) => ({
+      dir,
+      port: Point(px, py),
+      exit: Point(
+        px + ROUTING_SIDES[dir].dx * margin,
+        py + ROUTING_SIDES[dir].dy * margin
+      )
+    });
+
+    if (isSet(fixed)) {
+      const fx = fixed.getX();
+      const fy = fixed.getY();
+      const dist = [
+        Math.abs(fx - x - w),
+        Math.abs(fy - y - h),
+        Math.abs(fx - x),
+        Math.abs(fy - y)
+      ];
+      const dir = dirs.reduce((a, b) => (dist[b] < dist[a] ? b : a));
+
+      return [createPort(dir, fx, fy)];
+    }
+
+    const dx = Math.max(-w / 2, Math.min(w / 2, offset));
+    const dy = Math.max(-h / 2, Math.min(h / 2, offset));
+
+    return dirs.map((dir) => {
+      const side = ROUTING_SIDES[dir];
+
+      return createPort(
+        dir,
+        side.dx === 0 ? x + w / 2 + dx : x + (side.dx > 0 ? w : 0),
+        side.dy === 0 ? y + h / 2 + dy : y + (side.dy > 0 ? h : 0)
+      );
+    });
+  },
+
+  /**
+   * Function: getRoutingObstacles
+   *
+   * Returns the bounds of the obstacles for <ObstacleConnector> as objects
+   * with the properties x1, y1, x2 and y2. The obstacles are the terminals,
+   * grown by the given margin, and the visible vertices in the parent of the
+   * edge that do not contain a terminal, grown by the given spacing.
+   */
+  getRoutingObstacles: (state, source, target, margin, spacing) => {
+    const view = state.getView();
+    const model = view.getGraph().getModel();
+    const parent = model.getParent(state.getCell());
+    const childCount = model.getChildCount(parent);
+    const result = [];
+
+    const addObstacle = (s, d) =>
+      result.push({
+        x1: s.getX() - d,
+        y1: s.getY() - d,
+        x2: s.getX() + s.getWidth() + d,
+        y2: s.getY() + s.getHeight() + d
+      });
+
+    addObstacle(source, margin);
+    addObstacle(target, margin);
+
+    for (let i = 0; i < childCount; i++) {
+      const child = model.getChildAt(parent, i);
+      const s = view.getState(child);
+
+      if (
+        isSet(s) &&
+        model.isVertex(child) &&
+        !model.isAncestor(child, source.getCell()) &&
+        !model.isAncestor(child, target.getCell())
+      ) {
+        addObstacle(s, spacing);
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Function: findOrthogonalRoute
+   *
+   * Returns the points between the given source and target ports of the
+   * shortest orthogonal route that does not cross the given obstacles, or
+   * null if no such route exists or the search exceeds <routingMaxGridSize>
+   * or <routingMaxSteps>. Each bend adds the given cost to the length of a
+   * route.
+   *
+   * The route is searched in a grid whose lines are the sides of the
+   * obstacles, the lines through the ports and the center lines between the
+   * ports, which are moved by the given offset to separate parallel edges.
+   */
+  findOrthogonalRoute: (
+    sourcePorts,
+    targetPorts,
+    obstacles,
+    bendCost,
+    offset
+  ) => {
+    const tol = ROUTING_TOLERANCE;
+    const xs = new Set();
+    const ys = new Set();
+
+    obstacles.forEach((o) => {
+      xs.add(o.x1);
+      xs.add(o.x2);
+      ys.add(o.y1);
+      ys.add(o.y2);
+    });
+
+    [...sourcePorts, ...targetPorts].forEach((p) => {
+      xs.add(p.exit.getX());
+      ys.add(p.exit.getY());
+    });
+
+    const center = (ports, getter) =>
+      ports.reduce((sum, p) => sum + getter(p.exit), 0) / ports.length;
+
+    xs.add(
+      (center(sourcePorts, (p) => p.getX()) +
+        center(targetPorts, (p) => p.getX())) /
+        2 +
+        offset
+    );
+    ys.add(
+      (center(sourcePorts, (p) => p.getY()) +
+        center(targetPorts, (p) => p.getY())) /
+        2 +
+        offset
+    );
+
+    const gx = [...xs].sort((a, b) => a - b);
+    const gy = [...ys].sort((a, b) => a - b);
+    const nx = gx.length;
+    const ny = gy.length;
+
+    if (nx * ny > EdgeStyle.routingMaxGridSize) return null;
+
+    const nodeOf = (pt) => gy.indexOf(pt.getY()) * nx + gx.indexOf(pt.getX());
+
+    // Marks the nodes and the segments between adjacent nodes of the grid
+    // that intersect an obstacle once for the whole search
+    const nodeRanges = [];
+    const horizontalRanges = [];
+    const verticalRanges = [];
+
+    obstacles.forEach((o) => {
+      const i1 = countBelow(gx, o.x1 + tol, true);
+      const i2 = countBelow(gx, o.x2 - tol, false) - 1;
+      const j1 = countBelow(gy, o.y1 + tol, true);
+      const j2 = countBelow(gy, o.y2 - tol, false) - 1;
+
+      nodeRanges.push({ i1, j1, i2, j2 });
+      horizontalRanges.push({
+        i1: Math.max(0, i1 - 1),
+        j1,
+        i2: Math.min(nx - 2, i2),
+        j2
+      });
+      verticalRanges.push({
+        i1,
+        j1: Math.max(0, j1 - 1),
+        i2,
+        j2: Math.min(ny - 2, j2)
+      });
+    });
+
+    const blockedNodes = createRoutingMask(nx, ny, nodeRanges);
+    const blockedHorizontal = createRoutingMask(nx - 1, ny, horizontalRanges);
+    const blockedVertical = createRoutingMask(nx, ny - 1, verticalRanges);
+
+    // Returns true if the segment from the given node in the given direction
+    // intersects an obstacle
+    const isBlocked = (i, j, d) =>
+      ROUTING_SIDES[d].dx !== 0
+        ? blockedHorizontal[j * (nx - 1) + Math.min(i, i + ROUTING_SIDES[d].dx)]
+        : blockedVertical[Math.min(j, j + ROUTING_SIDES[d].dy) * nx + i];
+
+    const targets = new Map();
+
+    targetPorts.forEach((p) => {
+      const node = nodeOf(p.exit);
+
+      if (!blockedNodes[node]) {
+        targets.set(node, [...(targets.get(node) || []), p]);
+      }
+    });
+
+    // Lower bound for the remaining length from the given node
+    const estimate = (node) => {
+      const x = gx[node % nx];
+      const y = gy[Math.floor(node / nx)];
+      let min = Infinity;
+
+      targets.forEach((ports) =>
+        ports.forEach((p) => {
+          min = Math.min(
+            min,
+            Math.abs(p.exit.getX() - x) + Math.abs(p.exit.getY() - y)
+          );
+        })
+      );
+
+      return min;
+    };
+
+    // Searches the shortest path over the states (node, direction)
+    const costs = new Map();
+    const prev = new Map();
+    const starts = new Map();
+    const heap = [];
+
+    sourcePorts.forEach((p) => {
+      if (!blockedNodes[nodeOf(p.exit)] && targets.size > 0) {
+        const key = nodeOf(p.exit) * 4 + p.dir;
+        costs.set(key, 0);
+        starts.set(key, p);
+        pushHeap(heap, { key, cost: 0, f: estimate(nodeOf(p.exit)) });
+      }
+    });
+
+    let best = null;
+    let steps = 0;
+
+    while (heap.length > 0) {
+      if (++steps > EdgeStyle.routingMaxSteps) return null;
+
+      const { key, cost, f } = popHeap(heap);
+
+      if (isSet(best) && f >= best.cost) break;
+      if (cost > costs.get(key)) continue;
+
+      const node = Math.floor(key / 4);
+      const dir = key % 4;
+      const i = node % nx;
+      const j = Math.floor(node / nx);
+
+      // Enters the target in the opposite direction of the port
+      (targets.get(node) || []).forEach((p) => {
+        if (dir !== p.dir) {
+          const total = cost + (dir === (p.dir + 2) % 4 ? 0 : bendCost);
+
+          if (isUnset(best) || total < best.cost) {
+            best = { key, cost: total, port: p };
+          }
+        }
+      });
+
+      for (let d = 0; d < 4; d++) {
+        const ni = i + ROUTING_SIDES[d].dx;
+        const nj = j + ROUTING_SIDES[d].dy;
+
+        if (
+          d !== (dir + 2) % 4 &&
+          ni >= 0 &&
+          ni < nx &&
+          nj >= 0 &&
+          nj < ny &&
+          !isBlocked(i, j, d)
+        ) {
+          const next = nj * nx + ni;
+          const nextKey = next * 4 + d;
+          const nextCost =
+            cost +
+            Math.abs(gx[ni] - gx[i]) +
+            Math.abs(gy[nj] - gy[j]) +
+            (d !== dir ? bendCost : 0);
+
+          if (!costs.has(nextKey) || nextCost < costs.get(nextKey)) {
+            costs.set(nextKey, nextCost);
+            prev.set(nextKey, key);
+            pushHeap(heap, {
+              key: nextKey,
+              cost: nextCost,
+              f: nextCost + estimate(next)
+            });
+          }
+        }
+      }
+    }
+
+    if (isUnset(best)) return null;
+
+    // Collects the points from the target to the source port
+    const path = [best.port.port];
+    let key = best.key;
+
+    while (isSet(key)) {
+      const node = Math.floor(key / 4);
+      path.push(Point(gx[node % nx], gy[Math.floor(node / nx)]));
+
+      if (!prev.has(key)) {
+        path.push(starts.get(key).port);
+      }
+
+      key = prev.get(key);
+    }
+
+    path.reverse();
+
+    // Removes the points between collinear segments
+    const result = path.filter((pt, k) => {
+      if (k === 0 || k === path.length - 1) return false;
+
+      const a = path[k - 1];
+      const b = path[k + 1];
+
+      return !(
+        (Math.abs(a.getX() - pt.getX()) < tol &&
+          Math.abs(b.getX() - pt.getX()) < tol) ||
+        (Math.abs(a.getY() - pt.getY()) < tol &&
+          Math.abs(b.getY() - pt.getY()) < tol)
+      );
+    });
+
+    // Keeps a point on straight routes so that the terminal points are
+    // aligned with the ports
+    if (result.length === 0) {
+      const a = path[0];
+      const b = path[path.length - 1];
+      result.push(Point((a.getX() + b.getX()) / 2, (a.getY() + b.getY()) / 2));
+    }
+
     return result;
   }
 };
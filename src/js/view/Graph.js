@@ -70,7 +70,10 @@ import {
   STYLE_IMAGE,
   STYLE_IMAGE_HEIGHT,
   STYLE_IMAGE_WIDTH,
+  STYLE_INDICATOR_COLOR,
   STYLE_INDICATOR_GRADIENTCOLOR,
+  STYLE_INDICATOR_IMAGE,
+  STYLE_INDICATOR_SHAPE,
   STYLE_MOVABLE,
   STYLE_NOLABEL,
   STYLE_ORTHOGONAL,
@@ -104,7 +107,8 @@ import {
   ptSegDistSq,
   toRadians,
   contains,
-  removeDuplicates
+  removeDuplicates,
+  mod
 } from '../util/Utils';
 import CellEditor from './CellEditor';
 import CellRenderer from './CellRenderer';
@@ -393,7 +397,7 @@ import Stylesheet from './Stylesheet';
  *
  * Auto-Layout:
  *
- * For automatic layout, the <getLayout> hook is provided in <mxLayoutManager>.
+ * For automatic layout, the <getLayout> hook is provided in <LayoutManager>.
  * It can be overridden to return a layout algorithm for the children of a
  * given cell.
  *
@@ -8146,7 +8150,8 @@ const Graph = (container, model, _, stylesheet) => {
       tmp === EdgeStyle.SideToSide ||
       tmp === EdgeStyle.TopToBottom ||
       tmp === EdgeStyle.EntityRelation ||
-      tmp === EdgeStyle.OrthConnector
+      tmp === EdgeStyle.OrthConnector ||
+      tmp === EdgeStyle.ObstacleConnector
     );
   };
 
@@ -8861,7 +8866,7 @@ const Graph = (container, model, _, stylesheet) => {
     const style = getCurrentCellStyle(swimlane, ignoreState);
     const size = parseInt(getValue(style, STYLE_STARTSIZE, DEFAULT_STARTSIZE));
 
-    if (getValue(style, STYLE_HORIZONTAL, true)) {
+    if (getValue(style, STYLE_HORIZONTAL, 1) == 1) {
       result.setHeight(size);
     } else {
       result.setWidth(size);
@@ -8877,9 +8882,9 @@ const Graph = (container, model, _, stylesheet) => {
    */
   const getSwimlaneDirection = (style) => {
     const dir = getValue(style, STYLE_DIRECTION, DIRECTION_EAST);
-    const flipH = getValue(style, STYLE_FLIPH, 0) === 1;
-    const flipV = getValue(style, STYLE_FLIPV, 0) === 1;
-    const h = getValue(style, STYLE_HORIZONTAL, true);
+    const flipH = getValue(style, STYLE_FLIPH, 0) == 1;
+    const flipV = getValue(style, STYLE_FLIPV, 0) == 1;
+    const h = getValue(style, STYLE_HORIZONTAL, 1) == 1;
     let n = h ? 0 : 3;
 
     if (dir === DIRECTION_NORTH) {
@@ -8890,13 +8895,13 @@ const Graph = (container, model, _, stylesheet) => {
       n += 1;
     }
 
-    const mod = mod(n, 2);
+    const m = mod(n, 2);
 
-    if (flipH && mod === 1) {
+    if (flipH && m === 1) {
       n += 2;
     }
 
-    if (flipV && mod === 0) {
+    if (flipV && m === 0) {
       n += 2;
     }
 
@@ -8953,7 +8958,7 @@ const Graph = (container, model, _, stylesheet) => {
    *
    * state - <mxCellState> whose image URL should be returned.
    */
-  const getImage = (state) => state?.style?.[STYLE_IMAGE];
+  const getImage = (state) => state?.getStyle()?.[STYLE_IMAGE];
 
   /**
    * Function: isTransparentState
@@ -8990,7 +8995,7 @@ const Graph = (container, model, _, stylesheet) => {
    * returned.
    */
   const getVerticalAlign = (state) =>
-    state?.style?.[STYLE_VERTICAL_ALIGN] || ALIGN_MIDDLE;
+    state?.getStyle()?.[STYLE_VERTICAL_ALIGN] || ALIGN_MIDDLE;
 
   /**
    * Function: getIndicatorColor
@@ -9004,7 +9009,8 @@ const Graph = (container, model, _, stylesheet) => {
    * state - <mxCellState> whose indicator color should be
    * returned.
    */
-  const getIndicatorColor = (state) => state?.style?.[STYLE_INDICATOR_COLOR];
+  const getIndicatorColor = (state) =>
+    state?.getStyle()?.[STYLE_INDICATOR_COLOR];
 
   /**
    * Function: getIndicatorGradientColor
@@ -9019,7 +9025,7 @@ const Graph = (container, model, _, stylesheet) => {
    * returned.
    */
   const getIndicatorGradientColor = (state) =>
-    state?.style?.[STYLE_INDICATOR_GRADIENTCOLOR];
+    state?.getStyle()?.[STYLE_INDICATOR_GRADIENTCOLOR];
 
   /**
    * Function: getIndicatorShape
@@ -9032,7 +9038,8 @@ const Graph = (container, model, _, stylesheet) => {
    *
    * state - <mxCellState> whose indicator shape should be returned.
    */
-  const getIndicatorShape = (state) => state?.style?.[STYLE_INDICATOR_SHAPE];
+  const getIndicatorShape = (state) =>
+    state?.getStyle()?.[STYLE_INDICATOR_SHAPE];
 
   /**
    * Function: getIndicatorImage
@@ -9045,7 +9052,8 @@ const Graph = (container, model, _, stylesheet) => {
    *
    * state - <mxCellState> whose indicator image should be returned.
    */
-  const getIndicatorImage = (state) => state?.style?.[STYLE_INDICATOR_IMAGE];
+  const getIndicatorImage = (state) =>
+    state?.getStyle()?.[STYLE_INDICATOR_IMAGE];
 
   /**
    * Function: isSwimlane
@@ -12777,8 +12785,11 @@ const Graph = (container, model, _, stylesheet) => {
 
   getModel().addListener(Event.CHANGE, getGraphModelChangeListener());
 
-  // Installs basic event handlers with disabled default settings.
-  createHandlers();
+  // Installs basic event handlers with disabled default settings. The
+  // handlers need a DOM and are not installed in web workers.
+  if (typeof document !== 'undefined') {
+    createHandlers();
+  }
 
   // Initializes the display if a container was specified
   if (isSet(container)) {
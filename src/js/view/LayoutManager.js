@@ -0,0 +1,484 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, makeComponent } from '../Helpers';
+import ChildChange from '../model/change/ChildChange';
+import GeometryChange from '../model/change/GeometryChange';
+import RootChange from '../model/change/RootChange';
+import StyleChange from '../model/change/StyleChange';
+import TerminalChange from '../model/change/TerminalChange';
+import VisibleChange from '../model/change/VisibleChange';
+import Event from '../util/Event';
+import EventObject from '../util/EventObject';
+import EventSource from '../util/EventSource';
+import { convertPoint, sortCells } from '../util/Utils';
+
+/**
+ * Class: LayoutManager
+ *
+ * Implements a layout manager that runs a given layout after any changes to
+ * the graph:
+ *
+ * Example:
+ *
+ * (code)
+ * const layoutMgr = LayoutManager(graph);
+ * layoutMgr.getLayout = (cell, eventName) =>
+ *   graph.getModel().getChildCount(cell) > 0 ? layout : null;
+ * (end)
+ *
+ * See <getLayout> for a description of the possible eventNames.
+ *
+ * Event: Event.LAYOUT_CELLS
+ *
+ * Fires between begin- and endUpdate after all cells have been layouted in
+ * <layoutCells>. The <code>cells</code> property contains all cells that have
+ * been passed to <layoutCells>.
+ *
+ * Constructor: LayoutManager
+ *
+ * Constructs a new automatic layout for the given graph.
+ *
+ * Arguments:
+ *
+ * graph - Reference to the enclosing graph.
+ */
+const LayoutManager = (graph) => {
+  /**
+   * Variable: graph
+   *
+   * Reference to the enclosing <Graph>.
+   */
+  const [getGraph, _setGraph] = addProp();
+
+  /**
+   * Variable: bubbling
+   *
+   * Specifies if the layout should bubble along
+   * the cell hierarchy. Default is true.
+   */
+  const [isBubbling, setBubbling] = addProp(true);
+
+  /**
+   * Variable: enabled
+   *
+   * Specifies if event handling is enabled. Default is true.
+   */
+  const [isEnabled, setEnabled] = addProp(true);
+
+  /**
+   * Variable: labelLayout
+   *
+   * Optional layout, such as an <EdgeLabelLayout>, that is executed on the
+   * laid out cells after all other layouts. Default is null.
+   */
+  const [getLabelLayout, setLabelLayout] = addProp(null);
+
+  /**
+   * Variable: undoHandler
+   *
+   * Holds the function that handles the endUpdate event.
+   */
+  const [getUndoHandler, setUndoHandler] = addProp((sender, evt) => {
+    if (isEnabled()) {
+      beforeUndo(evt.getProperty('edit'));
+    }
+  });
+
+  /**
+   * Variable: moveHandler
+   *
+   * Holds the function that handles the move event.
+   */
+  const [getMoveHandler, setMoveHandler] = addProp((sender, evt) => {
+    if (isEnabled()) {
+      cellsMoved(evt.getProperty('cells'), evt.getProperty('event'));
+    }
+  });
+
+  /**
+   * Variable: resizeHandler
+   *
+   * Holds the function that handles the resize event.
+   */
+  const [getResizeHandler, setResizeHandler] = addProp((sender, evt) => {
+    if (isEnabled()) {
+      cellsResized(
+        evt.getProperty('cells'),
+        evt.getProperty('bounds'),
+        evt.getProperty('previous')
+      );
+    }
+  });
+
+  /**
+   * Function: setGraph
+   *
+   * Sets the graph that the layouts operate on.
+   */
+  const setGraph = (graph) => {
+    if (isSet(getGraph())) {
+      const model = getGraph().getModel();
+      model.removeListener(getUndoHandler());
+      getGraph().removeListener(getMoveHandler());
+      getGraph().removeListener(getResizeHandler());
+    }
+
+    _setGraph(graph);
+
+    if (isSet(graph)) {
+      const model = graph.getModel();
+      model.addListener(Event.BEFORE_UNDO, getUndoHandler());
+      graph.addListener(Event.MOVE_CELLS, getMoveHandler());
+      graph.addListener(Event.RESIZE_CELLS, getResizeHandler());
+    }
+  };
+
+  /**
+   * Function: hasLayout
+   *
+   * Returns true if the given cell has a layout. This implementation invokes
+   * <getLayout> with <Event.LAYOUT_CELLS> as the eventName. Override this
+   * if creating layouts in <getLayout> is expensive and return true if
+   * <getLayout> will return a layout for the given cell for
+   * <Event.BEGIN_UPDATE> or <Event.END_UPDATE>.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> whose layout should be returned.
+   */
+  const hasLayout = (cell) => me.resolve('getLayout')(cell, Event.LAYOUT_CELLS);
+
+  /**
+   * Function: getLayout
+   *
+   * Returns the layout for the given cell and eventName. Possible
+   * event names are <Event.MOVE_CELLS> and <Event.RESIZE_CELLS>
+   * when cells are moved or resized and <Event.BEGIN_UPDATE> or
+   * <Event.END_UPDATE> for the bottom up and top down phases after
+   * changes to the graph model. <Event.LAYOUT_CELLS> is used to
+   * check if a layout exists for the given cell. This is called
+   * from <hasLayout>.
+   *
+   * Parameters:
+   *
+   * cell - <Cell> whose layout should be returned.
+   */
+  const getLayout = (cell, eventName) => null;
+
+  /**
+   * Function: beforeUndo
+   *
+   * Called from <undoHandler>.
+   *
+   * Parameters:
+   *
+   * undoableEdit - <UndoableEdit> that contains the changes.
+   */
+  const beforeUndo = (undoableEdit) => {
+    executeLayoutForCells(getCellsForChanges(undoableEdit.getChanges()));
+  };
+
+  /**
+   * Function: cellsMoved
+   *
+   * Called from <moveHandler>.
+   *
+   * Parameters:
+   *
+   * cells - Array of <Cells> that have been moved.
+   * evt - Mouse event that represents the mousedown.
+   */
+  const cellsMoved = (cells, evt) => {
+    if (isSet(cells) && isSet(evt)) {
+      const graph = getGraph();
+      const point = convertPoint(
+        graph.getContainer(),
+        Event.getClientX(evt),
+        Event.getClientY(evt)
+      );
+      const model = graph.getModel();
+
+      for (const cell of cells) {
+        const layout = me.resolve('getLayout')(
+          model.getParent(cell),
+          Event.MOVE_CELLS
+        );
+
+        if (isSet(layout)) {
+          layout.moveCell(cell, point.getX(), point.getY());
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: cellsResized
+   *
+   * Called from <resizeHandler>.
+   *
+   * Parameters:
+   *
+   * cells - Array of <Cells> that have been resized.
+   * bounds - <Rectangle> that represents the new bounds.
+   * prev - Array of previous <Rectangles> for the given cells.
+   */
+  const cellsResized = (cells, bounds, prev) => {
+    if (isSet(cells) && isSet(bounds)) {
+      const model = getGraph().getModel();
+
+      for (let i = 0; i < cells.length; i++) {
+        const layout = me.resolve('getLayout')(
+          model.getParent(cells[i]),
+          Event.RESIZE_CELLS
+        );
+
+        if (isSet(layout)) {
+          layout.resizeCell(cells[i], bounds[i], isSet(prev) ? prev[i] : null);
+        }
+      }
+    }
+  };
+
+  /**
+   * Function: getCellsForChanges
+   *
+   * Returns the cells for which a layout should be executed.
+   */
+  const getCellsForChanges = (changes) => {
+    let result = [];
+
+    for (const change of changes) {
+      if (change.constructor === RootChange) {
+        return [];
+      } else {
+        result = result.concat(getCellsForChange(change));
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * Function: getCellsForChange
+   *
+   * Executes all layouts which have been scheduled during the
+   * changes.
+   */
+  const getCellsForChange = (change) => {
+    if (change.constructor === ChildChange) {
+      return addCellsWithLayout(
+        change.getChild(),
+        addCellsWithLayout(change.getPrevious())
+      );
+    } else if (
+      change.constructor === TerminalChange ||
+      change.constructor === GeometryChange
+    ) {
+      return addCellsWithLayout(change.getCell());
+    } else if (
+      change.constructor === VisibleChange ||
+      change.constructor === StyleChange
+    ) {
+      return addCellsWithLayout(change.getCell());
+    }
+
+    return [];
+  };
+
+  /**
+   * Function: addCellsWithLayout
+   *
+   * Adds all ancestors of the given cell that have a layout.
+   */
+  const addCellsWithLayout = (cell, result) =>
+    addDescendantsWithLayout(cell, addAncestorsWithLayout(cell, result));
+
+  /**
+   * Function: addAncestorsWithLayout
+   *
+   * Adds all ancestors of the given cell that have a layout.
+   */
+  const addAncestorsWithLayout = (cell, result = []) => {
+    if (isSet(cell)) {
+      if (me.resolve('hasLayout')(cell)) {
+        result.push(cell);
+      }
+
+      if (isBubbling()) {
+        const model = getGraph().getModel();
+        addAncestorsWithLayout(model.getParent(cell), result);
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * Function: addDescendantsWithLayout
+   *
+   * Adds all descendants of the given cell that have a layout.
+   */
+  const addDescendantsWithLayout = (cell, result = []) => {
+    if (isSet(cell) && me.resolve('hasLayout')(cell)) {
+      const model = getGraph().getModel();
+
+      for (let i = 0; i < model.getChildCount(cell); i++) {
+        const child = model.getChildAt(cell, i);
+
+        if (me.resolve('hasLayout')(child)) {
+          result.push(child);
+          addDescendantsWithLayout(child, result);
+        }
+      }
+    }
+
+    return result;
+  };
+
+  /**
+   * Function: executeLayoutForCells
+   *
+   * Executes the given layout on the given parent. The layouts are first run
+   * bottom-up, that is, for the innermost cells before their ancestors, and
+   * then top-down. Finally the <labelLayout> is run on all cells.
+   */
+  const executeLayoutForCells = (cells) => {
+    const sorted = sortCells(cells, false);
+    layoutCells(sorted, true);
+    layoutCells(sorted.reverse(), false);
+    layoutLabels(sorted);
+  };
+
+  /**
+   * Function: layoutCells
+   *
+   * Executes all layouts which have been scheduled during the changes.
+   */
+  const layoutCells = (cells, bubble) => {
+    if (cells.length > 0) {
+      // Invokes the layouts while removing duplicates
+      const model = getGraph().getModel();
+
+      model.beginUpdate();
+
+      try {
+        let last = null;
+
+        for (const cell of cells) {
+          if (cell !== model.getRoot() && cell !== last) {
+            executeLayout(cell, bubble);
+            last = cell;
+          }
+        }
+
+        fireEvent(EventObject(Event.LAYOUT_CELLS, 'cells', cells));
+      } finally {
+        model.endUpdate();
+      }
+    }
+  };
+
+  /**
+   * Function: layoutLabels
+   *
+   * Executes the <labelLayout> on the given cells.
+   */
+  const layoutLabels = (cells) => {
+    const layout = getLabelLayout();
+
+    if (isSet(layout) && cells.length > 0) {
+      const model = getGraph().getModel();
+
+      model.beginUpdate();
+
+      try {
+        let last = null;
+
+        for (const cell of cells) {
+          if (cell !== model.getRoot() && cell !== last) {
+            layout.execute(cell);
+            last = cell;
+          }
+        }
+      } finally {
+        model.endUpdate();
+      }
+    }
+  };
+
+  /**
+   * Function: executeLayout
+   *
+   * Executes the given layout on the given parent.
+   */
+  const executeLayout = (cell, bubble) => {
+    const layout = me.resolve('getLayout')(
+      cell,
+      bubble ? Event.BEGIN_UPDATE : Event.END_UPDATE
+    );
+
+    if (isSet(layout)) {
+      layout.execute(cell);
+    }
+  };
+
+  /**
+   * Function: destroy
+   *
+   * Removes all handlers from the <graph> and deletes the reference to it.
+   */
+  const destroy = () => setGraph(null);
+
+  // Extends mxEventSource.
+  const { addListener, removeListener, fireEvent } = EventSource();
+
+  const me = {
+    addListener,
+    removeListener,
+    fireEvent,
+    /**
+     * Function: getGraph
+     *
+     * Returns the graph that this layout operates on.
+     */
+    getGraph,
+    setGraph,
+    isBubbling,
+    setBubbling,
+    isEnabled,
+    setEnabled,
+    getLabelLayout,
+    setLabelLayout,
+    getUndoHandler,
+    setUndoHandler,
+    getMoveHandler,
+    setMoveHandler,
+    getResizeHandler,
+    setResizeHandler,
+    hasLayout,
+    getLayout,
+    beforeUndo,
+    cellsMoved,
+    cellsResized,
+    getCellsForChanges,
+    getCellsForChange,
+    addCellsWithLayout,
+    addAncestorsWithLayout,
+    addDescendantsWithLayout,
+    executeLayoutForCells,
+    layoutCells,
+    layoutLabels,
+    executeLayout,
+    destroy
+  };
+
+  setGraph(graph);
+
+  return me;
+};
+
+export default makeComponent(LayoutManager);
@@ -8,6 +8,7 @@ import {
   EDGESTYLE_ELBOW,
   EDGESTYLE_ENTITY_RELATION,
   EDGESTYLE_LOOP,
+  EDGESTYLE_OBSTACLE,
   EDGESTYLE_ORTHOGONAL,
   EDGESTYLE_SEGMENT,
   EDGESTYLE_SIDETOSIDE,
@@ -53,7 +54,7 @@ const StyleRegistry = {
    *
    * Returns the name for the given value.
    */
-  gameName: (value) => {
+  getName: (value) => {
     for (const key in values) {
       if (values[key] === value) {
         return key;
@@ -71,6 +72,7 @@ StyleRegistry.putValue(EDGESTYLE_SIDETOSIDE, EdgeStyle.SideToSide);
 StyleRegistry.putValue(EDGESTYLE_TOPTOBOTTOM, EdgeStyle.TopToBottom);
 StyleRegistry.putValue(EDGESTYLE_ORTHOGONAL, EdgeStyle.OrthConnector);
 StyleRegistry.putValue(EDGESTYLE_SEGMENT, EdgeStyle.SegmentConnector);
+StyleRegistry.putValue(EDGESTYLE_OBSTACLE, EdgeStyle.ObstacleConnector);
 
 StyleRegistry.putValue(PERIMETER_ELLIPSE, Perimeter.EllipsePerimeter);
 StyleRegistry.putValue(PERIMETER_RECTANGLE, Perimeter.RectanglePerimeter);
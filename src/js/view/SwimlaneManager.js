@@ -0,0 +1,383 @@
+/**
+ * Copyright (c) 2006-2015, JGraph Ltd
+ * Copyright (c) 2006-2015, Gaudenz Alder
+ * Copyright (c) 2021, Junsik Shim
+ */
+
+import { addProp, isSet, makeComponent } from '../Helpers';
+import { STYLE_HORIZONTAL } from '../util/Constants';
+import Event from '../util/Event';
+import EventSource from '../util/EventSource';
+import Rectangle from '../util/Rectangle';
+import { getValue } from '../util/Utils';
+
+/**
+ * Class: SwimlaneManager
+ *
+ * Manager for swimlanes and nested swimlanes that sets the size of newly added
+ * swimlanes to that of their siblings, and propagates changes to the size of a
+ * swimlane to its siblings and ancestors.
+ *
+ * Constructor: SwimlaneManager
+ *
+ * Constructs a new swimlane manager for the given graph.
+ *
+ * Arguments:
+ *
+ * graph - Reference to the enclosing graph.
+ * horizontal - Optional boolean that specifies the orientation of the
+ * swimlanes. Default is true.
+ * addEnabled - Optional boolean that specifies if newly added cells should be
+ * resized to match their siblings. Default is true.
+ * resizeEnabled - Optional boolean that specifies if resizing a swimlane
+ * should resize its siblings and ancestors. Default is true.
+ */
+const SwimlaneManager = (
+  graph,
+  horizontal = true,
+  addEnabled = true,
+  resizeEnabled = true
+) => {
+  /**
+   * Variable: graph
+   *
+   * Reference to the enclosing <Graph>.
+   */
+  const [getGraph, _setGraph] = addProp();
+
+  /**
+   * Variable: enabled
+   *
+   * Specifies if event handling is enabled. Default is true.
+   */
+  const [isEnabled, setEnabled] = addProp(true);
+
+  /**
+   * Variable: horizontal
+   *
+   * Specifies the orientation of the swimlanes. Default is true.
+   */
+  const [isHorizontal, setHorizontal] = addProp(horizontal);
+
+  /**
+   * Variable: addEnabled
+   *
+   * Specifies if newly added cells should be resized to match the size of their
+   * existing siblings. Default is true.
+   */
+  const [isAddEnabled, setAddEnabled] = addProp(addEnabled);
+
+  /**
+   * Variable: resizeEnabled
+   *
+   * Specifies if resizing of swimlanes should be handled. Default is true.
+   */
+  const [isResizeEnabled, setResizeEnabled] = addProp(resizeEnabled);
+
+  /**
+   * Variable: addHandler
+   *
+   * Holds the function that handles the add event.
+   */
+  const [getAddHandler, setAddHandler] = addProp((sender, evt) => {
+    if (isEnabled() && isAddEnabled()) {
+      cellsAdded(evt.getProperty('cells'));
+    }
+  });
+
+  /**
+   * Variable: resizeHandler
+   *
+   * Holds the function that handles the move event.
+   */
+  const [getResizeHandler, setResizeHandler] = addProp((sender, evt) => {
+    if (isEnabled() && isResizeEnabled()) {
+      cellsResized(evt.getProperty('cells'));
+    }
+  });
+
+  /**
+   * Function: setGraph
+   *
+   * Sets the graph that the manager operates on.
+   */
+  const setGraph = (graph) => {
+    if (isSet(getGraph())) {
+      getGraph().removeListener(getAddHandler());
+      getGraph().removeListener(getResizeHandler());
+    }
+
+    _setGraph(graph);
+
+    if (isSet(graph)) {
+      graph.addListener(Event.ADD_CELLS, getAddHandler());
+      graph.addListener(Event.CELLS_RESIZED, getResizeHandler());
+    }
+  };
+
+  /**
+   * Function: isSwimlaneIgnored
+   *
+   * Returns true if the given swimlane should be ignored.
+   */
+  const isSwimlaneIgnored = (swimlane) => !getGraph().isSwimlane(swimlane);
+
+  /**
+   * Function: isCellHorizontal
+   *
+   * Returns true if the given cell is horizontal. If the given cell is not a
+   * swimlane, then the global orientation is returned.
+   */
+  const isCellHorizontal = (cell) => {
+    if (getGraph().isSwimlane(cell)) {
+      const style = getGraph().getCellStyle(cell);
+
+      return getValue(style, STYLE_HORIZONTAL, 1) == 1;
+    }
+
+    return !isHorizontal();
+  };
+
+  /**
+   * Function: cellsAdded
+   *
+   * Called if any cells have been added.
+   *
+   * Parameters:
+   *
+   * cell - Array of <Cells> that have been added.
+   */
+  const cellsAdded = (cells) => {
+    if (isSet(cells)) {
+      const model = getGraph().getModel();
+
+      model.beginUpdate();
+
+      try {
+        for (const cell of cells) {
+          if (!me.resolve('isSwimlaneIgnored')(cell)) {
+            swimlaneAdded(cell);
+          }
+        }
+      } finally {
+        model.endUpdate();
+      }
+    }
+  };
+
+  /**
+   * Function: swimlaneAdded
+   *
+   * Updates the orientation and size of the given swimlane to match that of
+   * any existing siblings swimlanes.
+   *
+   * Parameters:
+   *
+   * swimlane - <Cell> that represents the new swimlane.
+   */
+  const swimlaneAdded = (swimlane) => {
+    const model = getGraph().getModel();
+    const parent = model.getParent(swimlane);
+    const childCount = model.getChildCount(parent);
+    let ref = null;
+    let geo = null;
+
+    // Finds the first valid sibling swimlane as reference
+    for (let i = 0; i < childCount; i++) {
+      const child = model.getChildAt(parent, i);
+
+      if (child !== swimlane && !me.resolve('isSwimlaneIgnored')(child)) {
+        ref = child;
+        geo = model.getGeometry(child);
+
+        if (isSet(geo)) {
+          break;
+        }
+      }
+    }
+
+    // Applies the orientation and size of the reference to the newly added
+    // swimlane
+    if (isSet(geo)) {
+      const horizontal = isCellHorizontal(ref);
+
+      if (isCellHorizontal(swimlane) !== horizontal) {
+        getGraph().setCellStyles(STYLE_HORIZONTAL, horizontal ? 1 : 0, [
+          swimlane
+        ]);
+      }
+
+      const parentHorizontal = isSet(parent)
+        ? isCellHorizontal(parent)
+        : isHorizontal();
+      resizeSwimlane(
+        swimlane,
+        geo.getWidth(),
+        geo.getHeight(),
+        parentHorizontal
+      );
+    }
+  };
+
+  /**
+   * Function: cellsResized
+   *
+   * Called if any cells have been resized. Calls <resizeSwimlane> for all
+   * swimlanes where <isSwimlaneIgnored> returns false.
+   *
+   * Parameters:
+   *
+   * cells - Array of <Cells> whose size was changed.
+   */
+  const cellsResized = (cells) => {
+    if (isSet(cells)) {
+      const graph = getGraph();
+      const model = graph.getModel();
+
+      model.beginUpdate();
+
+      try {
+        // Finds the top-level swimlanes and adds offsets
+        for (const cell of cells) {
+          if (!me.resolve('isSwimlaneIgnored')(cell)) {
+            const geo = model.getGeometry(cell);
+
+            if (isSet(geo)) {
+              const size = Rectangle(0, 0, geo.getWidth(), geo.getHeight());
+              let top = cell;
+              let current = top;
+
+              while (isSet(current)) {
+                top = current;
+                current = model.getParent(current);
+                const tmp = graph.isSwimlane(current)
+                  ? graph.getStartSize(current)
+                  : Rectangle();
+                size.setWidth(size.getWidth() + tmp.getWidth());
+                size.setHeight(size.getHeight() + tmp.getHeight());
+              }
+
+              const parentHorizontal = isSet(current)
+                ? isCellHorizontal(current)
+                : isHorizontal();
+              resizeSwimlane(
+                top,
+                size.getWidth(),
+                size.getHeight(),
+                parentHorizontal
+              );
+            }
+          }
+        }
+      } finally {
+        model.endUpdate();
+      }
+    }
+  };
+
+  /**
+   * Function: resizeSwimlane
+   *
+   * Called from <cellsResized> for all swimlanes that are not ignored to update
+   * the size of the siblings and the size of the parent swimlanes, recursively.
+   *
+   * Parameters:
+   *
+   * swimlane - <Cell> whose size has changed.
+   */
+  const resizeSwimlane = (swimlane, w, h, parentHorizontal) => {
+    const graph = getGraph();
+    const model = graph.getModel();
+
+    model.beginUpdate();
+
+    try {
+      const horizontal = isCellHorizontal(swimlane);
+
+      if (!me.resolve('isSwimlaneIgnored')(swimlane)) {
+        let geo = model.getGeometry(swimlane);
+
+        if (isSet(geo)) {
+          if (
+            (parentHorizontal && geo.getHeight() !== h) ||
+            (!parentHorizontal && geo.getWidth() !== w)
+          ) {
+            geo = geo.clone();
+
+            if (parentHorizontal) {
+              geo.setHeight(h);
+            } else {
+              geo.setWidth(w);
+            }
+
+            model.setGeometry(swimlane, geo);
+          }
+        }
+      }
+
+      const tmp = graph.isSwimlane(swimlane)
+        ? graph.getStartSize(swimlane)
+        : Rectangle();
+      w -= tmp.getWidth();
+      h -= tmp.getHeight();
+
+      const childCount = model.getChildCount(swimlane);
+
+      for (let i = 0; i < childCount; i++) {
+        const child = model.getChildAt(swimlane, i);
+        resizeSwimlane(child, w, h, horizontal);
+      }
+    } finally {
+      model.endUpdate();
+    }
+  };
+
+  /**
+   * Function: destroy
+   *
+   * Removes all handlers from the <graph> and deletes the reference to it.
+   */
+  const destroy = () => setGraph(null);
+
+  // Extends mxEventSource.
+  const { addListener, removeListener, fireEvent } = EventSource();
+
+  const me = {
+    addListener,
+    removeListener,
+    fireEvent,
+
+    /**
+     * Function: getGraph
+     *
+     * Returns the graph that this manager operates on.
+     */
+    getGraph,
+    setGraph,
+    isEnabled,
+    setEnabled,
+    isHorizontal,
+    setHorizontal,
+    isAddEnabled,
+    setAddEnabled,
+    isResizeEnabled,
+    setResizeEnabled,
+    getAddHandler,
+    setAddHandler,
+    getResizeHandler,
+    setResizeHandler,
+    isSwimlaneIgnored,
+    isCellHorizontal,
+    cellsAdded,
+    swimlaneAdded,
+    cellsResized,
+    resizeSwimlane,
+    destroy
+  };
+
+  setGraph(graph);
+
+  return me;
+};
+
+export default makeComponent(SwimlaneManager);
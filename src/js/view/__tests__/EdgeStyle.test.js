@@ -0,0 +1,123 @@
+import EdgeStyle from '../EdgeStyle';
+import Graph from '../Graph';
+
+const STYLE = 'edgeStyle=obstacleEdgeStyle';
+
+// Returns true if a segment of the given points crosses the given bounds
+const crosses = (pts, x, y, w, h) =>
+  pts.slice(1).some((b, i) => {
+    const a = pts[i];
+
+    return (
+      Math.min(a.getX(), b.getX()) < x + w &&
+      Math.max(a.getX(), b.getX()) > x &&
+      Math.min(a.getY(), b.getY()) < y + h &&
+      Math.max(a.getY(), b.getY()) > y
+    );
+  });
+
+const isOrthogonal = (pts) =>
+  pts
+    .slice(1)
+    .every((b, i) => pts[i].getX() === b.getX() || pts[i].getY() === b.getY());
+
+test('route orthogonal edges around obstacles', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 300, 0, 40, 40);
+  graph.insertVertex(parent, null, '', 140, -40, 40, 120);
+  const e = graph.insertEdge(parent, null, '', v1, v2, STYLE);
+  const pts = graph.getView().getState(e).getAbsolutePoints();
+
+  expect(isOrthogonal(pts)).toBe(true);
+  expect(pts.length).toBe(4);
+  expect(crosses(pts, 130, -50, 60, 140)).toBe(false);
+});
+
+test('use a straight route if nothing is in the way', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 200, 0, 40, 40);
+  const e = graph.insertEdge(parent, null, '', v1, v2, STYLE);
+  const pts = graph.getView().getState(e).getAbsolutePoints();
+
+  expect(pts[0].getX()).toBe(40);
+  expect(pts[pts.length - 1].getX()).toBe(200);
+  expect(pts.every((pt) => pt.getY() === 20)).toBe(true);
+});
+
+test('respect port constraints', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 200, 0, 40, 40);
+  const e = graph.insertEdge(
+    parent,
+    null,
+    '',
+    v1,
+    v2,
+    `${STYLE};sourcePortConstraint=south;targetPortConstraint=north`
+  );
+  const pts = graph.getView().getState(e).getAbsolutePoints();
+
+  expect(isOrthogonal(pts)).toBe(true);
+  expect(pts[0].getY()).toBe(40);
+  expect(pts[1].getY()).toBeGreaterThan(40);
+  expect(pts[pts.length - 1].getY()).toBe(0);
+  expect(pts[pts.length - 2].getY()).toBeLessThan(0);
+});
+
+test('spread parallel edges apart', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+  const v2 = graph.insertVertex(parent, null, '', 200, 100, 40, 40);
+  const e1 = graph.insertEdge(parent, null, '', v1, v2, STYLE);
+  const e2 = graph.insertEdge(parent, null, '', v2, v1, STYLE);
+  graph.refresh();
+
+  const pts1 = graph.getView().getState(e1).getAbsolutePoints();
+  const pts2 = graph.getView().getState(e2).getAbsolutePoints();
+
+  expect(isOrthogonal(pts1)).toBe(true);
+  expect(isOrthogonal(pts2)).toBe(true);
+  expect(pts1[0].equals(pts2[pts2.length - 1])).toBe(false);
+  expect(pts1.some((a) => pts2.some((b) => a.equals(b)))).toBe(false);
+});
+
+test('fall back to segments if the search exceeds its limits', () => {
+  const getPoints = (style) => {
+    const graph = Graph();
+    const parent = graph.getDefaultParent();
+    const v1 = graph.insertVertex(parent, null, '', 0, 0, 40, 40);
+    const v2 = graph.insertVertex(parent, null, '', 300, 0, 40, 40);
+    graph.insertVertex(parent, null, '', 140, -40, 40, 120);
+    const e = graph.insertEdge(parent, null, '', v1, v2, style);
+
+    return graph
+      .getView()
+      .getState(e)
+      .getAbsolutePoints()
+      .map((pt) => [pt.getX(), pt.getY()]);
+  };
+
+  const segments = getPoints('edgeStyle=segmentEdgeStyle');
+  const { routingMaxGridSize, routingMaxSteps } = EdgeStyle;
+
+  expect(getPoints(STYLE)).not.toEqual(segments);
+
+  try {
+    EdgeStyle.routingMaxSteps = 1;
+    expect(getPoints(STYLE)).toEqual(segments);
+
+    EdgeStyle.routingMaxSteps = routingMaxSteps;
+    EdgeStyle.routingMaxGridSize = 4;
+    expect(getPoints(STYLE)).toEqual(segments);
+  } finally {
+    EdgeStyle.routingMaxGridSize = routingMaxGridSize;
+    EdgeStyle.routingMaxSteps = routingMaxSteps;
+  }
+});
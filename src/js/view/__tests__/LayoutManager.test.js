@@ -0,0 +1,58 @@
+import StackLayout from '../../layout/StackLayout';
+import Event from '../../util/Event';
+import Graph from '../Graph';
+import LayoutManager from '../LayoutManager';
+
+test('rerun the layout of a container when children change', () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const group = graph.insertVertex(parent, null, '', 0, 0, 200, 200);
+  const layout = StackLayout(graph, false);
+  const manager = LayoutManager(graph);
+  const fired = [];
+
+  manager.getLayout = (cell) => (cell === group ? layout : null);
+  manager.addListener(Event.LAYOUT_CELLS, (sender, evt) =>
+    fired.push(evt.getProperty('cells'))
+  );
+
+  const a = graph.insertVertex(group, null, '', 50, 50, 40, 30);
+  const b = graph.insertVertex(group, null, '', 50, 50, 40, 20);
+
+  expect(model.getGeometry(a).getY()).toBe(0);
+  expect(model.getGeometry(b).getY()).toBe(30);
+  expect(fired.length).toBeGreaterThan(0);
+  expect(fired[0]).toContain(group);
+
+  manager.setEnabled(false);
+  const c = graph.insertVertex(group, null, '', 50, 50, 40, 20);
+  expect(model.getGeometry(c).getY()).toBe(50);
+});
+
+test('run nested layouts bottom-up', () => {
+  const graph = Graph();
+  const parent = graph.getDefaultParent();
+  const outer = graph.insertVertex(parent, null, '', 0, 0, 200, 200);
+  const inner = graph.insertVertex(outer, null, '', 0, 0, 100, 100);
+  const manager = LayoutManager(graph);
+  const order = [];
+  const createLayout = (name) => ({ execute: () => order.push(name) });
+  const layouts = new Map([
+    [outer, createLayout('outer')],
+    [inner, createLayout('inner')]
+  ]);
+
+  // Skips the top-down pass to only record the bottom-up order
+  manager.getLayout = (cell, eventName) =>
+    eventName !== Event.END_UPDATE ? layouts.get(cell) || null : null;
+
+  graph.insertVertex(inner, null, '', 0, 0, 10, 10);
+
+  expect(order).toEqual(['inner', 'outer']);
+
+  manager.destroy();
+  order.length = 0;
+  graph.insertVertex(inner, null, '', 0, 0, 10, 10);
+  expect(order).toEqual([]);
+});
@@ -0,0 +1,100 @@
+import Event from '../../util/Event';
+import Rectangle from '../../util/Rectangle';
+import Graph from '../Graph';
+import SwimlaneManager from '../SwimlaneManager';
+
+const createPool = () => {
+  const graph = Graph();
+  const model = graph.getModel();
+  const parent = graph.getDefaultParent();
+  const manager = SwimlaneManager(graph);
+  const pool = graph.insertVertex(
+    parent,
+    null,
+    'Pool',
+    0,
+    0,
+    440,
+    200,
+    'shape=swimlane;horizontal=0;startSize=40'
+  );
+  const lane1 = graph.insertVertex(
+    pool,
+    null,
+    'Lane 1',
+    40,
+    0,
+    400,
+    100,
+    'shape=swimlane;horizontal=0;startSize=20'
+  );
+
+  return { graph, model, manager, pool, lane1 };
+};
+
+test('apply the size and orientation of siblings to added lanes', () => {
+  const { graph, model, pool, lane1 } = createPool();
+  const lane2 = graph.insertVertex(
+    pool,
+    null,
+    'Lane 2',
+    40,
+    100,
+    250,
+    100,
+    'shape=swimlane;startSize=20'
+  );
+
+  expect(model.getGeometry(lane2).getWidth()).toBe(400);
+  expect(graph.getCellStyle(lane2).horizontal).toBe(0);
+  expect(model.getGeometry(lane1).getWidth()).toBe(400);
+});
+
+test('resize sibling lanes and the parent pool together', () => {
+  const { graph, model, pool, lane1 } = createPool();
+  const lane2 = graph.insertVertex(
+    pool,
+    null,
+    'Lane 2',
+    40,
+    100,
+    400,
+    100,
+    'shape=swimlane;horizontal=0;startSize=20'
+  );
+  const edits = [];
+
+  model.addListener(Event.UNDO, (sender, evt) =>
+    edits.push(evt.getProperty('edit'))
+  );
+
+  graph.resizeCell(lane1, Rectangle(40, 0, 500, 100));
+
+  expect(model.getGeometry(lane1).getWidth()).toBe(500);
+  expect(model.getGeometry(lane2).getWidth()).toBe(500);
+  expect(model.getGeometry(pool).getWidth()).toBe(540);
+  expect(edits.length).toBe(1);
+
+  edits[0].undo();
+
+  expect(model.getGeometry(lane2).getWidth()).toBe(400);
+  expect(model.getGeometry(pool).getWidth()).toBe(440);
+});
+
+test('stop handling events after destroy', () => {
+  const { graph, model, manager, pool } = createPool();
+  manager.destroy();
+
+  const lane2 = graph.insertVertex(
+    pool,
+    null,
+    'Lane 2',
+    40,
+    100,
+    250,
+    100,
+    'shape=swimlane;horizontal=0;startSize=20'
+  );
+
+  expect(model.getGeometry(lane2).getWidth()).toBe(250);
+});